@@ -14,13 +14,16 @@ namespace VoiceAgentCSharp.Controllers;
 public class PricingAdminController : ControllerBase
 {
     private readonly PricingService _pricingService;
+    private readonly ExchangeRateService _exchangeRateService;
     private readonly ILogger<PricingAdminController> _logger;
 
     public PricingAdminController(
         PricingService pricingService,
+        ExchangeRateService exchangeRateService,
         ILogger<PricingAdminController> logger)
     {
         _pricingService = pricingService;
+        _exchangeRateService = exchangeRateService;
         _logger = logger;
     }
 
@@ -74,7 +77,9 @@ public class PricingAdminController : ControllerBase
     }
 
     /// <summary>
-    /// Upsert a pricing configuration (Admin-only). Accepts modelName, inputTokenCost, outputTokenCost, cachedInputTokenCost, avatarCostPerMin, ttsCostPer1MChars, isPerMillion
+    /// Upsert a pricing configuration (Admin-only). Accepts modelName, inputTokenCost, outputTokenCost, cachedInputTokenCost, audioInputTokenCost, audioOutputTokenCost, cachedAudioInputTokenCost, avatarCostPerMin, ttsCostPer1MChars, isPerMillion, effectiveFrom
+    /// (the prices it replaces are kept as a version ending at effectiveFrom; default is now, and it cannot be in the future
+    /// or before the start of the current prices)
     /// </summary>
     [HttpPost("upsert")]
     public async Task<IActionResult> UpsertPricing([FromBody] PricingConfigDto dto, CancellationToken cancellationToken)
@@ -88,15 +93,23 @@ public class PricingAdminController : ControllerBase
                 InputTokenCost = dto.inputTokenCost,
                 OutputTokenCost = dto.outputTokenCost,
                 CachedInputTokenCost = dto.cachedInputTokenCost,
+                AudioInputTokenCost = dto.audioInputTokenCost,
+                AudioOutputTokenCost = dto.audioOutputTokenCost,
+                CachedAudioInputTokenCost = dto.cachedAudioInputTokenCost,
                 AvatarCostPerMin = dto.avatarCostPerMin,
                 TtsCostPer1MChars = dto.ttsCostPer1MChars,
                 IsPerMillion = dto.isPerMillion,
+                EffectiveFrom = dto.effectiveFrom?.ToUniversalTime(),
                 UpdatedAt = DateTime.UtcNow
             };
 
             await _pricingService.UpsertAsync(config, cancellationToken);
             return Ok(new { message = "Upserted" });
         }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Failed to upsert pricing");
@@ -110,9 +123,19 @@ public class PricingAdminController : ControllerBase
         public decimal inputTokenCost { get; set; }
         public decimal outputTokenCost { get; set; }
         public decimal cachedInputTokenCost { get; set; }
+        public decimal audioInputTokenCost { get; set; }
+        public decimal audioOutputTokenCost { get; set; }
+        public decimal cachedAudioInputTokenCost { get; set; }
         public decimal avatarCostPerMin { get; set; }
         public decimal ttsCostPer1MChars { get; set; }
         public bool isPerMillion { get; set; }
+        public DateTime? effectiveFrom { get; set; }
+    }
+
+    public class ExchangeRateDto
+    {
+        public string currency { get; set; } = string.Empty;
+        public decimal rate { get; set; }
     }
 
     /// <summary>
@@ -136,9 +159,16 @@ public class PricingAdminController : ControllerBase
                     avatarCostPerMin = p.AvatarCostPerMin,
                     ttsCostPer1MChars = p.TtsCostPer1MChars,
                     cachedInputTokenCost = p.CachedInputTokenCost,
+                    audioInputTokenCost = p.AudioInputTokenCost,
+                    audioOutputTokenCost = p.AudioOutputTokenCost,
+                    cachedAudioInputTokenCost = p.CachedAudioInputTokenCost,
+                    effectiveFrom = p.EffectiveFrom,
+                    versions = p.Versions,
                     updatedAt = p.UpdatedAt
                 }),
                 count = pricing.Count,
+                baseCurrency = ExchangeRateService.BaseCurrency,
+                exchangeRates = _exchangeRateService.GetAll(),
                 timestamp = DateTime.UtcNow
             });
         }
@@ -149,6 +179,63 @@ public class PricingAdminController : ControllerBase
         }
     }
 
+    /// <summary>
+    /// Lists the exchange rates used to show costs in other currencies (amount of each currency worth 1 USD).
+    /// </summary>
+    [HttpGet("exchange-rates")]
+    public IActionResult ListExchangeRates()
+    {
+        return Ok(new
+        {
+            baseCurrency = ExchangeRateService.BaseCurrency,
+            exchangeRates = _exchangeRateService.GetAll(),
+            timestamp = DateTime.UtcNow
+        });
+    }
+
+    /// <summary>
+    /// Adds or updates an exchange rate (Admin-only). Accepts currency (ISO 4217 code) and rate.
+    /// </summary>
+    [HttpPost("exchange-rates")]
+    public async Task<IActionResult> UpsertExchangeRate([FromBody] ExchangeRateDto dto, CancellationToken cancellationToken)
+    {
+        try
+        {
+            await _exchangeRateService.SetAsync(dto.currency, dto.rate, cancellationToken);
+            return Ok(new { message = "Upserted", exchangeRates = _exchangeRateService.GetAll() });
+        }
+        catch (ArgumentException ex)
+        {
+            return BadRequest(new { error = ex.Message });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to save exchange rate");
+            return StatusCode(500, new { error = "Failed to save exchange rate" });
+        }
+    }
+
+    /// <summary>
+    /// Removes an exchange rate (Admin-only).
+    /// </summary>
+    [HttpDelete("exchange-rates/{currency}")]
+    public async Task<IActionResult> DeleteExchangeRate(string currency, CancellationToken cancellationToken)
+    {
+        try
+        {
+            if (!await _exchangeRateService.RemoveAsync(currency, cancellationToken))
+            {
+                return NotFound(new { error = $"No exchange rate for {currency}" });
+            }
+            return Ok(new { message = "Deleted", exchangeRates = _exchangeRateService.GetAll() });
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to delete exchange rate");
+            return StatusCode(500, new { error = "Failed to delete exchange rate" });
+        }
+    }
+
     /// <summary>
     /// Dry-run migration: analyze repository pricing entries and suggest normalizations
     /// (detect likely per-1M values and return a plan). Admin-only.
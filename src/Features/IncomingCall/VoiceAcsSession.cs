@@ -214,6 +214,75 @@ public class VoiceAcsSession : IVoiceSession
         }
     }
 
+    /// <summary>
+    /// Handles an interruption (barge-in).
+    /// For ACS sessions, barge-in is normally handled by server VAD; this truncates the assistant item when requested.
+    /// </summary>
+    public async Task InterruptAsync(string? itemId, int audioEndMs, bool cancelResponse)
+    {
+        _logger.LogInformation(
+            "Client interrupted playback: ItemId={ItemId}, AudioEndMs={AudioEndMs}, CancelResponse={CancelResponse}",
+            itemId,
+            audioEndMs,
+            cancelResponse);
+        if (_session == null)
+        {
+            _logger.LogWarning("Cannot interrupt: session not initialized");
+            return;
+        }
+
+        try
+        {
+            if (cancelResponse)
+            {
+                await _session.CancelResponseAsync().ConfigureAwait(false);
+            }
+
+            if (!string.IsNullOrWhiteSpace(itemId))
+            {
+                await _session.TruncateConversationAsync(itemId, 0, TimeSpan.FromMilliseconds(audioEndMs)).ConfigureAwait(false);
+            }
+        }
+        catch (Exception ex)
+        {
+            // A failed truncation must not end the session
+            _logger.LogWarning(ex, "Error handling client interruption");
+        }
+    }
+
+    /// <summary>
+    /// Phone calls are never resumed, so there is no conversation to replay.
+    /// </summary>
+    public Task ReplayConversationAsync(IReadOnlyList<ConversationTurn> turns)
+    {
+        _logger.LogDebug("Conversation replay is not supported for phone calls");
+        return Task.CompletedTask;
+    }
+
+    /// <summary>
+    /// Commits the buffered input audio and requests a response.
+    /// Phone calls rely on server VAD for turn detection, so this is only used if a client requests it explicitly.
+    /// </summary>
+    public async Task CommitAudioAsync()
+    {
+        _logger.LogDebug("Committing input audio buffer");
+        if (_session == null)
+        {
+            _logger.LogWarning("Cannot commit audio: session not initialized");
+            return;
+        }
+
+        try
+        {
+            await _session.CommitInputAudioAsync().ConfigureAwait(false);
+            await _session.StartResponseAsync().ConfigureAwait(false);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogWarning(ex, "Error committing input audio");
+        }
+    }
+
     /// <summary>
     /// Updates the Voice ACS session configuration.
     /// Allows dynamic updates to voice, locale, model, and instructions.
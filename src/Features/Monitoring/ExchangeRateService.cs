@@ -0,0 +1,152 @@
+using System.Collections.Concurrent;
+using VoiceAgentCSharp.Features.Monitoring.Repositories;
+
+namespace VoiceAgentCSharp.Features.Monitoring;
+
+/// <summary>
+/// Exchange rate table used to show costs in other currencies.
+/// Prices are kept in USD; each rate is the amount of a currency worth 1 USD.
+/// Rates are seeded from the "ExchangeRates" configuration section (e.g. "EUR": 0.92)
+/// and maintained by admins; admin changes are saved in the pricing repository and
+/// replace the configured rates once saved.
+/// </summary>
+public class ExchangeRateService
+{
+    /// <summary>
+    /// Currency the prices are expressed in.
+    /// </summary>
+    public const string BaseCurrency = "USD";
+
+    private readonly ConcurrentDictionary<string, decimal> _rates = new(StringComparer.OrdinalIgnoreCase);
+    private readonly IPricingRepository _pricingRepository;
+    private readonly ILogger<ExchangeRateService> _logger;
+    private readonly SemaphoreSlim _saveLock = new(1, 1);
+
+    public ExchangeRateService(IPricingRepository pricingRepository, IConfiguration configuration, ILogger<ExchangeRateService> logger)
+    {
+        _pricingRepository = pricingRepository;
+        _logger = logger;
+        _rates[BaseCurrency] = 1m;
+
+        foreach (var entry in configuration.GetSection("ExchangeRates").GetChildren())
+        {
+            if (decimal.TryParse(entry.Value, System.Globalization.NumberStyles.Number, System.Globalization.CultureInfo.InvariantCulture, out var rate)
+                && TryNormalizeCurrency(entry.Key, out var currency)
+                && rate > 0)
+            {
+                _rates[currency] = rate;
+            }
+            else
+            {
+                _logger.LogWarning("Ignoring invalid exchange rate {Currency}={Rate} in configuration", entry.Key, entry.Value);
+            }
+        }
+    }
+
+    /// <summary>
+    /// Loads the rates saved by admins from the repository, if any.
+    /// </summary>
+    public async Task InitializeAsync(CancellationToken cancellationToken = default)
+    {
+        try
+        {
+            var table = await _pricingRepository.GetExchangeRatesAsync(cancellationToken);
+            if (table == null)
+            {
+                _logger.LogInformation("No exchange rates in repository, using configured rates");
+                return;
+            }
+
+            _rates.Clear();
+            _rates[BaseCurrency] = 1m;
+            foreach (var (key, rate) in table.Rates)
+            {
+                if (TryNormalizeCurrency(key, out var currency) && currency != BaseCurrency && rate > 0)
+                {
+                    _rates[currency] = rate;
+                }
+            }
+            _logger.LogInformation("Loaded {Count} exchange rates from repository", _rates.Count - 1);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Failed to load exchange rates from repository, using configured rates");
+        }
+    }
+
+    /// <summary>
+    /// Gets all exchange rates, base currency included.
+    /// </summary>
+    public IReadOnlyDictionary<string, decimal> GetAll()
+    {
+        return new SortedDictionary<string, decimal>(_rates.ToDictionary(r => r.Key, r => r.Value), StringComparer.Ordinal);
+    }
+
+    /// <summary>
+    /// Adds or updates the rate of a currency.
+    /// </summary>
+    /// <param name="currency">ISO 4217 currency code (e.g. EUR).</param>
+    /// <param name="rate">Amount of the currency worth 1 USD.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <exception cref="ArgumentException">The code or the rate is not valid, or the currency is the base currency.</exception>
+    public async Task SetAsync(string currency, decimal rate, CancellationToken cancellationToken = default)
+    {
+        if (!TryNormalizeCurrency(currency, out var code))
+            throw new ArgumentException("Currency must be a 3-letter ISO 4217 code", nameof(currency));
+        if (code == BaseCurrency)
+            throw new ArgumentException($"The rate of {BaseCurrency} is always 1", nameof(currency));
+        if (rate <= 0)
+            throw new ArgumentException("Rate must be greater than zero", nameof(rate));
+
+        await _saveLock.WaitAsync(cancellationToken);
+        try
+        {
+            _rates[code] = rate;
+            await SaveAsync(cancellationToken);
+        }
+        finally
+        {
+            _saveLock.Release();
+        }
+        _logger.LogInformation("Exchange rate for {Currency} set to {Rate}", code, rate);
+    }
+
+    /// <summary>
+    /// Removes the rate of a currency.
+    /// </summary>
+    /// <returns>True if the currency was in the table.</returns>
+    public async Task<bool> RemoveAsync(string currency, CancellationToken cancellationToken = default)
+    {
+        if (!TryNormalizeCurrency(currency, out var code) || code == BaseCurrency) return false;
+
+        await _saveLock.WaitAsync(cancellationToken);
+        try
+        {
+            if (!_rates.TryRemove(code, out _)) return false;
+            await SaveAsync(cancellationToken);
+            return true;
+        }
+        finally
+        {
+            _saveLock.Release();
+        }
+    }
+
+    /// <summary>
+    /// Saves the whole table, so removed currencies stay removed after a restart.
+    /// </summary>
+    private Task SaveAsync(CancellationToken cancellationToken)
+    {
+        var table = new ExchangeRateTable
+        {
+            Rates = _rates.Where(r => r.Key != BaseCurrency).ToDictionary(r => r.Key, r => r.Value)
+        };
+        return _pricingRepository.UpsertExchangeRatesAsync(table, cancellationToken);
+    }
+
+    private static bool TryNormalizeCurrency(string? currency, out string code)
+    {
+        code = (currency ?? string.Empty).Trim().ToUpperInvariant();
+        return code.Length == 3 && code.All(char.IsAsciiLetterUpper);
+    }
+}
@@ -0,0 +1,39 @@
+using System.Text.Json.Serialization;
+
+namespace VoiceAgentCSharp.Features.Monitoring;
+
+/// <summary>
+/// Represents the exchange rates maintained by admins.
+/// Stored as a single document in the pricing container (partition key /modelName), no TTL.
+/// </summary>
+public class ExchangeRateTable
+{
+    /// <summary>
+    /// Id and partition key of the single exchange rate document.
+    /// </summary>
+    public const string DocumentId = "exchange-rates";
+
+    /// <summary>
+    /// Document ID. Always <see cref="DocumentId"/>.
+    /// </summary>
+    [JsonPropertyName("id")]
+    public string Id { get; set; } = DocumentId;
+
+    /// <summary>
+    /// Partition key of the pricing container. Always <see cref="DocumentId"/>.
+    /// </summary>
+    [JsonPropertyName("modelName")]
+    public string ModelName { get; set; } = DocumentId;
+
+    /// <summary>
+    /// Amount of each currency worth 1 USD, by ISO 4217 code (base currency excluded).
+    /// </summary>
+    [JsonPropertyName("rates")]
+    public Dictionary<string, decimal> Rates { get; set; } = new();
+
+    /// <summary>
+    /// Last update timestamp.
+    /// </summary>
+    [JsonPropertyName("updatedAt")]
+    public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+}
@@ -12,7 +12,7 @@ public class PricingConfig
     /// Document ID (same as modelName).
 
     /// <summary>
-    /// If true, the numeric token pricing values (InputTokenCost, CachedInputTokenCost, OutputTokenCost)
+    /// If true, the numeric token pricing values (InputTokenCost, CachedInputTokenCost, OutputTokenCost and the audio token costs)
     /// are expressed per 1,000,000 tokens (per-1M). When true, callers may convert to per-1k by
     /// dividing by 1000. Default is false (values are per-1k).
     /// </summary>
@@ -55,6 +55,27 @@ public class PricingConfig
     [JsonPropertyName("outputTokenCost")]
     public decimal OutputTokenCost { get; set; }
 
+    /// <summary>
+    /// Cost per 1000 audio input tokens (per-1k).
+    /// Optional; if zero, audio input is billed at <see cref="InputTokenCost"/>.
+    /// </summary>
+    [JsonPropertyName("audioInputTokenCost")]
+    public decimal AudioInputTokenCost { get; set; }
+
+    /// <summary>
+    /// Cost per 1000 audio output tokens (per-1k).
+    /// Optional; if zero, audio output is billed at <see cref="OutputTokenCost"/>.
+    /// </summary>
+    [JsonPropertyName("audioOutputTokenCost")]
+    public decimal AudioOutputTokenCost { get; set; }
+
+    /// <summary>
+    /// Cost per 1000 cached audio input tokens (per-1k).
+    /// Optional; if zero, cached audio is billed at <see cref="CachedInputTokenCost"/>.
+    /// </summary>
+    [JsonPropertyName("cachedAudioInputTokenCost")]
+    public decimal CachedAudioInputTokenCost { get; set; }
+
     /// <summary>
     /// Avatar cost per minute in USD.
     /// </summary>
@@ -67,9 +88,100 @@ public class PricingConfig
     [JsonPropertyName("ttsCostPer1MChars")]
     public decimal TtsCostPer1MChars { get; set; }
 
+    /// <summary>
+    /// Time from which these prices apply (UTC). Null means they always applied.
+    /// </summary>
+    [JsonPropertyName("effectiveFrom")]
+    public DateTime? EffectiveFrom { get; set; }
+
+    /// <summary>
+    /// Prices that applied before <see cref="EffectiveFrom"/>, oldest first.
+    /// Kept so past sessions can be costed with the price valid at the time.
+    /// </summary>
+    [JsonPropertyName("versions")]
+    public List<PricingVersion> Versions { get; set; } = new();
+
     /// <summary>
     /// Last update timestamp.
     /// </summary>
     [JsonPropertyName("updatedAt")]
     public DateTime UpdatedAt { get; set; } = DateTime.UtcNow;
+
+    /// <summary>
+    /// Whether another configuration has the same prices.
+    /// </summary>
+    public bool HasSamePrices(PricingConfig other)
+    {
+        return InputTokenCost == other.InputTokenCost
+            && OutputTokenCost == other.OutputTokenCost
+            && CachedInputTokenCost == other.CachedInputTokenCost
+            && AudioInputTokenCost == other.AudioInputTokenCost
+            && AudioOutputTokenCost == other.AudioOutputTokenCost
+            && CachedAudioInputTokenCost == other.CachedAudioInputTokenCost
+            && AvatarCostPerMin == other.AvatarCostPerMin
+            && TtsCostPer1MChars == other.TtsCostPer1MChars;
+    }
+}
+
+/// <summary>
+/// Prices of a model over a past period (see <see cref="PricingConfig.Versions"/>).
+/// Values use the same units as <see cref="PricingConfig"/> (per-1k tokens, USD).
+/// </summary>
+public class PricingVersion
+{
+    /// <summary>
+    /// Start of the period (UTC). Null means since the beginning.
+    /// </summary>
+    [JsonPropertyName("effectiveFrom")]
+    public DateTime? EffectiveFrom { get; set; }
+
+    /// <summary>
+    /// End of the period (UTC), when the next prices took effect.
+    /// </summary>
+    [JsonPropertyName("effectiveTo")]
+    public DateTime EffectiveTo { get; set; }
+
+    [JsonPropertyName("inputTokenCost")]
+    public decimal InputTokenCost { get; set; }
+
+    [JsonPropertyName("outputTokenCost")]
+    public decimal OutputTokenCost { get; set; }
+
+    [JsonPropertyName("cachedInputTokenCost")]
+    public decimal CachedInputTokenCost { get; set; }
+
+    [JsonPropertyName("audioInputTokenCost")]
+    public decimal AudioInputTokenCost { get; set; }
+
+    [JsonPropertyName("audioOutputTokenCost")]
+    public decimal AudioOutputTokenCost { get; set; }
+
+    [JsonPropertyName("cachedAudioInputTokenCost")]
+    public decimal CachedAudioInputTokenCost { get; set; }
+
+    [JsonPropertyName("avatarCostPerMin")]
+    public decimal AvatarCostPerMin { get; set; }
+
+    [JsonPropertyName("ttsCostPer1MChars")]
+    public decimal TtsCostPer1MChars { get; set; }
+
+    /// <summary>
+    /// Captures the prices of a configuration that are replaced at <paramref name="effectiveTo"/>.
+    /// </summary>
+    public static PricingVersion From(PricingConfig config, DateTime effectiveTo)
+    {
+        return new PricingVersion
+        {
+            EffectiveFrom = config.EffectiveFrom,
+            EffectiveTo = effectiveTo,
+            InputTokenCost = config.InputTokenCost,
+            OutputTokenCost = config.OutputTokenCost,
+            CachedInputTokenCost = config.CachedInputTokenCost,
+            AudioInputTokenCost = config.AudioInputTokenCost,
+            AudioOutputTokenCost = config.AudioOutputTokenCost,
+            CachedAudioInputTokenCost = config.CachedAudioInputTokenCost,
+            AvatarCostPerMin = config.AvatarCostPerMin,
+            TtsCostPer1MChars = config.TtsCostPer1MChars
+        };
+    }
 }
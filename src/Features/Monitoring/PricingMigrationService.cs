@@ -71,6 +71,9 @@ public class PricingMigrationService
             c.InputTokenCost = Decimal.Divide(c.InputTokenCost, 1000m);
             c.OutputTokenCost = Decimal.Divide(c.OutputTokenCost, 1000m);
             if (c.CachedInputTokenCost != 0) c.CachedInputTokenCost = Decimal.Divide(c.CachedInputTokenCost, 1000m);
+            if (c.AudioInputTokenCost != 0) c.AudioInputTokenCost = Decimal.Divide(c.AudioInputTokenCost, 1000m);
+            if (c.AudioOutputTokenCost != 0) c.AudioOutputTokenCost = Decimal.Divide(c.AudioOutputTokenCost, 1000m);
+            if (c.CachedAudioInputTokenCost != 0) c.CachedAudioInputTokenCost = Decimal.Divide(c.CachedAudioInputTokenCost, 1000m);
             c.IsPerMillion = false;
             c.UpdatedAt = DateTime.UtcNow;
 
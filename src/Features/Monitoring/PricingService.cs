@@ -267,6 +267,7 @@ public class PricingService
     /// Upsert a pricing configuration into the repository and update cache.
     /// Normalizes per-1M values into per-1k before persisting.
     /// </summary>
+    /// <exception cref="ArgumentException">EffectiveFrom is in the future or before the start of the current prices.</exception>
     public async Task UpsertAsync(PricingConfig config, CancellationToken cancellationToken = default)
     {
         if (config == null) throw new ArgumentNullException(nameof(config));
@@ -282,6 +283,9 @@ public class PricingService
                 {
                     config.CachedInputTokenCost = Decimal.Divide(config.CachedInputTokenCost, 1000m);
                 }
+                config.AudioInputTokenCost = Decimal.Divide(config.AudioInputTokenCost, 1000m);
+                config.AudioOutputTokenCost = Decimal.Divide(config.AudioOutputTokenCost, 1000m);
+                config.CachedAudioInputTokenCost = Decimal.Divide(config.CachedAudioInputTokenCost, 1000m);
                 config.IsPerMillion = false;
             }
             catch (Exception ex)
@@ -291,6 +295,28 @@ public class PricingService
         }
 
         config.UpdatedAt = DateTime.UtcNow;
+        // Prices apply from the time they are saved: there is no pending price to switch to later
+        if (config.EffectiveFrom > config.UpdatedAt)
+        {
+            throw new ArgumentException("Prices cannot take effect in the future", nameof(config));
+        }
+        config.EffectiveFrom ??= config.UpdatedAt;
+
+        // Keep the replaced prices so past sessions are costed with the price valid at the time
+        var existing = await _pricingRepository.GetByModelNameAsync(config.ModelName, cancellationToken);
+        if (existing != null)
+        {
+            if (existing.EffectiveFrom > config.EffectiveFrom)
+            {
+                throw new ArgumentException(
+                    $"Prices cannot take effect before the current prices ({existing.EffectiveFrom.Value:u})", nameof(config));
+            }
+            config.Versions = existing.Versions ?? new List<PricingVersion>();
+            if (!existing.HasSamePrices(config))
+            {
+                config.Versions.Add(PricingVersion.From(existing, config.EffectiveFrom.Value));
+            }
+        }
 
         // Persist to repository
         await _pricingRepository.UpsertAsync(config, cancellationToken);
@@ -370,6 +396,9 @@ public class PricingService
                         {
                             config.CachedInputTokenCost = Decimal.Divide(config.CachedInputTokenCost, 1000m);
                         }
+                        config.AudioInputTokenCost = Decimal.Divide(config.AudioInputTokenCost, 1000m);
+                        config.AudioOutputTokenCost = Decimal.Divide(config.AudioOutputTokenCost, 1000m);
+                        config.CachedAudioInputTokenCost = Decimal.Divide(config.CachedAudioInputTokenCost, 1000m);
                         config.IsPerMillion = false; // mark normalized
                         toPersist.Add(config);
                     }
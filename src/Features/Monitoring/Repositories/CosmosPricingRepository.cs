@@ -90,7 +90,10 @@ public class CosmosPricingRepository : IPricingRepository
 
         try
         {
-            var query = _container.GetItemQueryIterator<PricingConfig>("SELECT * FROM c");
+            // The exchange rate document shares the container
+            var queryDefinition = new QueryDefinition("SELECT * FROM c WHERE c.id != @exchangeRatesId")
+                .WithParameter("@exchangeRatesId", ExchangeRateTable.DocumentId);
+            var query = _container.GetItemQueryIterator<PricingConfig>(queryDefinition);
             var results = new List<PricingConfig>();
 
             while (query.HasMoreResults)
@@ -160,4 +163,58 @@ public class CosmosPricingRepository : IPricingRepository
             throw;
         }
     }
+
+    public async Task<ExchangeRateTable?> GetExchangeRatesAsync(CancellationToken cancellationToken = default)
+    {
+        if (!_isConfigured || _container == null)
+        {
+            _logger.LogDebug("CosmosDB not configured - returning null");
+            return null;
+        }
+
+        try
+        {
+            var response = await _container.ReadItemAsync<ExchangeRateTable>(
+                ExchangeRateTable.DocumentId,
+                new PartitionKey(ExchangeRateTable.DocumentId),
+                cancellationToken: cancellationToken);
+
+            return response.Resource;
+        }
+        catch (CosmosException ex) when (ex.StatusCode == System.Net.HttpStatusCode.NotFound)
+        {
+            _logger.LogDebug("No exchange rates saved");
+            return null;
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error getting exchange rates");
+            throw;
+        }
+    }
+
+    public async Task UpsertExchangeRatesAsync(ExchangeRateTable rates, CancellationToken cancellationToken = default)
+    {
+        if (!_isConfigured || _container == null)
+        {
+            _logger.LogDebug("CosmosDB not configured - skipping upsert");
+            return;
+        }
+
+        try
+        {
+            rates.UpdatedAt = DateTime.UtcNow;
+            await _container.UpsertItemAsync(
+                rates,
+                new PartitionKey(rates.ModelName),
+                cancellationToken: cancellationToken);
+
+            _logger.LogInformation("Upserted {Count} exchange rates", rates.Rates.Count);
+        }
+        catch (Exception ex)
+        {
+            _logger.LogError(ex, "Error upserting exchange rates");
+            throw;
+        }
+    }
 }
@@ -34,6 +34,20 @@ public interface IPricingRepository
     /// <param name="cancellationToken">Cancellation token.</param>
     Task DeleteAsync(string modelName, CancellationToken cancellationToken = default);
 
+    /// <summary>
+    /// Gets the exchange rates maintained by admins.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    /// <returns>Exchange rate table or null if none was saved.</returns>
+    Task<ExchangeRateTable?> GetExchangeRatesAsync(CancellationToken cancellationToken = default);
+
+    /// <summary>
+    /// Creates or replaces the exchange rates.
+    /// </summary>
+    /// <param name="rates">The exchange rate table to save.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    Task UpsertExchangeRatesAsync(ExchangeRateTable rates, CancellationToken cancellationToken = default);
+
     /// <summary>
     /// Checks if the repository is available/connected.
     /// </summary>
@@ -9,6 +9,7 @@ namespace VoiceAgentCSharp.Features.Monitoring.Repositories;
 public class InMemoryPricingRepository : IPricingRepository
 {
     private readonly ConcurrentDictionary<string, PricingConfig> _storage = new();
+    private ExchangeRateTable? _exchangeRates;
     private readonly ILogger<InMemoryPricingRepository> _logger;
 
     // Default pricing configurations
@@ -86,6 +87,9 @@ public class InMemoryPricingRepository : IPricingRepository
             if (config.InputTokenCost != 0) config.InputTokenCost = Decimal.Divide(config.InputTokenCost, 1000m);
             if (config.OutputTokenCost != 0) config.OutputTokenCost = Decimal.Divide(config.OutputTokenCost, 1000m);
             if (config.CachedInputTokenCost != 0) config.CachedInputTokenCost = Decimal.Divide(config.CachedInputTokenCost, 1000m);
+            if (config.AudioInputTokenCost != 0) config.AudioInputTokenCost = Decimal.Divide(config.AudioInputTokenCost, 1000m);
+            if (config.AudioOutputTokenCost != 0) config.AudioOutputTokenCost = Decimal.Divide(config.AudioOutputTokenCost, 1000m);
+            if (config.CachedAudioInputTokenCost != 0) config.CachedAudioInputTokenCost = Decimal.Divide(config.CachedAudioInputTokenCost, 1000m);
             config.IsPerMillion = false;
         }
 
@@ -101,4 +105,17 @@ public class InMemoryPricingRepository : IPricingRepository
         _logger.LogInformation("Deleted pricing config for model: {ModelName} (in-memory)", modelName);
         return Task.CompletedTask;
     }
+
+    public Task<ExchangeRateTable?> GetExchangeRatesAsync(CancellationToken cancellationToken = default)
+    {
+        return Task.FromResult(_exchangeRates);
+    }
+
+    public Task UpsertExchangeRatesAsync(ExchangeRateTable rates, CancellationToken cancellationToken = default)
+    {
+        rates.UpdatedAt = DateTime.UtcNow;
+        _exchangeRates = rates;
+        _logger.LogInformation("Upserted {Count} exchange rates (in-memory)", rates.Rates.Count);
+        return Task.CompletedTask;
+    }
 }
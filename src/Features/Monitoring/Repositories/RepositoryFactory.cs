@@ -151,6 +151,24 @@ public class FallbackPricingRepository : IPricingRepository
         }
     }
 
+    public async Task<ExchangeRateTable?> GetExchangeRatesAsync(CancellationToken cancellationToken = default)
+    {
+        var repository = await GetActiveRepositoryAsync(cancellationToken);
+        return await repository.GetExchangeRatesAsync(cancellationToken);
+    }
+
+    public async Task UpsertExchangeRatesAsync(ExchangeRateTable rates, CancellationToken cancellationToken = default)
+    {
+        var repository = await GetActiveRepositoryAsync(cancellationToken);
+        await repository.UpsertExchangeRatesAsync(rates, cancellationToken);
+
+        // Also update in-memory cache when using CosmosDB
+        if (!_useInMemoryFallback)
+        {
+            await _inMemoryRepository.UpsertExchangeRatesAsync(rates, cancellationToken);
+        }
+    }
+
     private async Task<IPricingRepository> GetActiveRepositoryAsync(CancellationToken cancellationToken)
     {
         await CheckAndUpdateAvailabilityAsync(cancellationToken);
@@ -201,6 +219,12 @@ public class FallbackPricingRepository : IPricingRepository
                 await _cosmosRepository.UpsertAsync(config, cancellationToken);
             }
             _logger.LogInformation("Synced {Count} pricing configs from in-memory to CosmosDB", inMemoryConfigs.Count);
+
+            var inMemoryRates = await _inMemoryRepository.GetExchangeRatesAsync(cancellationToken);
+            if (inMemoryRates != null)
+            {
+                await _cosmosRepository.UpsertExchangeRatesAsync(inMemoryRates, cancellationToken);
+            }
         }
         catch (Exception ex)
         {
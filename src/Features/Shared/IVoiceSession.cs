@@ -28,6 +28,24 @@ public interface IVoiceSession : IAsyncDisposable
     /// </summary>
     Task SendTextAsync(string text);
 
+    /// <summary>
+    /// Handles a client-side interruption (barge-in): truncates the assistant item to the
+    /// audio the user actually heard and optionally cancels the in-progress response.
+    /// </summary>
+    Task InterruptAsync(string? itemId, int audioEndMs, bool cancelResponse);
+
+    /// <summary>
+    /// Commits the user's buffered input audio and requests a response.
+    /// Used by push-to-talk clients when the talk button is released.
+    /// </summary>
+    Task CommitAudioAsync();
+
+    /// <summary>
+    /// Adds the turns of an earlier conversation to the session without requesting a response.
+    /// Used when a web client reconnects after a drop, so the new session keeps the context.
+    /// </summary>
+    Task ReplayConversationAsync(IReadOnlyList<ConversationTurn> turns);
+
     /// <summary>
     /// Updates the session configuration dynamically.
     /// </summary>
@@ -149,9 +149,11 @@ public class VoiceLiveSessionConfig
 
     /// <summary>
     /// Gets or sets the turn detection configuration.
+    /// Null is sent as-is to turn detection off (push-to-talk sessions).
     /// </summary>
     [JsonPropertyName("turn_detection")]
-    public TurnDetectionConfig TurnDetection { get; set; } = new();
+    [JsonIgnore(Condition = JsonIgnoreCondition.Never)]
+    public TurnDetectionConfig? TurnDetection { get; set; } = new();
 
     /// <summary>
     /// Gets or sets the tools for function calling.
@@ -366,6 +368,31 @@ public class AudioTimestampDeltaPayload
     public string? TimestampType { get; set; }
 }
 
+/// <summary>
+/// Payload for conversation.item.input_audio_transcription.delta events.
+/// Contains the next part of the user transcript while the final one is pending.
+/// </summary>
+public class UserTranscriptionDeltaPayload
+{
+    /// <summary>
+    /// Gets or sets the input audio item ID.
+    /// </summary>
+    [JsonPropertyName("item_id")]
+    public string? ItemId { get; set; }
+
+    /// <summary>
+    /// Gets or sets the content index.
+    /// </summary>
+    [JsonPropertyName("content_index")]
+    public int ContentIndex { get; set; }
+
+    /// <summary>
+    /// Gets or sets the transcript text added by this event.
+    /// </summary>
+    [JsonPropertyName("delta")]
+    public string? Delta { get; set; }
+}
+
 #endregion
 
 /// <summary>
@@ -426,6 +453,11 @@ public class VoiceLiveRawWebSocketClient : IAsyncDisposable
     /// </summary>
     public event Func<string, Task>? OnUserTranscription;
 
+    /// <summary>
+    /// Raised when part of the user transcription is received.
+    /// </summary>
+    public event Func<UserTranscriptionDeltaPayload, Task>? OnUserTranscriptionDelta;
+
     /// <summary>
     /// Raised when speech starts.
     /// </summary>
@@ -728,18 +760,32 @@ public class VoiceLiveRawWebSocketClient : IAsyncDisposable
     /// <param name="text">The text message.</param>
     /// <param name="cancellationToken">Cancellation token.</param>
     public async Task SendUserMessageAsync(string text, CancellationToken cancellationToken = default)
+    {
+        await AddMessageItemAsync("user", text, cancellationToken).ConfigureAwait(false);
+
+        // Trigger response
+        await CreateResponseAsync(cancellationToken).ConfigureAwait(false);
+    }
+
+    /// <summary>
+    /// Adds a text message to the conversation without requesting a response.
+    /// </summary>
+    /// <param name="role">"user" or "assistant".</param>
+    /// <param name="text">The message text.</param>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task AddMessageItemAsync(string role, string text, CancellationToken cancellationToken = default)
     {
         var itemData = new Dictionary<string, object>
         {
             ["item"] = new Dictionary<string, object>
             {
                 ["type"] = "message",
-                ["role"] = "user",
+                ["role"] = role,
                 ["content"] = new[]
                 {
                     new Dictionary<string, object>
                     {
-                        ["type"] = "input_text",
+                        ["type"] = role == "assistant" ? "text" : "input_text",
                         ["text"] = text
                     }
                 }
@@ -747,8 +793,14 @@ public class VoiceLiveRawWebSocketClient : IAsyncDisposable
         };
 
         await SendAsync("conversation.item.create", itemData, cancellationToken).ConfigureAwait(false);
+    }
 
-        // Trigger response
+    /// <summary>
+    /// Requests a text and audio response for the current conversation.
+    /// </summary>
+    /// <param name="cancellationToken">Cancellation token.</param>
+    public async Task CreateResponseAsync(CancellationToken cancellationToken = default)
+    {
         var responseData = new Dictionary<string, object>
         {
             ["response"] = new Dictionary<string, object>
@@ -959,6 +1011,19 @@ public class VoiceLiveRawWebSocketClient : IAsyncDisposable
                     }
                     break;
 
+                case "conversation.item.input_audio_transcription.delta":
+                    if (OnUserTranscriptionDelta != null)
+                    {
+                        var payload = new UserTranscriptionDeltaPayload
+                        {
+                            ItemId = root.TryGetProperty("item_id", out var deltaItemId) ? deltaItemId.GetString() : null,
+                            ContentIndex = root.TryGetProperty("content_index", out var deltaContentIdx) ? deltaContentIdx.GetInt32() : 0,
+                            Delta = root.TryGetProperty("delta", out var userDelta) ? userDelta.GetString() : null
+                        };
+                        await OnUserTranscriptionDelta(payload).ConfigureAwait(false);
+                    }
+                    break;
+
                 case "conversation.item.input_audio_transcription.completed":
                     _logger.LogInformation("Received conversation.item.input_audio_transcription.completed event");
                     if (root.TryGetProperty("transcript", out var userTranscript))
@@ -39,6 +39,14 @@ public class VoiceMediaHandler
 
     private bool _isRawAudio;
 
+    // Client messages are read frame by frame into one buffer; larger ones are dropped.
+    // A resume Config carries the conversation (see ConfigMessage.ResumeHistory) and stays well below.
+    private const int MaxClientMessageBytes = 1024 * 1024;
+    private readonly byte[] _receiveBuffer = new byte[1024 * 64];
+
+    // Receive still outstanding when WaitForInitialConfigAsync timed out; the message loop completes it
+    private Task<(WebSocketReceiveResult Result, byte[] Data)?>? _pendingReceive;
+
     // Values optionally provided by the web client via Config message
     private string? _clientProvidedEndpoint;
     private string? _clientProvidedApiKey;
@@ -47,12 +55,16 @@ public class VoiceMediaHandler
     private string? _clientProvidedWelcomeMessage;
     private string? _clientProvidedModelInstructions;
     private string? _clientProvidedLocale;
+    private bool _clientProvidedPushToTalk;
     // Foundry Agent Service parameters
     private string? _clientProvidedFoundryAgentId;
     private string? _clientProvidedFoundryProjectName;
     // Avatar-specific parameters
     private string? _clientProvidedAvatarCharacter;
     private string? _clientProvidedAvatarStyle;
+    // Session id and conversation of a previous connection the web client is reconnecting from
+    private string? _clientProvidedResumeSessionId;
+    private List<ConversationTurn>? _clientProvidedResumeHistory;
 
     #endregion
 
@@ -294,6 +306,7 @@ public class VoiceMediaHandler
                 WelcomeMessage = _clientProvidedWelcomeMessage,
                 ModelInstructions = _clientProvidedModelInstructions,
                 Locale = locale,
+                PushToTalk = _clientProvidedPushToTalk,
                 AvatarCharacter = avatarCharacter,
                 AvatarStyle = avatarStyle,
                 UseTokenCredential = !string.IsNullOrWhiteSpace(apiKey) ? false : true,
@@ -464,6 +477,8 @@ public class VoiceMediaHandler
 
         // Determine session type based on whether Foundry Agent parameters are provided
         var sessionType = !string.IsNullOrWhiteSpace(_clientProvidedFoundryAgentId) ? "Agent" : "Assistant";
+        var resumeSessionId = _clientProvidedResumeSessionId;
+        var isResume = !string.IsNullOrWhiteSpace(resumeSessionId);
 
         _logger.LogInformation(
             "Creating Voice {SessionType} session: Endpoint={Endpoint}, Model={Model}, Voice={Voice}, Locale={Locale}",
@@ -473,6 +488,15 @@ public class VoiceMediaHandler
             voice,
             locale);
 
+        if (isResume)
+        {
+            // The Voice Live conversation of a dropped socket cannot be reattached: a new session
+            // is created with the same settings and no welcome message, and the turns the client
+            // kept are added to it so the model still has the context.
+            _logger.LogInformation("Web client reconnecting, resuming from previous session {ResumeSessionId} with {Turns} turns",
+                resumeSessionId, _clientProvidedResumeHistory?.Count ?? 0);
+        }
+
         try
         {
             // Create configuration for the voice session
@@ -484,9 +508,10 @@ public class VoiceMediaHandler
                 Model = model,
                 ModelId = model,
                 Voice = voice,
-                WelcomeMessage = _clientProvidedWelcomeMessage,
+                WelcomeMessage = isResume ? null : _clientProvidedWelcomeMessage,
                 ModelInstructions = _clientProvidedModelInstructions,
                 Locale = locale,
+                PushToTalk = _clientProvidedPushToTalk,
                 FoundryAgentId = _clientProvidedFoundryAgentId,
                 FoundryProjectName = _clientProvidedFoundryProjectName,
                 UseTokenCredential = !string.IsNullOrWhiteSpace(apiKey) ? false : true,
@@ -497,12 +522,21 @@ public class VoiceMediaHandler
             // Create the session using the factory
             _voiceSession = await _sessionFactory.CreateSessionAsync(sessionConfig).ConfigureAwait(false);
 
+            if (isResume && _clientProvidedResumeHistory is { Count: > 0 } history)
+            {
+                await _voiceSession.ReplayConversationAsync(history).ConfigureAwait(false);
+            }
+
             // Send connection confirmation as JSON SessionEvent message
             var connectionMessage = new
             {
                 Kind = "SessionEvent",
                 Event = "SessionConnected",
-                Payload = new { Message = $"Connected to Voice {sessionType}" }
+                Payload = new
+                {
+                    Message = $"Connected to Voice {sessionType}",
+                    ResumedSessionId = isResume ? resumeSessionId : null
+                }
             };
             await SendToClientAsync(JsonSerializer.Serialize(connectionMessage, _jsonOptions));
 
@@ -628,16 +662,19 @@ public class VoiceMediaHandler
     /// </summary>
     private async Task ReceiveMessagesAsync(Func<WebSocketReceiveResult, byte[], Task> messageHandler)
     {
-        var buffer = new byte[1024 * 64]; // 64KB buffer
-
         try
         {
             while (_clientWebSocket?.State == WebSocketState.Open)
             {
-                var result = await _clientWebSocket.ReceiveAsync(
-                    new ArraySegment<byte>(buffer),
-                    CancellationToken.None);
+                var receiveTask = _pendingReceive ?? ReceiveMessageAsync();
+                _pendingReceive = null;
+                var received = await receiveTask;
+                if (received == null)
+                {
+                    continue;
+                }
 
+                var (result, data) = received.Value;
                 if (result.MessageType == WebSocketMessageType.Close)
                 {
                     _logger.LogInformation("WebSocket connection closed by client");
@@ -648,7 +685,7 @@ public class VoiceMediaHandler
                     break;
                 }
 
-                await messageHandler(result, buffer);
+                await messageHandler(result, data);
             }
         }
         catch (Exception ex)
@@ -661,6 +698,50 @@ public class VoiceMediaHandler
         }
     }
 
+    /// <summary>
+    /// Receives one complete client message, reading frames until EndOfMessage.
+    /// </summary>
+    /// <returns>
+    /// The message (a single frame is returned in the shared receive buffer), a Close result,
+    /// or null when the message exceeded <see cref="MaxClientMessageBytes"/> and was dropped.
+    /// </returns>
+    private async Task<(WebSocketReceiveResult Result, byte[] Data)?> ReceiveMessageAsync()
+    {
+        var result = await _clientWebSocket!.ReceiveAsync(new ArraySegment<byte>(_receiveBuffer), CancellationToken.None);
+        if (result.EndOfMessage || result.MessageType == WebSocketMessageType.Close)
+        {
+            return (result, _receiveBuffer);
+        }
+
+        using var message = new MemoryStream();
+        var tooLarge = false;
+        message.Write(_receiveBuffer, 0, result.Count);
+        while (!result.EndOfMessage)
+        {
+            result = await _clientWebSocket.ReceiveAsync(new ArraySegment<byte>(_receiveBuffer), CancellationToken.None);
+            if (result.MessageType == WebSocketMessageType.Close)
+            {
+                return (result, _receiveBuffer);
+            }
+
+            // Keep reading to the end of the message, so the next one starts on a frame boundary
+            tooLarge = tooLarge || message.Length + result.Count > MaxClientMessageBytes;
+            if (!tooLarge)
+            {
+                message.Write(_receiveBuffer, 0, result.Count);
+            }
+        }
+
+        if (tooLarge)
+        {
+            _logger.LogWarning("Dropped a {MessageType} client message larger than {MaxBytes} bytes", result.MessageType, MaxClientMessageBytes);
+            return null;
+        }
+
+        var data = message.ToArray();
+        return (new WebSocketReceiveResult(data.Length, result.MessageType, true), data);
+    }
+
     /// <summary>
     /// Wait for an initial Config message from the web client so server can use client-specified
     /// Voice Live endpoint/apiKey before initializing the session. This will time out after 3s
@@ -670,22 +751,29 @@ public class VoiceMediaHandler
     {
         if (_clientWebSocket == null) return;
 
-        var buffer = new byte[1024 * 8];
         var start = DateTime.UtcNow;
 
         try
         {
             while (_clientWebSocket.State == WebSocketState.Open && (DateTime.UtcNow - start).TotalMilliseconds < timeoutMs)
             {
-                var receiveTask = _clientWebSocket.ReceiveAsync(new ArraySegment<byte>(buffer), CancellationToken.None);
-                var completed = await Task.WhenAny(receiveTask, Task.Delay(200));
-                if (completed != receiveTask)
+                // Only one receive may be outstanding: a timed-out one is awaited again, or by the message loop
+                _pendingReceive ??= ReceiveMessageAsync();
+                var completed = await Task.WhenAny(_pendingReceive, Task.Delay(200));
+                if (completed != _pendingReceive)
                 {
                     // no message yet, loop
                     continue;
                 }
 
-                var result = receiveTask.Result;
+                var received = await _pendingReceive;
+                _pendingReceive = null;
+                if (received == null)
+                {
+                    continue;
+                }
+
+                var (result, data) = received.Value;
                 if (result.MessageType == WebSocketMessageType.Close)
                 {
                     _logger.LogInformation("Client closed connection while waiting for initial config");
@@ -694,7 +782,7 @@ public class VoiceMediaHandler
 
                 if (result.MessageType == WebSocketMessageType.Text)
                 {
-                    var message = Encoding.UTF8.GetString(buffer, 0, result.Count);
+                    var message = Encoding.UTF8.GetString(data, 0, result.Count);
                     try
                     {
                         var msg = JsonSerializer.Deserialize<Message>(message);
@@ -709,10 +797,13 @@ public class VoiceMediaHandler
                                 _clientProvidedWelcomeMessage = config.WelcomeMessage;
                                 _clientProvidedModelInstructions = config.VoiceModelInstructions;
                                 _clientProvidedLocale = config.Locale;
+                                _clientProvidedPushToTalk = config.PushToTalk;
                                 _clientProvidedFoundryAgentId = config.FoundryAgentId;
                                 _clientProvidedFoundryProjectName = config.FoundryProjectName;
                                 _clientProvidedAvatarCharacter = config.AvatarCharacter;
                                 _clientProvidedAvatarStyle = config.AvatarStyle;
+                                _clientProvidedResumeSessionId = config.ResumeSessionId;
+                                _clientProvidedResumeHistory = config.ResumeHistory;
                                 if (!string.IsNullOrWhiteSpace(config.VoiceLiveEndpoint))
                                 {
                                     _clientProvidedEndpoint = config.VoiceLiveEndpoint;
@@ -849,8 +940,11 @@ public class VoiceMediaHandler
                             _clientProvidedWelcomeMessage = config.WelcomeMessage;
                             _clientProvidedModelInstructions = config.VoiceModelInstructions;
                             _clientProvidedLocale = config.Locale;
+                            _clientProvidedPushToTalk = config.PushToTalk;
                             _clientProvidedFoundryAgentId = config.FoundryAgentId;
                             _clientProvidedFoundryProjectName = config.FoundryProjectName;
+                            _clientProvidedResumeSessionId = config.ResumeSessionId;
+                            _clientProvidedResumeHistory = config.ResumeHistory;
                             if (!string.IsNullOrWhiteSpace(config.VoiceLiveEndpoint))
                             {
                                 _clientProvidedEndpoint = config.VoiceLiveEndpoint;
@@ -872,6 +966,23 @@ public class VoiceMediaHandler
                             await session.SendTextAsync(msg.Text ?? string.Empty).ConfigureAwait(false);
                         }
                         break;
+                    case "Interrupt":
+                        // User barged in: truncate the assistant item to what was actually heard
+                        var interrupt = JsonSerializer.Deserialize<InterruptMessage>(message, _jsonOptions);
+                        var interruptedSession = _voiceSession;
+                        if (interrupt != null && interruptedSession != null)
+                        {
+                            await interruptedSession.InterruptAsync(interrupt.ItemId, interrupt.AudioEndMs, interrupt.CancelResponse).ConfigureAwait(false);
+                        }
+                        break;
+                    case "Commit":
+                        // Push-to-talk released: end the user turn and ask for a response
+                        var committingSession = _voiceSession;
+                        if (committingSession != null)
+                        {
+                            await committingSession.CommitAudioAsync().ConfigureAwait(false);
+                        }
+                        break;
                     case "AvatarConnect":
                         // Handle avatar SDP offer - for avatar WebRTC connection
                         await HandleAvatarConnectMessageAsync(message);
@@ -1093,6 +1204,12 @@ public class ConfigMessage : Message
     /// </summary>
     public string? Locale { get; set; }
 
+    /// <summary>
+    /// True when the user talks with push-to-talk: the session runs without turn detection
+    /// and each turn ends with a Commit message.
+    /// </summary>
+    public bool PushToTalk { get; set; }
+
     /// <summary>
     /// Microsoft Foundry Agent ID for connecting to a Foundry-hosted agent.
     /// When specified, the session uses the agent's built-in instructions and configuration.
@@ -1105,6 +1222,17 @@ public class ConfigMessage : Message
     /// </summary>
     public string? FoundryProjectName { get; set; }
 
+    /// <summary>
+    /// Session id of a previous connection when the web client reconnects after a drop.
+    /// When set, the new session skips the welcome message.
+    /// </summary>
+    public string? ResumeSessionId { get; set; }
+
+    /// <summary>
+    /// Conversation of the previous connection, oldest first, added to the new session on resume.
+    /// </summary>
+    public List<ConversationTurn>? ResumeHistory { get; set; }
+
     /// <summary>
     /// Avatar character name for Voice Avatar sessions (e.g., "lisa", "harry").
     /// </summary>
@@ -1116,6 +1244,53 @@ public class ConfigMessage : Message
     public string? AvatarStyle { get; set; }
 }
 
+/// <summary>
+/// One turn of a conversation replayed into a resumed session.
+/// </summary>
+public class ConversationTurn
+{
+    /// <summary>
+    /// "user" or "assistant".
+    /// </summary>
+    public string? Role { get; set; }
+
+    /// <summary>
+    /// Text (or transcript) of the turn.
+    /// </summary>
+    public string? Text { get; set; }
+
+    /// <summary>
+    /// True when the turn was spoken by the assistant.
+    /// </summary>
+    public bool IsAssistant => string.Equals(Role, "assistant", StringComparison.OrdinalIgnoreCase);
+}
+
+/// <summary>
+/// Interrupt message sent by the web client when the user talks over the assistant.
+/// </summary>
+public class InterruptMessage : Message
+{
+    /// <summary>
+    /// Response being played when the user interrupted.
+    /// </summary>
+    public string? ResponseId { get; set; }
+
+    /// <summary>
+    /// Conversation item holding the interrupted response audio.
+    /// </summary>
+    public string? ItemId { get; set; }
+
+    /// <summary>
+    /// Milliseconds of the response audio the user heard before interrupting.
+    /// </summary>
+    public int AudioEndMs { get; set; }
+
+    /// <summary>
+    /// True when the interruption was detected on the client and the response must also be cancelled.
+    /// </summary>
+    public bool CancelResponse { get; set; }
+}
+
 /// <summary>
 /// Avatar connect message containing client SDP offer.
 /// </summary>
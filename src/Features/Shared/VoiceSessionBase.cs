@@ -1,3 +1,4 @@
+using System.Diagnostics;
 using System.Text.Json;
 using Azure.AI.VoiceLive;
 using Microsoft.Extensions.Logging;
@@ -158,6 +159,121 @@ public abstract class VoiceSessionBase : IVoiceSession
         }
     }
 
+    /// <summary>
+    /// Handles a client-side interruption (barge-in).
+    /// Truncates the assistant item so the conversation only contains what the user heard.
+    /// </summary>
+    public virtual async Task InterruptAsync(string? itemId, int audioEndMs, bool cancelResponse)
+    {
+        _logger.LogInformation(
+            "Client interrupted playback: ItemId={ItemId}, AudioEndMs={AudioEndMs}, CancelResponse={CancelResponse}",
+            itemId,
+            audioEndMs,
+            cancelResponse);
+        if (_session == null)
+        {
+            _logger.LogWarning("Cannot interrupt: session not initialized");
+            return;
+        }
+
+        try
+        {
+            if (cancelResponse)
+            {
+                await _session.CancelResponseAsync().ConfigureAwait(false);
+            }
+
+            if (!string.IsNullOrWhiteSpace(itemId))
+            {
+                await _session.TruncateConversationAsync(itemId, 0, TimeSpan.FromMilliseconds(audioEndMs)).ConfigureAwait(false);
+            }
+
+            await EmitSessionEventAsync("ResponseTruncated", new { ItemId = itemId, AudioEndMs = audioEndMs });
+        }
+        catch (Exception ex)
+        {
+            // A failed truncation must not end the session
+            _logger.LogWarning(ex, "Error handling client interruption");
+        }
+    }
+
+    /// <summary>
+    /// Commits the buffered input audio and requests a response (push-to-talk release).
+    /// Common implementation for all session types.
+    /// </summary>
+    public virtual async Task CommitAudioAsync()
+    {
+        _logger.LogDebug("Committing input audio buffer");
+        if (_session == null)
+        {
+            _logger.LogWarning("Cannot commit audio: session not initialized");
+            return;
+        }
+
+        try
+        {
+            await _session.CommitInputAudioAsync().ConfigureAwait(false);
+            await _session.StartResponseAsync().ConfigureAwait(false);
+            _logger.LogDebug("Input audio committed, response requested");
+        }
+        catch (Exception ex)
+        {
+            // An empty buffer (release without speech) cannot be committed; the session keeps going
+            _logger.LogWarning(ex, "Error committing input audio");
+        }
+    }
+
+    /// <summary>
+    /// Turns server turn detection off for push-to-talk sessions.
+    /// The SDK leaves a null TurnDetection out of session.update, which keeps the server VAD
+    /// running, so turn_detection is sent as an explicit null.
+    /// </summary>
+    protected async Task DisableTurnDetectionAsync(CancellationToken cancellationToken = default)
+    {
+        if (_session == null)
+        {
+            return;
+        }
+
+        var update = new { type = "session.update", session = new { turn_detection = (object?)null } };
+        await _session.SendCommandAsync(BinaryData.FromObjectAsJson(update), cancellationToken).ConfigureAwait(false);
+        _logger.LogInformation("Server turn detection turned off for push-to-talk");
+    }
+
+    /// <summary>
+    /// Adds the turns of an earlier conversation to the session without requesting a response.
+    /// Common implementation for all session types.
+    /// </summary>
+    public virtual async Task ReplayConversationAsync(IReadOnlyList<ConversationTurn> turns)
+    {
+        if (_session == null)
+        {
+            _logger.LogWarning("Cannot replay conversation: session not initialized");
+            return;
+        }
+
+        try
+        {
+            foreach (var turn in turns.Where(t => !string.IsNullOrWhiteSpace(t.Text)))
+            {
+                if (turn.IsAssistant)
+                {
+                    await _session.AddItemAsync(new AssistantMessageItem(new[] { new OutputTextContentPart(turn.Text!) })).ConfigureAwait(false);
+                }
+                else
+                {
+                    await _session.AddItemAsync(new UserMessageItem(turn.Text!)).ConfigureAwait(false);
+                }
+            }
+            _logger.LogInformation("Replayed {Count} conversation turns", turns.Count);
+        }
+        catch (Exception ex)
+        {
+            // The session still works, only without the earlier context
+            _logger.LogWarning(ex, "Error replaying conversation");
+        }
+    }
+
     /// <summary>
     /// Handles function/tool call requests from the Voice Live API.
     /// Common implementation for executing tools and sending results back.
@@ -172,10 +288,12 @@ public abstract class VoiceSessionBase : IVoiceSession
             return;
         }
 
+        var stopwatch = Stopwatch.StartNew();
         try
         {
             // Execute the tool using the shared VoiceToolHandler
             string output = await _toolHandler.ExecuteToolAsync(args.Name, args.Arguments);
+            long durationMs = stopwatch.ElapsedMilliseconds;
 
             // Send output back to the session
             var outputItem = new FunctionCallOutputItem(args.CallId, output);
@@ -183,11 +301,22 @@ public abstract class VoiceSessionBase : IVoiceSession
             await _session.StartResponseAsync().ConfigureAwait(false);
 
             _logger.LogInformation("Function call {Name} completed with result: {Result}", args.Name, output);
-            await EmitSessionEventAsync("FunctionCallCompleted", new { Name = args.Name, Result = output });
+            await EmitSessionEventAsync("FunctionCallCompleted", new {
+                CallId = args.CallId,
+                Name = args.Name,
+                Result = output,
+                DurationMs = durationMs
+            });
         }
         catch (Exception ex)
         {
             _logger.LogError(ex, "Error handling function call {Name}", args.Name);
+            await EmitSessionEventAsync("FunctionCallFailed", new {
+                CallId = args.CallId,
+                Name = args.Name,
+                Error = ex.Message,
+                DurationMs = stopwatch.ElapsedMilliseconds
+            });
         }
     }
 
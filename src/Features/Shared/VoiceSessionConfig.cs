@@ -65,6 +65,12 @@ public class VoiceSessionConfig
     /// </summary>
     public string? Locale { get; set; }
 
+    /// <summary>
+    /// Gets or sets whether the user talks with push-to-talk.
+    /// When true the session is created without turn detection and the client commit ends each turn.
+    /// </summary>
+    public bool PushToTalk { get; set; }
+
     /// <summary>
     /// Gets or sets the Foundry Agent ID (required for Agent sessions).
     /// </summary>
@@ -50,6 +50,10 @@ public class VoiceAgentSession : VoiceSessionBase
             // Start the session - agent parameters already in the endpoint URL from factory
             _logger.LogInformation("Starting Voice Live session for Foundry Agent...");
             _session = await _client.StartSessionAsync(sessionOptions, cancellationToken).ConfigureAwait(false);
+            if (_config.PushToTalk)
+            {
+                await DisableTurnDetectionAsync(cancellationToken).ConfigureAwait(false);
+            }
             _logger.LogInformation("Voice Live session started successfully");
 
             // Start processing events in the background
@@ -102,7 +106,8 @@ public class VoiceAgentSession : VoiceSessionBase
             Voice = azureVoice,
             InputAudioFormat = InputAudioFormat.Pcm16,
             OutputAudioFormat = OutputAudioFormat.Pcm16,
-            TurnDetection = turnDetectionConfig,
+            // Push-to-talk sessions have no turn detection (switched off explicitly once configured): the client commit ends the turn
+            TurnDetection = _config.PushToTalk ? null : turnDetectionConfig,
             InputAudioTranscription = new AudioInputTranscriptionOptions(AudioInputTranscriptionOptionsModel.Whisper1)
         };
 
@@ -164,7 +169,8 @@ public class VoiceAgentSession : VoiceSessionBase
         {
             Voice = azureVoice,
             InputAudioEchoCancellation = new AudioEchoCancellation(),
-            TurnDetection = turnDetectionConfig,
+            // Push-to-talk sessions have no turn detection (switched off explicitly once configured): the client commit ends the turn
+            TurnDetection = _config.PushToTalk ? null : turnDetectionConfig,
             InputAudioTranscription = new AudioInputTranscriptionOptions(AudioInputTranscriptionOptionsModel.Whisper1)
         };
 
@@ -174,6 +180,10 @@ public class VoiceAgentSession : VoiceSessionBase
         try
         {
             await _session.ConfigureSessionAsync(sessionOptions, cancellationToken).ConfigureAwait(false);
+            if (_config.PushToTalk)
+            {
+                await DisableTurnDetectionAsync(cancellationToken).ConfigureAwait(false);
+            }
             _logger.LogInformation("Agent session configuration updated successfully");
 
             // Trigger welcome message if provided
@@ -286,6 +296,15 @@ public class VoiceAgentSession : VoiceSessionBase
                     });
                     break;
 
+                case SessionUpdateConversationItemInputAudioTranscriptionDelta transcriptionDelta:
+                    // Partial user transcript, shown while the final one is pending
+                    await base.EmitSessionEventAsync("UserTranscriptionDelta", new { 
+                        ItemId = transcriptionDelta.ItemId,
+                        ContentIndex = transcriptionDelta.ContentIndex,
+                        Delta = transcriptionDelta.Delta
+                    });
+                    break;
+
                 case SessionUpdateConversationItemInputAudioTranscriptionCompleted transcriptionCompleted:
                     _logger.LogInformation("User transcription: {Transcript}", transcriptionCompleted.Transcript);
                     await base.EmitSessionEventAsync("UserTranscription", new { 
@@ -398,6 +417,9 @@ public class VoiceAgentSession : VoiceSessionBase
                 case SessionUpdateResponseFunctionCallArgumentsDelta funcArgsDelta:
                     await base.EmitSessionEventAsync("FunctionCallArgumentsDelta", new { 
                         CallId = funcArgsDelta.CallId,
+                        ResponseId = funcArgsDelta.ResponseId,
+                        ItemId = funcArgsDelta.ItemId,
+                        Delta = funcArgsDelta.Delta,
                         DeltaLength = funcArgsDelta.Delta?.Length ?? 0
                     });
                     break;
@@ -406,6 +428,8 @@ public class VoiceAgentSession : VoiceSessionBase
                     _logger.LogInformation("Function call: {Name}", functionCallArgs.Name);
                     await base.EmitSessionEventAsync("FunctionCallArgumentsDone", new { 
                         CallId = functionCallArgs.CallId,
+                        ResponseId = functionCallArgs.ResponseId,
+                        ItemId = functionCallArgs.ItemId,
                         Name = functionCallArgs.Name,
                         Arguments = functionCallArgs.Arguments
                     });
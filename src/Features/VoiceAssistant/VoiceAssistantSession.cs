@@ -164,7 +164,8 @@ public class VoiceAssistantSession : VoiceSessionBase
             Voice = azureVoice,
             InputAudioEchoCancellation = new AudioEchoCancellation(),
             InputAudioNoiseReduction = new AudioNoiseReduction(AudioNoiseReductionType.NearField),
-            TurnDetection = turnDetectionConfig,
+            // Push-to-talk sessions have no turn detection (switched off explicitly once configured): the client commit ends the turn
+            TurnDetection = _config.PushToTalk ? null : turnDetectionConfig,
             InputAudioTranscription = new AudioInputTranscriptionOptions(AudioInputTranscriptionOptionsModel.Whisper1)
         };
 
@@ -186,6 +187,10 @@ public class VoiceAssistantSession : VoiceSessionBase
         try
         {
             await _session.ConfigureSessionAsync(sessionOptions, cancellationToken).ConfigureAwait(false);
+            if (_config.PushToTalk)
+            {
+                await DisableTurnDetectionAsync(cancellationToken).ConfigureAwait(false);
+            }
             _logger.LogInformation("Session configuration updated successfully");
 
             // Trigger welcome message if provided
@@ -298,6 +303,15 @@ public class VoiceAssistantSession : VoiceSessionBase
                     });
                     break;
 
+                case SessionUpdateConversationItemInputAudioTranscriptionDelta transcriptionDelta:
+                    // Partial user transcript, shown while the final one is pending
+                    await base.EmitSessionEventAsync("UserTranscriptionDelta", new { 
+                        ItemId = transcriptionDelta.ItemId,
+                        ContentIndex = transcriptionDelta.ContentIndex,
+                        Delta = transcriptionDelta.Delta
+                    });
+                    break;
+
                 case SessionUpdateConversationItemInputAudioTranscriptionCompleted transcriptionCompleted:
                     _logger.LogInformation("User transcription: {Transcript}", transcriptionCompleted.Transcript);
                     await base.EmitSessionEventAsync("UserTranscription", new { 
@@ -420,6 +434,9 @@ public class VoiceAssistantSession : VoiceSessionBase
                 case SessionUpdateResponseFunctionCallArgumentsDelta funcArgsDelta:
                     await base.EmitSessionEventAsync("FunctionCallArgumentsDelta", new { 
                         CallId = funcArgsDelta.CallId,
+                        ResponseId = funcArgsDelta.ResponseId,
+                        ItemId = funcArgsDelta.ItemId,
+                        Delta = funcArgsDelta.Delta,
                         DeltaLength = funcArgsDelta.Delta?.Length ?? 0
                     });
                     break;
@@ -428,6 +445,8 @@ public class VoiceAssistantSession : VoiceSessionBase
                     _logger.LogInformation("Function call: {Name}", functionCallArgs.Name);
                     await base.EmitSessionEventAsync("FunctionCallArgumentsDone", new { 
                         CallId = functionCallArgs.CallId,
+                        ResponseId = functionCallArgs.ResponseId,
+                        ItemId = functionCallArgs.ItemId,
                         Name = functionCallArgs.Name,
                         Arguments = functionCallArgs.Arguments
                     });
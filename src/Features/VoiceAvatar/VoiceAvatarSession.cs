@@ -161,6 +161,17 @@ public class VoiceAvatarSession : VoiceSessionBase
             await base.OnUserTranscriptionAsync(text).ConfigureAwait(false);
         };
 
+        _rawWebSocketClient.OnUserTranscriptionDelta += async (payload) =>
+        {
+            // Partial user transcript, shown while the final one is pending
+            await EmitSessionEventAsync("UserTranscriptionDelta", new
+            {
+                ItemId = payload.ItemId,
+                ContentIndex = payload.ContentIndex,
+                Delta = payload.Delta
+            }).ConfigureAwait(false);
+        };
+
         _rawWebSocketClient.OnSpeechStarted += async () =>
         {
             await base.OnSpeechStartedAsync().ConfigureAwait(false);
@@ -324,7 +335,8 @@ public class VoiceAvatarSession : VoiceSessionBase
             InputAudioSamplingRate = 24000,
             Instructions = _config.ModelInstructions ?? 
                 "You are a helpful AI avatar assistant. Be conversational and friendly.",
-            TurnDetection = new TurnDetectionConfig
+            // Push-to-talk sessions have no turn detection: the client commit ends the turn
+            TurnDetection = _config.PushToTalk ? null : new TurnDetectionConfig
             {
                 Type = "server_vad",
                 Threshold = 0.5,
@@ -437,6 +449,56 @@ public class VoiceAvatarSession : VoiceSessionBase
         }
     }
 
+    /// <summary>
+    /// Adds the turns of an earlier conversation to the session without requesting a response.
+    /// </summary>
+    public async override Task ReplayConversationAsync(IReadOnlyList<ConversationTurn> turns)
+    {
+        if (_useRawWebSocket && _rawWebSocketClient != null)
+        {
+            try
+            {
+                foreach (var turn in turns.Where(t => !string.IsNullOrWhiteSpace(t.Text)))
+                {
+                    await _rawWebSocketClient.AddMessageItemAsync(turn.IsAssistant ? "assistant" : "user", turn.Text!).ConfigureAwait(false);
+                }
+                _logger.LogInformation("Replayed {Count} conversation turns via raw WebSocket", turns.Count);
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Error replaying conversation via raw WebSocket");
+            }
+        }
+        else
+        {
+            await base.ReplayConversationAsync(turns).ConfigureAwait(false);
+        }
+    }
+
+    /// <summary>
+    /// Commits the buffered input audio and requests a response (push-to-talk release).
+    /// </summary>
+    public async override Task CommitAudioAsync()
+    {
+        if (_useRawWebSocket && _rawWebSocketClient != null)
+        {
+            try
+            {
+                await _rawWebSocketClient.CommitAudioAsync().ConfigureAwait(false);
+                await _rawWebSocketClient.CreateResponseAsync().ConfigureAwait(false);
+                _logger.LogDebug("Input audio committed via raw WebSocket");
+            }
+            catch (Exception ex)
+            {
+                _logger.LogWarning(ex, "Error committing input audio via raw WebSocket");
+            }
+        }
+        else
+        {
+            await base.CommitAudioAsync().ConfigureAwait(false);
+        }
+    }
+
     /// <summary>
     /// Sends text message to the Voice Live API.
     /// </summary>
@@ -716,7 +778,8 @@ public class VoiceAvatarSession : VoiceSessionBase
             Voice = azureVoice,
             InputAudioEchoCancellation = new AudioEchoCancellation(),
             InputAudioNoiseReduction = new AudioNoiseReduction(AudioNoiseReductionType.NearField),
-            TurnDetection = turnDetectionConfig,
+            // Push-to-talk sessions have no turn detection (switched off explicitly once configured): the client commit ends the turn
+            TurnDetection = _config.PushToTalk ? null : turnDetectionConfig,
             InputAudioTranscription = new AudioInputTranscriptionOptions(AudioInputTranscriptionOptionsModel.Whisper1)
         };
 
@@ -745,6 +808,10 @@ public class VoiceAvatarSession : VoiceSessionBase
         try
         {
             await _session.ConfigureSessionAsync(sessionOptions, cancellationToken).ConfigureAwait(false);
+            if (_config.PushToTalk)
+            {
+                await DisableTurnDetectionAsync(cancellationToken).ConfigureAwait(false);
+            }
             _logger.LogInformation(
                 "Avatar session configuration updated - Voice: {Voice}, Locale: {Locale}",
                 voice ?? "en-US-AvaNeural", locale ?? "en-US");
@@ -843,8 +910,22 @@ public class VoiceAvatarSession : VoiceSessionBase
                     await base.EmitSessionEventAsync("SpeechStopped", null);
                     break;
 
+                case SessionUpdateConversationItemInputAudioTranscriptionDelta transcriptionDelta:
+                    // Partial user transcript, shown while the final one is pending
+                    await base.EmitSessionEventAsync("UserTranscriptionDelta", new {
+                        ItemId = transcriptionDelta.ItemId,
+                        ContentIndex = transcriptionDelta.ContentIndex,
+                        Delta = transcriptionDelta.Delta
+                    });
+                    break;
+
                 case SessionUpdateConversationItemInputAudioTranscriptionCompleted transcriptionCompleted:
                     _logger.LogInformation("User transcription: {Transcript}", transcriptionCompleted.Transcript);
+                    await base.EmitSessionEventAsync("UserTranscription", new {
+                        ItemId = transcriptionCompleted.ItemId,
+                        ContentIndex = transcriptionCompleted.ContentIndex,
+                        Transcript = transcriptionCompleted.Transcript
+                    });
                     await base.OnUserTranscriptionAsync(transcriptionCompleted.Transcript);
                     break;
 
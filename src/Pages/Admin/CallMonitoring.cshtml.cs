@@ -10,6 +10,7 @@ public class CallMonitoringModel : PageModel
     private readonly PricingService _pricingService;
     private readonly BatchWriterService _batchWriter;
     private readonly CallMonitoringService _monitoringService;
+    private readonly ExchangeRateService _exchangeRateService;
     private readonly ILogger<CallMonitoringModel> _logger;
 
     public int ActiveSessions { get; set; } = 0;
@@ -18,6 +19,7 @@ public class CallMonitoringModel : PageModel
     public int QueueSize { get; set; } = 0;
     public int PricingModels { get; set; }
     public List<PricingConfig> Pricing { get; set; } = new();
+    public IReadOnlyDictionary<string, decimal> ExchangeRates { get; set; } = new Dictionary<string, decimal>();
     
     // New token metrics properties
     public long TotalInputTokens { get; set; }
@@ -31,11 +33,13 @@ public class CallMonitoringModel : PageModel
         PricingService pricingService,
         BatchWriterService batchWriter,
         CallMonitoringService monitoringService,
+        ExchangeRateService exchangeRateService,
         ILogger<CallMonitoringModel> logger)
     {
         _pricingService = pricingService;
         _batchWriter = batchWriter;
         _monitoringService = monitoringService;
+        _exchangeRateService = exchangeRateService;
         _logger = logger;
     }
 
@@ -53,6 +57,7 @@ public class CallMonitoringModel : PageModel
             var pricingDict = _pricingService.GetAllPricing();
             Pricing = pricingDict.Values.ToList();
             PricingModels = Pricing.Count;
+            ExchangeRates = _exchangeRateService.GetAll();
 
             // Get aggregated token metrics
             var tokenMetrics = _monitoringService.GetAggregatedTokenMetrics();
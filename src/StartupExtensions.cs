@@ -87,6 +87,7 @@ public static class StartupExtensions
         services.AddMonitoringRepositories(configuration);
         services.AddSingleton<PricingMigrationService>();
         services.AddSingleton<PricingService>();
+        services.AddSingleton<ExchangeRateService>();
         services.AddSingleton<BatchWriterService>();
         services.AddHostedService<BatchWriterService>(sp => sp.GetRequiredService<BatchWriterService>());
         services.AddSingleton<CallMonitoringService>();
@@ -191,6 +192,9 @@ public static class StartupExtensions
             var pricingService = services.GetRequiredService<PricingService>();
             await pricingService.InitializeAsync();
 
+            var exchangeRateService = services.GetRequiredService<ExchangeRateService>();
+            await exchangeRateService.InitializeAsync();
+
             if (app.Configuration.GetValue<bool>("SeedPricingDefaults", false))
             {
                 Log.Information("Seeding default pricing into repository");
@@ -5,12 +5,23 @@
  * This is the entry point for the ES6 modular application.
  */
 
-import { VOICE_MODELS, VOICES, getVoiceName } from './config.js';
+import { VOICE_MODELS, VOICES, getVoiceName, getVadOptions } from './config.js';
 import { VoiceVisualizerFactory } from '../modules/voice-visualizer-factory.js';
 import { AudioHandler } from '../handlers/audio-handler.js';
 import { WebSocketHandler } from '../handlers/websocket-handler.js';
+import { BargeInHandler } from '../handlers/barge-in-handler.js';
+import { PushToTalkHandler } from '../handlers/push-to-talk-handler.js';
+import { SessionRecorder } from '../handlers/session-recorder.js';
+import { initSessionReplay } from '../handlers/session-replay.js';
+import { transcriptStore } from '../managers/transcript-store.js';
+import { conversationHistory } from '../managers/conversation-history.js';
+import { HistoryDrawer } from '../ui/history-drawer.js';
+import { ConsumptionHistoryView } from '../ui/consumption-history-view.js';
 import { consumptionTracker } from '../managers/consumption-tracker.js';
+// Subscribe to the app event bus on import
+import { transcriptStreamer } from '../managers/transcript-streamer.js';
 import { SettingsManager } from '../modules/settings-manager.js';
+import { eventBus, APP_EVENTS } from './event-bus.js';
 import {
   showToast,
   addTranscript,
@@ -27,10 +38,18 @@ import {
   autoResizeTextarea,
   addTraceEntry,
   clearTraceEntries,
-  toggleTracePanel
+  toggleTracePanel,
+  initTracePanel,
+  populateAudioDeviceSelect,
+  initTranscriptExport,
+  initTranscriptActions
 } from '../ui/ui-utils.js';
 import { getSavedTheme, applyThemeMode, toggleTheme, listenForExternalChanges } from '../ui/theme-sync.js';
 import { initHamburgerMenu } from '/js/ui/hamburger-menu.js';
+import { populateLocalVadForm, readLocalVadForm } from '../ui/local-vad-settings.js';
+
+// Keep the download offer up long enough to be noticed after the session ends
+const RECORDING_TOAST_DURATION_MS = 20000;
 
 /**
  * Main application class
@@ -49,6 +68,14 @@ class VoiceAgentApp {
     this.visualizer = null;
     this.audioHandler = null;
     this.wsHandler = null;
+    this.pushToTalkHandler = null;
+    this.sessionRecorder = null;
+    
+    // Event bus subscriptions for audio device changes
+    this.deviceSubscriptions = [];
+    
+    // Event bus subscription for reached spending limits
+    this.budgetSubscription = null;
     
     // DOM elements (will be initialized in init())
     this.elements = {};
@@ -108,6 +135,9 @@ class VoiceAgentApp {
         }
       });
       
+      // Transcript words are revealed as the agent audio plays
+      transcriptStreamer.setAudioClock(this.audioHandler);
+      
       // Initialize WebSocket handler
       this.wsHandler = new WebSocketHandler({
         onOpen: () => this.handleWebSocketOpen(),
@@ -115,12 +145,17 @@ class VoiceAgentApp {
         onAudio: (arrayBuffer) => this.handleIncomingAudio(arrayBuffer),
         onTranscription: (text, role) => this.handleTranscription(text, role),
         onStopAudio: () => this.handleStopAudio(),
-        onError: (error) => this.handleWebSocketError(error)
-      });
+        onError: (error) => this.handleWebSocketError(error),
+        onReconnecting: (attempt, delayMs) => this.handleWebSocketReconnecting(attempt, delayMs),
+        onReconnected: () => this.handleWebSocketReconnected()
+      }, { autoReconnect: this.currentSettings.autoReconnect === true });
       
-      // Setup audio data callback for WebSocket transmission
+      // Duck and flush agent playback when the user talks over it
+      this.bargeInHandler = new BargeInHandler(this.audioHandler, this.wsHandler);
+      
+      // Setup audio data callback for WebSocket transmission (buffered while reconnecting)
       this.audioHandler.setAudioDataCallback((audioBuffer) => {
-        if (this.wsHandler && this.wsHandler.isSocketConnected()) {
+        if (this.wsHandler && this.wsHandler.canSend()) {
           this.wsHandler.sendAudio(audioBuffer);
         }
       });
@@ -128,6 +163,24 @@ class VoiceAgentApp {
       // Setup event listeners
       this.setupEventListeners();
       
+      // Hold-to-talk control (enabled per session when the setting is on)
+      this.pushToTalkHandler = new PushToTalkHandler({
+        button: this.elements.pushToTalkButton,
+        onPress: () => this.handlePushToTalkPress(),
+        onRelease: () => this.handlePushToTalkRelease()
+      });
+      
+      // Keep the device selects in sync and report microphone switches
+      this.deviceSubscriptions = [
+        eventBus.on(APP_EVENTS.AUDIO_DEVICES_CHANGED, (devices) => this.populateAudioDevices(devices)),
+        eventBus.on(APP_EVENTS.AUDIO_INPUT_SWITCHED, (data) => this.handleAudioInputSwitched(data))
+      ];
+      
+      // Stop the session when a spending limit is reached and the hard stop is on
+      this.budgetSubscription = eventBus.on(APP_EVENTS.BUDGET_EXCEEDED, (alert) => {
+        if (alert?.hardStop && this.isSessionActive) this.stopSession();
+      });
+      
       // Populate settings modal with current settings
       this.populateSettings();
 
@@ -166,11 +219,15 @@ class VoiceAgentApp {
       // Buttons
       startButton: document.getElementById('startButton'),
       muteButton: document.getElementById('muteButton'),
+      pushToTalkButton: document.getElementById('pushToTalkButton'),
       settingsButton: document.getElementById('settingsButton'),
       themeToggleButton: document.getElementById('themeToggleButton'),
       chatToggle: document.getElementById('chatToggle'),
       traceToggle: document.getElementById('traceToggle'),
       clearChatButton: document.getElementById('clearChatButton'),
+      exportTranscriptButton: document.getElementById('exportTranscriptButton'),
+      exportTranscriptMenu: document.getElementById('exportTranscriptMenu'),
+      historyButton: document.getElementById('historyButton'),
       clearTraceButton: document.getElementById('clearTraceButton'),
       
       // Settings modal
@@ -187,6 +244,11 @@ class VoiceAgentApp {
       voiceLiveApiKeyInput: document.getElementById('voiceLiveApiKeyInput'),
       modelInstructionsInput: document.getElementById('modelInstructionsInput'),
       toastNotificationsToggle: document.getElementById('toastNotificationsToggle'),
+      autoReconnectToggle: document.getElementById('autoReconnectToggle'),
+      pushToTalkToggle: document.getElementById('pushToTalkToggle'),
+      recordSessionToggle: document.getElementById('recordSessionToggle'),
+      microphoneSelect: document.getElementById('microphoneSelect'),
+      speakerSelect: document.getElementById('speakerSelect'),
       // Foundry Agent settings
       foundryProjectInput: document.getElementById('foundryProjectInput'),
       foundryAgentInput: document.getElementById('foundryAgentInput'),
@@ -234,6 +296,19 @@ class VoiceAgentApp {
    * Remove all tracked event listeners (cleanup)
    */
   cleanup() {
+    if (this.pushToTalkHandler) {
+      this.pushToTalkHandler.destroy();
+    }
+    this.deviceSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.deviceSubscriptions = [];
+    if (this.budgetSubscription) {
+      this.budgetSubscription();
+      this.budgetSubscription = null;
+    }
+    if (this.audioHandler) {
+      this.audioHandler.setRecorder(null);
+    }
+    this.sessionRecorder = null;
     this.eventListeners.forEach(({ element, event, handler }) => {
       if (element && element.removeEventListener) {
         element.removeEventListener(event, handler);
@@ -293,6 +368,8 @@ class VoiceAgentApp {
     // Settings button
     this.safeAddListener(this.elements.settingsButton, 'click', () => {
       showSettingsModal();
+      // Labels become available once microphone permission has been granted
+      this.refreshAudioDevices();
     });
     
     // Close settings modal
@@ -316,6 +393,27 @@ class VoiceAgentApp {
       this.conditionalShowToast(window.APP_RESOURCES?.ConversationCleared || 'Conversation cleared', 'info');
     });
     
+    // Export transcript
+    initTranscriptExport({
+      button: this.elements.exportTranscriptButton,
+      menu: this.elements.exportTranscriptMenu,
+      fileNamePrefix: this.pageName
+    });
+    
+    // Message actions (send again, replay)
+    initTranscriptActions({
+      onResend: (text) => this.resendMessage(text),
+      onReplay: (responseId) => this.replayResponse(responseId)
+    });
+    
+    // Conversation history
+    this.historyDrawer = new HistoryDrawer({ toggleButton: this.elements.historyButton });
+    
+    // Consumption history (button in the consumption dashboard)
+    this.consumptionHistoryView = new ConsumptionHistoryView({
+      toggleButton: document.getElementById('consumptionHistoryButton')
+    });
+    
     // Send text message
     this.safeAddListener(this.elements.sendTextButton, 'click', () => {
       this.sendTextMessage();
@@ -387,6 +485,10 @@ class VoiceAgentApp {
       clearTraceEntries();
       addTraceEntry('system', 'Trace cleared');
     });
+    
+    // Trace filters, pause, export and replay
+    initTracePanel({ fileNamePrefix: this.pageName });
+    initSessionReplay({ getHandler: () => this.wsHandler });
 
     // Voice Live endpoint copy/test buttons
     this.safeAddListener(this.elements.voiceLiveEndpointCopy, 'click', async () => {
@@ -615,6 +717,27 @@ class VoiceAgentApp {
     if (this.elements.toastNotificationsToggle) {
       this.elements.toastNotificationsToggle.checked = this.currentSettings.showToastNotifications !== false;
     }
+    
+    // Set auto-reconnect toggle
+    if (this.elements.autoReconnectToggle) {
+      this.elements.autoReconnectToggle.checked = this.currentSettings.autoReconnect === true;
+    }
+    
+    // Set local voice detection settings
+    populateLocalVadForm(this.currentSettings);
+    
+    // Set push-to-talk toggle
+    if (this.elements.pushToTalkToggle) {
+      this.elements.pushToTalkToggle.checked = this.currentSettings.pushToTalk === true;
+    }
+    
+    // Set session recording toggle
+    if (this.elements.recordSessionToggle) {
+      this.elements.recordSessionToggle.checked = this.currentSettings.recordSession === true;
+    }
+    
+    // Populate microphone and speaker selects
+    this.refreshAudioDevices();
 
     // Set Foundry Agent settings
     if (this.elements.foundryProjectInput) {
@@ -626,6 +749,9 @@ class VoiceAgentApp {
     if (this.elements.localeSelect) {
       this.elements.localeSelect.value = this.currentSettings.locale || this.currentSettings.language || 'en-US';
     }
+    
+    // Spending limits are shared by all pages
+    consumptionTracker.populateBudgetForm();
   }
   
   /**
@@ -662,6 +788,12 @@ class VoiceAgentApp {
       voiceLiveEndpoint: this.elements.voiceLiveEndpointInput ? this.elements.voiceLiveEndpointInput.value.trim() : '',
       voiceLiveApiKey: this.elements.voiceLiveApiKeyInput ? this.elements.voiceLiveApiKeyInput.value.trim() : '',
       showToastNotifications: this.elements.toastNotificationsToggle ? this.elements.toastNotificationsToggle.checked : false,
+      autoReconnect: this.elements.autoReconnectToggle ? this.elements.autoReconnectToggle.checked : false,
+      ...readLocalVadForm(this.currentSettings),
+      pushToTalk: this.elements.pushToTalkToggle ? this.elements.pushToTalkToggle.checked : false,
+      recordSession: this.elements.recordSessionToggle ? this.elements.recordSessionToggle.checked : false,
+      microphoneDeviceId: this.elements.microphoneSelect ? this.elements.microphoneSelect.value : '',
+      speakerDeviceId: this.elements.speakerSelect ? this.elements.speakerSelect.value : '',
       // Foundry Agent settings
       foundryAgentId: this.elements.foundryAgentInput ? this.elements.foundryAgentInput.value : '',
       foundryProjectName: this.elements.foundryProjectInput ? this.elements.foundryProjectInput.value : '',
@@ -679,6 +811,9 @@ class VoiceAgentApp {
     // Save to localStorage
     if (saveSettings(newSettings, this.pageName)) {
       this.currentSettings = newSettings;
+      // Devices are switched right away, without restarting the session
+      this.applyAudioDevices();
+      consumptionTracker.saveBudgetForm();
       addTraceEntry('system', 'Settings saved');
       this.conditionalShowToast(window.APP_RESOURCES?.SettingsSavedSuccessfully || 'Settings saved successfully', 'success');
       hideSettingsModal();
@@ -705,6 +840,12 @@ class VoiceAgentApp {
         voiceLiveEndpoint: this.elements.voiceLiveEndpointInput ? this.elements.voiceLiveEndpointInput.value.trim() : this.currentSettings.voiceLiveEndpoint,
         voiceLiveApiKey: this.elements.voiceLiveApiKeyInput ? this.elements.voiceLiveApiKeyInput.value.trim() : this.currentSettings.voiceLiveApiKey,
         showToastNotifications: this.elements.toastNotificationsToggle ? this.elements.toastNotificationsToggle.checked : this.currentSettings.showToastNotifications,
+        autoReconnect: this.elements.autoReconnectToggle ? this.elements.autoReconnectToggle.checked : this.currentSettings.autoReconnect,
+        ...readLocalVadForm(this.currentSettings),
+        pushToTalk: this.elements.pushToTalkToggle ? this.elements.pushToTalkToggle.checked : this.currentSettings.pushToTalk,
+        recordSession: this.elements.recordSessionToggle ? this.elements.recordSessionToggle.checked : this.currentSettings.recordSession,
+        microphoneDeviceId: this.elements.microphoneSelect ? this.elements.microphoneSelect.value : this.currentSettings.microphoneDeviceId,
+        speakerDeviceId: this.elements.speakerSelect ? this.elements.speakerSelect.value : this.currentSettings.speakerDeviceId,
         // Foundry Agent settings
         foundryAgentId: this.elements.foundryAgentInput ? this.elements.foundryAgentInput.value : this.currentSettings.foundryAgentId,
         foundryProjectName: this.elements.foundryProjectInput ? this.elements.foundryProjectInput.value : this.currentSettings.foundryProjectName,
@@ -727,6 +868,7 @@ class VoiceAgentApp {
       addTraceEntry('system', 'Connecting...');
       
       // Connect WebSocket
+      this.wsHandler.setAutoReconnect(this.currentSettings.autoReconnect === true);
       await this.wsHandler.connect();
       
       // Send configuration
@@ -740,12 +882,19 @@ class VoiceAgentApp {
       configToSend.modelInstructions = this.currentSettings.modelInstructions || '';
       this.wsHandler.sendConfig(configToSend);
       
-      // Start microphone
+      // Start microphone (local VAD enables local barge-in and can withhold silence)
+      this.audioHandler.setVadOptions(getVadOptions(this.currentSettings));
+      await this.applyAudioDevices();
+      this.startRecording();
+      this.beginConversation();
       await this.audioHandler.startMicrophone();
       
       // Activate visualizer
       this.visualizer.setActive(true);
       
+      // Gate the microphone behind the talk control if push-to-talk is on
+      this.setPushToTalkActive(true);
+      
       // Update UI state
       this.isSessionActive = true;
       this.elements.startButton.classList.add('active');
@@ -772,6 +921,9 @@ class VoiceAgentApp {
    */
   stopSession() {
     try {
+      // Release the talk control and drop the microphone gate
+      this.setPushToTalkActive(false);
+      
       // Send stop message to server
       if (this.wsHandler) {
         this.wsHandler.sendStop();
@@ -783,6 +935,10 @@ class VoiceAgentApp {
         this.audioHandler.stopPlayback();
       }
       
+      // Offer the recording (if enabled) and save the conversation
+      this.finishRecording();
+      this.saveConversation();
+      
       // Deactivate visualizer
       if (this.visualizer) {
         this.visualizer.setActive(false);
@@ -835,6 +991,181 @@ class VoiceAgentApp {
     }
   }
   
+  /**
+   * List the audio devices and fill the settings selects
+   */
+  async refreshAudioDevices() {
+    if (!this.elements.microphoneSelect && !this.elements.speakerSelect) return;
+    try {
+      this.populateAudioDevices(await AudioHandler.listAudioDevices());
+    } catch (error) {
+      console.warn('Could not list audio devices:', error);
+    }
+  }
+  
+  /**
+   * Fill the microphone and speaker selects
+   * @param {Object} devices - { inputs, outputs } from AudioHandler.listAudioDevices()
+   */
+  populateAudioDevices(devices) {
+    populateAudioDeviceSelect(this.elements.microphoneSelect, devices.inputs, this.currentSettings.microphoneDeviceId);
+    populateAudioDeviceSelect(this.elements.speakerSelect, devices.outputs, this.currentSettings.speakerDeviceId);
+    if (this.elements.speakerSelect) {
+      this.elements.speakerSelect.disabled = !AudioHandler.supportsOutputSelection();
+    }
+  }
+  
+  /**
+   * Apply the saved devices; a running microphone is switched without restarting the session
+   */
+  async applyAudioDevices() {
+    if (!this.audioHandler) return;
+    await this.audioHandler.setOutputDevice(this.currentSettings.speakerDeviceId);
+    await this.audioHandler.setInputDevice(this.currentSettings.microphoneDeviceId);
+  }
+  
+  /**
+   * Report a microphone switch (settings change or device plugged in/out)
+   * @param {Object} data - { deviceId, label }
+   */
+  handleAudioInputSwitched({ label }) {
+    const message = (window.APP_RESOURCES?.MicrophoneSwitched || 'Microphone switched to {0}')
+      .replace('{0}', label || window.APP_RESOURCES?.SystemDefaultDevice || 'System default');
+    addTraceEntry('system', message);
+    this.conditionalShowToast(message, 'info');
+  }
+  
+  /**
+   * Start recording the session if enabled in settings
+   */
+  startRecording() {
+    if (this.currentSettings.recordSession !== true || !this.audioHandler) return;
+    
+    this.sessionRecorder = new SessionRecorder();
+    this.sessionRecorder.start();
+    this.audioHandler.setRecorder(this.sessionRecorder);
+    // Caption exports are timed from the start of the recording
+    transcriptStore.setOrigin(this.sessionRecorder.startTime);
+    addTraceEntry('system', window.APP_RESOURCES?.RecordingStarted || 'Recording session audio');
+  }
+  
+  /**
+   * Stop recording and offer the WAV download
+   */
+  finishRecording() {
+    const recorder = this.sessionRecorder;
+    if (!recorder) return;
+    
+    this.sessionRecorder = null;
+    if (this.audioHandler) {
+      this.audioHandler.setRecorder(null);
+    }
+    recorder.stop();
+    if (!recorder.hasAudio()) return;
+    
+    const seconds = (recorder.getDurationMs() / 1000).toFixed(1);
+    const message = (window.APP_RESOURCES?.RecordingReady || 'Session recording ready ({0} s)').replace('{0}', seconds);
+    addTraceEntry('system', message);
+    // Always shown: the user asked for the recording
+    showToast(message, 'success', RECORDING_TOAST_DURATION_MS, null, {
+      label: window.APP_RESOURCES?.DownloadRecording || 'Download WAV',
+      onClick: () => recorder.download(this.pageName)
+    });
+  }
+  
+  /**
+   * Start tracking the session for the conversation history
+   */
+  beginConversation() {
+    conversationHistory.begin({ page: this.pageName, settings: this.currentSettings });
+  }
+  
+  /**
+   * Save the session (transcript, settings, consumption) to the conversation history
+   */
+  saveConversation() {
+    conversationHistory.end({ sessionId: this.getSessionId(), consumption: this.getConsumptionSummary() });
+  }
+  
+  /**
+   * Get the server id of the running session
+   * @returns {string|null}
+   */
+  getSessionId() {
+    return this.wsHandler?.sessionId || null;
+  }
+  
+  /**
+   * Get the consumption summary saved with the conversation
+   * @returns {Object}
+   */
+  getConsumptionSummary() {
+    return consumptionTracker.getSessionSummary();
+  }
+  
+  /**
+   * Turn push-to-talk on for a running session (if enabled in settings) or off
+   * @param {boolean} sessionActive - True when the session starts, false when it stops
+   */
+  setPushToTalkActive(sessionActive) {
+    const enabled = sessionActive && this.currentSettings.pushToTalk === true;
+    if (this.audioHandler) {
+      this.audioHandler.setPushToTalk(enabled);
+    }
+    if (this.pushToTalkHandler) {
+      this.pushToTalkHandler.setEnabled(enabled);
+    }
+    this.setListeningState(false);
+  }
+  
+  /**
+   * Talk control pressed: interrupt the agent and open the microphone
+   */
+  handlePushToTalkPress() {
+    // Talking over the agent interrupts it, as with local voice detection
+    if (this.bargeInHandler) {
+      this.bargeInHandler.interrupt('local');
+    }
+    if (this.audioHandler) {
+      this.audioHandler.setTransmitting(true);
+    }
+    this.setListeningState(true);
+  }
+  
+  /**
+   * Talk control released: close the microphone and ask the server to respond
+   */
+  async handlePushToTalkRelease() {
+    this.setListeningState(false);
+    if (!this.audioHandler) return;
+    
+    // Commit only after the last captured block has been sent
+    await this.audioHandler.endTransmission();
+    if (this.wsHandler && this.wsHandler.canSend()) {
+      this.wsHandler.sendCommit();
+      addTraceEntry('system', window.APP_RESOURCES?.TurnCommitted || 'Turn ended, waiting for response');
+    }
+  }
+  
+  /**
+   * Show or clear the "listening" state while the talk control is held
+   * @param {boolean} listening
+   */
+  setListeningState(listening) {
+    if (this.elements.canvas) {
+      this.elements.canvas.classList.toggle('listening', listening);
+    }
+    
+    if (listening) {
+      if (this.visualizer) {
+        this.visualizer.setMode('user');
+      }
+      updateStatus(window.APP_RESOURCES?.Listening || 'Listening...', 'speaking');
+    } else if (this.isSessionActive) {
+      updateStatus(window.APP_RESOURCES?.SessionActive || 'Session active', 'connected');
+    }
+  }
+  
   /**
    * Send text message to agent
    */
@@ -865,6 +1196,37 @@ class VoiceAgentApp {
 
   }
 
+  /**
+   * Send a message from the transcript again (user message "send again" action)
+   * @param {string} text - Message text
+   */
+  resendMessage(text) {
+    if (!this.isSessionActive) {
+      this.conditionalShowToast(window.APP_RESOURCES?.StartSessionBeforeMessage || 'Start a session to send messages', 'warning');
+      return;
+    }
+
+    addTranscript('user', text);
+    addTraceEntry('user', text);
+    this.sendTextMessageToServer(text);
+  }
+
+  /**
+   * Play the audio of an agent response again (agent message "replay" action)
+   * @param {string|null} responseId - Response id of the message
+   */
+  async replayResponse(responseId) {
+    if (this.audioHandler?.hasPendingPlayback()) {
+      this.conditionalShowToast(window.APP_RESOURCES?.WaitForAgent || 'Wait for the agent to finish speaking', 'info');
+      return;
+    }
+
+    const played = responseId && this.audioHandler ? await this.audioHandler.replayResponse(responseId) : false;
+    if (!played) {
+      this.conditionalShowToast(window.APP_RESOURCES?.ReplayUnavailable || 'The audio of this message is no longer available', 'info');
+    }
+  }
+
   /**
    * Send a plain text message to the server over the WebSocket
    * @param {string} text - Message text
@@ -873,7 +1235,7 @@ class VoiceAgentApp {
     try {
       if (!text) return;
 
-      if (!this.wsHandler || !this.wsHandler.isSocketConnected()) {
+      if (!this.wsHandler || !this.wsHandler.canSend()) {
         this.conditionalShowToast(window.APP_RESOURCES?.NoConnectionToSendMessage || 'No connection: unable to send message', 'error');
         addTraceEntry('system', 'Attempted to send message without WebSocket connection');
         return;
@@ -910,6 +1272,26 @@ class VoiceAgentApp {
     }
   }
   
+  /**
+   * Handle WebSocket reconnect attempt (auto-reconnect enabled)
+   * @param {number} attempt - Attempt number, starting at 1
+   * @param {number} delayMs - Delay before this attempt
+   */
+  handleWebSocketReconnecting(attempt, delayMs) {
+    addTraceEntry('system', (window.APP_RESOURCES?.ReconnectingAttempt || 'Connection lost, reconnecting (attempt {0}) in {1} ms').replace('{0}', attempt).replace('{1}', delayMs));
+    if (attempt === 1) {
+      this.conditionalShowToast(window.APP_RESOURCES?.ConnectionLostReconnecting || 'Connection lost, reconnecting...', 'warning');
+    }
+  }
+  
+  /**
+   * Handle WebSocket connection restored after a drop
+   */
+  handleWebSocketReconnected() {
+    addTraceEntry('system', window.APP_RESOURCES?.ConnectionRestored || 'Connection restored, session resumed');
+    this.conditionalShowToast(window.APP_RESOURCES?.ConnectionRestored || 'Connection restored, session resumed', 'success');
+  }
+  
   /**
    * Handle incoming audio from server
    * @param {ArrayBuffer} arrayBuffer - Audio data
@@ -950,7 +1332,8 @@ class VoiceAgentApp {
    * Handle stop audio command from server
    */
   handleStopAudio() {
-    if (this.audioHandler) {
+    // With barge-in enabled, playback is ducked and flushed by the BargeInHandler
+    if (this.audioHandler && !this.bargeInHandler) {
       this.audioHandler.stopPlayback();
     }
     updateStatus(window.APP_RESOURCES?.SessionActive || 'Session active', 'connected');
@@ -20,12 +20,28 @@ import {
   autoResizeTextarea, 
   addTraceEntry, 
   clearTraceEntries, 
-  toggleTracePanel 
+  toggleTracePanel,
+  initTracePanel,
+  populateAudioDeviceSelect,
+  initTranscriptExport,
+  initTranscriptActions
 } from '../ui/ui-utils.js';
 
 import { getSavedTheme, applyThemeMode, toggleTheme, listenForExternalChanges } from '../ui/theme-sync.js';
 import { initHamburgerMenu } from '/js/ui/hamburger-menu.js';
 import { VOICE_MODELS, VOICES } from './config.js';
+import { PushToTalkHandler } from '../handlers/push-to-talk-handler.js';
+import { AudioHandler } from '../handlers/audio-handler.js';
+import { SessionRecorder } from '../handlers/session-recorder.js';
+import { initSessionReplay } from '../handlers/session-replay.js';
+import { transcriptStore } from '../managers/transcript-store.js';
+import { conversationHistory } from '../managers/conversation-history.js';
+import { HistoryDrawer } from '../ui/history-drawer.js';
+import { populateLocalVadForm, readLocalVadForm } from '../ui/local-vad-settings.js';
+import { eventBus, APP_EVENTS } from './event-bus.js';
+
+// Keep the download offer up long enough to be noticed after the session ends
+const RECORDING_TOAST_DURATION_MS = 20000;
 
 export class BaseVoiceApp {
   constructor(pageName) {
@@ -40,6 +56,14 @@ export class BaseVoiceApp {
     this.visualizer = null;
     this.audioHandler = null;
     this.wsHandler = null;
+    this.pushToTalkHandler = null;
+    this.sessionRecorder = null;
+    
+    // Event bus subscriptions for audio device changes
+    this.deviceSubscriptions = [];
+    
+    // Event bus subscription for reached spending limits
+    this.budgetSubscription = null;
     
     // DOM elements
     this.elements = {};
@@ -70,6 +94,9 @@ export class BaseVoiceApp {
       
       // Setup event listeners
       this.setupEventListeners();
+      this.initPushToTalk();
+      this.initAudioDevices();
+      this.budgetSubscription = eventBus.on(APP_EVENTS.BUDGET_EXCEEDED, (alert) => this.handleBudgetExceeded(alert));
       
       // Populate settings
       await this.populateSettings();
@@ -99,11 +126,15 @@ export class BaseVoiceApp {
       canvas: document.getElementById('voiceCanvas'),
       startButton: document.getElementById('startButton'),
       muteButton: document.getElementById('muteButton'),
+      pushToTalkButton: document.getElementById('pushToTalkButton'),
       settingsButton: document.getElementById('settingsButton'),
       themeToggleButton: document.getElementById('themeToggleButton'),
       chatToggle: document.getElementById('chatToggle'),
       traceToggle: document.getElementById('traceToggle'),
       clearChatButton: document.getElementById('clearChatButton'),
+      exportTranscriptButton: document.getElementById('exportTranscriptButton'),
+      exportTranscriptMenu: document.getElementById('exportTranscriptMenu'),
+      historyButton: document.getElementById('historyButton'),
       clearTraceButton: document.getElementById('clearTraceButton'),
       
       settingsModal: document.getElementById('settingsModal'),
@@ -116,6 +147,11 @@ export class BaseVoiceApp {
       voiceLiveApiKeyInput: document.getElementById('voiceLiveApiKeyInput'),
       modelInstructionsInput: document.getElementById('modelInstructionsInput'),
       toastNotificationsToggle: document.getElementById('toastNotificationsToggle'),
+      autoReconnectToggle: document.getElementById('autoReconnectToggle'),
+      pushToTalkToggle: document.getElementById('pushToTalkToggle'),
+      recordSessionToggle: document.getElementById('recordSessionToggle'),
+      microphoneSelect: document.getElementById('microphoneSelect'),
+      speakerSelect: document.getElementById('speakerSelect'),
       
       transcriptBox: document.getElementById('transcriptBox'),
       transcriptContent: document.getElementById('transcriptContent'),
@@ -158,7 +194,11 @@ export class BaseVoiceApp {
     });
     
     // Settings
-    this.safeAddListener(this.elements.settingsButton, 'click', () => showSettingsModal());
+    this.safeAddListener(this.elements.settingsButton, 'click', () => {
+      showSettingsModal();
+      // Labels become available once microphone permission has been granted
+      this.refreshAudioDevices();
+    });
     this.safeAddListener(this.elements.closeSettingsButton, 'click', () => hideSettingsModal());
     this.safeAddListener(this.elements.saveSettingsButton, 'click', () => this.saveSettingsFromModal());
     
@@ -168,6 +208,16 @@ export class BaseVoiceApp {
       clearTranscripts();
       this.conditionalShowToast(window.APP_RESOURCES?.ConversationCleared || 'Conversation cleared', 'info');
     });
+    initTranscriptExport({
+      button: this.elements.exportTranscriptButton,
+      menu: this.elements.exportTranscriptMenu,
+      fileNamePrefix: this.pageName
+    });
+    initTranscriptActions({
+      onResend: (text) => this.resendMessage(text),
+      onReplay: (responseId) => this.replayResponse(responseId)
+    });
+    this.historyDrawer = new HistoryDrawer({ toggleButton: this.elements.historyButton });
     this.safeAddListener(this.elements.sendTextButton, 'click', () => this.sendTextMessage());
     this.safeAddListener(this.elements.textInput, 'keydown', (e) => {
       if (e.key === 'Enter' && !e.shiftKey) {
@@ -183,6 +233,8 @@ export class BaseVoiceApp {
       clearTraceEntries();
       addTraceEntry('system', window.APP_RESOURCES?.TraceCleared || 'Trace cleared');
     });
+    initTracePanel({ fileNamePrefix: this.pageName });
+    initSessionReplay({ getHandler: () => this.wsHandler });
     
     // Theme
     this.safeAddListener(this.elements.themeToggleButton, 'click', () => {
@@ -232,6 +284,13 @@ export class BaseVoiceApp {
     if (this.elements.voiceLiveEndpointInput) this.elements.voiceLiveEndpointInput.value = this.currentSettings.voiceLiveEndpoint || '';
     if (this.elements.voiceLiveApiKeyInput) this.elements.voiceLiveApiKeyInput.value = this.currentSettings.voiceLiveApiKey || '';
     if (this.elements.toastNotificationsToggle) this.elements.toastNotificationsToggle.checked = this.currentSettings.showToastNotifications !== false;
+    if (this.elements.autoReconnectToggle) this.elements.autoReconnectToggle.checked = this.currentSettings.autoReconnect === true;
+    populateLocalVadForm(this.currentSettings);
+    if (this.elements.pushToTalkToggle) this.elements.pushToTalkToggle.checked = this.currentSettings.pushToTalk === true;
+    if (this.elements.recordSessionToggle) this.elements.recordSessionToggle.checked = this.currentSettings.recordSession === true;
+    
+    // Audio devices
+    await this.refreshAudioDevices();
   }
 
   saveSettingsFromModal() {
@@ -242,7 +301,13 @@ export class BaseVoiceApp {
       modelInstructions: this.elements.modelInstructionsInput ? this.elements.modelInstructionsInput.value : '',
       voiceLiveEndpoint: this.elements.voiceLiveEndpointInput ? this.elements.voiceLiveEndpointInput.value.trim() : '',
       voiceLiveApiKey: this.elements.voiceLiveApiKeyInput ? this.elements.voiceLiveApiKeyInput.value.trim() : '',
-      showToastNotifications: this.elements.toastNotificationsToggle ? this.elements.toastNotificationsToggle.checked : false
+      showToastNotifications: this.elements.toastNotificationsToggle ? this.elements.toastNotificationsToggle.checked : false,
+      autoReconnect: this.elements.autoReconnectToggle ? this.elements.autoReconnectToggle.checked : false,
+      ...readLocalVadForm(this.currentSettings),
+      pushToTalk: this.elements.pushToTalkToggle ? this.elements.pushToTalkToggle.checked : false,
+      recordSession: this.elements.recordSessionToggle ? this.elements.recordSessionToggle.checked : false,
+      microphoneDeviceId: this.elements.microphoneSelect ? this.elements.microphoneSelect.value : '',
+      speakerDeviceId: this.elements.speakerSelect ? this.elements.speakerSelect.value : ''
     };
     
     const validation = validateModelVoiceCompatibility(newSettings.voiceModel, newSettings.voice);
@@ -252,11 +317,23 @@ export class BaseVoiceApp {
     
     if (saveSettings(newSettings, this.pageName)) {
       this.currentSettings = newSettings;
+      this.applyAudioDevices();
       hideSettingsModal();
       this.conditionalShowToast(window.APP_RESOURCES?.SettingsSavedSuccessfully || 'Settings saved successfully', 'success');
     }
   }
 
+  /**
+   * Stop the session when a spending limit is reached and the hard stop is on
+   * (the ConsumptionTracker has already told the user)
+   * @param {Object} alert - { scope, metric, used, limit, level, hardStop }
+   */
+  handleBudgetExceeded(alert) {
+    if (alert?.hardStop && this.isSessionActive) {
+      this.stopSession();
+    }
+  }
+
   conditionalShowToast(message, type = 'info') {
     if (this.currentSettings && this.currentSettings.showToastNotifications !== false) {
       showToast(message, type);
@@ -281,6 +358,176 @@ export class BaseVoiceApp {
     }
   }
 
+  /**
+   * Create the push-to-talk control (enabled per session, see setPushToTalkActive)
+   */
+  initPushToTalk() {
+    this.pushToTalkHandler = new PushToTalkHandler({
+      button: this.elements.pushToTalkButton,
+      onPress: () => this.handlePushToTalkPress(),
+      onRelease: () => this.handlePushToTalkRelease()
+    });
+  }
+
+  /**
+   * Turn push-to-talk on for a running session (if enabled in settings) or off
+   * @param {boolean} sessionActive - True when the session starts, false when it stops
+   */
+  setPushToTalkActive(sessionActive) {
+    const enabled = sessionActive && this.currentSettings.pushToTalk === true;
+    if (this.audioHandler) this.audioHandler.setPushToTalk(enabled);
+    if (this.pushToTalkHandler) this.pushToTalkHandler.setEnabled(enabled);
+    this.setListeningState(false);
+  }
+
+  handlePushToTalkPress() {
+    // Talking over the agent interrupts it, as with local voice detection
+    if (this.bargeInHandler) this.bargeInHandler.interrupt('local');
+    if (this.audioHandler) this.audioHandler.setTransmitting(true);
+    this.setListeningState(true);
+  }
+
+  async handlePushToTalkRelease() {
+    this.setListeningState(false);
+    if (!this.audioHandler) return;
+
+    // Commit only after the last captured block has been sent
+    await this.audioHandler.endTransmission();
+    if (this.wsHandler && this.wsHandler.canSend()) {
+      this.wsHandler.sendCommit();
+      addTraceEntry('system', window.APP_RESOURCES?.TurnCommitted || 'Turn ended, waiting for response');
+    }
+  }
+
+  /**
+   * Show or clear the "listening" state while the talk control is held
+   * @param {boolean} listening
+   */
+  setListeningState(listening) {
+    if (this.elements.canvas) this.elements.canvas.classList.toggle('listening', listening);
+    if (listening) {
+      if (this.visualizer) this.visualizer.setMode('user');
+      updateStatus(window.APP_RESOURCES?.Listening || 'Listening...', 'speaking');
+    } else if (this.isSessionActive) {
+      updateStatus(window.APP_RESOURCES?.SessionActive || 'Session active', 'connected');
+    }
+  }
+
+  /**
+   * Start recording the session if enabled in settings
+   */
+  startRecording() {
+    if (this.currentSettings.recordSession !== true || !this.audioHandler) return;
+    this.sessionRecorder = new SessionRecorder();
+    this.sessionRecorder.start();
+    this.audioHandler.setRecorder(this.sessionRecorder);
+    // Caption exports are timed from the start of the recording
+    transcriptStore.setOrigin(this.sessionRecorder.startTime);
+    addTraceEntry('system', window.APP_RESOURCES?.RecordingStarted || 'Recording session audio');
+  }
+
+  /**
+   * Stop recording and offer the WAV download
+   */
+  finishRecording() {
+    const recorder = this.sessionRecorder;
+    if (!recorder) return;
+    this.sessionRecorder = null;
+    if (this.audioHandler) this.audioHandler.setRecorder(null);
+    recorder.stop();
+    if (!recorder.hasAudio()) return;
+
+    const seconds = (recorder.getDurationMs() / 1000).toFixed(1);
+    const message = (window.APP_RESOURCES?.RecordingReady || 'Session recording ready ({0} s)').replace('{0}', seconds);
+    addTraceEntry('system', message);
+    // Always shown: the user asked for the recording
+    showToast(message, 'success', RECORDING_TOAST_DURATION_MS, null, {
+      label: window.APP_RESOURCES?.DownloadRecording || 'Download WAV',
+      onClick: () => recorder.download(this.pageName)
+    });
+  }
+
+  /**
+   * Start tracking the session for the conversation history
+   */
+  beginConversation() {
+    conversationHistory.begin({ page: this.pageName, settings: this.currentSettings });
+  }
+
+  /**
+   * Save the session (transcript, settings, consumption) to the conversation history
+   */
+  saveConversation() {
+    conversationHistory.end({ sessionId: this.getSessionId(), consumption: this.getConsumptionSummary() });
+  }
+
+  /**
+   * Get the server id of the running session
+   * @returns {string|null}
+   */
+  getSessionId() {
+    return this.wsHandler?.sessionId || null;
+  }
+
+  /**
+   * Get the consumption summary saved with the conversation
+   * @returns {Object|null} - null on pages without consumption tracking
+   */
+  getConsumptionSummary() {
+    return null;
+  }
+
+  /**
+   * Follow device changes reported by the AudioHandler
+   */
+  initAudioDevices() {
+    this.deviceSubscriptions = [
+      eventBus.on(APP_EVENTS.AUDIO_DEVICES_CHANGED, (devices) => this.populateAudioDevices(devices)),
+      eventBus.on(APP_EVENTS.AUDIO_INPUT_SWITCHED, (data) => this.handleAudioInputSwitched(data))
+    ];
+  }
+
+  /**
+   * List the audio devices and fill the settings selects
+   */
+  async refreshAudioDevices() {
+    if (!this.elements.microphoneSelect && !this.elements.speakerSelect) return;
+    try {
+      this.populateAudioDevices(await AudioHandler.listAudioDevices());
+    } catch (error) {
+      console.warn('Could not list audio devices:', error);
+    }
+  }
+
+  /**
+   * @param {Object} devices - { inputs, outputs } from AudioHandler.listAudioDevices()
+   */
+  populateAudioDevices(devices) {
+    populateAudioDeviceSelect(this.elements.microphoneSelect, devices.inputs, this.currentSettings.microphoneDeviceId);
+    populateAudioDeviceSelect(this.elements.speakerSelect, devices.outputs, this.currentSettings.speakerDeviceId);
+    if (this.elements.speakerSelect) this.elements.speakerSelect.disabled = !AudioHandler.supportsOutputSelection();
+  }
+
+  /**
+   * Apply the saved devices; a running microphone is switched without restarting the session
+   */
+  async applyAudioDevices() {
+    if (!this.audioHandler) return;
+    await this.audioHandler.setOutputDevice(this.currentSettings.speakerDeviceId);
+    await this.audioHandler.setInputDevice(this.currentSettings.microphoneDeviceId);
+  }
+
+  /**
+   * Report a microphone switch (settings change or device plugged in/out)
+   * @param {Object} data - { deviceId, label }
+   */
+  handleAudioInputSwitched({ label }) {
+    const message = (window.APP_RESOURCES?.MicrophoneSwitched || 'Microphone switched to {0}')
+      .replace('{0}', label || window.APP_RESOURCES?.SystemDefaultDevice || 'System default');
+    addTraceEntry('system', message);
+    this.conditionalShowToast(message, 'info');
+  }
+
   sendTextMessage() {
     const text = this.elements.textInput.value.trim();
     if (!text) return;
@@ -298,6 +545,37 @@ export class BaseVoiceApp {
     this.sendTextMessageToServer(text);
   }
 
+  /**
+   * Send a message from the transcript again (user message "send again" action)
+   * @param {string} text - Message text
+   */
+  resendMessage(text) {
+    if (!this.isSessionActive) {
+      this.conditionalShowToast(window.APP_RESOURCES?.StartSessionBeforeMessage || 'Start a session to send messages', 'warning');
+      return;
+    }
+
+    addTranscript('user', text);
+    addTraceEntry('user', text);
+    this.sendTextMessageToServer(text);
+  }
+
+  /**
+   * Play the audio of an agent response again (agent message "replay" action)
+   * @param {string|null} responseId - Response id of the message
+   */
+  async replayResponse(responseId) {
+    if (this.audioHandler?.hasPendingPlayback()) {
+      this.conditionalShowToast(window.APP_RESOURCES?.WaitForAgent || 'Wait for the agent to finish speaking', 'info');
+      return;
+    }
+
+    const played = responseId && this.audioHandler ? await this.audioHandler.replayResponse(responseId) : false;
+    if (!played) {
+      this.conditionalShowToast(window.APP_RESOURCES?.ReplayUnavailable || 'The audio of this message is no longer available', 'info');
+    }
+  }
+
   sendTextMessageToServer(text) {
     if (this.wsHandler && this.wsHandler.isConnected()) {
       this.wsHandler.sendText(text);
@@ -317,7 +595,26 @@ export class BaseVoiceApp {
     }
   }
 
+  handleWebSocketReconnecting(attempt, delayMs) {
+    addTraceEntry('system', (window.APP_RESOURCES?.ReconnectingAttempt || 'Connection lost, reconnecting (attempt {0}) in {1} ms').replace('{0}', attempt).replace('{1}', delayMs));
+    if (attempt === 1) {
+      this.conditionalShowToast(window.APP_RESOURCES?.ConnectionLostReconnecting || 'Connection lost, reconnecting...', 'warning');
+    }
+  }
+
+  handleWebSocketReconnected() {
+    addTraceEntry('system', window.APP_RESOURCES?.ConnectionRestored || 'Connection restored, session resumed');
+    this.conditionalShowToast(window.APP_RESOURCES?.ConnectionRestored || 'Connection restored, session resumed', 'success');
+  }
+
   cleanup() {
+    if (this.pushToTalkHandler) this.pushToTalkHandler.destroy();
+    if (this.audioHandler) this.audioHandler.setRecorder(null);
+    this.sessionRecorder = null;
+    this.deviceSubscriptions.forEach(unsubscribe => unsubscribe());
+    this.deviceSubscriptions = [];
+    if (this.budgetSubscription) this.budgetSubscription();
+    this.budgetSubscription = null;
     this.eventListeners.forEach(({ element, event, handler }) => {
       if (element && element.removeEventListener) {
         element.removeEventListener(event, handler);
@@ -154,7 +154,36 @@ export const DEFAULT_SETTINGS = {
   // Microsoft Foundry Agent Service settings
   foundryAgentId: '',        // Foundry Agent ID (e.g., "asst_123")
   foundryProjectName: '',    // Foundry Project name containing the agent
-  locale: 'en-US'            // Locale for voice recognition and synthesis
+  locale: 'en-US',           // Locale for voice recognition and synthesis
+  // Reconnect automatically (and resume the session) when the WebSocket drops
+  autoReconnect: false,
+  // Detect speech locally: interrupt the agent without waiting for the server
+  localVad: false,
+  // With local detection: withhold silent microphone audio, and the detector tuning ('' uses VAD_CONFIG)
+  localVadSuppressSilence: true,
+  localVadThreshold: '',
+  localVadHangoverBlocks: '',
+  localVadPreRollBlocks: '',
+  // Only send microphone audio while Space or the talk button is held
+  pushToTalk: false,
+  // Audio devices ('' follows the system default)
+  microphoneDeviceId: '',
+  speakerDeviceId: '',
+  // Record both sides of the session and offer a WAV download when it stops
+  recordSession: false
+};
+
+/**
+ * Default spending limits (see ConsumptionTracker.setBudget())
+ * Shared by all pages; a limit of 0 is no limit. Daily limits count every session saved today.
+ */
+export const DEFAULT_BUDGET = {
+  sessionTokens: 0,
+  sessionUsd: 0,
+  dailyTokens: 0,
+  dailyUsd: 0,
+  warnPercent: 80, // Warn once this share of a limit is used
+  hardStop: false // Stop the session when a limit is reached
 };
 
 /**
@@ -162,12 +191,163 @@ export const DEFAULT_SETTINGS = {
  */
 export const AUDIO_CONFIG = {
   SAMPLE_RATE_INPUT: 24000, // 24kHz for input (server expects this)
-  MIN_BUFFER_SIZE: 3, // Minimum number of audio chunks to buffer before playback
   FADE_SAMPLES: 64, // Number of samples for fade-in/fade-out smoothing
   RMS_SMOOTHING_USER: 0.3, // Energy smoothing factor for user (microphone) visualization
-  RMS_SMOOTHING_AGENT: 0.15 // Energy smoothing factor for agent (playback) visualization
+  RMS_SMOOTHING_AGENT: 0.15, // Energy smoothing factor for agent (playback) visualization
+  FLUSH_TIMEOUT_MS: 250 // Max wait for the audio worklet to deliver its partial block
+};
+
+/**
+ * WebSocket reconnection constants
+ * Delays grow exponentially from BASE_DELAY_MS up to MAX_DELAY_MS, randomized by +/- JITTER
+ */
+export const RECONNECT_CONFIG = {
+  MAX_ATTEMPTS: 8, // Give up (and end the session) after this many failed attempts
+  BASE_DELAY_MS: 500, // Delay before the first reconnect attempt
+  MAX_DELAY_MS: 15000, // Upper bound for the backoff delay
+  JITTER: 0.3, // Random spread applied to each delay (0.3 = +/-30%)
+  MAX_BUFFERED_MESSAGES: 50, // Text messages and commits kept while offline
+  MAX_BUFFERED_AUDIO_MS: 10000, // Most recent microphone audio kept while offline; older audio is dropped
+  MAX_REPLAYED_TURNS: 50, // Most recent conversation turns sent back to restore the context after a reconnect
+  MAX_REPLAYED_BYTES: 256 * 1024 // Size limit of those turns (UTF-8 JSON); the server drops messages over 1 MB
+};
+
+/**
+ * Barge-in (user interrupts the agent) constants
+ */
+export const BARGE_IN_CONFIG = {
+  DUCK_GAIN: 0.15, // Playback gain while ducked, before the queue is flushed
+  DUCK_TIME_CONSTANT: 0.02, // Seconds; time constant of the gain ramp down
+  FLUSH_DELAY_MS: 120 // How long the agent stays ducked before playback is flushed
+};
+
+/**
+ * Agent audio retained per response for replay from the transcript (see AudioHandler)
+ * PCM16 at 24kHz takes about 2.9 MB per minute.
+ */
+export const REPLAY_CONFIG = {
+  MAX_RETAINED_SECONDS: 600 // Oldest responses are dropped beyond this total
+};
+
+/**
+ * Playback jitter buffer constants (see AudioHandler)
+ * The buffered depth before playback starts adapts between MIN_TARGET_MS and MAX_TARGET_MS
+ * to JITTER_MULTIPLIER times the observed inter-arrival jitter.
+ */
+export const JITTER_BUFFER_CONFIG = {
+  INITIAL_TARGET_MS: 120, // Buffered audio required before the first response starts playing
+  MIN_TARGET_MS: 60,
+  MAX_TARGET_MS: 400,
+  JITTER_MULTIPLIER: 3, // Target depth in multiples of the jitter estimate
+  JITTER_SMOOTHING: 1 / 16, // Weight of each new sample in the jitter estimate (as in RFC 3550)
+  MAX_PRIME_WAIT_MS: 500, // Start playing anyway if the target depth is not reached in time
+  SCHEDULE_LEAD_MS: 30, // Headroom between (re)starting playback and the first scheduled chunk
+  CONCEALMENT_MS: 40, // Length of the faded tail repeated when the buffer runs dry mid-response
+  STATS_INTERVAL_MS: 1000 // Minimum interval between playback stats events
+};
+
+/**
+ * Session recording constants (see handlers/session-recorder.js)
+ * A stereo 24kHz PCM16 recording takes about 5.8 MB per minute.
+ */
+export const RECORDING_CONFIG = {
+  MAX_DURATION_MINUTES: 60, // Stop adding audio beyond this length
+  DRIFT_TOLERANCE_MS: 100 // Chunks arriving this late are still appended without a gap
+};
+
+/**
+ * Transcript constants (see modules/transcript-exporter.js and managers/transcript-streamer.js)
+ * The speaking rate times captions for messages without word timestamps.
+ */
+export const TRANSCRIPT_CONFIG = {
+  WORDS_PER_MINUTE: 160, // Speaking rate used to estimate a message's duration
+  HIGHLIGHT_SPOKEN_WORD: true, // Karaoke-style highlight of the word the agent is saying
+  MIN_CAPTION_MS: 1000, // Shortest caption shown on screen
+  MAX_CAPTION_CHARS: 84 // Longer messages are split into several captions (two lines of 42)
+};
+
+/**
+ * Conversation history constants (see managers/conversation-history.js)
+ */
+export const HISTORY_CONFIG = {
+  MAX_CONVERSATIONS: 500, // Oldest conversations are deleted beyond this count
+  SEARCH_DEBOUNCE_MS: 200, // Delay between typing in the search box and searching
+  // Settings saved with each conversation (never the endpoint or API key)
+  SETTINGS_KEYS: ['voiceModel', 'voice', 'locale', 'language', 'foundryAgentId', 'foundryProjectName',
+    'modelInstructions', 'welcomeMessage', 'avatarCharacter', 'avatarStyle']
+};
+
+/**
+ * Consumption history constants (see ui/consumption-history-view.js)
+ */
+export const CONSUMPTION_HISTORY_CONFIG = {
+  PERIOD_COUNTS: { day: 14, week: 12 }, // Most recent days/weeks charted
+  DEFAULT_PERIOD: 'day',
+  BREAKDOWN_SLICES: 2 // Largest models/voices in the breakdown doughnuts, plus "Other" (their legend fits three lines)
+};
+
+/**
+ * Trace log constants (see managers/trace-manager.js)
+ */
+export const TRACE_CONFIG = {
+  MAX_ENTRIES: 2000, // Ring buffer size: the oldest entries are dropped beyond it (also in exports)
+  MAX_FRAMES: 6000, // Inbound frames kept while frame capture is on (about 10 minutes of response audio)
+  LEVELS: ['debug', 'info', 'warn', 'error'], // In increasing severity
+  DEFAULT_LEVEL: 'info', // Lowest level shown until the level filter is changed
+  CATEGORIES: ['session', 'audio', 'response', 'error'],
+  SEARCH_DEBOUNCE_MS: 200 // Delay between typing in the search box and filtering
+};
+
+/**
+ * Session replay constants (see handlers/session-replay.js)
+ */
+export const SESSION_REPLAY_CONFIG = {
+  SPEEDS: [0.5, 1, 2, 4], // Playback rates offered in the trace panel
+  PROGRESS_INTERVAL_MS: 250 // How often the replay position is shown
+};
+
+/**
+ * Markdown rendering constants (see modules/markdown-renderer.js)
+ */
+export const MARKDOWN_CONFIG = {
+  // Link schemes rendered as anchors; other links (javascript:, data:, ...) are shown as plain text
+  ALLOWED_URL_SCHEMES: ['http:', 'https:', 'mailto:', 'tel:']
+};
+
+/**
+ * Client-side voice activity detection constants (see handlers/audio-processor.js)
+ * One block is 4096 samples, about 170 ms at 24kHz
+ */
+export const VAD_CONFIG = {
+  ENERGY_THRESHOLD: 0.015, // Minimum block RMS counted as speech
+  ZCR_MIN: 0.01, // Zero-crossing rate range (crossings per sample) accepted as speech
+  ZCR_MAX: 0.35,
+  HANGOVER_BLOCKS: 4, // Silent blocks still sent after speech, so the server can detect the end of turn
+  PRE_ROLL_BLOCKS: 2 // Silent blocks sent ahead of detected speech, so the onset is not clipped
 };
 
+/**
+ * Get the local VAD options of the page settings (see AudioHandler.setVadOptions())
+ * Empty or invalid tuning values fall back to VAD_CONFIG.
+ * @param {Object} settings - Page settings
+ * @returns {Object} - { enabled, suppressSilence, energyThreshold, hangoverBlocks, preRollBlocks }
+ */
+export function getVadOptions(settings) {
+  const number = (value, fallback, min, max) => {
+    const parsed = value === '' || value === null || value === undefined ? NaN : Number(value);
+    return Number.isFinite(parsed) ? Math.min(max, Math.max(min, parsed)) : fallback;
+  };
+  const enabled = settings?.localVad === true;
+
+  return {
+    enabled,
+    suppressSilence: enabled && settings.localVadSuppressSilence !== false,
+    energyThreshold: number(settings?.localVadThreshold, VAD_CONFIG.ENERGY_THRESHOLD, 0.001, 0.5),
+    hangoverBlocks: Math.round(number(settings?.localVadHangoverBlocks, VAD_CONFIG.HANGOVER_BLOCKS, 0, 20)),
+    preRollBlocks: Math.round(number(settings?.localVadPreRollBlocks, VAD_CONFIG.PRE_ROLL_BLOCKS, 0, 10))
+  };
+}
+
 /**
  * Extract the display name from a voice ID
  * Example: "it-IT-IsabellaNeural" -> "Isabella"
@@ -0,0 +1,162 @@
+/**
+ * Event Bus Module
+ *
+ * App-wide publish/subscribe bus. WebSocketHandler publishes connection and
+ * session events; trackers, visualizers, analytics and plugins subscribe
+ * independently (see modules/event-emitter-helper.js for scoped subscriptions).
+ */
+
+/**
+ * Event names published on the app bus
+ */
+export const APP_EVENTS = {
+  // Connection lifecycle
+  CONNECTION_OPENED: 'connection.opened',
+  CONNECTION_CLOSED: 'connection.closed',
+  CONNECTION_RECONNECTING: 'connection.reconnecting',
+  CONNECTION_RECONNECTED: 'connection.reconnected',
+
+  // Session events (payloads use normalized PascalCase keys)
+  SESSION_EVENT: 'session.event', // Every session event: { eventType, event, payload }
+  SESSION_CONNECTED: 'session.connected',
+  SESSION_CREATED: 'session.created',
+  SESSION_UPDATED: 'session.updated',
+  SESSION_DISCONNECTED: 'session.disconnected',
+  SESSION_ERROR: 'session.error',
+  SESSION_INFO: 'session.info',
+  RESPONSE_CREATED: 'response.created',
+  RESPONSE_OUTPUT_ITEM_ADDED: 'response.output_item.added',
+  RESPONSE_INTERRUPTED: 'response.interrupted', // { responseId, itemId, audioEndMs, source }
+  RESPONSE_DONE: 'response.done',
+  RATE_LIMITS_UPDATED: 'rate_limits.updated',
+  SPEECH_STARTED: 'speech.started',
+  SPEECH_STOPPED: 'speech.stopped',
+  USER_TRANSCRIPT_DELTA: 'input_audio_transcription.delta', // { ItemId, ContentIndex, Delta }
+  USER_TRANSCRIPT_DONE: 'input_audio_transcription.completed', // { ItemId, ContentIndex, Transcript }
+  USER_TRANSCRIPT_FAILED: 'input_audio_transcription.failed', // { ItemId, Error }
+  RESPONSE_AUDIO_DELTA: 'response.audio.delta',
+  RESPONSE_AUDIO_DONE: 'response.audio.done',
+  AUDIO_TIMESTAMP_DELTA: 'response.audio_timestamp.delta',
+  TRANSCRIPT_DELTA: 'response.audio_transcript.delta',
+  TRANSCRIPT_DONE: 'response.audio_transcript.done', // { ResponseId, ItemId, Transcript }
+  TOOL_CALL_ARGUMENTS_DELTA: 'tool_call.arguments.delta', // { CallId, ResponseId, ItemId, Delta }
+  TOOL_CALL_ARGUMENTS_DONE: 'tool_call.arguments.done', // { CallId, ResponseId, ItemId, Name, Arguments }
+  TOOL_CALL_COMPLETED: 'tool_call.completed', // { CallId, Name, Result, DurationMs }
+  TOOL_CALL_FAILED: 'tool_call.failed', // { CallId, Name, Error, DurationMs }
+
+  // Local microphone (client-side VAD in the audio worklet)
+  LOCAL_SPEECH_STARTED: 'vad.speech.started', // { rms }
+  LOCAL_SPEECH_STOPPED: 'vad.speech.stopped', // { rms }
+
+  // Audio devices (AudioHandler)
+  AUDIO_DEVICES_CHANGED: 'audio.devices.changed', // { inputs, outputs }
+  AUDIO_INPUT_SWITCHED: 'audio.input.switched', // { deviceId, label }
+
+  // Spending limits (ConsumptionTracker)
+  BUDGET_WARNING: 'budget.warning', // { scope, metric, used, limit, level, hardStop }
+  BUDGET_EXCEEDED: 'budget.exceeded', // { scope, metric, used, limit, level, hardStop }
+
+  // Local playback (jitter buffer in AudioHandler)
+  PLAYBACK_STATS: 'playback.stats', // { underruns, concealedMs, jitterMs, targetDepthMs, latencyMs }
+
+  // Other inbound messages
+  TRANSCRIPTION: 'transcription', // { text, role }
+  AUDIO_STOP: 'audio.stop',
+  SERVER_ERROR: 'server.error', // { message }
+  PROTOCOL_ERROR: 'protocol.error' // { field, message, frame }
+};
+
+/**
+ * EventBus class
+ * Minimal synchronous emitter; a failing subscriber never blocks the others.
+ */
+export class EventBus {
+  constructor() {
+    this.handlers = new Map();
+  }
+
+  /**
+   * Subscribe to an event
+   * @param {string} eventName - Event name (see APP_EVENTS)
+   * @param {Function} handler - Called with the event data
+   * @returns {Function} - Unsubscribe function
+   */
+  on(eventName, handler) {
+    if (!this.handlers.has(eventName)) {
+      this.handlers.set(eventName, new Set());
+    }
+    this.handlers.get(eventName).add(handler);
+    return () => this.off(eventName, handler);
+  }
+
+  /**
+   * Subscribe to the next occurrence of an event only
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Called once with the event data
+   * @returns {Function} - Unsubscribe function
+   */
+  once(eventName, handler) {
+    const wrapper = (data) => {
+      this.off(eventName, wrapper);
+      handler(data);
+    };
+    return this.on(eventName, wrapper);
+  }
+
+  /**
+   * Unsubscribe from an event
+   * @param {string} eventName - Event name
+   * @param {Function} handler - Handler passed to on()
+   */
+  off(eventName, handler) {
+    const handlers = this.handlers.get(eventName);
+    if (!handlers) return;
+    handlers.delete(handler);
+    if (handlers.size === 0) {
+      this.handlers.delete(eventName);
+    }
+  }
+
+  /**
+   * Publish an event to all subscribers
+   * @param {string} eventName - Event name
+   * @param {*} data - Event data
+   */
+  emit(eventName, data) {
+    const handlers = this.handlers.get(eventName);
+    if (!handlers) return;
+
+    // Copy so handlers can unsubscribe while iterating
+    [...handlers].forEach(handler => {
+      try {
+        handler(data);
+      } catch (error) {
+        console.error(`[EventBus] Error in "${eventName}" handler:`, error);
+      }
+    });
+  }
+
+  /**
+   * Get number of subscribers for an event
+   * @param {string} eventName - Event name
+   * @returns {number}
+   */
+  listenerCount(eventName) {
+    return this.handlers.get(eventName)?.size || 0;
+  }
+
+  /**
+   * Remove all subscribers (all events, or a single event)
+   * @param {string} [eventName] - Event name to clear
+   */
+  clear(eventName) {
+    if (eventName) {
+      this.handlers.delete(eventName);
+    } else {
+      this.handlers.clear();
+    }
+  }
+}
+
+// Create and export singleton instance
+export const eventBus = new EventBus();
@@ -0,0 +1,410 @@
+/**
+ * Protocol Module
+ *
+ * Declares every message exchanged over the /web/ws WebSocket, normalizes
+ * envelope keys (camelCase / snake_case -> PascalCase) once at the boundary,
+ * validates them against a schema and dispatches typed events.
+ * Only the envelope and the object fields a schema marks with pascalKeys are
+ * normalized; nested values (usage details, tool results, history entries)
+ * are passed through as sent.
+ */
+
+/**
+ * Message kinds (the envelope "Kind" field)
+ */
+export const MESSAGE_KINDS = {
+  // Outbound (client -> server)
+  CONFIG: 'Config',
+  MESSAGE: 'Message',
+  STOP: 'Stop',
+  INTERRUPT: 'Interrupt',
+  COMMIT: 'Commit',
+  // Inbound (server -> client)
+  TRANSCRIPTION: 'Transcription',
+  SESSION_EVENT: 'SessionEvent',
+  STOP_AUDIO: 'StopAudio',
+  AUDIO_DATA: 'AudioData',
+  ERROR: 'Error'
+};
+
+/**
+ * Canonical session event names
+ * The server forwards Voice Live events either as PascalCase names or as raw
+ * realtime event types; both spellings resolve to the same canonical name.
+ */
+export const SESSION_EVENTS = {
+  SESSION_CONNECTED: 'SessionConnected',
+  SESSION_CREATED: 'SessionCreated',
+  SESSION_UPDATED: 'SessionUpdated',
+  SESSION_DISCONNECTED: 'SessionDisconnected',
+  RESPONSE_CREATED: 'ResponseCreated',
+  RESPONSE_OUTPUT_ITEM_ADDED: 'ResponseOutputItemAdded',
+  RESPONSE_DONE: 'ResponseDone',
+  RATE_LIMITS_UPDATED: 'RateLimitsUpdated',
+  SESSION_ERROR: 'SessionError',
+  SESSION_INFO: 'SessionInfo',
+  SPEECH_STARTED: 'SpeechStarted',
+  SPEECH_STOPPED: 'SpeechStopped',
+  USER_TRANSCRIPTION_DELTA: 'UserTranscriptionDelta',
+  USER_TRANSCRIPTION: 'UserTranscription',
+  USER_TRANSCRIPTION_FAILED: 'UserTranscriptionFailed',
+  RESPONSE_AUDIO_DELTA: 'ResponseAudioDelta',
+  RESPONSE_AUDIO_DONE: 'ResponseAudioDone',
+  AUDIO_TIMESTAMP_DELTA: 'AudioTimestampDelta',
+  RESPONSE_AUDIO_TRANSCRIPT_DELTA: 'ResponseAudioTranscriptDelta',
+  RESPONSE_AUDIO_TRANSCRIPT_DONE: 'ResponseAudioTranscriptDone',
+  FUNCTION_CALL_ARGUMENTS_DELTA: 'FunctionCallArgumentsDelta',
+  FUNCTION_CALL_ARGUMENTS_DONE: 'FunctionCallArgumentsDone',
+  FUNCTION_CALL_COMPLETED: 'FunctionCallCompleted',
+  FUNCTION_CALL_FAILED: 'FunctionCallFailed'
+};
+
+/**
+ * Alternative spellings for each canonical session event
+ */
+const SESSION_EVENT_ALIASES = {
+  [SESSION_EVENTS.SESSION_CREATED]: ['session.created'],
+  [SESSION_EVENTS.SESSION_UPDATED]: ['session.updated'],
+  [SESSION_EVENTS.SESSION_DISCONNECTED]: ['SessionClosed', 'SessionEnded', 'Disconnected'],
+  [SESSION_EVENTS.RESPONSE_CREATED]: ['response.created'],
+  [SESSION_EVENTS.RESPONSE_OUTPUT_ITEM_ADDED]: ['response.output_item.added'],
+  [SESSION_EVENTS.RESPONSE_DONE]: ['response.done'],
+  [SESSION_EVENTS.RATE_LIMITS_UPDATED]: ['rate_limits.updated'],
+  [SESSION_EVENTS.SESSION_ERROR]: ['Error', 'error'],
+  [SESSION_EVENTS.SESSION_INFO]: ['Info'],
+  [SESSION_EVENTS.SPEECH_STARTED]: ['input_audio_buffer.speech_started'],
+  [SESSION_EVENTS.SPEECH_STOPPED]: ['input_audio_buffer.speech_stopped'],
+  [SESSION_EVENTS.USER_TRANSCRIPTION_DELTA]: ['conversation.item.input_audio_transcription.delta'],
+  [SESSION_EVENTS.USER_TRANSCRIPTION]: ['conversation.item.input_audio_transcription.completed'],
+  [SESSION_EVENTS.USER_TRANSCRIPTION_FAILED]: ['conversation.item.input_audio_transcription.failed'],
+  [SESSION_EVENTS.RESPONSE_AUDIO_DELTA]: ['response.audio.delta'],
+  [SESSION_EVENTS.RESPONSE_AUDIO_DONE]: ['response.audio.done'],
+  [SESSION_EVENTS.AUDIO_TIMESTAMP_DELTA]: ['response.audio_timestamp.delta'],
+  [SESSION_EVENTS.RESPONSE_AUDIO_TRANSCRIPT_DELTA]: ['response.audio_transcript.delta'],
+  [SESSION_EVENTS.RESPONSE_AUDIO_TRANSCRIPT_DONE]: ['response.audio_transcript.done'],
+  [SESSION_EVENTS.FUNCTION_CALL_ARGUMENTS_DELTA]: ['response.function_call_arguments.delta'],
+  [SESSION_EVENTS.FUNCTION_CALL_ARGUMENTS_DONE]: ['response.function_call_arguments.done']
+};
+
+// Reverse lookup: any spelling -> canonical name
+const SESSION_EVENT_LOOKUP = Object.entries(SESSION_EVENT_ALIASES).reduce((lookup, [canonical, aliases]) => {
+  aliases.forEach(alias => { lookup[alias] = canonical; });
+  return lookup;
+}, Object.values(SESSION_EVENTS).reduce((lookup, name) => {
+  lookup[name] = name;
+  return lookup;
+}, {}));
+
+/**
+ * Message schemas
+ * Each field declares its type, whether it is required and an optional default.
+ * Object fields with pascalKeys also get their own keys normalized (one level).
+ * Field names are PascalCase, matching the normalized form.
+ */
+export const MESSAGE_SCHEMAS = {
+  // Outbound
+  [MESSAGE_KINDS.CONFIG]: {
+    direction: 'outbound',
+    fields: {
+      WelcomeMessage: { type: 'string', default: '' },
+      VoiceModel: { type: 'string', required: true },
+      Voice: { type: 'string', required: true },
+      VoiceLiveEndpoint: { type: 'string', default: '' },
+      VoiceLiveApiKey: { type: 'string', default: '' },
+      VoiceModelInstructions: { type: 'string', default: '' },
+      Locale: { type: 'string', default: 'en-US' },
+      FoundryAgentId: { type: 'string', default: '' },
+      FoundryProjectName: { type: 'string', default: '' },
+      PushToTalk: { type: 'boolean', default: false },
+      ResumeSessionId: { type: 'string' },
+      ResumeHistory: { type: 'array' }
+    }
+  },
+  [MESSAGE_KINDS.MESSAGE]: {
+    direction: 'outbound',
+    fields: {
+      Text: { type: 'string', default: '' }
+    }
+  },
+  [MESSAGE_KINDS.STOP]: {
+    direction: 'outbound',
+    fields: {}
+  },
+  // Push-to-talk released: commit the buffered user audio and request a response
+  [MESSAGE_KINDS.COMMIT]: {
+    direction: 'outbound',
+    fields: {}
+  },
+  // Barge-in: the user interrupted the agent after AudioEndMs of the response was heard
+  [MESSAGE_KINDS.INTERRUPT]: {
+    direction: 'outbound',
+    fields: {
+      ResponseId: { type: 'string', default: '' },
+      ItemId: { type: 'string', default: '' },
+      AudioEndMs: { type: 'number', required: true },
+      CancelResponse: { type: 'boolean', default: false }
+    }
+  },
+
+  // Inbound
+  [MESSAGE_KINDS.TRANSCRIPTION]: {
+    direction: 'inbound',
+    fields: {
+      Text: { type: 'string', required: true },
+      Role: { type: 'string', enum: ['user', 'agent'], default: 'agent' }
+    }
+  },
+  [MESSAGE_KINDS.SESSION_EVENT]: {
+    direction: 'inbound',
+    fields: {
+      Event: { type: 'string', required: true },
+      Payload: { type: 'object', nullable: true, default: null, pascalKeys: true }
+    }
+  },
+  [MESSAGE_KINDS.STOP_AUDIO]: {
+    direction: 'inbound',
+    fields: {}
+  },
+  // Response audio as base64 PCM16, sent instead of binary frames to clients that do not take raw audio
+  [MESSAGE_KINDS.AUDIO_DATA]: {
+    direction: 'inbound',
+    fields: {
+      AudioData: { type: 'object', nullable: true, default: null, pascalKeys: true }, // { Data }
+      StopAudio: { type: 'object', nullable: true, default: null, pascalKeys: true }
+    }
+  },
+  [MESSAGE_KINDS.ERROR]: {
+    direction: 'inbound',
+    fields: {
+      Message: { type: 'string', default: '' },
+      Error: { type: 'string', default: '' }
+    }
+  }
+};
+
+/**
+ * Error raised when a frame does not match its schema
+ */
+export class ProtocolError extends Error {
+  /**
+   * @param {string} message - Human readable description
+   * @param {string|null} field - Offending field (dotted path), if any
+   * @param {*} raw - The raw frame that failed validation
+   */
+  constructor(message, field = null, raw = null) {
+    super(message);
+    this.name = 'ProtocolError';
+    this.field = field;
+    this.raw = raw;
+  }
+}
+
+/**
+ * Convert a single key to PascalCase
+ * Handles camelCase ("audioLength"), snake_case ("audio_offset_ms") and dotted keys.
+ * @param {string} key - Original key
+ * @returns {string} - PascalCase key
+ */
+export function toPascalCaseKey(key) {
+  if (typeof key !== 'string' || key.length === 0) return key;
+  return key
+    .split(/[_.]/)
+    .filter(part => part.length > 0)
+    .map(part => part.charAt(0).toUpperCase() + part.slice(1))
+    .join('');
+}
+
+/**
+ * Normalize the keys of an object to PascalCase
+ * Only the object's own keys are renamed; nested values are left as they are.
+ * @param {Object} value - Plain object
+ * @returns {Object} - Shallow copy with normalized keys
+ */
+export function normalizeKeys(value) {
+  const normalized = {};
+  Object.entries(value).forEach(([key, inner]) => {
+    normalized[toPascalCaseKey(key)] = inner;
+  });
+  return normalized;
+}
+
+/**
+ * Resolve any session event spelling to its canonical name
+ * @param {string} eventName - Event name as received
+ * @returns {string} - Canonical name, or the original name if unknown
+ */
+export function resolveSessionEvent(eventName) {
+  return SESSION_EVENT_LOOKUP[eventName] || eventName;
+}
+
+/**
+ * Get the JavaScript type of a value as used in schemas
+ * @param {*} value
+ * @returns {string}
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Validate fields against a schema and apply defaults
+ * @param {string} kind - Message kind
+ * @param {Object} fields - Fields with normalized keys (without Kind)
+ * @param {*} raw - Raw frame for error reporting
+ * @returns {Object} - Validated fields
+ * @throws {ProtocolError}
+ */
+function validateFields(kind, fields, raw) {
+  const schema = MESSAGE_SCHEMAS[kind];
+  const validated = { ...fields };
+
+  Object.entries(schema.fields).forEach(([name, rule]) => {
+    const value = fields[name];
+
+    if (value === undefined || (value === null && !rule.nullable)) {
+      if (rule.required) {
+        throw new ProtocolError(`${kind}: missing required field "${name}"`, name, raw);
+      }
+      if (rule.default !== undefined) {
+        validated[name] = rule.default;
+      } else {
+        delete validated[name];
+      }
+      return;
+    }
+
+    if (value === null) return;
+
+    const actual = typeOf(value);
+    if (actual !== rule.type) {
+      throw new ProtocolError(`${kind}: field "${name}" must be ${rule.type}, got ${actual}`, name, raw);
+    }
+
+    if (rule.enum && !rule.enum.includes(value)) {
+      throw new ProtocolError(`${kind}: field "${name}" must be one of ${rule.enum.join(', ')}, got "${value}"`, name, raw);
+    }
+
+    if (rule.pascalKeys) {
+      validated[name] = normalizeKeys(value);
+    }
+  });
+
+  return validated;
+}
+
+/**
+ * Parse and validate an inbound JSON frame
+ * @param {string} jsonString - Raw text frame
+ * @returns {{kind: string, fields: Object, raw: Object}} - Typed message
+ * @throws {ProtocolError}
+ */
+export function parseInboundMessage(jsonString) {
+  let raw;
+  try {
+    raw = JSON.parse(jsonString);
+  } catch (error) {
+    throw new ProtocolError(`Invalid JSON: ${error.message}`, null, jsonString);
+  }
+
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) {
+    throw new ProtocolError('Frame must be a JSON object', null, raw);
+  }
+
+  const { Kind: kind, ...fields } = normalizeKeys(raw);
+  if (!kind) {
+    throw new ProtocolError('Missing "Kind" field', 'Kind', raw);
+  }
+
+  const schema = MESSAGE_SCHEMAS[kind];
+  if (!schema || schema.direction !== 'inbound') {
+    throw new ProtocolError(`Unknown message kind "${kind}"`, 'Kind', raw);
+  }
+
+  const validated = validateFields(kind, fields, raw);
+
+  // Session events carry their canonical name alongside the name as sent
+  if (kind === MESSAGE_KINDS.SESSION_EVENT) {
+    validated.EventType = resolveSessionEvent(validated.Event);
+  }
+
+  return { kind, fields: validated, raw };
+}
+
+/**
+ * Build and validate an outbound message
+ * @param {string} kind - Outbound message kind
+ * @param {Object} fields - Message fields (PascalCase)
+ * @returns {Object} - Envelope ready for JSON.stringify
+ * @throws {ProtocolError}
+ */
+export function createOutboundMessage(kind, fields = {}) {
+  const schema = MESSAGE_SCHEMAS[kind];
+  if (!schema || schema.direction !== 'outbound') {
+    throw new ProtocolError(`Unknown outbound message kind "${kind}"`, 'Kind', fields);
+  }
+
+  return { Kind: kind, ...validateFields(kind, normalizeKeys(fields), fields) };
+}
+
+/**
+ * ProtocolDispatcher class
+ * Routes validated inbound messages to handlers registered per message kind
+ * and, for session events, per canonical event name.
+ */
+export class ProtocolDispatcher {
+  constructor() {
+    this.kindHandlers = new Map();
+    this.sessionEventHandlers = new Map();
+  }
+
+  /**
+   * Register a handler for a message kind
+   * @param {string} kind - One of MESSAGE_KINDS
+   * @param {Function} handler - (fields, raw) => void
+   * @returns {ProtocolDispatcher} - this, for chaining
+   */
+  onMessage(kind, handler) {
+    this.kindHandlers.set(kind, handler);
+    return this;
+  }
+
+  /**
+   * Register a handler for a session event
+   * Multiple handlers per event are called in registration order.
+   * @param {string} eventType - One of SESSION_EVENTS
+   * @param {Function} handler - (payload, fields) => void
+   * @returns {ProtocolDispatcher} - this, for chaining
+   */
+  onSessionEvent(eventType, handler) {
+    if (!this.sessionEventHandlers.has(eventType)) {
+      this.sessionEventHandlers.set(eventType, []);
+    }
+    this.sessionEventHandlers.get(eventType).push(handler);
+    return this;
+  }
+
+  /**
+   * Dispatch a typed message
+   * @param {{kind: string, fields: Object, raw: Object}} message - Result of parseInboundMessage
+   * @returns {boolean} - True if a handler was found
+   */
+  dispatch(message) {
+    const handler = this.kindHandlers.get(message.kind);
+    if (!handler) return false;
+    handler(message.fields, message.raw);
+    return true;
+  }
+
+  /**
+   * Dispatch a session event to its registered handlers
+   * @param {Object} fields - Validated SessionEvent fields (Event, EventType, Payload)
+   * @returns {boolean} - True if at least one handler was found
+   */
+  dispatchSessionEvent(fields) {
+    const handlers = this.sessionEventHandlers.get(fields.EventType) || [];
+    handlers.forEach(handler => handler(fields.Payload, fields));
+    return handlers.length > 0;
+  }
+}
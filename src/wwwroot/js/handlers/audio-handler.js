@@ -1,11 +1,12 @@
 /**
  * Audio Handler Module
  * 
- * Manages microphone capture, audio playback queue, RMS calculation,
+ * Manages microphone capture, the playback jitter buffer, RMS calculation,
  * and audio resampling for the voice agent application.
  */
 
-import { AUDIO_CONFIG } from '../core/config.js';
+import { AUDIO_CONFIG, BARGE_IN_CONFIG, JITTER_BUFFER_CONFIG, REPLAY_CONFIG, VAD_CONFIG } from '../core/config.js';
+import { eventBus as appEventBus, APP_EVENTS } from '../core/event-bus.js';
 import { showToast } from '../ui/ui-utils.js';
 
 /**
@@ -15,9 +16,11 @@ import { showToast } from '../ui/ui-utils.js';
 export class AudioHandler {
   /**
    * @param {Function} onRMS - Callback for RMS values: (rms, source) => void
+   * @param {EventBus} eventBus - Bus for local speech events (defaults to the app bus)
    */
-  constructor(onRMS) {
+  constructor(onRMS, eventBus = appEventBus) {
     this.onRMS = onRMS || (() => {});
+    this.eventBus = eventBus;
     
     // Audio context for processing
     this.audioContext = null;
@@ -28,11 +31,71 @@ export class AudioHandler {
     this.audioWorkletNode = null;
     this.isMuted = true;
     
+    // Selected devices ('' follows the system default)
+    this.inputDeviceId = '';
+    this.outputDeviceId = '';
+    this.isRebinding = false;
+    this.handleDeviceChange = this.handleDeviceChange.bind(this);
+    
+    // Push-to-talk: microphone audio only flows while the talk control is held
+    this.pushToTalk = false;
+    this.isTransmitting = false;
+    this.pendingFlush = null; // Resolves endTransmission() when the worklet has flushed
+    
+    // Client-side voice activity detection (runs in the worklet)
+    this.vadOptions = {
+      enabled: false,
+      suppressSilence: false,
+      energyThreshold: VAD_CONFIG.ENERGY_THRESHOLD,
+      zcrMin: VAD_CONFIG.ZCR_MIN,
+      zcrMax: VAD_CONFIG.ZCR_MAX,
+      hangoverBlocks: VAD_CONFIG.HANGOVER_BLOCKS,
+      preRollBlocks: VAD_CONFIG.PRE_ROLL_BLOCKS
+    };
+    this.isUserSpeaking = false;
+    
     // Playback state
-    this.playbackQueue = []; // Queue of audio buffers to play
-    this.isPlaying = false;
-    this.currentPlaybackSource = null;
+    this.playbackQueue = []; // { buffer, responseId }: PCM16 chunks received but not scheduled yet
+    this.queuedMs = 0; // Duration of playbackQueue
+    this.scheduledSources = []; // { source, startTime, durationMs, isConcealment, responseId, offsetMs } on the AudioContext timeline
+    this.nextPlayTime = 0; // AudioContext time where the next chunk is scheduled
+    this.isPlaying = false; // Buffer primed and chunks being scheduled
+    this.isScheduling = false; // Decode/schedule loop running
+    this.playbackGeneration = 0; // Bumped by stopPlayback() to abandon in-flight decodes
+    this.streamComplete = true; // No more audio expected for the current response
+    this.primeTimer = null;
+    this.isTrackingRMS = false;
     this.analyserNode = null;
+    this.outputGainNode = null; // Used to duck playback on barge-in
+    this.playbackSuppressed = false; // Drop incoming audio after an interruption
+    
+    // Jitter buffer: target depth adapts to the observed inter-arrival jitter
+    this.targetDepthMs = JITTER_BUFFER_CONFIG.INITIAL_TARGET_MS;
+    this.jitterMs = 0;
+    this.lastArrivalTime = null;
+    this.lastChunkMs = 0;
+    this.lastScheduledBuffer = null; // Source of the underrun concealment
+    this.underrunCount = 0;
+    this.concealedMs = 0;
+    this.lastStatsTime = 0;
+    
+    // Audio clock of each response (for transcript synchronization, see getResponsePositionMs())
+    this.responseSchedule = { responseId: null, scheduledMs: 0 }; // Response audio scheduled so far
+    this.responseClock = { responseId: null, positionMs: 0 }; // Position while none of its chunks is playing
+    
+    // Optional SessionRecorder fed with sent microphone blocks and played agent chunks
+    this.recorder = null;
+    
+    // Agent audio kept per response id for replay (oldest first)
+    this.responseAudio = new Map(); // responseId -> { chunks: ArrayBuffer[], durationMs }
+    this.currentResponseId = null;
+    this.replaySource = null;
+    
+    // The end of the response audio tells a drained buffer apart from an underrun
+    this.unsubscribers = [
+      this.eventBus.on(APP_EVENTS.RESPONSE_AUDIO_DONE, () => this.endPlaybackStream()),
+      this.eventBus.on(APP_EVENTS.RESPONSE_CREATED, (payload) => this.startResponseAudio(payload?.ResponseId))
+    ];
     
     // For frequency analysis
     this.frequencyData = null;
@@ -46,9 +109,7 @@ export class AudioHandler {
     try {
       // Create audio context if needed
       if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-          sampleRate: AUDIO_CONFIG.SAMPLE_RATE_INPUT
-        });
+        this.createAudioContext({ sampleRate: AUDIO_CONFIG.SAMPLE_RATE_INPUT });
       }
       
       // Resume context if suspended
@@ -57,14 +118,8 @@ export class AudioHandler {
       }
       
       // Request microphone access
-      this.mediaStream = await navigator.mediaDevices.getUserMedia({
-        audio: {
-          echoCancellation: true,
-          noiseSuppression: true,
-          autoGainControl: true,
-          sampleRate: AUDIO_CONFIG.SAMPLE_RATE_INPUT
-        }
-      });
+      this.mediaStream = await this.openMicrophoneStream();
+      this.watchMicrophoneTrack(this.mediaStream);
       
       // Create media stream source
       this.micSource = this.audioContext.createMediaStreamSource(this.mediaStream);
@@ -90,30 +145,21 @@ export class AudioHandler {
       }
 
       // Create AudioWorkletNode
-      this.audioWorkletNode = new AudioWorkletNode(this.audioContext, 'audio-processor');
+      this.audioWorkletNode = new AudioWorkletNode(this.audioContext, 'audio-processor', {
+        processorOptions: { vad: { ...this.vadOptions } }
+      });
 
       // Handle messages from processor
-      this.audioWorkletNode.port.onmessage = (event) => {
-        const { type, rms, buffer } = event.data;
-        
-        if (type === 'audio-data') {
-          // RMS callback (only when not muted, otherwise visualizer stays animated)
-          if (!this.isMuted) {
-            this.onRMS(rms, 'user');
-          }
-          
-          // Audio data callback (if not muted)
-          if (!this.isMuted && this.onAudioData) {
-            this.onAudioData(buffer);
-          }
-        }
-      };
+      this.audioWorkletNode.port.onmessage = (event) => this.handleProcessorMessage(event.data);
 
       // Connect audio graph: microphone -> worklet
       this.micSource.connect(this.audioWorkletNode);
       // Note: AudioWorkletNode doesn't need to be connected to destination to run,
       // unlike ScriptProcessorNode. We avoid connecting to destination to prevent feedback.
       
+      // Follow headsets being plugged in or out while the microphone runs
+      navigator.mediaDevices.addEventListener?.('devicechange', this.handleDeviceChange);
+      
       this.isMuted = false;
       
     } catch (error) {
@@ -123,10 +169,371 @@ export class AudioHandler {
     }
   }
   
+  /**
+   * Create the shared AudioContext, routed to the selected output device
+   * @param {Object} options - AudioContext options
+   */
+  createAudioContext(options) {
+    this.audioContext = new (window.AudioContext || window.webkitAudioContext)(options);
+    if (this.outputDeviceId) {
+      this.applyOutputDevice();
+    }
+  }
+  
+  /**
+   * Open the selected microphone, falling back to the default one if it is gone
+   * @returns {Promise<MediaStream>}
+   */
+  async openMicrophoneStream() {
+    const audio = {
+      echoCancellation: true,
+      noiseSuppression: true,
+      autoGainControl: true,
+      sampleRate: AUDIO_CONFIG.SAMPLE_RATE_INPUT
+    };
+    
+    if (this.inputDeviceId) {
+      try {
+        return await navigator.mediaDevices.getUserMedia({
+          audio: { ...audio, deviceId: { exact: this.inputDeviceId } }
+        });
+      } catch (error) {
+        if (error.name !== 'OverconstrainedError' && error.name !== 'NotFoundError') {
+          throw error;
+        }
+        console.warn('[AudioHandler] Selected microphone unavailable, using the default device');
+      }
+    }
+    
+    return navigator.mediaDevices.getUserMedia({ audio });
+  }
+  
+  /**
+   * Re-bind the microphone when its track ends (device unplugged)
+   * @param {MediaStream} stream - Microphone stream
+   */
+  watchMicrophoneTrack(stream) {
+    const track = stream.getAudioTracks()[0];
+    if (track) {
+      track.onended = () => this.handleDeviceChange();
+    }
+  }
+  
+  /**
+   * List the audio input and output devices
+   * Labels are empty until microphone permission has been granted.
+   * @returns {Promise<{inputs: Array, outputs: Array}>} - Lists of { deviceId, groupId, label }
+   */
+  static async listAudioDevices() {
+    if (!navigator.mediaDevices?.enumerateDevices) {
+      return { inputs: [], outputs: [] };
+    }
+    
+    const devices = await navigator.mediaDevices.enumerateDevices();
+    const toInfo = (device) => ({ deviceId: device.deviceId, groupId: device.groupId, label: device.label });
+    
+    return {
+      inputs: devices.filter(d => d.kind === 'audioinput' && d.deviceId).map(toInfo),
+      outputs: devices.filter(d => d.kind === 'audiooutput' && d.deviceId).map(toInfo)
+    };
+  }
+  
+  /**
+   * Check whether the browser can route playback to a chosen output device
+   * @returns {boolean}
+   */
+  static supportsOutputSelection() {
+    return typeof AudioContext !== 'undefined' && 'setSinkId' in AudioContext.prototype;
+  }
+  
+  /**
+   * Select the microphone; a running microphone is switched immediately
+   * @param {string} deviceId - Device ID ('' for the system default)
+   * @returns {Promise<void>}
+   */
+  async setInputDevice(deviceId) {
+    const changed = (deviceId || '') !== this.inputDeviceId;
+    this.inputDeviceId = deviceId || '';
+    
+    if (changed && this.audioWorkletNode) {
+      await this.rebindMicrophone();
+    }
+  }
+  
+  /**
+   * Select the playback device (ignored where setSinkId is not supported)
+   * @param {string} deviceId - Device ID ('' for the system default)
+   * @returns {Promise<void>}
+   */
+  async setOutputDevice(deviceId) {
+    this.outputDeviceId = deviceId || '';
+    
+    if (this.audioContext) {
+      await this.applyOutputDevice();
+    }
+  }
+  
+  /**
+   * Route the AudioContext to the selected output device
+   * @returns {Promise<void>}
+   */
+  async applyOutputDevice() {
+    if (!this.audioContext || typeof this.audioContext.setSinkId !== 'function') {
+      return;
+    }
+    if (this.audioContext.sinkId === this.outputDeviceId) {
+      return;
+    }
+    
+    try {
+      await this.audioContext.setSinkId(this.outputDeviceId);
+    } catch (error) {
+      console.warn('[AudioHandler] Could not select the output device:', error);
+    }
+  }
+  
+  /**
+   * Replace the microphone source feeding the worklet, keeping the worklet (and the connection) alive
+   * @returns {Promise<boolean>} - True if the microphone was switched
+   */
+  async rebindMicrophone() {
+    if (!this.audioWorkletNode || this.isRebinding) {
+      return false;
+    }
+    
+    this.isRebinding = true;
+    try {
+      const stream = await this.openMicrophoneStream();
+      
+      // The microphone was stopped while the new device was opening
+      if (!this.audioWorkletNode) {
+        stream.getTracks().forEach(track => track.stop());
+        return false;
+      }
+      
+      // Connect the new source before dropping the old one so the worklet is never left without input
+      const source = this.audioContext.createMediaStreamSource(stream);
+      source.connect(this.audioWorkletNode);
+      
+      if (this.micSource) {
+        this.micSource.disconnect();
+      }
+      if (this.mediaStream) {
+        this.mediaStream.getTracks().forEach(track => {
+          track.onended = null;
+          track.stop();
+        });
+      }
+      
+      this.micSource = source;
+      this.mediaStream = stream;
+      this.watchMicrophoneTrack(stream);
+      
+      const track = stream.getAudioTracks()[0];
+      this.eventBus.emit(APP_EVENTS.AUDIO_INPUT_SWITCHED, {
+        deviceId: track?.getSettings?.().deviceId || '',
+        label: track?.label || ''
+      });
+      return true;
+    } catch (error) {
+      console.error('[AudioHandler] Error switching microphone:', error);
+      return false;
+    } finally {
+      this.isRebinding = false;
+    }
+  }
+  
+  /**
+   * Handle devices being added or removed
+   * Re-binds the microphone when its device disappeared, when the selected device
+   * came back, or when the system default changed while following it.
+   */
+  async handleDeviceChange() {
+    let devices;
+    try {
+      devices = await AudioHandler.listAudioDevices();
+    } catch (error) {
+      console.warn('[AudioHandler] Could not list audio devices:', error);
+      return;
+    }
+    
+    this.eventBus.emit(APP_EVENTS.AUDIO_DEVICES_CHANGED, devices);
+    
+    // The selected speaker came back
+    if (this.outputDeviceId && devices.outputs.some(d => d.deviceId === this.outputDeviceId)) {
+      this.applyOutputDevice();
+    }
+    
+    if (!this.mediaStream || !this.audioWorkletNode) return;
+    
+    const track = this.mediaStream.getAudioTracks()[0];
+    const settings = track?.getSettings?.() || {};
+    const inputIds = devices.inputs.map(d => d.deviceId);
+    
+    const trackLost = !track || track.readyState === 'ended' ||
+      (settings.deviceId && !inputIds.includes(settings.deviceId));
+    const selectedReturned = this.inputDeviceId !== '' &&
+      settings.deviceId !== this.inputDeviceId &&
+      inputIds.includes(this.inputDeviceId);
+    const defaultDevice = devices.inputs.find(d => d.deviceId === 'default');
+    const defaultChanged = this.inputDeviceId === '' && defaultDevice && settings.groupId &&
+      defaultDevice.groupId !== settings.groupId;
+    
+    if (trackLost || selectedReturned || defaultChanged) {
+      await this.rebindMicrophone();
+    }
+  }
+  
+  /**
+   * Handle a message posted by the audio worklet
+   * @param {Object} data - { type, rms, buffer }
+   */
+  handleProcessorMessage(data) {
+    const { type, rms, buffer } = data;
+    
+    const isOpen = this.isCaptureOpen();
+    
+    switch (type) {
+      case 'audio-data':
+        // RMS callback (only when not muted, otherwise visualizer stays animated)
+        // Pre-roll blocks carry no RMS: their level was already reported
+        if (isOpen && rms !== null) {
+          this.onRMS(rms, 'user');
+        }
+        
+        if (isOpen && this.recorder) {
+          this.recorder.addUserAudio(buffer);
+        }
+        
+        // Audio data callback (if not muted)
+        if (isOpen && this.onAudioData) {
+          this.onAudioData(buffer);
+        }
+        break;
+        
+      case 'audio-level':
+        // Silent block withheld by the VAD: only drives the visualizer
+        if (isOpen) {
+          this.onRMS(rms, 'user');
+        }
+        break;
+        
+      case 'flushed':
+        if (this.pendingFlush) {
+          this.pendingFlush();
+        }
+        break;
+        
+      case 'speech-start':
+        this.isUserSpeaking = true;
+        if (isOpen) {
+          this.eventBus.emit(APP_EVENTS.LOCAL_SPEECH_STARTED, { rms });
+        }
+        break;
+        
+      case 'speech-end':
+        // Always published once speech started, so subscribers are never left waiting
+        if (this.isUserSpeaking) {
+          this.isUserSpeaking = false;
+          this.eventBus.emit(APP_EVENTS.LOCAL_SPEECH_STOPPED, { rms });
+        }
+        break;
+    }
+  }
+  
+  /**
+   * Check whether microphone audio is currently forwarded
+   * @returns {boolean}
+   */
+  isCaptureOpen() {
+    return !this.isMuted && (!this.pushToTalk || this.isTransmitting);
+  }
+  
+  /**
+   * Enable or disable push-to-talk gating
+   * @param {boolean} enabled - True to forward audio only while transmitting
+   */
+  setPushToTalk(enabled) {
+    this.pushToTalk = enabled === true;
+    this.isTransmitting = false;
+  }
+  
+  /**
+   * Open or close the push-to-talk gate
+   * @param {boolean} transmitting - True while the talk control is held
+   */
+  setTransmitting(transmitting) {
+    this.isTransmitting = transmitting === true;
+    // A new press cancels the gate closing of a previous release
+    this.pendingFlush = null;
+  }
+  
+  /**
+   * Close the push-to-talk gate once the worklet has delivered the audio captured so far
+   * The worklet sends 4096-sample blocks, so up to ~170 ms would otherwise be lost on release.
+   * @returns {Promise<void>} - Resolves when the last block has been passed to onAudioData
+   */
+  endTransmission() {
+    return new Promise((resolve) => {
+      if (!this.audioWorkletNode || !this.isTransmitting) {
+        this.isTransmitting = false;
+        resolve();
+        return;
+      }
+      
+      const finish = () => {
+        clearTimeout(timer);
+        // Still the latest release (the user has not pressed again meanwhile)
+        if (this.pendingFlush === finish) {
+          this.pendingFlush = null;
+          this.isTransmitting = false;
+        }
+        resolve();
+      };
+      const timer = setTimeout(finish, AUDIO_CONFIG.FLUSH_TIMEOUT_MS);
+      
+      this.pendingFlush = finish;
+      this.audioWorkletNode.port.postMessage({ type: 'flush' });
+    });
+  }
+  
+  /**
+   * Configure client-side voice activity detection
+   * Applied immediately when the microphone is running, otherwise on the next start.
+   * @param {Object} options - Partial options: { enabled, suppressSilence, energyThreshold, zcrMin, zcrMax, hangoverBlocks, preRollBlocks }
+   */
+  setVadOptions(options = {}) {
+    this.vadOptions = { ...this.vadOptions, ...options };
+    
+    if (this.audioWorkletNode) {
+      this.audioWorkletNode.port.postMessage({ type: 'vad-config', ...this.vadOptions });
+    }
+  }
+  
+  /**
+   * Check whether the local VAD currently detects the user speaking
+   * @returns {boolean}
+   */
+  isSpeechDetected() {
+    return this.isUserSpeaking;
+  }
+  
+  /**
+   * Check whether the browser cancels the agent's echo in the microphone signal
+   * Not every device honours the echoCancellation constraint; the track settings tell.
+   * @returns {boolean}
+   */
+  isEchoCancelled() {
+    const track = this.mediaStream?.getAudioTracks()[0];
+    return track?.getSettings?.().echoCancellation === true;
+  }
+  
   /**
    * Stop microphone capture
    */
   stopMicrophone() {
+    navigator.mediaDevices?.removeEventListener?.('devicechange', this.handleDeviceChange);
+    
     // Disconnect audio worklet
     if (this.audioWorkletNode) {
       this.audioWorkletNode.disconnect();
@@ -141,13 +548,29 @@ export class AudioHandler {
     
     // Stop all media tracks
     if (this.mediaStream) {
-      this.mediaStream.getTracks().forEach(track => track.stop());
+      this.mediaStream.getTracks().forEach(track => {
+        track.onended = null;
+        track.stop();
+      });
       this.mediaStream = null;
     }
     
+    if (this.isUserSpeaking) {
+      this.isUserSpeaking = false;
+      this.eventBus.emit(APP_EVENTS.LOCAL_SPEECH_STOPPED, { rms: 0 });
+    }
+    
     this.isMuted = true;
   }
   
+  /**
+   * Record the session audio (or stop recording with null)
+   * @param {SessionRecorder|null} recorder
+   */
+  setRecorder(recorder) {
+    this.recorder = recorder;
+  }
+  
   /**
    * Set callback for audio data (PCM16 from microphone)
    * @param {Function} callback - (arrayBuffer) => void
@@ -178,6 +601,10 @@ export class AudioHandler {
    * @param {string} base64Audio - Base64 encoded audio data
    */
   async queueAudio(base64Audio) {
+    if (this.playbackSuppressed) {
+      return;
+    }
+    
     try {
       // Decode base64 to ArrayBuffer
       const binaryString = atob(base64Audio);
@@ -186,35 +613,116 @@ export class AudioHandler {
         bytes[i] = binaryString.charCodeAt(i);
       }
       
-      // Add to queue
-      this.playbackQueue.push(bytes.buffer);
-      
-      // Start playback if not already playing and queue has enough buffered
-      if (!this.isPlaying && this.playbackQueue.length >= AUDIO_CONFIG.MIN_BUFFER_SIZE) {
-        this.playNextAudio();
-      }
+      this.queueAudioBuffer(bytes.buffer);
     } catch (error) {
       console.error('Error queuing audio:', error);
     }
   }
   
   /**
-   * Play next audio chunk from queue
+   * Queue audio for playback (raw PCM16, e.g. a binary WebSocket frame)
+   * Chunks are held until the buffered depth reaches the adaptive target, then
+   * scheduled back-to-back on the AudioContext timeline.
+   * @param {ArrayBuffer} pcm16Buffer - PCM16 audio data
+   */
+  queueAudioBuffer(pcm16Buffer) {
+    if (this.playbackSuppressed) {
+      return;
+    }
+    
+    const durationMs = (pcm16Buffer.byteLength / 2) / AUDIO_CONFIG.SAMPLE_RATE_INPUT * 1000;
+    this.retainResponseAudio(pcm16Buffer, durationMs);
+    
+    // First chunk of a response; after an underrun the stream goes on and the stall counts as jitter
+    if (this.streamComplete) {
+      this.streamComplete = false;
+      this.lastArrivalTime = null;
+      // The agent speaking again ends a replay
+      this.stopReplay();
+    }
+    this.updateJitter(performance.now(), durationMs);
+    
+    this.playbackQueue.push({ buffer: pcm16Buffer, responseId: this.currentResponseId });
+    this.queuedMs += durationMs;
+    
+    if (this.isPlaying) {
+      this.scheduleQueuedAudio();
+    } else if (this.queuedMs >= this.targetDepthMs) {
+      this.startScheduledPlayback();
+    } else if (!this.primeTimer) {
+      // A slow trickle (or a response shorter than the target) must still play
+      this.primeTimer = setTimeout(() => this.startScheduledPlayback(), JITTER_BUFFER_CONFIG.MAX_PRIME_WAIT_MS);
+    }
+    
+    this.emitPlaybackStats();
+  }
+  
+  /**
+   * Mark the current stream as complete (no more audio expected for this response)
+   * Draining the buffer afterwards is the normal end of playback, not an underrun.
+   */
+  endPlaybackStream() {
+    this.streamComplete = true;
+    
+    // Whatever is still being primed will not grow any further
+    if (!this.isPlaying && this.playbackQueue.length > 0) {
+      this.startScheduledPlayback();
+    }
+  }
+  
+  /**
+   * Update the inter-arrival jitter estimate and the target buffer depth
+   * Only late arrivals count: chunks sent faster than real time just sit in the buffer.
+   * @param {number} arrivalTime - performance.now() of the arrival
+   * @param {number} durationMs - Duration of the arriving chunk
    */
-  async playNextAudio() {
-    // Check if queue is empty
-    if (this.playbackQueue.length === 0) {
-      this.isPlaying = false;
+  updateJitter(arrivalTime, durationMs) {
+    if (this.lastArrivalTime !== null) {
+      const lateMs = Math.max(0, (arrivalTime - this.lastArrivalTime) - this.lastChunkMs);
+      this.jitterMs += (lateMs - this.jitterMs) * JITTER_BUFFER_CONFIG.JITTER_SMOOTHING;
+      this.targetDepthMs = Math.min(
+        JITTER_BUFFER_CONFIG.MAX_TARGET_MS,
+        Math.max(JITTER_BUFFER_CONFIG.MIN_TARGET_MS, this.jitterMs * JITTER_BUFFER_CONFIG.JITTER_MULTIPLIER)
+      );
+    }
+    this.lastArrivalTime = arrivalTime;
+    this.lastChunkMs = durationMs;
+  }
+  
+  /**
+   * Start (or resume after an underrun) scheduling the buffered chunks
+   */
+  startScheduledPlayback() {
+    clearTimeout(this.primeTimer);
+    this.primeTimer = null;
+    
+    if (this.isPlaying || this.playbackQueue.length === 0) {
       return;
     }
     
     this.isPlaying = true;
-    const arrayBuffer = this.playbackQueue.shift();
+    // Leave headroom for decoding the first chunk; a concealment tail may still be playing
+    const now = this.audioContext ? this.audioContext.currentTime : 0;
+    this.nextPlayTime = Math.max(this.nextPlayTime, now + JITTER_BUFFER_CONFIG.SCHEDULE_LEAD_MS / 1000);
+    this.scheduleQueuedAudio();
+  }
+  
+  /**
+   * Decode queued chunks in order and schedule them on the AudioContext timeline
+   * Runs one loop at a time; stopPlayback() abandons a running loop via playbackGeneration.
+   */
+  async scheduleQueuedAudio() {
+    if (this.isScheduling) {
+      return;
+    }
+    
+    this.isScheduling = true;
+    const generation = this.playbackGeneration;
     
     try {
       // Ensure audio context exists
       if (!this.audioContext) {
-        this.audioContext = new (window.AudioContext || window.webkitAudioContext)();
+        this.createAudioContext();
       }
       
       // Resume context if suspended
@@ -222,68 +730,217 @@ export class AudioHandler {
         await this.audioContext.resume();
       }
       
-      // Convert PCM16 to Float32 and resample to browser's sample rate
-      const audioBuffer = await this.resampleAudio(arrayBuffer);
-      
-      // Create buffer source
-      const source = this.audioContext.createBufferSource();
-      source.buffer = audioBuffer;
-      
-      // Create analyser for frequency visualization
+      // Create analyser for frequency visualization and gain for ducking
       if (!this.analyserNode) {
         this.analyserNode = this.audioContext.createAnalyser();
         this.analyserNode.fftSize = 256;
         this.frequencyData = new Uint8Array(this.analyserNode.frequencyBinCount);
+        this.outputGainNode = this.audioContext.createGain();
+        this.analyserNode.connect(this.outputGainNode);
+        this.outputGainNode.connect(this.audioContext.destination);
       }
       
-      // Connect audio graph: source -> analyser -> destination
-      source.connect(this.analyserNode);
-      this.analyserNode.connect(this.audioContext.destination);
-      
-      // Track RMS during playback
-      const trackPlaybackRMS = () => {
-        if (this.currentPlaybackSource === source) {
-          this.analyserNode.getByteFrequencyData(this.frequencyData);
-          
-          // Calculate RMS from frequency data (focus on speech frequencies 300Hz-3400Hz)
-          const speechBins = this.frequencyData.slice(2, 30); // Approximate speech range
-          let sum = 0;
-          for (let i = 0; i < speechBins.length; i++) {
-            const normalized = speechBins[i] / 255;
-            sum += normalized * normalized;
+      while (this.playbackQueue.length > 0 && generation === this.playbackGeneration) {
+        const { buffer: arrayBuffer, responseId } = this.playbackQueue.shift();
+        
+        // Convert PCM16 to Float32 and resample to browser's sample rate
+        let audioBuffer;
+        try {
+          audioBuffer = await this.resampleAudio(arrayBuffer);
+        } catch (error) {
+          console.error('Error decoding audio chunk:', error);
+          continue;
+        } finally {
+          if (generation === this.playbackGeneration) {
+            this.queuedMs = Math.max(0, this.queuedMs - (arrayBuffer.byteLength / 2) / AUDIO_CONFIG.SAMPLE_RATE_INPUT * 1000);
           }
-          const rms = Math.sqrt(sum / speechBins.length);
-          
-          this.onRMS(rms, 'agent');
-          
-          requestAnimationFrame(trackPlaybackRMS);
         }
-      };
-      
-      // Handle playback completion
-      source.onended = () => {
-        if (this.currentPlaybackSource === source) {
-          this.currentPlaybackSource = null;
-          // Play next audio in queue
-          this.playNextAudio();
+        
+        if (generation !== this.playbackGeneration) break;
+        const startTime = this.scheduleBuffer(audioBuffer, false, responseId);
+        
+        if (this.recorder) {
+          // Record the chunk where it will actually be heard
+          this.recorder.addAgentAudio(arrayBuffer, performance.now() + (startTime - this.audioContext.currentTime) * 1000);
         }
-      };
-      
-      // Start playback
-      this.currentPlaybackSource = source;
-      source.start(0);
-      
-      // Start RMS tracking
-      trackPlaybackRMS();
-      
+      }
     } catch (error) {
       console.error('Error playing audio:', error);
-      this.isPlaying = false;
-      // Try next in queue
-      if (this.playbackQueue.length > 0) {
-        this.playNextAudio();
+    } finally {
+      // A stopped loop must not clear the flag of the loop that replaced it
+      if (generation === this.playbackGeneration) {
+        this.isScheduling = false;
+      }
+    }
+  }
+  
+  /**
+   * Schedule a decoded buffer right after the audio already scheduled
+   * @param {AudioBuffer} audioBuffer - Buffer at the context sample rate
+   * @param {boolean} isConcealment - True for underrun concealment (not part of the response)
+   * @param {string|null} responseId - Response the chunk belongs to
+   * @returns {number} - AudioContext time the buffer starts playing
+   */
+  scheduleBuffer(audioBuffer, isConcealment, responseId = null) {
+    // Connect audio graph: source -> analyser -> gain -> destination
+    const source = this.audioContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(this.analyserNode);
+    
+    const startTime = Math.max(this.nextPlayTime, this.audioContext.currentTime);
+    const entry = {
+      source,
+      startTime,
+      durationMs: audioBuffer.duration * 1000,
+      isConcealment,
+      responseId: isConcealment ? null : responseId,
+      offsetMs: 0 // Offset of the chunk in the response audio
+    };
+    
+    if (entry.responseId) {
+      if (this.responseSchedule.responseId !== entry.responseId) {
+        this.responseSchedule = { responseId: entry.responseId, scheduledMs: 0 };
+      }
+      entry.offsetMs = this.responseSchedule.scheduledMs;
+      this.responseSchedule.scheduledMs += entry.durationMs;
+    }
+    
+    source.onended = () => this.handleSourceEnded(entry);
+    source.start(startTime);
+    
+    this.nextPlayTime = startTime + audioBuffer.duration;
+    this.scheduledSources.push(entry);
+    if (!isConcealment) {
+      this.lastScheduledBuffer = audioBuffer;
+    }
+    
+    this.trackPlaybackRMS();
+    return startTime;
+  }
+  
+  /**
+   * Handle the end of a scheduled source and detect underruns
+   * @param {Object} entry - Scheduled source entry
+   */
+  handleSourceEnded(entry) {
+    const index = this.scheduledSources.indexOf(entry);
+    if (index === -1) return; // Stopped by stopPlayback()
+    
+    this.scheduledSources.splice(index, 1);
+    if (entry.responseId) {
+      this.responseClock = { responseId: entry.responseId, positionMs: entry.offsetMs + entry.durationMs };
+    }
+    
+    // A chunk being decoded is scheduled as soon as it is ready
+    if (this.scheduledSources.length > 0 || this.playbackQueue.length > 0 || this.isScheduling) {
+      return;
+    }
+    
+    // Buffer drained
+    this.isPlaying = false;
+    
+    if (!this.streamComplete && !entry.isConcealment) {
+      // The next chunk of the response is late: fade out instead of cutting to silence,
+      // then buffer up to the target depth again before resuming
+      this.underrunCount++;
+      this.concealUnderrun();
+      console.warn(`[AudioHandler] Playback underrun (${this.underrunCount}), target depth ${Math.round(this.targetDepthMs)} ms`);
+    }
+    
+    this.emitPlaybackStats(true);
+  }
+  
+  /**
+   * Play a faded copy of the tail of the last chunk to mask an underrun
+   */
+  concealUnderrun() {
+    const lastBuffer = this.lastScheduledBuffer;
+    if (!lastBuffer || !this.audioContext) return;
+    
+    const length = Math.min(
+      lastBuffer.length,
+      Math.round(lastBuffer.sampleRate * JITTER_BUFFER_CONFIG.CONCEALMENT_MS / 1000)
+    );
+    if (length === 0) return;
+    
+    const tail = lastBuffer.getChannelData(0).subarray(lastBuffer.length - length);
+    const concealment = this.audioContext.createBuffer(1, length, lastBuffer.sampleRate);
+    const samples = concealment.getChannelData(0);
+    
+    // Short fade-in (the chunk itself ended faded out), then fade out over the rest
+    const fadeIn = Math.min(AUDIO_CONFIG.FADE_SAMPLES, Math.floor(length / 2));
+    for (let i = 0; i < length; i++) {
+      const gain = i < fadeIn ? i / fadeIn : 1 - (i - fadeIn) / (length - fadeIn);
+      samples[i] = tail[i] * gain;
+    }
+    
+    this.concealedMs += concealment.duration * 1000;
+    this.scheduleBuffer(concealment, true);
+  }
+  
+  /**
+   * Report the agent playback level while scheduled audio is playing
+   */
+  trackPlaybackRMS() {
+    if (this.isTrackingRMS) return;
+    this.isTrackingRMS = true;
+    
+    const track = () => {
+      if (this.scheduledSources.length === 0 || !this.analyserNode) {
+        this.isTrackingRMS = false;
+        return;
+      }
+      
+      this.analyserNode.getByteFrequencyData(this.frequencyData);
+      
+      // Calculate RMS from frequency data (focus on speech frequencies 300Hz-3400Hz)
+      const speechBins = this.frequencyData.slice(2, 30); // Approximate speech range
+      let sum = 0;
+      for (let i = 0; i < speechBins.length; i++) {
+        const normalized = speechBins[i] / 255;
+        sum += normalized * normalized;
       }
+      const rms = Math.sqrt(sum / speechBins.length);
+      
+      this.onRMS(rms, 'agent');
+      
+      requestAnimationFrame(track);
+    };
+    
+    track();
+  }
+  
+  /**
+   * Get jitter buffer statistics
+   * @returns {Object} - { underruns, concealedMs, jitterMs, targetDepthMs, latencyMs }
+   */
+  getPlaybackStats() {
+    // Latency added by buffering: audio scheduled ahead of the playhead plus audio not yet scheduled
+    let scheduledAheadMs = 0;
+    if (this.audioContext && this.scheduledSources.length > 0) {
+      scheduledAheadMs = Math.max(0, (this.nextPlayTime - this.audioContext.currentTime) * 1000);
     }
+    
+    return {
+      underruns: this.underrunCount,
+      concealedMs: Math.round(this.concealedMs),
+      jitterMs: Math.round(this.jitterMs),
+      targetDepthMs: Math.round(this.targetDepthMs),
+      latencyMs: Math.round(scheduledAheadMs + this.queuedMs)
+    };
+  }
+  
+  /**
+   * Publish playback stats on the event bus (throttled unless forced)
+   * @param {boolean} force - Publish even if the last event was recent
+   */
+  emitPlaybackStats(force = false) {
+    const now = performance.now();
+    if (!force && now - this.lastStatsTime < JITTER_BUFFER_CONFIG.STATS_INTERVAL_MS) {
+      return;
+    }
+    this.lastStatsTime = now;
+    this.eventBus.emit(APP_EVENTS.PLAYBACK_STATS, this.getPlaybackStats());
   }
   
   /**
@@ -342,20 +999,222 @@ export class AudioHandler {
    * Stop all audio playback
    */
   stopPlayback() {
-    // Clear queue
+    // Clear queue and abandon chunks being decoded
     this.playbackQueue = [];
+    this.queuedMs = 0;
+    this.playbackGeneration++;
+    this.isScheduling = false;
+    clearTimeout(this.primeTimer);
+    this.primeTimer = null;
     
-    // Stop current playback
-    if (this.currentPlaybackSource) {
+    // Audio scheduled after this point was never heard
+    if (this.recorder && this.scheduledSources.length > 0) {
+      this.recorder.truncateAgentAudio();
+    }
+    
+    // Freeze the audio clock where playback stopped
+    const stoppedResponseId = this.scheduledSources.find(entry => entry.responseId)?.responseId;
+    if (stoppedResponseId) {
+      this.responseClock = { responseId: stoppedResponseId, positionMs: this.getResponsePositionMs(stoppedResponseId) ?? 0 };
+    }
+    
+    // Stop everything already scheduled
+    const sources = this.scheduledSources;
+    this.scheduledSources = [];
+    sources.forEach(({ source }) => {
       try {
-        this.currentPlaybackSource.stop();
+        source.stop();
       } catch (e) {
         // Ignore if already stopped
       }
-      this.currentPlaybackSource = null;
-    }
+    });
     
+    this.nextPlayTime = 0;
     this.isPlaying = false;
+    this.streamComplete = true;
+    this.emitPlaybackStats(true);
+  }
+  
+  /**
+   * Start retaining the audio of a new response
+   * @param {string} responseId - Response id (from ResponseCreated)
+   */
+  startResponseAudio(responseId) {
+    this.currentResponseId = responseId || null;
+  }
+  
+  /**
+   * Keep an agent chunk for replay and drop the oldest responses beyond the limit
+   * @param {ArrayBuffer} pcm16Buffer - PCM16 chunk
+   * @param {number} durationMs - Chunk duration
+   */
+  retainResponseAudio(pcm16Buffer, durationMs) {
+    if (!this.currentResponseId) return;
+    
+    let retained = this.responseAudio.get(this.currentResponseId);
+    if (!retained) {
+      retained = { chunks: [], durationMs: 0 };
+      this.responseAudio.set(this.currentResponseId, retained);
+    }
+    retained.chunks.push(pcm16Buffer);
+    retained.durationMs += durationMs;
+    
+    let totalMs = 0;
+    this.responseAudio.forEach(entry => { totalMs += entry.durationMs; });
+    for (const [responseId, entry] of this.responseAudio) {
+      if (totalMs <= REPLAY_CONFIG.MAX_RETAINED_SECONDS * 1000 || responseId === this.currentResponseId) break;
+      this.responseAudio.delete(responseId);
+      totalMs -= entry.durationMs;
+    }
+  }
+  
+  /**
+   * Check whether the audio of a response is still retained
+   * @param {string} responseId - Response id
+   * @returns {boolean}
+   */
+  hasResponseAudio(responseId) {
+    return (this.responseAudio.get(responseId)?.chunks.length || 0) > 0;
+  }
+  
+  /**
+   * Play the retained audio of a response again (outside the jitter buffer)
+   * @param {string} responseId - Response id
+   * @returns {Promise<boolean>} - False if the audio is no longer retained
+   */
+  async replayResponse(responseId) {
+    if (!this.hasResponseAudio(responseId)) return false;
+    
+    this.stopReplay();
+    if (!this.audioContext) {
+      this.createAudioContext();
+    }
+    if (this.audioContext.state === 'suspended') {
+      await this.audioContext.resume();
+    }
+    
+    // Decode the whole response at once so chunk fades do not click between chunks
+    const { chunks } = this.responseAudio.get(responseId);
+    const pcm16 = new Uint8Array(chunks.reduce((sum, chunk) => sum + chunk.byteLength, 0));
+    let offset = 0;
+    chunks.forEach(chunk => {
+      pcm16.set(new Uint8Array(chunk), offset);
+      offset += chunk.byteLength;
+    });
+    const audioBuffer = await this.resampleAudio(pcm16.buffer);
+    
+    const source = this.audioContext.createBufferSource();
+    source.buffer = audioBuffer;
+    source.connect(this.audioContext.destination);
+    source.onended = () => {
+      if (this.replaySource === source) this.replaySource = null;
+    };
+    this.replaySource = source;
+    source.start();
+    return true;
+  }
+  
+  /**
+   * Stop a replay started by replayResponse()
+   */
+  stopReplay() {
+    const source = this.replaySource;
+    this.replaySource = null;
+    if (source) {
+      try {
+        source.stop();
+      } catch (e) {
+        // Ignore if already stopped
+      }
+    }
+  }
+  
+  /**
+   * Check whether agent audio is playing or queued
+   * @returns {boolean}
+   */
+  hasPendingPlayback() {
+    return this.isPlaying || this.playbackQueue.length > 0 || this.scheduledSources.length > 0;
+  }
+  
+  /**
+   * Get the response whose audio is playing (or queued to play next)
+   * The previous response can still be playing after the next one was created.
+   * @returns {string|null}
+   */
+  getPlayingResponseId() {
+    return this.scheduledSources.find(entry => entry.responseId)?.responseId
+      ?? this.playbackQueue.find(chunk => chunk.responseId)?.responseId
+      ?? null;
+  }
+  
+  /**
+   * Get the playback position of a response on the audio clock
+   * Advances with AudioContext.currentTime while the response's chunks play, stands
+   * still during underruns and stays where playback was stopped (e.g. barge-in).
+   * @param {string} responseId - Response id
+   * @returns {number|null} - Milliseconds of the response audio played, null before it starts
+   */
+  getResponsePositionMs(responseId) {
+    if (!responseId) return null;
+    
+    let positionMs = this.responseClock.responseId === responseId ? this.responseClock.positionMs : null;
+    if (this.audioContext) {
+      // currentTime is when samples leave the graph; outputLatency is the way to the speakers
+      const now = this.audioContext.currentTime - (this.audioContext.outputLatency || 0);
+      this.scheduledSources.forEach(({ responseId: id, startTime, durationMs, offsetMs }) => {
+        if (id === responseId && startTime <= now) {
+          positionMs = Math.max(positionMs ?? 0, offsetMs + Math.min((now - startTime) * 1000, durationMs));
+        }
+      });
+    }
+    return positionMs;
+  }
+  
+  /**
+   * Accept the audio of a new response
+   * Re-enables playback if it was suppressed by an interruption.
+   */
+  acceptNextResponse() {
+    // Whatever is still buffered is the tail of the previous response
+    this.endPlaybackStream();
+    this.playbackSuppressed = false;
+  }
+  
+  /**
+   * Drop (or accept again) incoming audio
+   * @param {boolean} suppressed - True to ignore queueAudio calls
+   */
+  setPlaybackSuppressed(suppressed) {
+    this.playbackSuppressed = suppressed === true;
+  }
+  
+  /**
+   * Duck playback immediately, then flush the queue
+   * Used for barge-in: the agent fades under the user's voice instead of cutting abruptly.
+   * @param {string|null} responseId - Response being interrupted
+   * @returns {Promise<number>} - Milliseconds of that response heard before the flush
+   */
+  duckAndFlush(responseId) {
+    return new Promise((resolve) => {
+      if (this.outputGainNode && this.audioContext) {
+        const gain = this.outputGainNode.gain;
+        gain.cancelScheduledValues(this.audioContext.currentTime);
+        gain.setTargetAtTime(BARGE_IN_CONFIG.DUCK_GAIN, this.audioContext.currentTime, BARGE_IN_CONFIG.DUCK_TIME_CONSTANT);
+      }
+      
+      setTimeout(() => {
+        const heardMs = Math.round(this.getResponsePositionMs(responseId) ?? 0);
+        this.stopPlayback();
+        
+        // Restore full volume for the next response
+        if (this.outputGainNode && this.audioContext) {
+          this.outputGainNode.gain.cancelScheduledValues(this.audioContext.currentTime);
+          this.outputGainNode.gain.setValueAtTime(1, this.audioContext.currentTime);
+        }
+        resolve(heardMs);
+      }, BARGE_IN_CONFIG.FLUSH_DELAY_MS);
+    });
   }
   
   /**
@@ -364,6 +1223,10 @@ export class AudioHandler {
   destroy() {
     this.stopMicrophone();
     this.stopPlayback();
+    this.stopReplay();
+    this.responseAudio.clear();
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
     
     if (this.audioContext) {
       this.audioContext.close();
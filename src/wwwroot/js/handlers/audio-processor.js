@@ -1,21 +1,89 @@
+/**
+ * Audio Processor Worklet
+ *
+ * Buffers microphone samples into 4096-sample blocks, converts them to PCM16
+ * and runs an energy/zero-crossing voice activity detector on each block.
+ *
+ * Messages posted to the main thread:
+ * - { type: 'audio-data', rms, speech, buffer } - PCM16 block to send to the server (rms is null for pre-roll)
+ * - { type: 'audio-level', rms } - Silent block withheld by the VAD (visualizer only)
+ * - { type: 'speech-start', rms } / { type: 'speech-end', rms } - VAD transitions
+ * - { type: 'flushed' } - Reply to { type: 'flush' } once the partial block has been posted
+ *
+ * VAD options (processorOptions.vad, or a { type: 'vad-config', ...options } port message):
+ * - enabled, suppressSilence, energyThreshold, zcrMin, zcrMax, hangoverBlocks, preRollBlocks
+ */
+
+const DEFAULT_VAD_OPTIONS = {
+  enabled: false,
+  suppressSilence: false, // Withhold blocks outside speech instead of sending them
+  energyThreshold: 0.015, // Minimum block RMS counted as speech
+  zcrMin: 0.01, // Zero-crossing rate range of voiced/unvoiced speech;
+  zcrMax: 0.35, // below is hum, above is hiss or broadband noise
+  hangoverBlocks: 4, // Silent blocks still treated as speech before 'speech-end'
+  preRollBlocks: 2 // Silent blocks kept and sent ahead of the first speech block
+};
+
 class AudioProcessor extends AudioWorkletProcessor {
-  constructor() {
+  constructor(options) {
     super();
     this.bufferSize = 4096;
     this.buffer = new Float32Array(this.bufferSize);
     this.bufferIndex = 0;
+
+    // VAD state
+    this.vad = { ...DEFAULT_VAD_OPTIONS };
+    this.isSpeaking = false;
+    this.hangoverRemaining = 0;
+    this.preRoll = []; // PCM16 buffers of the latest withheld blocks
+
+    this.configureVad(options?.processorOptions?.vad);
+
+    this.port.onmessage = (event) => {
+      if (event.data?.type === 'vad-config') {
+        this.configureVad(event.data);
+      } else if (event.data?.type === 'flush') {
+        // Deliver the samples of the current partial block (e.g. push-to-talk release)
+        if (this.bufferIndex > 0) {
+          this.flush();
+        }
+        this.port.postMessage({ type: 'flushed' });
+      }
+    };
+  }
+
+  /**
+   * Apply VAD options; unknown keys are ignored
+   * @param {Object} options - Partial VAD options
+   */
+  configureVad(options) {
+    if (!options) return;
+
+    Object.keys(DEFAULT_VAD_OPTIONS).forEach(key => {
+      if (options[key] !== undefined) {
+        this.vad[key] = options[key];
+      }
+    });
+
+    // Disabling the VAD closes any open speech segment
+    if (!this.vad.enabled && this.isSpeaking) {
+      this.endSpeech(0);
+    }
+    if (!this.vad.enabled || !this.vad.suppressSilence) {
+      this.preRoll = [];
+    }
   }
 
   process(inputs, outputs, parameters) {
     const input = inputs[0];
     if (!input || !input.length) return true;
-    
+
     const inputChannel = input[0];
-    
+
     // Accumulate data
     for (let i = 0; i < inputChannel.length; i++) {
       this.buffer[this.bufferIndex++] = inputChannel[i];
-      
+
       if (this.bufferIndex >= this.bufferSize) {
         this.flush();
       }
@@ -27,21 +95,85 @@ class AudioProcessor extends AudioWorkletProcessor {
   flush() {
     // Create a copy of the buffer to process
     const data = this.buffer.slice(0, this.bufferIndex);
-    
+    this.bufferIndex = 0;
+
     // Calculate RMS
     const rms = this.calculateRMS(data);
-    
+
     // Convert to PCM16
     const pcm16 = this.float32ToInt16(data);
-    
+
+    if (!this.vad.enabled) {
+      this.postAudio(pcm16, rms, false);
+      return;
+    }
+
+    this.updateVad(rms, this.calculateZCR(data));
+
+    if (this.isSpeaking || !this.vad.suppressSilence) {
+      this.postAudio(pcm16, rms, this.isSpeaking);
+      return;
+    }
+
+    // Silent block: keep it as pre-roll for the next speech segment
+    this.preRoll.push(pcm16);
+    if (this.preRoll.length > this.vad.preRollBlocks) {
+      this.preRoll.shift();
+    }
+    this.port.postMessage({ type: 'audio-level', rms: rms });
+  }
+
+  /**
+   * Advance the VAD state machine by one block
+   * @param {number} rms - Block RMS
+   * @param {number} zcr - Block zero-crossing rate (crossings per sample)
+   */
+  updateVad(rms, zcr) {
+    const isSpeechBlock = rms >= this.vad.energyThreshold &&
+      zcr >= this.vad.zcrMin &&
+      zcr <= this.vad.zcrMax;
+
+    if (isSpeechBlock) {
+      this.hangoverRemaining = this.vad.hangoverBlocks;
+      if (!this.isSpeaking) {
+        this.startSpeech(rms);
+      }
+      return;
+    }
+
+    if (this.isSpeaking) {
+      if (this.hangoverRemaining > 0) {
+        this.hangoverRemaining--;
+      } else {
+        this.endSpeech(rms);
+      }
+    }
+  }
+
+  startSpeech(rms) {
+    this.isSpeaking = true;
+    this.port.postMessage({ type: 'speech-start', rms: rms });
+
+    // Send the onset that preceded the detection so the first syllable is not clipped
+    const preRoll = this.preRoll;
+    this.preRoll = [];
+    preRoll.forEach(pcm16 => this.postAudio(pcm16, null, true));
+  }
+
+  endSpeech(rms) {
+    this.isSpeaking = false;
+    this.hangoverRemaining = 0;
+    this.port.postMessage({ type: 'speech-end', rms: rms });
+  }
+
+  postAudio(pcm16, rms, speech) {
     // Send to main thread
     this.port.postMessage({
       type: 'audio-data',
       rms: rms,
+      speech: speech,
       buffer: pcm16.buffer
     }, [pcm16.buffer]);
-    
-    this.bufferIndex = 0;
   }
 
   calculateRMS(samples) {
@@ -52,6 +184,16 @@ class AudioProcessor extends AudioWorkletProcessor {
     return Math.sqrt(sum / samples.length);
   }
 
+  calculateZCR(samples) {
+    let crossings = 0;
+    for (let i = 1; i < samples.length; i++) {
+      if ((samples[i - 1] >= 0) !== (samples[i] >= 0)) {
+        crossings++;
+      }
+    }
+    return samples.length > 1 ? crossings / (samples.length - 1) : 0;
+  }
+
   float32ToInt16(float32Array) {
     const int16 = new Int16Array(float32Array.length);
     for (let i = 0; i < float32Array.length; i++) {
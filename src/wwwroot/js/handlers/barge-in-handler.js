@@ -0,0 +1,131 @@
+/**
+ * Barge-in Handler Module
+ *
+ * Lets the user interrupt the agent: playback is ducked and flushed as soon as
+ * speech is detected, the server is told how much of the response was heard
+ * (so it can truncate the conversation item) and the transcript entry is marked.
+ */
+
+import { eventBus as appEventBus, APP_EVENTS } from '../core/event-bus.js';
+import { addTraceEntry, markTranscriptInterrupted } from '../ui/ui-utils.js';
+
+/**
+ * BargeInHandler class
+ * Coordinates AudioHandler playback and WebSocketHandler when the user talks over the agent
+ */
+export class BargeInHandler {
+  /**
+   * @param {AudioHandler} audioHandler - Playback to duck and flush
+   * @param {WebSocketHandler} wsHandler - Connection used to notify the server
+   * @param {EventBus} eventBus - Bus to listen on (defaults to the app bus)
+   */
+  constructor(audioHandler, wsHandler, eventBus = appEventBus) {
+    this.audioHandler = audioHandler;
+    this.wsHandler = wsHandler;
+    this.eventBus = eventBus;
+
+    // Latest response, and the conversation item carrying the audio of each response
+    this.currentResponseId = null;
+    this.itemIds = new Map(); // responseId -> itemId
+
+    this.isInterrupting = false;
+
+    this.unsubscribers = [
+      this.eventBus.on(APP_EVENTS.RESPONSE_CREATED, (payload) => this.handleResponseCreated(payload)),
+      this.eventBus.on(APP_EVENTS.RESPONSE_OUTPUT_ITEM_ADDED, (payload) => this.handleOutputItemAdded(payload)),
+      this.eventBus.on(APP_EVENTS.SPEECH_STARTED, () => this.interrupt('server')),
+      // Only published when local voice activity detection is enabled
+      this.eventBus.on(APP_EVENTS.LOCAL_SPEECH_STARTED, () => this.handleLocalSpeechStarted()),
+      // The server also sends StopAudio on speech start; measure before it flushes playback
+      this.eventBus.on(APP_EVENTS.AUDIO_STOP, () => this.interrupt('server'))
+    ];
+  }
+
+  /**
+   * Track the response whose audio is about to play
+   * The previous response may still be playing, so its item is kept until it stops.
+   * @param {Object} payload - ResponseCreated payload
+   */
+  handleResponseCreated(payload) {
+    this.currentResponseId = payload?.ResponseId || null;
+    const playingResponseId = this.audioHandler.getPlayingResponseId();
+    [...this.itemIds.keys()].forEach(responseId => {
+      if (responseId !== playingResponseId) this.itemIds.delete(responseId);
+    });
+    this.audioHandler.acceptNextResponse();
+  }
+
+  /**
+   * Remember the conversation item carrying the response audio
+   * @param {Object} payload - ResponseOutputItemAdded payload
+   */
+  handleOutputItemAdded(payload) {
+    const responseId = payload?.ResponseId || this.currentResponseId;
+    if (responseId && payload?.ItemId) {
+      this.itemIds.set(responseId, payload.ItemId);
+    }
+  }
+
+  /**
+   * Interrupt on speech detected by the local VAD
+   * Without echo cancellation the microphone also hears the agent from the speakers,
+   * which would cancel the response; the server (which cancels the echo) decides then.
+   * @returns {Promise<boolean>} - True if playback was interrupted
+   */
+  async handleLocalSpeechStarted() {
+    if (!this.audioHandler.isEchoCancelled()) {
+      return false;
+    }
+    return this.interrupt('local');
+  }
+
+  /**
+   * Interrupt agent playback
+   * @param {string} source - What detected the user's speech: 'server' or 'local'
+   * @returns {Promise<boolean>} - True if playback was interrupted
+   */
+  async interrupt(source = 'server') {
+    if (this.isInterrupting || !this.audioHandler.hasPendingPlayback()) {
+      return false;
+    }
+
+    this.isInterrupting = true;
+    // Ignore the rest of the interrupted response until the next one starts
+    this.audioHandler.setPlaybackSuppressed(true);
+
+    try {
+      // The response being heard, not necessarily the latest one
+      const responseId = this.audioHandler.getPlayingResponseId() || this.currentResponseId;
+      const itemId = this.itemIds.get(responseId) || null;
+      const audioEndMs = await this.audioHandler.duckAndFlush(responseId);
+
+      // With local detection the server has not seen the speech yet, so it must also cancel
+      this.wsHandler.sendInterrupt({
+        responseId,
+        itemId,
+        audioEndMs,
+        cancelResponse: source === 'local'
+      });
+
+      // Kept until the response's message is shown, if it is not yet
+      markTranscriptInterrupted(responseId, audioEndMs);
+
+      addTraceEntry('system', (window.APP_RESOURCES?.AgentInterrupted || 'Agent interrupted after {0} ms').replace('{0}', audioEndMs));
+      this.eventBus.emit(APP_EVENTS.RESPONSE_INTERRUPTED, { responseId, itemId, audioEndMs, source });
+      return true;
+    } catch (error) {
+      console.error('[BargeInHandler] Error interrupting playback:', error);
+      return false;
+    } finally {
+      this.isInterrupting = false;
+    }
+  }
+
+  /**
+   * Remove event bus subscriptions
+   */
+  destroy() {
+    this.unsubscribers.forEach(unsubscribe => unsubscribe());
+    this.unsubscribers = [];
+  }
+}
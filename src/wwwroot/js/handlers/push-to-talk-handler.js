@@ -0,0 +1,139 @@
+/**
+ * Push-to-Talk Handler Module
+ *
+ * Turns the Space key and the on-screen talk button into a hold-to-talk control.
+ * The handler only tracks press/release; the owning app decides what gating the
+ * microphone and committing the turn mean for its audio pipeline.
+ */
+
+/**
+ * Check whether a key event targets a text field (Space must keep typing there)
+ * @param {EventTarget} target - Event target
+ * @returns {boolean}
+ */
+function isEditableTarget(target) {
+  if (!target || !target.tagName) return false;
+  const tag = target.tagName.toLowerCase();
+  return tag === 'input' || tag === 'textarea' || tag === 'select' || target.isContentEditable === true;
+}
+
+/**
+ * PushToTalkHandler class
+ * Emits press/release for the Space key and a talk button
+ */
+export class PushToTalkHandler {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.button - Hold-to-talk button (optional)
+   * @param {Function} options.onPress - Called when the user starts talking
+   * @param {Function} options.onRelease - Called when the user stops talking
+   */
+  constructor({ button = null, onPress, onRelease } = {}) {
+    this.button = button;
+    this.onPress = onPress || (() => {});
+    this.onRelease = onRelease || (() => {});
+    this.isEnabled = false;
+    this.isPressed = false;
+
+    this.handleKeyDown = this.handleKeyDown.bind(this);
+    this.handleKeyUp = this.handleKeyUp.bind(this);
+    this.handlePointerDown = this.handlePointerDown.bind(this);
+    this.handlePointerUp = this.handlePointerUp.bind(this);
+    this.handleBlur = this.handleBlur.bind(this);
+    this.handleContextMenu = (e) => e.preventDefault();
+  }
+
+  /**
+   * Enable or disable push-to-talk
+   * Disabling while pressed releases first, so the turn is never left open.
+   * @param {boolean} enabled
+   */
+  setEnabled(enabled) {
+    enabled = enabled === true;
+    if (enabled === this.isEnabled) return;
+
+    if (!enabled) {
+      this.release();
+    }
+    this.isEnabled = enabled;
+
+    const method = enabled ? 'addEventListener' : 'removeEventListener';
+    document[method]('keydown', this.handleKeyDown);
+    document[method]('keyup', this.handleKeyUp);
+    window[method]('blur', this.handleBlur);
+
+    if (this.button) {
+      this.button[method]('pointerdown', this.handlePointerDown);
+      this.button[method]('pointerup', this.handlePointerUp);
+      this.button[method]('pointercancel', this.handlePointerUp);
+      this.button[method]('lostpointercapture', this.handlePointerUp);
+      // Long press on touch screens would otherwise open the context menu
+      this.button[method]('contextmenu', this.handleContextMenu);
+      this.button.classList.toggle('hidden', !enabled);
+    }
+
+    // Page styles swap the mute button for the talk button in this mode
+    document.body.classList.toggle('push-to-talk-mode', enabled);
+  }
+
+  handleKeyDown(e) {
+    if (e.code !== 'Space' || isEditableTarget(e.target)) return;
+    // Also keeps Space from activating the focused button
+    e.preventDefault();
+    if (!e.repeat) {
+      this.press();
+    }
+  }
+
+  handleKeyUp(e) {
+    if (e.code !== 'Space' || !this.isPressed) return;
+    e.preventDefault();
+    this.release();
+  }
+
+  handlePointerDown(e) {
+    if (e.button !== 0) return;
+    e.preventDefault();
+    // Keep receiving pointerup even if the pointer leaves the button
+    this.button.setPointerCapture?.(e.pointerId);
+    this.press();
+  }
+
+  handlePointerUp() {
+    this.release();
+  }
+
+  handleBlur() {
+    // The keyup is never delivered once the window loses focus
+    this.release();
+  }
+
+  /**
+   * Start talking
+   */
+  press() {
+    if (!this.isEnabled || this.isPressed) return;
+    this.isPressed = true;
+    this.button?.classList.add('active');
+    this.button?.setAttribute('aria-pressed', 'true');
+    this.onPress();
+  }
+
+  /**
+   * Stop talking
+   */
+  release() {
+    if (!this.isPressed) return;
+    this.isPressed = false;
+    this.button?.classList.remove('active');
+    this.button?.setAttribute('aria-pressed', 'false');
+    this.onRelease();
+  }
+
+  /**
+   * Remove all listeners
+   */
+  destroy() {
+    this.setEnabled(false);
+  }
+}
@@ -0,0 +1,235 @@
+/**
+ * Session Recorder Module
+ *
+ * Records a session as a stereo 24kHz PCM16 WAV: the microphone audio sent to the
+ * server on the left channel and the agent audio on the right one. Both sides are
+ * placed on a common timeline measured from start().
+ */
+
+import { AUDIO_CONFIG, RECORDING_CONFIG } from '../core/config.js';
+import { downloadBlob } from '../ui/ui-utils.js';
+
+const SAMPLE_RATE = AUDIO_CONFIG.SAMPLE_RATE_INPUT;
+
+/**
+ * One side of the recording: PCM16 chunks at sample offsets
+ */
+class RecordingTrack {
+  constructor() {
+    this.chunks = []; // { offset, samples: Int16Array }
+    this.nextOffset = 0; // First sample after the last chunk
+  }
+
+  /**
+   * Add a chunk starting at (or, when late by less than the tolerance, right after) an offset
+   * Small timing jitter must not leave gaps between chunks that were contiguous; the
+   * first chunk has nothing to follow and keeps its offset.
+   * @param {Int16Array} samples - PCM16 samples
+   * @param {number} offset - Requested start offset in samples
+   */
+  add(samples, offset) {
+    const tolerance = Math.round(SAMPLE_RATE * RECORDING_CONFIG.DRIFT_TOLERANCE_MS / 1000);
+    let start = Math.max(0, Math.round(offset));
+    if (start < this.nextOffset || (this.chunks.length > 0 && start - this.nextOffset <= tolerance)) {
+      start = this.nextOffset;
+    }
+
+    this.chunks.push({ offset: start, samples });
+    this.nextOffset = start + samples.length;
+  }
+
+  /**
+   * Drop the samples after an offset (audio that was flushed before being heard)
+   * @param {number} offset - Offset in samples
+   */
+  truncate(offset) {
+    offset = Math.max(0, Math.round(offset));
+    this.chunks = this.chunks
+      .filter(chunk => chunk.offset < offset)
+      .map(chunk => {
+        const end = chunk.offset + chunk.samples.length;
+        return end > offset ? { offset: chunk.offset, samples: chunk.samples.subarray(0, offset - chunk.offset) } : chunk;
+      });
+    this.nextOffset = Math.min(this.nextOffset, offset);
+  }
+
+  get length() {
+    return this.chunks.reduce((max, chunk) => Math.max(max, chunk.offset + chunk.samples.length), 0);
+  }
+}
+
+/**
+ * SessionRecorder class
+ * Collects both sides of the conversation and renders them to a WAV file
+ */
+export class SessionRecorder {
+  constructor() {
+    this.user = new RecordingTrack();
+    this.agent = new RecordingTrack();
+    this.startTime = null; // performance.now() at start()
+    this.startedAt = null; // Wall clock, for the file name
+    this.isRecording = false;
+    this.limitReached = false;
+  }
+
+  /**
+   * Start recording (clears any previous recording)
+   */
+  start() {
+    this.user = new RecordingTrack();
+    this.agent = new RecordingTrack();
+    this.startTime = performance.now();
+    this.startedAt = new Date();
+    this.isRecording = true;
+    this.limitReached = false;
+  }
+
+  /**
+   * Stop recording; the recording stays available for toWavBlob()
+   */
+  stop() {
+    this.isRecording = false;
+  }
+
+  /**
+   * Convert a performance.now() time to a sample offset on the recording timeline
+   * @param {number} time - performance.now() value
+   * @returns {number}
+   */
+  toOffset(time) {
+    return (time - this.startTime) * SAMPLE_RATE / 1000;
+  }
+
+  /**
+   * Record a microphone block sent to the server
+   * @param {ArrayBuffer} pcm16Buffer - PCM16 block, just captured
+   */
+  addUserAudio(pcm16Buffer) {
+    if (!this.canAdd()) return;
+
+    // The worklet posts a block once it is full, so it started one block earlier
+    const samples = new Int16Array(pcm16Buffer.slice(0));
+    this.user.add(samples, this.toOffset(performance.now()) - samples.length);
+  }
+
+  /**
+   * Record an agent audio chunk
+   * @param {ArrayBuffer} pcm16Buffer - PCM16 chunk at 24kHz
+   * @param {number} playTime - performance.now() time the chunk starts playing (default: now)
+   */
+  addAgentAudio(pcm16Buffer, playTime = performance.now()) {
+    if (!this.canAdd()) return;
+
+    this.agent.add(new Int16Array(pcm16Buffer.slice(0)), this.toOffset(playTime));
+  }
+
+  /**
+   * Drop agent audio scheduled after a time (playback was flushed, e.g. on barge-in)
+   * @param {number} time - performance.now() time playback stopped
+   */
+  truncateAgentAudio(time = performance.now()) {
+    if (!this.isRecording) return;
+    this.agent.truncate(this.toOffset(time));
+  }
+
+  /**
+   * Check whether audio can still be added (recording and below the length limit)
+   * @returns {boolean}
+   */
+  canAdd() {
+    if (!this.isRecording) return false;
+
+    const maxSamples = RECORDING_CONFIG.MAX_DURATION_MINUTES * 60 * SAMPLE_RATE;
+    if (Math.max(this.user.nextOffset, this.agent.nextOffset) >= maxSamples) {
+      if (!this.limitReached) {
+        this.limitReached = true;
+        console.warn(`[SessionRecorder] Recording limit of ${RECORDING_CONFIG.MAX_DURATION_MINUTES} minutes reached`);
+      }
+      return false;
+    }
+    return true;
+  }
+
+  /**
+   * Check whether anything was recorded
+   * @returns {boolean}
+   */
+  hasAudio() {
+    return this.user.chunks.length > 0 || this.agent.chunks.length > 0;
+  }
+
+  /**
+   * Get the recording duration
+   * @returns {number} - Milliseconds
+   */
+  getDurationMs() {
+    return Math.max(this.user.length, this.agent.length) * 1000 / SAMPLE_RATE;
+  }
+
+  /**
+   * Mix both tracks into a stereo WAV (user left, agent right)
+   * @returns {Blob} - audio/wav blob
+   */
+  toWavBlob() {
+    const frames = Math.max(this.user.length, this.agent.length);
+    const dataSize = frames * 2 * 2; // 2 channels, 16-bit
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    const writeString = (offset, text) => {
+      for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+      }
+    };
+
+    // RIFF header
+    writeString(0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(8, 'WAVE');
+
+    // fmt chunk: PCM, 2 channels
+    writeString(12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, 2, true);
+    view.setUint32(24, SAMPLE_RATE, true);
+    view.setUint32(28, SAMPLE_RATE * 4, true); // Byte rate
+    view.setUint16(32, 4, true); // Block align
+    view.setUint16(34, 16, true);
+
+    // data chunk (interleaved samples; silence where a side has no audio)
+    writeString(36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const samples = new Int16Array(buffer, 44);
+    const writeTrack = (track, channel) => {
+      track.chunks.forEach(({ offset, samples: chunk }) => {
+        for (let i = 0; i < chunk.length; i++) {
+          samples[(offset + i) * 2 + channel] = chunk[i];
+        }
+      });
+    };
+    writeTrack(this.user, 0);
+    writeTrack(this.agent, 1);
+
+    return new Blob([buffer], { type: 'audio/wav' });
+  }
+
+  /**
+   * Build the download file name from the recording start time
+   * @param {string} prefix - File name prefix (e.g. the page name)
+   * @returns {string}
+   */
+  getFileName(prefix = 'session') {
+    const stamp = (this.startedAt || new Date()).toISOString().replace(/[:.]/g, '-').replace('Z', '');
+    return `${prefix}-${stamp}.wav`;
+  }
+
+  /**
+   * Download the recording as a WAV file
+   * @param {string} prefix - File name prefix
+   */
+  download(prefix) {
+    downloadBlob(this.toWavBlob(), this.getFileName(prefix));
+  }
+}
@@ -0,0 +1,429 @@
+/**
+ * Session Replay Module
+ *
+ * Plays back an exported trace log (NDJSON, see trace-manager.js). The inbound WebSocket
+ * frames recorded in it are fed through WebSocketHandler.handleMessage() at their original
+ * pace, on a virtual clock that can be paused and sped up, so the transcript, visualizer
+ * and consumption dashboard behave as they did in the live session - without a server.
+ */
+
+import { SESSION_REPLAY_CONFIG } from '../core/config.js';
+import { APP_EVENTS } from '../core/event-bus.js';
+import { consumptionTracker } from '../managers/consumption-tracker.js';
+import { addTraceEntry, clearTranscripts, showToast, updateStatus } from '../ui/ui-utils.js';
+
+const PLAY_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="6 4 20 12 6 20 6 4"></polygon></svg>';
+const PAUSE_ICON = '<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M9 5v14M15 5v14"></path></svg>';
+
+/**
+ * Convert an inbound WebSocket frame to its trace log form
+ * @param {string|ArrayBuffer} data - JSON text or binary PCM16 audio
+ * @returns {{type: string, data: string}} - Binary frames are base64-encoded
+ */
+export function encodeFrame(data) {
+  if (typeof data === 'string') {
+    return { type: 'text', data };
+  }
+
+  const bytes = new Uint8Array(data);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode.apply(null, bytes.subarray(i, i + 0x8000));
+  }
+  return { type: 'binary', data: btoa(binary) };
+}
+
+/**
+ * Convert a frame of a trace log back to the data of a WebSocket message
+ * @param {{type: string, data: string}} frame - Frame written by encodeFrame()
+ * @returns {string|ArrayBuffer}
+ */
+export function decodeFrame(frame) {
+  if (frame.type !== 'binary') {
+    return frame.data;
+  }
+
+  const binary = atob(frame.data);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; i++) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes.buffer;
+}
+
+/**
+ * Read the recorded inbound frames of an exported trace log
+ * Lines that are not JSON or carry no frame (other trace entries) are skipped.
+ * @param {string} text - NDJSON text
+ * @returns {Array<{time: number, frame: Object}>} - Frames in the order they arrived
+ */
+export function parseTraceFrames(text) {
+  const frames = [];
+  text.split(/\r?\n/).forEach(line => {
+    if (!line.trim()) return;
+
+    let record;
+    try {
+      record = JSON.parse(line);
+    } catch (e) {
+      return;
+    }
+    if (typeof record?.frame?.data === 'string' && Number.isFinite(record.timestamp)) {
+      frames.push({ time: record.timestamp, frame: record.frame });
+    }
+  });
+  return frames.sort((a, b) => a.time - b.time);
+}
+
+/**
+ * VirtualClock class
+ * Time of the recorded session (epoch milliseconds), running at an adjustable speed
+ */
+export class VirtualClock {
+  /**
+   * @param {number} startTime - Recorded time the clock starts at
+   */
+  constructor(startTime) {
+    this.baseTime = startTime; // Recorded time at the anchor
+    this.anchor = null; // performance.now() the clock last (re)started at; null while stopped
+    this.speed = 1;
+  }
+
+  /**
+   * Current recorded time
+   * @returns {number}
+   */
+  now() {
+    return this.anchor === null ? this.baseTime : this.baseTime + (performance.now() - this.anchor) * this.speed;
+  }
+
+  /**
+   * Check whether the clock is running
+   * @returns {boolean}
+   */
+  isRunning() {
+    return this.anchor !== null;
+  }
+
+  /**
+   * Start (or resume) the clock
+   */
+  start() {
+    if (this.anchor === null) {
+      this.anchor = performance.now();
+    }
+  }
+
+  /**
+   * Stop the clock at the current time
+   */
+  pause() {
+    this.baseTime = this.now();
+    this.anchor = null;
+  }
+
+  /**
+   * Change the speed from now on
+   * @param {number} speed - Recorded milliseconds per real millisecond
+   */
+  setSpeed(speed) {
+    const running = this.isRunning();
+    this.baseTime = this.now();
+    this.anchor = running ? performance.now() : null;
+    this.speed = speed;
+  }
+}
+
+/**
+ * SessionReplay class
+ * Feeds the frames of a trace log to a WebSocketHandler on a virtual clock
+ */
+export class SessionReplay {
+  /**
+   * @param {WebSocketHandler} handler - Handler the frames are fed to (not connected)
+   * @param {Object} callbacks
+   * @param {Function} callbacks.onStateChange - Called with 'idle', 'playing' or 'paused'
+   */
+  constructor(handler, callbacks = {}) {
+    this.handler = handler;
+    this.onStateChange = callbacks.onStateChange || (() => {});
+
+    this.frames = [];
+    this.nextIndex = 0; // First frame not delivered yet
+    this.clock = null;
+    this.speed = 1;
+    this.timer = null;
+    this.state = 'idle'; // idle -> playing <-> paused -> idle
+  }
+
+  /**
+   * Load a trace log, stopping the current replay
+   * @param {string} text - Exported NDJSON trace log
+   * @returns {number} - Number of frames
+   * @throws {Error} - When the log has no recorded frames
+   */
+  load(text) {
+    const frames = parseTraceFrames(text);
+    if (!frames.length) {
+      throw new Error(window.APP_RESOURCES?.TraceReplayNoFrames || 'The file contains no recorded WebSocket frames (turn on frame recording before the session)');
+    }
+
+    this.stop();
+    this.frames = frames;
+    this.rewind();
+    return frames.length;
+  }
+
+  /**
+   * Go back to the first frame
+   */
+  rewind() {
+    this.nextIndex = 0;
+    this.clock = new VirtualClock(this.frames[0]?.time ?? 0);
+    this.clock.setSpeed(this.speed);
+  }
+
+  /**
+   * Start or resume the replay
+   */
+  play() {
+    if (!this.frames.length || this.state === 'playing') return;
+
+    if (this.state === 'idle') {
+      // The replay starts from an empty conversation, like the recorded session did
+      clearTranscripts();
+      consumptionTracker.setReplayClock(this.clock);
+      this.handler.isReplaying = true;
+      addTraceEntry('system', (window.APP_RESOURCES?.TraceReplayStarted || 'Replaying {0} frames recorded on {1}')
+        .replace('{0}', this.frames.length)
+        .replace('{1}', new Date(this.frames[0].time).toLocaleString()));
+    }
+
+    this.setState('playing');
+    this.clock.start();
+    this.scheduleNext();
+  }
+
+  /**
+   * Pause the replay (audio already queued keeps playing)
+   */
+  pause() {
+    if (this.state !== 'playing') return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.clock.pause();
+    this.setState('paused');
+  }
+
+  /**
+   * Change the replay speed
+   * @param {number} speed - 1 is the recorded pace
+   */
+  setSpeed(speed) {
+    if (!(speed > 0)) return;
+
+    this.speed = speed;
+    this.clock?.setSpeed(speed);
+    if (this.state === 'playing') {
+      this.scheduleNext();
+    }
+  }
+
+  /**
+   * Wait for the next frame on the virtual clock
+   */
+  scheduleNext() {
+    clearTimeout(this.timer);
+    const next = this.frames[this.nextIndex];
+    if (!next) {
+      this.end(window.APP_RESOURCES?.TraceReplayFinished || 'Replay finished');
+      return;
+    }
+
+    const delayMs = Math.max(0, (next.time - this.clock.now()) / this.clock.speed);
+    this.timer = setTimeout(() => this.deliverDueFrames(), delayMs);
+  }
+
+  /**
+   * Feed every frame due on the virtual clock to the handler
+   */
+  deliverDueFrames() {
+    this.timer = null;
+    const now = this.clock.now();
+
+    while (this.nextIndex < this.frames.length && this.frames[this.nextIndex].time <= now) {
+      const { frame } = this.frames[this.nextIndex++];
+      try {
+        this.handler.handleMessage({ data: decodeFrame(frame) });
+      } catch (e) {
+        console.error('[SessionReplay] Error replaying frame:', e);
+      }
+      // A frame handler may have stopped the replay
+      if (this.state !== 'playing') return;
+    }
+    this.scheduleNext();
+  }
+
+  /**
+   * Stop the replay and silence its audio
+   */
+  stop() {
+    if (this.state === 'idle') return;
+
+    this.handler.handleStopAudio({});
+    this.end(window.APP_RESOURCES?.TraceReplayStopped || 'Replay stopped');
+  }
+
+  /**
+   * End the replay like the end of a connection, ready to play again from the start
+   * @param {string} message - Trace message
+   */
+  end(message) {
+    if (this.state === 'idle') return;
+
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.setState('idle');
+
+    // Lets the consumption dashboard and transcript streamers close the replayed session
+    updateStatus(window.APP_RESOURCES?.Disconnected || 'Disconnected', 'disconnected');
+    this.handler.eventBus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: true });
+    consumptionTracker.setReplayClock(null);
+    this.handler.isReplaying = false;
+    addTraceEntry('system', message);
+    this.rewind();
+  }
+
+  /**
+   * Get the replay position
+   * @returns {{positionMs: number, durationMs: number}}
+   */
+  getProgress() {
+    if (!this.frames.length) return { positionMs: 0, durationMs: 0 };
+
+    const startTime = this.frames[0].time;
+    const durationMs = this.frames[this.frames.length - 1].time - startTime;
+    return { positionMs: Math.min(durationMs, Math.max(0, this.clock.now() - startTime)), durationMs };
+  }
+
+  /**
+   * Update the state and notify the UI
+   * @param {string} state - 'idle', 'playing' or 'paused'
+   */
+  setState(state) {
+    this.state = state;
+    this.onStateChange(state);
+  }
+}
+
+/**
+ * Format milliseconds as m:ss
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatPosition(ms) {
+  const seconds = Math.floor(ms / 1000);
+  return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Wire the replay controls of the trace panel (_TracePanel.cshtml)
+ * @param {Object} options
+ * @param {Function} options.getHandler - Returns the page's WebSocketHandler (created after the listeners)
+ */
+export function initSessionReplay({ getHandler }) {
+  const replayButton = document.getElementById('traceReplayButton');
+  const fileInput = document.getElementById('traceReplayFile');
+  const replayBar = document.getElementById('traceReplayBar');
+  const playButton = document.getElementById('traceReplayPlayButton');
+  const stopButton = document.getElementById('traceReplayStopButton');
+  const speedSelect = document.getElementById('traceReplaySpeed');
+  const progress = document.getElementById('traceReplayProgress');
+  if (!replayButton || !fileInput || !replayBar) return;
+
+  let replay = null;
+  let progressTimer = null;
+
+  const showProgress = () => {
+    if (!replay || !progress) return;
+    const { positionMs, durationMs } = replay.getProgress();
+    progress.textContent = `${formatPosition(positionMs)} / ${formatPosition(durationMs)}`;
+  };
+
+  const handleStateChange = (state) => {
+    const playing = state === 'playing';
+    if (playButton) {
+      const label = playing
+        ? (window.APP_RESOURCES?.TraceReplayPause || 'Pause')
+        : (window.APP_RESOURCES?.TraceReplayPlay || 'Play');
+      playButton.innerHTML = playing ? PAUSE_ICON : PLAY_ICON;
+      playButton.title = label;
+      playButton.setAttribute('aria-label', label);
+    }
+
+    clearInterval(progressTimer);
+    progressTimer = playing ? setInterval(showProgress, SESSION_REPLAY_CONFIG.PROGRESS_INTERVAL_MS) : null;
+    showProgress();
+  };
+
+  if (speedSelect) {
+    SESSION_REPLAY_CONFIG.SPEEDS.forEach(speed => {
+      const option = document.createElement('option');
+      option.value = String(speed);
+      option.textContent = `${speed}×`;
+      option.selected = speed === 1;
+      speedSelect.appendChild(option);
+    });
+    speedSelect.addEventListener('change', () => replay?.setSpeed(parseFloat(speedSelect.value)));
+  }
+
+  replayButton.addEventListener('click', () => {
+    const handler = getHandler();
+    if (handler?.isSocketConnected()) {
+      showToast(window.APP_RESOURCES?.TraceReplayBusy || 'End the live session before replaying a trace', 'warning');
+      return;
+    }
+    fileInput.click();
+  });
+
+  fileInput.addEventListener('change', async () => {
+    const file = fileInput.files?.[0];
+    fileInput.value = '';
+    const handler = getHandler();
+    if (!file || !handler) return;
+
+    if (!replay || replay.handler !== handler) {
+      replay?.stop();
+      replay = new SessionReplay(handler, { onStateChange: handleStateChange });
+      // A live session takes over from a replay
+      handler.eventBus.on(APP_EVENTS.CONNECTION_OPENED, () => replay?.stop());
+    }
+
+    try {
+      replay.load(await file.text());
+    } catch (e) {
+      console.warn('[SessionReplay] Cannot replay trace log:', e);
+      showToast(e.message, 'error');
+      return;
+    }
+
+    replay.setSpeed(parseFloat(speedSelect?.value) || 1);
+    replayBar.hidden = false;
+    replay.play();
+  });
+
+  playButton?.addEventListener('click', () => {
+    if (!replay) return;
+    if (replay.state === 'playing') {
+      replay.pause();
+    } else {
+      replay.play();
+    }
+  });
+
+  stopButton?.addEventListener('click', () => {
+    replay?.stop();
+    replayBar.hidden = true;
+  });
+}
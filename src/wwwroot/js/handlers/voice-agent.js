@@ -1,10 +1,16 @@
 import { BaseVoiceApp } from '../core/base-voice-app.js';
 import { wireFoundryUi } from './foundry-agents.js';
-import { VOICE_MODELS, VOICES, getVoiceName } from '../core/config.js';
+import { VOICE_MODELS, VOICES, getVoiceName, getVadOptions } from '../core/config.js';
 import { VoiceVisualizerFactory } from '../modules/voice-visualizer-factory.js';
 import { AudioHandler } from './audio-handler.js';
 import { WebSocketHandler } from './websocket-handler.js';
+import { BargeInHandler } from './barge-in-handler.js';
+// Subscribe to the app event bus on import
+import { consumptionTracker } from '../managers/consumption-tracker.js';
+import { transcriptStreamer } from '../managers/transcript-streamer.js';
 import { SettingsManager } from '../modules/settings-manager.js';
+import { readLocalVadForm } from '../ui/local-vad-settings.js';
+import { ConsumptionHistoryView } from '../ui/consumption-history-view.js';
 import {
   addTranscript,
   clearTranscripts,
@@ -74,6 +80,9 @@ class VoiceAgentApp extends BaseVoiceApp {
         }
       });
       
+      // Transcript words are revealed as the agent audio plays
+      transcriptStreamer.setAudioClock(this.audioHandler);
+      
       // Initialize WebSocket handler
       this.wsHandler = new WebSocketHandler({
         onOpen: () => this.handleWebSocketOpen(),
@@ -81,12 +90,17 @@ class VoiceAgentApp extends BaseVoiceApp {
         onAudio: (arrayBuffer) => this.handleIncomingAudio(arrayBuffer),
         onTranscription: (text, role) => this.handleTranscription(text, role),
         onStopAudio: () => this.handleStopAudio(),
-        onError: (error) => this.handleWebSocketError(error)
-      });
+        onError: (error) => this.handleWebSocketError(error),
+        onReconnecting: (attempt, delayMs) => this.handleWebSocketReconnecting(attempt, delayMs),
+        onReconnected: () => this.handleWebSocketReconnected()
+      }, { autoReconnect: this.currentSettings.autoReconnect === true });
       
-      // Setup audio data callback
+      // Duck and flush agent playback when the user talks over it
+      this.bargeInHandler = new BargeInHandler(this.audioHandler, this.wsHandler);
+      
+      // Setup audio data callback (buffered while reconnecting)
       this.audioHandler.setAudioDataCallback((audioBuffer) => {
-        if (this.wsHandler && this.wsHandler.isSocketConnected()) {
+        if (this.wsHandler && this.wsHandler.canSend()) {
           this.wsHandler.sendAudio(audioBuffer);
         }
       });
@@ -130,6 +144,11 @@ class VoiceAgentApp extends BaseVoiceApp {
     });
     this.safeAddListener(this.elements.textInput, 'input', () => autoResizeTextarea(this.elements.textInput));
     
+    // Consumption history (button in the consumption dashboard)
+    this.consumptionHistoryView = new ConsumptionHistoryView({
+      toggleButton: document.getElementById('consumptionHistoryButton')
+    });
+    
     // Trace specific
     this.safeAddListener(this.elements.clearTraceButton, 'click', () => {
       clearTraceEntries();
@@ -175,6 +194,9 @@ class VoiceAgentApp extends BaseVoiceApp {
     if (this.elements.foundryProjectInput) this.elements.foundryProjectInput.value = this.currentSettings.foundryProjectName || '';
     if (this.elements.foundryAgentInput) this.elements.foundryAgentInput.value = this.currentSettings.foundryAgentId || '';
     if (this.elements.localeSelect) this.elements.localeSelect.value = this.currentSettings.locale || 'en-US';
+    
+    // Spending limits are shared by all pages
+    consumptionTracker.populateBudgetForm();
   }
   
   saveSettingsFromModal() {
@@ -186,6 +208,12 @@ class VoiceAgentApp extends BaseVoiceApp {
       voiceLiveEndpoint: this.elements.voiceLiveEndpointInput ? this.elements.voiceLiveEndpointInput.value.trim() : '',
       voiceLiveApiKey: this.elements.voiceLiveApiKeyInput ? this.elements.voiceLiveApiKeyInput.value.trim() : '',
       showToastNotifications: this.elements.toastNotificationsToggle ? this.elements.toastNotificationsToggle.checked : false,
+      autoReconnect: this.elements.autoReconnectToggle ? this.elements.autoReconnectToggle.checked : false,
+      ...readLocalVadForm(this.currentSettings),
+      pushToTalk: this.elements.pushToTalkToggle ? this.elements.pushToTalkToggle.checked : false,
+      recordSession: this.elements.recordSessionToggle ? this.elements.recordSessionToggle.checked : false,
+      microphoneDeviceId: this.elements.microphoneSelect ? this.elements.microphoneSelect.value : '',
+      speakerDeviceId: this.elements.speakerSelect ? this.elements.speakerSelect.value : '',
       
       // Foundry specific
       foundryAgentId: this.elements.foundryAgentInput ? this.elements.foundryAgentInput.value : '',
@@ -202,6 +230,8 @@ class VoiceAgentApp extends BaseVoiceApp {
     
     if (saveSettings(newSettings, this.pageName)) {
       this.currentSettings = newSettings;
+      this.applyAudioDevices();
+      consumptionTracker.saveBudgetForm();
       addTraceEntry('system', window.APP_RESOURCES?.SettingsSaved || 'Settings saved');
       this.conditionalShowToast(window.APP_RESOURCES?.SettingsSaved || 'Settings saved', 'success');
       hideSettingsModal();
@@ -218,6 +248,7 @@ class VoiceAgentApp extends BaseVoiceApp {
       updateStatus(window.APP_RESOURCES?.Connecting || 'Connecting...', 'disconnected');
       addTraceEntry('system', window.APP_RESOURCES?.Connecting || 'Connecting...');
       
+      this.wsHandler.setAutoReconnect(this.currentSettings.autoReconnect === true);
       await this.wsHandler.connect();
       
       const configToSend = {
@@ -228,8 +259,13 @@ class VoiceAgentApp extends BaseVoiceApp {
       };
       
       this.wsHandler.sendConfig(configToSend);
+      this.audioHandler.setVadOptions(getVadOptions(this.currentSettings));
+      await this.applyAudioDevices();
+      this.startRecording();
+      this.beginConversation();
       await this.audioHandler.startMicrophone();
       this.visualizer.setActive(true);
+      this.setPushToTalkActive(true);
       
       this.isSessionActive = true;
       this.elements.startButton.classList.add('active');
@@ -251,11 +287,14 @@ class VoiceAgentApp extends BaseVoiceApp {
   
   stopSession() {
     try {
+      this.setPushToTalkActive(false);
       if (this.wsHandler) this.wsHandler.sendStop();
       if (this.audioHandler) {
         this.audioHandler.stopMicrophone();
         this.audioHandler.stopPlayback();
       }
+      this.finishRecording();
+      this.saveConversation();
       if (this.visualizer) this.visualizer.setActive(false);
       if (this.wsHandler) this.wsHandler.disconnect();
       
@@ -305,7 +344,7 @@ class VoiceAgentApp extends BaseVoiceApp {
 
   sendTextMessageToServer(text) {
     try {
-      if (this.wsHandler && this.wsHandler.isSocketConnected()) {
+      if (this.wsHandler && this.wsHandler.canSend()) {
         this.wsHandler.sendMessage(text);
         addTraceEntry('system', (window.APP_RESOURCES?.MessageSent || 'Message sent: {0}').replace('{0}', text));
       } else {
@@ -341,8 +380,13 @@ class VoiceAgentApp extends BaseVoiceApp {
     if (role === 'agent') updateStatus(window.APP_RESOURCES?.AssistantSpeaking || 'Assistant is speaking...', 'speaking');
   }
   
+  getConsumptionSummary() {
+    return consumptionTracker.getSessionSummary();
+  }
+  
   handleStopAudio() {
-    if (this.audioHandler) this.audioHandler.stopPlayback();
+    // With barge-in enabled, playback is ducked and flushed by the BargeInHandler
+    if (this.audioHandler && !this.bargeInHandler) this.audioHandler.stopPlayback();
     updateStatus(window.APP_RESOURCES?.SessionActive || 'Session active', 'connected');
   }
   
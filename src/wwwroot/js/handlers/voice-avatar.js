@@ -7,6 +7,7 @@
  */
 
 import { BaseVoiceApp } from '../core/base-voice-app.js';
+import { AudioHandler } from './audio-handler.js';
 import { 
     showToast, 
     addTranscript, 
@@ -30,41 +31,28 @@ import {
 import { 
     DEFAULT_SETTINGS, 
     VOICE_MODELS, 
-    VOICES, 
-    AUDIO_CONFIG 
+    VOICES 
 } from '../core/config.js';
 import { getSavedTheme, applyThemeMode, toggleTheme as themeToggle, listenForExternalChanges } from '../ui/theme-sync.js';
 import { SettingsManager } from '../modules/settings-manager.js';
 import { initHamburgerMenu } from '../ui/hamburger-menu.js';
+import { userTranscriptStreamer } from '../managers/user-transcript-streamer.js';
+import { transcriptStreamer } from '../managers/transcript-streamer.js';
 
 class VoiceAvatarApp extends BaseVoiceApp {
     constructor() {
         super('VoiceAvatar');
 
-        // Configuration
-        this.config = {
-            SAMPLE_RATE: 24000,
-            BUFFER_SIZE: 4096,
-            MIN_BUFFER_SIZE: 2
-        };
-
         // State
         this.state = {
             sessionId: null,
             websocket: null,
             peerConnection: null,
-            mediaStream: null,
-            audioContext: null,
-            scriptProcessor: null,
-            isMuted: false,
             isAvatarConnected: false,
             isAvatarPaused: false,
             avatarIceServers: [],
             remoteAudioElement: null,
-            avatarConnectionId: null,
-            playbackQueue: [],
-            isPlaying: false,
-            currentPlaybackSource: null
+            avatarConnectionId: null
         };
     }
 
@@ -74,7 +62,21 @@ class VoiceAvatarApp extends BaseVoiceApp {
     async init() {
         await super.init();
         this.initializeAvatarUI();
+
+        // Shared microphone capture (AudioWorklet) and audio-only playback
+        this.audioHandler = new AudioHandler((rms, source) => {
+            if (source === 'user') this.updateMicLevel(rms);
+        });
+        this.audioHandler.setAudioDataCallback((audioBuffer) => {
+            if (this.state.websocket && this.state.websocket.readyState === WebSocket.OPEN) {
+                this.state.websocket.send(audioBuffer);
+            }
+        });
+        this.elements.muteButton?.classList.add('mic-level-meter');
         this.updateMuteButtonState();
+
+        // Transcript words are revealed as the agent audio plays
+        transcriptStreamer.setAudioClock(this.audioHandler);
         addTraceEntry('system', window.APP_RESOURCES?.VoiceAvatarInitialized || 'Voice Avatar initialized');
     }
 
@@ -219,6 +221,7 @@ class VoiceAvatarApp extends BaseVoiceApp {
             // Controls
             startButton: document.getElementById('startButton'),
             muteButton: document.getElementById('muteButton'),
+            pushToTalkButton: document.getElementById('pushToTalkButton'),
             chatToggle: document.getElementById('chatToggle'),
             traceToggle: document.getElementById('traceToggle'),
             settingsButton: document.getElementById('settingsButton'),
@@ -234,6 +237,9 @@ class VoiceAvatarApp extends BaseVoiceApp {
             textInput: document.getElementById('textInput'),
             sendTextButton: document.getElementById('sendTextButton'),
             clearChatButton: document.getElementById('clearChatButton'),
+            exportTranscriptButton: document.getElementById('exportTranscriptButton'),
+            exportTranscriptMenu: document.getElementById('exportTranscriptMenu'),
+            historyButton: document.getElementById('historyButton'),
             clearTraceButton: document.getElementById('clearTraceButton'),
 
             // Settings Modal
@@ -251,6 +257,10 @@ class VoiceAvatarApp extends BaseVoiceApp {
             avatarCharacterSelect: document.getElementById('avatarCharacterSelect'),
             avatarStyleSelect: document.getElementById('avatarStyleSelect'),
             toastNotificationsToggle: document.getElementById('toastNotificationsToggle'),
+            pushToTalkToggle: document.getElementById('pushToTalkToggle'),
+            recordSessionToggle: document.getElementById('recordSessionToggle'),
+            microphoneSelect: document.getElementById('microphoneSelect'),
+            speakerSelect: document.getElementById('speakerSelect'),
             
             // Endpoint Test
             voiceLiveEndpointTest: document.getElementById('voiceLiveEndpointTest'),
@@ -287,6 +297,9 @@ class VoiceAvatarApp extends BaseVoiceApp {
     setupEventListeners() {
         super.setupEventListeners();
 
+        // Replays are fed to a WebSocketHandler, which this page does not use
+        document.getElementById('traceReplayButton')?.remove();
+
         // Chat & Trace specific
         this.elements.sendTextButton?.addEventListener('click', () => this.sendTextMessage());
         this.elements.textInput?.addEventListener('keypress', (e) => {
@@ -357,6 +370,8 @@ class VoiceAvatarApp extends BaseVoiceApp {
             await this.connectWebSocket();
             this.sendConfig();
             this.isSessionActive = true;
+            this.startRecording();
+            this.beginConversation();
             addTraceEntry('system', window.APP_RESOURCES?.WaitingForSessionToBeReady || 'Waiting for session to be ready...');
         } catch (error) {
             addTraceEntry('error', (window.APP_RESOURCES?.AvatarStartError || 'Failed to start avatar: {0}').replace('{0}', error.message));
@@ -384,7 +399,10 @@ class VoiceAvatarApp extends BaseVoiceApp {
         }
 
         // Stop Microphone
+        this.setPushToTalkActive(false);
         this.stopMicrophone();
+        this.finishRecording();
+        this.saveConversation();
 
         // Stop Remote Audio
         if (this.state.remoteAudioElement) {
@@ -402,6 +420,7 @@ class VoiceAvatarApp extends BaseVoiceApp {
         // Reset State
         this.state.sessionId = null;
         this.state.isAvatarConnected = false;
+        transcriptStreamer.setAudioClock(this.audioHandler);
         this.state.avatarConnectionId = null;
         this.state.avatarIceServers = [];
         this.isSessionActive = false;
@@ -447,6 +466,9 @@ class VoiceAvatarApp extends BaseVoiceApp {
 
             this.state.websocket.onclose = (event) => {
                 addTraceEntry('system', (window.APP_RESOURCES?.WebSocketClosed || 'WebSocket closed: {0}').replace('{0}', event.code));
+                // Inputs and responses of a closed connection are never completed
+                userTranscriptStreamer.reset();
+                transcriptStreamer.reset();
                 this.handleDisconnect();
             };
 
@@ -489,7 +511,7 @@ class VoiceAvatarApp extends BaseVoiceApp {
                 this.handleTranscription(message);
                 break;
             case 'StopAudio':
-                this.stopAudioPlayback();
+                this.audioHandler?.stopPlayback();
                 break;
             case 'IceServers':
                 this.handleIceServers(message);
@@ -539,15 +561,33 @@ class VoiceAvatarApp extends BaseVoiceApp {
             case 'Disconnected':
                 this.updateAvatarStatus('disconnected', window.APP_RESOURCES?.Disconnected || 'Disconnected');
                 break;
+            case 'ResponseAudioDone':
+                // Fallback playback: the drained buffer is the end of the response, not an underrun
+                this.audioHandler.endPlaybackStream();
+                break;
             case 'ResponseDone':
+                transcriptStreamer.finalizeStreamingTranscript(payload?.ResponseId);
                 this.updateAvatarStatus('connected', window.APP_RESOURCES?.Connected || 'Connected');
                 break;
+            case 'AudioTimestampDelta':
+                transcriptStreamer.handleAudioTimestampDelta(payload);
+                break;
+            case 'ResponseAudioTranscriptDone':
+                transcriptStreamer.handleTranscriptDone(payload);
+                break;
             case 'SpeechStarted':
                 this.updateAvatarStatus('speaking', window.APP_RESOURCES?.Speaking || 'Speaking...');
                 break;
             case 'SpeechStopped':
                 this.updateAvatarStatus('connected', window.APP_RESOURCES?.Connected || 'Connected');
                 break;
+            case 'UserTranscriptionDelta':
+                // Live user transcription, replaced by the final Transcription message
+                userTranscriptStreamer.handleTranscriptionDelta(payload);
+                break;
+            case 'UserTranscription':
+                userTranscriptStreamer.handleTranscriptionDone(payload);
+                break;
             case 'Error':
                 const errorMsg = payload?.Message || payload?.message || window.APP_RESOURCES?.UnknownError || 'Unknown error';
                 addTraceEntry('error', (window.APP_RESOURCES?.SessionError || 'Session error: {0}').replace('{0}', errorMsg));
@@ -664,6 +704,7 @@ class VoiceAvatarApp extends BaseVoiceApp {
                 document.body.appendChild(this.state.remoteAudioElement);
             }
             this.state.remoteAudioElement.srcObject = stream;
+            this.applyRemoteAudioSink();
             this.state.remoteAudioElement.play().catch(() => {});
         }
     }
@@ -673,6 +714,8 @@ class VoiceAvatarApp extends BaseVoiceApp {
      */
     onAvatarConnected() {
         this.state.isAvatarConnected = true;
+        // The avatar video plays the audio now: there is no playback clock to wait for
+        transcriptStreamer.setAudioClock(null);
         this.showAvatarLoading(false);
         this.updateAvatarStatus('connected', window.APP_RESOURCES?.Connected || 'Connected');
         this.elements.avatarOverlay?.classList.add('hidden');
@@ -698,36 +741,10 @@ class VoiceAvatarApp extends BaseVoiceApp {
      */
     async startMicrophone() {
         try {
-            this.state.audioContext = new (window.AudioContext || window.webkitAudioContext)({
-                sampleRate: this.config.SAMPLE_RATE
-            });
-            
-            this.state.mediaStream = await navigator.mediaDevices.getUserMedia({
-                audio: {
-                    echoCancellation: true,
-                    noiseSuppression: true,
-                    autoGainControl: true,
-                    sampleRate: this.config.SAMPLE_RATE
-                }
-            });
-
-            const micSource = this.state.audioContext.createMediaStreamSource(this.state.mediaStream);
-            this.state.scriptProcessor = this.state.audioContext.createScriptProcessor(this.config.BUFFER_SIZE, 1, 1);
-
-            this.state.scriptProcessor.onaudioprocess = (event) => {
-                if (this.state.isMuted) return;
-                const inputData = event.inputBuffer.getChannelData(0);
-                const pcm16 = this.float32ToInt16(inputData);
-                if (this.state.websocket && this.state.websocket.readyState === WebSocket.OPEN) {
-                    this.state.websocket.send(pcm16.buffer);
-                }
-            };
-
-            micSource.connect(this.state.scriptProcessor);
-            this.state.scriptProcessor.connect(this.state.audioContext.destination);
-            
-            this.state.isMuted = false;
+            await this.applyAudioDevices();
+            await this.audioHandler.startMicrophone();
             this.updateMuteButtonState();
+            this.setPushToTalkActive(true);
             addTraceEntry('system', window.APP_RESOURCES?.MicrophoneStarted || 'Microphone started');
 
         } catch (error) {
@@ -736,30 +753,43 @@ class VoiceAvatarApp extends BaseVoiceApp {
         }
     }
 
+    /**
+     * Get the server id of the running session (the avatar page has its own socket)
+     */
+    getSessionId() {
+        return this.state.sessionId || null;
+    }
+
+    /**
+     * Apply the saved devices, including the avatar's WebRTC audio element
+     */
+    async applyAudioDevices() {
+        await super.applyAudioDevices();
+        this.applyRemoteAudioSink();
+    }
+
+    /**
+     * Route the avatar's WebRTC audio to the selected speaker
+     */
+    applyRemoteAudioSink() {
+        const element = this.state.remoteAudioElement;
+        if (!element || typeof element.setSinkId !== 'function') return;
+        const deviceId = this.currentSettings.speakerDeviceId || '';
+        if (element.sinkId === deviceId) return;
+        element.setSinkId(deviceId).catch(error => console.warn('Could not select the avatar output device:', error));
+    }
+
     /**
      * Stop Microphone
      */
     stopMicrophone() {
         try {
-            // Stop all tracks in media stream
-            if (this.state.mediaStream) {
-                this.state.mediaStream.getTracks().forEach(track => {
-                    track.stop();
-                });
-                this.state.mediaStream = null;
-            }
-
-            // Disconnect and close script processor
-            if (this.state.scriptProcessor) {
-                this.state.scriptProcessor.disconnect();
-                this.state.scriptProcessor = null;
-            }
-
-            // Close audio context
-            if (this.state.audioContext && this.state.audioContext.state !== 'closed') {
-                this.state.audioContext.close();
-                this.state.audioContext = null;
+            if (this.audioHandler) {
+                this.audioHandler.stopMicrophone();
+                this.audioHandler.stopPlayback();
             }
+            this.updateMicLevel(0);
+            this.updateMuteButtonState();
 
             addTraceEntry('system', window.APP_RESOURCES?.MicrophoneStopped || 'Microphone stopped');
         } catch (error) {
@@ -767,13 +797,46 @@ class VoiceAvatarApp extends BaseVoiceApp {
         }
     }
 
+    /**
+     * Reflect the microphone level on the mute button (the avatar page has no visualizer)
+     */
+    updateMicLevel(rms) {
+        this.elements.muteButton?.style.setProperty('--mic-level', Math.min(1, rms * 4).toFixed(3));
+    }
+
+    /**
+     * Push-to-talk release: the avatar page talks to /avatar/ws directly instead of WebSocketHandler
+     */
+    async handlePushToTalkRelease() {
+        this.setListeningState(false);
+        await this.audioHandler.endTransmission();
+
+        if (this.state.websocket && this.state.websocket.readyState === WebSocket.OPEN) {
+            this.state.websocket.send(JSON.stringify({ Kind: 'Commit' }));
+            addTraceEntry('system', window.APP_RESOURCES?.TurnCommitted || 'Turn ended, waiting for response');
+        }
+    }
+
+    /**
+     * Show or clear the "listening" state on the avatar while the talk control is held
+     */
+    setListeningState(listening) {
+        this.elements.avatarContainer?.classList.toggle('listening', listening);
+        if (listening) {
+            this.updateAvatarStatus('speaking', window.APP_RESOURCES?.Listening || 'Listening...');
+        } else if (this.state.isAvatarConnected) {
+            this.updateAvatarStatus('connected', window.APP_RESOURCES?.Connected || 'Connected');
+        }
+    }
+
     /**
      * Toggle Mute
      */
     toggleMute() {
-        this.state.isMuted = !this.state.isMuted;
+        if (!this.audioHandler) return;
+        const isMuted = this.audioHandler.toggleMute();
         this.updateMuteButtonState();
-        addTraceEntry('system', this.state.isMuted ? (window.APP_RESOURCES?.MicrophoneMuted || 'Microphone muted') : (window.APP_RESOURCES?.MicrophoneUnmuted || 'Microphone unmuted'));
+        addTraceEntry('system', isMuted ? (window.APP_RESOURCES?.MicrophoneMuted || 'Microphone muted') : (window.APP_RESOURCES?.MicrophoneUnmuted || 'Microphone unmuted'));
     }
 
     /**
@@ -781,7 +844,7 @@ class VoiceAvatarApp extends BaseVoiceApp {
      */
     updateMuteButtonState() {
         if (this.elements.muteButton) {
-            if (this.state.isMuted) {
+            if (!this.audioHandler || this.audioHandler.isMicrophoneMuted()) {
                 this.elements.muteButton.classList.add('muted');
                 this.elements.muteButton.innerHTML = `
                     <svg width="24" height="24" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
@@ -821,6 +884,7 @@ class VoiceAvatarApp extends BaseVoiceApp {
             VoiceModelInstructions: this.currentSettings.modelInstructions,
             AvatarCharacter: this.currentSettings.avatarCharacter,
             AvatarStyle: this.currentSettings.avatarStyle,
+            PushToTalk: this.currentSettings.pushToTalk === true,
             Locale: document.documentElement.lang || 'en-US'
         };
         this.state.websocket.send(JSON.stringify(config));
@@ -834,12 +898,8 @@ class VoiceAvatarApp extends BaseVoiceApp {
         const text = this.elements.textInput?.value?.trim();
         if (!text) return;
 
-        if (!this.state.websocket || this.state.websocket.readyState !== WebSocket.OPEN) {
-            this.conditionalShowToast(window.APP_RESOURCES?.NotConnected || 'Not connected', 'error');
-            return;
-        }
+        if (!this.sendTextMessageToServer(text)) return;
 
-        this.state.websocket.send(JSON.stringify({ Kind: 'Message', Text: text }));
         addTranscript('user', text);
         if (this.elements.textInput) {
             this.elements.textInput.value = '';
@@ -847,13 +907,32 @@ class VoiceAvatarApp extends BaseVoiceApp {
         }
     }
 
+    /**
+     * Send a text message over the avatar WebSocket
+     * @param {string} text - Message text
+     * @returns {boolean} - False if not connected
+     */
+    sendTextMessageToServer(text) {
+        if (!this.state.websocket || this.state.websocket.readyState !== WebSocket.OPEN) {
+            this.conditionalShowToast(window.APP_RESOURCES?.NotConnected || 'Not connected', 'error');
+            return false;
+        }
+
+        this.state.websocket.send(JSON.stringify({ Kind: 'Message', Text: text }));
+        return true;
+    }
+
     /**
      * Handle Transcription
      */
     handleTranscription(message) {
         const text = message.Text || message.text;
         const role = message.Role || message.role || 'agent';
-        if (text) addTranscript(role, text);
+        if (!text) return;
+        // A streamed message takes the place of its in-progress bubble
+        if (role === 'user' && userTranscriptStreamer.claimTranscription(text)) return;
+        if (role === 'agent' && transcriptStreamer.claimTranscription(text)) return;
+        addTranscript(role, text);
     }
 
     /**
@@ -861,93 +940,11 @@ class VoiceAvatarApp extends BaseVoiceApp {
      */
     handleAudioData(arrayBuffer) {
         if (!this.state.isAvatarConnected) {
-            this.queueAudio(arrayBuffer);
-        }
-    }
-
-    /**
-     * Queue Audio
-     */
-    async queueAudio(arrayBuffer) {
-        this.state.playbackQueue.push(arrayBuffer);
-        if (!this.state.isPlaying && this.state.playbackQueue.length >= this.config.MIN_BUFFER_SIZE) {
-            this.playNextAudio();
-        }
-    }
-
-    /**
-     * Play Next Audio
-     */
-    async playNextAudio() {
-        if (this.state.playbackQueue.length === 0) {
-            this.state.isPlaying = false;
-            return;
-        }
-        this.state.isPlaying = true;
-        const arrayBuffer = this.state.playbackQueue.shift();
-
-        try {
-            if (!this.state.audioContext) {
-                this.state.audioContext = new (window.AudioContext || window.webkitAudioContext)();
-            }
-            const audioBuffer = await this.resampleAudio(arrayBuffer);
-            const source = this.state.audioContext.createBufferSource();
-            source.buffer = audioBuffer;
-            source.connect(this.state.audioContext.destination);
-            source.onended = () => {
-                if (this.state.currentPlaybackSource === source) {
-                    this.state.currentPlaybackSource = null;
-                    this.playNextAudio();
-                }
-            };
-            this.state.currentPlaybackSource = source;
-            source.start(0);
-        } catch (e) {
-            this.state.isPlaying = false;
-        }
-    }
-
-    /**
-     * Resample Audio
-     */
-    async resampleAudio(pcm16Buffer) {
-        const int16Array = new Int16Array(pcm16Buffer);
-        const float32Array = new Float32Array(int16Array.length);
-        for (let i = 0; i < int16Array.length; i++) {
-            float32Array[i] = int16Array[i] / (int16Array[i] < 0 ? 0x8000 : 0x7FFF);
-        }
-        const offlineContext = new OfflineAudioContext(1, float32Array.length, this.config.SAMPLE_RATE);
-        const inputBuffer = offlineContext.createBuffer(1, float32Array.length, this.config.SAMPLE_RATE);
-        inputBuffer.getChannelData(0).set(float32Array);
-        const source = offlineContext.createBufferSource();
-        source.buffer = inputBuffer;
-        source.connect(offlineContext.destination);
-        source.start(0);
-        return await offlineContext.startRendering();
-    }
-
-    /**
-     * Stop Audio Playback
-     */
-    stopAudioPlayback() {
-        this.state.playbackQueue = [];
-        if (this.state.currentPlaybackSource) {
-            try { this.state.currentPlaybackSource.stop(); } catch (e) {}
-            this.state.currentPlaybackSource = null;
-        }
-        this.state.isPlaying = false;
-    }
-
-    /**
-     * Helper: Float32 to Int16
-     */
-    float32ToInt16(float32Array) {
-        const int16 = new Int16Array(float32Array.length);
-        for (let i = 0; i < float32Array.length; i++) {
-            const sample = Math.max(-1, Math.min(1, float32Array[i]));
-            int16[i] = sample < 0 ? sample * 0x8000 : sample * 0x7FFF;
+            this.audioHandler.queueAudioBuffer(arrayBuffer);
+        } else if (this.sessionRecorder) {
+            // The avatar plays this over WebRTC; record it as it arrives
+            this.sessionRecorder.addAgentAudio(arrayBuffer);
         }
-        return int16;
     }
 
     /**
@@ -1021,7 +1018,11 @@ class VoiceAvatarApp extends BaseVoiceApp {
             voiceLiveApiKey: this.elements.voiceLiveApiKeyInput?.value,
             avatarCharacter: this.elements.avatarCharacterSelect?.value,
             avatarStyle: this.elements.avatarStyleSelect?.value,
-            showToastNotifications: this.elements.toastNotificationsToggle?.checked
+            showToastNotifications: this.elements.toastNotificationsToggle?.checked,
+            pushToTalk: this.elements.pushToTalkToggle?.checked === true,
+            recordSession: this.elements.recordSessionToggle?.checked === true,
+            microphoneDeviceId: this.elements.microphoneSelect?.value || '',
+            speakerDeviceId: this.elements.speakerSelect?.value || ''
         };
 
         const validation = validateModelVoiceCompatibility(newSettings.voiceModel, newSettings.voice);
@@ -1032,6 +1033,7 @@ class VoiceAvatarApp extends BaseVoiceApp {
 
         if (saveSettings(newSettings, this.pageName)) {
             this.currentSettings = newSettings;
+            this.applyAudioDevices();
             addTraceEntry('system', window.APP_RESOURCES?.SettingsSaved || 'Settings saved');
             this.conditionalShowToast(window.APP_RESOURCES?.SettingsSaved || 'Settings saved', 'success');
             hideSettingsModal();
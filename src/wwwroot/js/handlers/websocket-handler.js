@@ -5,9 +5,15 @@
  * and communication with the voice agent server.
  */
 
-import { showToast, addTranscript, updateStatus, addTraceEntry, showMicMessage } from '../ui/ui-utils.js';
-import { consumptionTracker } from '../managers/consumption-tracker.js';
+import { showToast, addTranscript, updateStatus, addTraceEntry, getSessionEventCategory, showMicMessage } from '../ui/ui-utils.js';
+import { RECONNECT_CONFIG, AUDIO_CONFIG } from '../core/config.js';
+import { MESSAGE_KINDS, SESSION_EVENTS, ProtocolDispatcher, ProtocolError, parseInboundMessage, createOutboundMessage } from '../core/protocol.js';
+import { eventBus as appEventBus, APP_EVENTS } from '../core/event-bus.js';
 import { transcriptStreamer } from '../managers/transcript-streamer.js';
+import { userTranscriptStreamer } from '../managers/user-transcript-streamer.js';
+import '../managers/tool-call-manager.js'; // Renders tool call cards from the bus events published below
+import { encodeFrame, decodeFrame } from './session-replay.js';
+import { traceLog } from '../managers/trace-manager.js';
 
 /**
  * WebSocketHandler class
@@ -22,19 +28,73 @@ export class WebSocketHandler {
    * @param {Function} callbacks.onTranscription - Called with transcription: (text, role) => void
    * @param {Function} callbacks.onStopAudio - Called when audio should stop
    * @param {Function} callbacks.onError - Called on error: (error) => void
+   * @param {Function} callbacks.onReconnecting - Called before each reconnect attempt: (attempt, delayMs) => void
+   * @param {Function} callbacks.onReconnected - Called when a dropped connection has been restored
+   * @param {Object} options - Connection options
+   * @param {boolean} options.autoReconnect - Reconnect with backoff instead of closing when the socket drops
+   * @param {EventBus} options.eventBus - Bus that session events are published to (defaults to the app bus)
    */
-  constructor(callbacks = {}) {
+  constructor(callbacks = {}, options = {}) {
     this.callbacks = {
       onOpen: callbacks.onOpen || (() => {}),
       onClose: callbacks.onClose || (() => {}),
       onAudio: callbacks.onAudio || (() => {}),
       onTranscription: callbacks.onTranscription || (() => {}),
       onStopAudio: callbacks.onStopAudio || (() => {}),
-      onError: callbacks.onError || (() => {})
+      onError: callbacks.onError || (() => {}),
+      onReconnecting: callbacks.onReconnecting || (() => {}),
+      onReconnected: callbacks.onReconnected || (() => {})
     };
     
     this.socket = null;
     this.isConnected = false;
+    this.eventBus = options.eventBus || appEventBus;
+    
+    // Reconnection state
+    this.autoReconnect = options.autoReconnect === true;
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    this.reconnectTimer = null;
+    this.intentionalClose = false;
+    this.isReplaying = false; // Set by SessionReplay: replayed frames are not captured again
+    
+    // Session resume state
+    this.lastConfigMessage = null; // Last Config sent, replayed after a reconnect
+    this.sessionId = null; // Captured from SessionCreated, passed back as ResumeSessionId
+    this.conversation = []; // { Role, Text } turns, replayed into the new session after a reconnect
+    
+    // Outbound frames queued while reconnecting: text messages, microphone audio (PCM16
+    // ArrayBuffers) and the commits that close it, in the order they were sent
+    this.outboundBuffer = [];
+    this.bufferedAudioBytes = 0;
+    
+    // Typed routing for inbound JSON frames
+    this.dispatcher = new ProtocolDispatcher()
+      .onMessage(MESSAGE_KINDS.TRANSCRIPTION, (fields) => {
+        this.handleTranscription(fields);
+        this.recordTurn(fields.Role === 'user' ? 'user' : 'assistant', fields.Text);
+        // Published after the transcript panel has been updated
+        if (fields.Text) {
+          this.eventBus.emit(APP_EVENTS.TRANSCRIPTION, { text: fields.Text, role: fields.Role });
+        }
+      })
+      .onMessage(MESSAGE_KINDS.SESSION_EVENT, (fields) => this.handleSessionEvent(fields))
+      .onMessage(MESSAGE_KINDS.STOP_AUDIO, (fields) => this.handleStopAudio(fields))
+      .onMessage(MESSAGE_KINDS.AUDIO_DATA, (fields) => {
+        if (typeof fields.AudioData?.Data === 'string') {
+          this.handleBinaryMessage(decodeFrame({ type: 'binary', data: fields.AudioData.Data }));
+        }
+      })
+      .onMessage(MESSAGE_KINDS.ERROR, (fields) => this.handleError(fields));
+    this.registerSessionEventHandlers();
+  }
+  
+  /**
+   * Enable or disable automatic reconnection
+   * @param {boolean} enabled - Whether dropped connections should be retried
+   */
+  setAutoReconnect(enabled) {
+    this.autoReconnect = enabled === true;
   }
   
   /**
@@ -42,6 +102,21 @@ export class WebSocketHandler {
    * @returns {Promise<void>}
    */
   async connect() {
+    this.intentionalClose = false;
+    this.cancelReconnect();
+    this.clearOutboundBuffer();
+    this.lastConfigMessage = null;
+    this.sessionId = null;
+    this.conversation = [];
+    return this.openSocket();
+  }
+  
+  /**
+   * Open the underlying WebSocket and wire its handlers.
+   * Shared by the initial connect and every reconnect attempt.
+   * @returns {Promise<void>}
+   */
+  openSocket() {
     return new Promise((resolve, reject) => {
       try {
         // Determine WebSocket protocol (ws or wss)
@@ -50,38 +125,55 @@ export class WebSocketHandler {
         const wsUrl = `${protocol}://${host}/web/ws`;
         
         // Create WebSocket connection
-        this.socket = new WebSocket(wsUrl);
-        this.socket.binaryType = 'arraybuffer';
+        const socket = new WebSocket(wsUrl);
+        socket.binaryType = 'arraybuffer';
+        this.socket = socket;
         
         // Connection opened
-        this.socket.onopen = () => {
+        socket.onopen = () => {
           console.log('WebSocket connected');
           this.isConnected = true;
-          updateStatus(window.APP_RESOURCES?.Connected || 'Connected', 'connected');
-          this.callbacks.onOpen();
+          
+          if (this.isReconnecting) {
+            this.handleReconnected();
+          } else {
+            updateStatus(window.APP_RESOURCES?.Connected || 'Connected', 'connected');
+            this.eventBus.emit(APP_EVENTS.CONNECTION_OPENED);
+            this.callbacks.onOpen();
+          }
           resolve();
         };
         
         // Handle incoming messages
-        this.socket.onmessage = (event) => {
+        socket.onmessage = (event) => {
           this.handleMessage(event);
         };
         
         // Connection closed
-        this.socket.onclose = () => {
+        socket.onclose = () => {
+          // Ignore late events from a socket that has already been replaced
+          if (this.socket !== socket) return;
+          
           console.log('WebSocket disconnected');
+          const wasConnected = this.isConnected;
           this.isConnected = false;
-          updateStatus(window.APP_RESOURCES?.Disconnected || 'Disconnected', 'disconnected');
-          consumptionTracker.handleSessionDisconnected();
-          consumptionTracker.stopDurationTimer();
-          this.callbacks.onClose();
+          
+          if (!this.intentionalClose && this.autoReconnect && (wasConnected || this.isReconnecting)) {
+            this.scheduleReconnect();
+            return;
+          }
+          
+          this.handleClosed();
         };
         
         // Connection error
-        this.socket.onerror = (error) => {
+        socket.onerror = (error) => {
           console.error('WebSocket error:', error);
-          showToast(window.APP_RESOURCES?.WebSocketConnectionError || 'WebSocket connection error', 'error');
-          this.callbacks.onError(error);
+          // Failed reconnect attempts are retried from onclose; don't tear the session down
+          if (!this.isReconnecting) {
+            showToast(window.APP_RESOURCES?.WebSocketConnectionError || 'WebSocket connection error', 'error');
+            this.callbacks.onError(error);
+          }
           reject(error);
         };
         
@@ -93,13 +185,182 @@ export class WebSocketHandler {
     });
   }
   
+  /**
+   * Final close handling: the connection is gone and will not be retried
+   */
+  handleClosed() {
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    this.clearOutboundBuffer();
+    updateStatus(window.APP_RESOURCES?.Disconnected || 'Disconnected', 'disconnected');
+    this.eventBus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: this.intentionalClose });
+    this.callbacks.onClose();
+  }
+  
+  /**
+   * Schedule the next reconnect attempt using exponential backoff with jitter
+   */
+  scheduleReconnect() {
+    if (this.reconnectAttempt >= RECONNECT_CONFIG.MAX_ATTEMPTS) {
+      console.warn(`WebSocket reconnect failed after ${this.reconnectAttempt} attempts`);
+      addTraceEntry('system', (window.APP_RESOURCES?.ReconnectFailed || 'Reconnect failed after {0} attempts').replace('{0}', this.reconnectAttempt));
+      this.handleClosed();
+      return;
+    }
+    
+    this.isReconnecting = true;
+    this.reconnectAttempt++;
+    
+    const exponential = RECONNECT_CONFIG.BASE_DELAY_MS * Math.pow(2, this.reconnectAttempt - 1);
+    const capped = Math.min(RECONNECT_CONFIG.MAX_DELAY_MS, exponential);
+    const jitter = 1 + (Math.random() * 2 - 1) * RECONNECT_CONFIG.JITTER;
+    const delayMs = Math.round(capped * jitter);
+    
+    console.log(`WebSocket reconnect attempt ${this.reconnectAttempt} in ${delayMs}ms`);
+    updateStatus((window.APP_RESOURCES?.Reconnecting || 'Reconnecting ({0})...').replace('{0}', this.reconnectAttempt), 'disconnected');
+    this.eventBus.emit(APP_EVENTS.CONNECTION_RECONNECTING, { attempt: this.reconnectAttempt, delayMs });
+    this.callbacks.onReconnecting(this.reconnectAttempt, delayMs);
+    
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      // Failures surface through onclose, which schedules the next attempt
+      this.openSocket().catch(() => {});
+    }, delayMs);
+  }
+  
+  /**
+   * Cancel a pending reconnect attempt
+   */
+  cancelReconnect() {
+    if (this.reconnectTimer) {
+      clearTimeout(this.reconnectTimer);
+      this.reconnectTimer = null;
+    }
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+  }
+  
+  /**
+   * Restore the session on a freshly reopened socket:
+   * replay the last Config with the previous session id and the conversation so far,
+   * then deliver the messages and audio sent while offline
+   */
+  handleReconnected() {
+    console.log(`WebSocket reconnected after ${this.reconnectAttempt} attempt(s)`);
+    this.isReconnecting = false;
+    this.reconnectAttempt = 0;
+    
+    if (this.lastConfigMessage) {
+      const resumeMessage = {
+        ...this.lastConfigMessage,
+        // The welcome message was already spoken in the original session
+        WelcomeMessage: '',
+        ResumeSessionId: this.sessionId || '',
+        // The new Voice Live session starts empty: the server adds these turns to it
+        ResumeHistory: this.getResumeHistory()
+      };
+      this.socket.send(JSON.stringify(resumeMessage));
+      console.log('Resume config sent:', { ResumeSessionId: resumeMessage.ResumeSessionId, Turns: resumeMessage.ResumeHistory.length });
+    }
+    
+    const buffered = this.outboundBuffer;
+    this.clearOutboundBuffer();
+    buffered.forEach(frame => {
+      try {
+        this.socket.send(frame);
+        const message = typeof frame === 'string' ? JSON.parse(frame) : null;
+        if (message?.Kind === MESSAGE_KINDS.MESSAGE) {
+          this.recordTurn('user', message.Text);
+        }
+      } catch (error) {
+        console.error('Error flushing buffered frame:', error);
+      }
+    });
+    
+    updateStatus(window.APP_RESOURCES?.Reconnected || 'Reconnected', 'connected');
+    this.eventBus.emit(APP_EVENTS.CONNECTION_RECONNECTED, { sessionId: this.sessionId });
+    this.callbacks.onReconnected();
+  }
+  
+  /**
+   * Get the most recent conversation turns that fit in a resume Config
+   * @returns {Array<{Role: string, Text: string}>} - Oldest first
+   */
+  getResumeHistory() {
+    const encoder = new TextEncoder();
+    const history = [];
+    let bytes = 0;
+    for (let i = this.conversation.length - 1; i >= 0 && history.length < RECONNECT_CONFIG.MAX_REPLAYED_TURNS; i--) {
+      bytes += encoder.encode(JSON.stringify(this.conversation[i])).length + 1;
+      if (bytes > RECONNECT_CONFIG.MAX_REPLAYED_BYTES) break;
+      history.unshift(this.conversation[i]);
+    }
+    return history;
+  }
+  
+  /**
+   * Queue an outbound frame while a reconnect is in progress
+   * Past the limits the oldest audio (RECONNECT_CONFIG.MAX_BUFFERED_AUDIO_MS) or the oldest
+   * message (RECONNECT_CONFIG.MAX_BUFFERED_MESSAGES) is dropped.
+   * @param {ArrayBuffer|string} frame - PCM16 audio or serialized JSON message
+   * @returns {boolean} - True if the frame was buffered
+   */
+  bufferOutbound(frame) {
+    if (!this.isReconnecting) {
+      return false;
+    }
+    
+    this.outboundBuffer.push(frame);
+    
+    if (frame instanceof ArrayBuffer) {
+      this.bufferedAudioBytes += frame.byteLength;
+      const maxAudioBytes = RECONNECT_CONFIG.MAX_BUFFERED_AUDIO_MS / 1000 * AUDIO_CONFIG.SAMPLE_RATE_INPUT * 2;
+      while (this.bufferedAudioBytes > maxAudioBytes) {
+        const index = this.outboundBuffer.findIndex(candidate => candidate instanceof ArrayBuffer);
+        this.bufferedAudioBytes -= this.outboundBuffer[index].byteLength;
+        this.outboundBuffer.splice(index, 1);
+      }
+    } else if (this.outboundBuffer.filter(candidate => typeof candidate === 'string').length > RECONNECT_CONFIG.MAX_BUFFERED_MESSAGES) {
+      this.outboundBuffer.splice(this.outboundBuffer.findIndex(candidate => typeof candidate === 'string'), 1);
+    }
+    return true;
+  }
+  
+  /**
+   * Drop the frames queued while offline
+   */
+  clearOutboundBuffer() {
+    this.outboundBuffer = [];
+    this.bufferedAudioBytes = 0;
+  }
+  
+  /**
+   * Remember a conversation turn so it can be restored after a reconnect
+   * @param {string} role - 'user' or 'assistant'
+   * @param {string} text - Turn text
+   */
+  recordTurn(role, text) {
+    if (!text) return;
+    this.conversation.push({ Role: role, Text: text });
+    if (this.conversation.length > RECONNECT_CONFIG.MAX_REPLAYED_TURNS) {
+      this.conversation.shift();
+    }
+  }
+  
   /**
    * Disconnect from WebSocket server
    */
   disconnect() {
+    this.intentionalClose = true;
+    const wasReconnecting = this.isReconnecting;
+    this.cancelReconnect();
+    this.clearOutboundBuffer();
+    
+    if (this.socket || wasReconnecting) {
+      this.eventBus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: true });
+    }
+    
     if (this.socket) {
-      consumptionTracker.handleSessionDisconnected();
-      consumptionTracker.stopDurationTimer();
       this.socket.close();
       this.socket = null;
       this.isConnected = false;
@@ -117,8 +378,7 @@ export class WebSocketHandler {
     }
     
     try {
-      const configMessage = {
-        Kind: 'Config',
+      const configMessage = createOutboundMessage(MESSAGE_KINDS.CONFIG, {
         WelcomeMessage: settings.welcomeMessage || '',
         VoiceModel: settings.voiceModel || '',
         Voice: settings.voice || '',
@@ -129,13 +389,16 @@ export class WebSocketHandler {
         VoiceModelInstructions: settings.modelInstructions || '',
         // Locale for voice recognition and synthesis
         Locale: settings.locale || settings.language || 'en-US',
+        // Push-to-talk sessions run without server turn detection
+        PushToTalk: settings.pushToTalk === true,
         // Microsoft Foundry Agent Service parameters
         FoundryAgentId: settings.foundryAgentId || '',
         FoundryProjectName: settings.foundryProjectName || ''
-      };
+      });
       
       const jsonString = JSON.stringify(configMessage);
       this.socket.send(jsonString);
+      this.lastConfigMessage = configMessage;
       
       console.log('Config sent:', configMessage);
     } catch (error) {
@@ -146,10 +409,12 @@ export class WebSocketHandler {
   
   /**
    * Send audio data to server (PCM16)
+   * Audio captured while reconnecting is buffered (the most recent seconds only) and sent once the session is resumed
    * @param {ArrayBuffer} audioBuffer - PCM16 audio data
    */
   sendAudio(audioBuffer) {
     if (!this.isConnected) {
+      this.bufferOutbound(audioBuffer);
       return;
     }
     
@@ -160,18 +425,29 @@ export class WebSocketHandler {
     }
   }
 
-   sendMessage(message) {
+  /**
+   * Send a text message to the agent
+   * Messages sent while reconnecting are buffered and delivered once the socket is restored;
+   * without a connection to restore, the user is told the message was not sent
+   * @param {string} message - Message text
+   */
+  sendMessage(message) {
+    const jsonString = JSON.stringify(createOutboundMessage(MESSAGE_KINDS.MESSAGE, {
+      Text: message || ''
+    }));
+    
     if (!this.isConnected) {
+      if (!this.bufferOutbound(jsonString)) {
+        const warning = window.APP_RESOURCES?.MessageNotSentOffline || 'Not connected: the message was not sent';
+        showToast(warning, 'warning');
+        addTraceEntry('error', warning);
+      }
       return;
     }
     
     try {
-      const configMessage = {
-        Kind: 'Message',
-        Text: message || ''
-      };
-      const jsonString = JSON.stringify(configMessage);
       this.socket.send(jsonString);
+      this.recordTurn('user', message);
     } catch (error) {
       console.error('Error sending message:', error);
     }
@@ -186,9 +462,7 @@ export class WebSocketHandler {
     }
     
     try {
-      const stopMessage = {
-        Kind: 'Stop'
-      };
+      const stopMessage = createOutboundMessage(MESSAGE_KINDS.STOP);
       
       const jsonString = JSON.stringify(stopMessage);
       this.socket.send(jsonString);
@@ -199,12 +473,61 @@ export class WebSocketHandler {
     }
   }
   
+  /**
+   * Commit the user's audio and request a response (push-to-talk release)
+   * Buffered while reconnecting so it stays behind the audio it commits.
+   */
+  sendCommit() {
+    const jsonString = JSON.stringify(createOutboundMessage(MESSAGE_KINDS.COMMIT));
+    
+    if (!this.isConnected) {
+      this.bufferOutbound(jsonString);
+      return;
+    }
+    
+    try {
+      this.socket.send(jsonString);
+      console.log('Commit sent');
+    } catch (error) {
+      console.error('Error sending commit message:', error);
+    }
+  }
+  
+  /**
+   * Tell the server the user interrupted the agent
+   * @param {Object} interruption
+   * @param {string} interruption.responseId - Interrupted response id
+   * @param {string} interruption.itemId - Conversation item holding the response audio
+   * @param {number} interruption.audioEndMs - Milliseconds of the response audio actually heard
+   * @param {boolean} interruption.cancelResponse - Also cancel the response (local detection, server not yet aware)
+   */
+  sendInterrupt({ responseId, itemId, audioEndMs, cancelResponse = false }) {
+    if (!this.isConnected) {
+      return;
+    }
+    
+    try {
+      const interruptMessage = createOutboundMessage(MESSAGE_KINDS.INTERRUPT, {
+        ResponseId: responseId || '',
+        ItemId: itemId || '',
+        AudioEndMs: Math.max(0, Math.round(audioEndMs || 0)),
+        CancelResponse: cancelResponse
+      });
+      this.socket.send(JSON.stringify(interruptMessage));
+      console.log('Interrupt sent:', interruptMessage);
+    } catch (error) {
+      console.error('Error sending interrupt message:', error);
+    }
+  }
+  
   /**
    * Handle incoming WebSocket message
    * Routes to appropriate handler based on message type
    * @param {MessageEvent} event - WebSocket message event
    */
   handleMessage(event) {
+    this.captureInboundFrame(event.data);
+    
     // Binary message - audio data
     if (event.data instanceof ArrayBuffer) {
       this.handleBinaryMessage(event.data);
@@ -219,6 +542,17 @@ export class WebSocketHandler {
     }
   }
   
+  /**
+   * Keep the raw inbound frame for session replays, while frame capture is on
+   * @param {ArrayBuffer|string} data - Frame data
+   */
+  captureInboundFrame(data) {
+    if (this.isReplaying || !traceLog.captureFrames) return;
+    if (data instanceof ArrayBuffer || typeof data === 'string') {
+      traceLog.recordFrame(encodeFrame(data));
+    }
+  }
+  
   /**
    * Handle binary audio message
    * @param {ArrayBuffer} arrayBuffer - Audio data
@@ -234,96 +568,76 @@ export class WebSocketHandler {
   
   /**
    * Handle JSON text message
+   * Frames are parsed, normalized and validated by the protocol module before dispatch
    * @param {string} jsonString - JSON message string
    */
   handleJSONMessage(jsonString) {
+    // Skip empty or whitespace-only messages
+    if (!jsonString || jsonString.trim().length === 0) {
+      console.debug('Skipping empty JSON message');
+      return;
+    }
+    
+    let message;
     try {
-      // Skip empty or whitespace-only messages
-      if (!jsonString || jsonString.trim().length === 0) {
-        console.debug('Skipping empty JSON message');
-        return;
-      }
-
-      const message = JSON.parse(jsonString);
-      
-      console.log('[DEBUG] JSON message received:', message);
-      
-      // Check for Kind property (supports both PascalCase and camelCase)
-      const messageKind = message.Kind || message.kind;
-      if (!messageKind) {
-        console.warn('Received message without Kind property:', message);
-        return;
-      }
-      
-      console.log('[DEBUG] Message Kind:', messageKind);
-      
-      // Route based on message kind
-      switch (messageKind) {
-        case 'Transcription':
-          this.handleTranscription(message);
-          break;
-
-        case 'SessionEvent':
-          this.handleSessionEvent(message);
-          break;
-          
-        case 'StopAudio':
-          this.handleStopAudio(message);
-          break;
-          
-        case 'Error':
-          this.handleError(message);
-          break;
-          
-        default:
-          console.warn('Unknown message kind:', messageKind);
-          showToast(`${window.APP_RESOURCES?.UnknownMessage || 'Unknown message'}: ${messageKind}`, 'warning');
-      }
+      message = parseInboundMessage(jsonString);
+    } catch (error) {
+      this.handleMalformedFrame(error, jsonString);
+      return;
+    }
+    
+    console.log('[DEBUG] Message Kind:', message.kind);
+    
+    try {
+      this.dispatcher.dispatch(message);
     } catch (error) {
-      console.error('Error parsing JSON message:', error, 'Message was:', jsonString);
+      console.error(`Error handling ${message.kind} message:`, error);
       showToast(window.APP_RESOURCES?.MessageProcessingError || 'Error processing message', 'warning');
     }
   }
+  
+  /**
+   * Report a frame that failed protocol validation in the trace panel
+   * @param {Error} error - ProtocolError (or parse error)
+   * @param {string} jsonString - Raw frame
+   */
+  handleMalformedFrame(error, jsonString) {
+    const field = error instanceof ProtocolError && error.field ? error.field : '-';
+    console.warn('Malformed frame:', error.message, 'Frame was:', jsonString);
+    this.eventBus.emit(APP_EVENTS.PROTOCOL_ERROR, { field: error.field || null, message: error.message, frame: jsonString });
+    addTraceEntry('error', (window.APP_RESOURCES?.MalformedFrame || 'Malformed frame (field: {0}): {1}')
+      .replace('{0}', field)
+      .replace('{1}', error.message));
+  }
 
   /**
    * Handle transcription message
-   * @param {Object} message - Transcription message object
+   * @param {Object} message - Validated Transcription fields (Text, Role)
    */
   handleTranscription(message) {
     try {
-      const text = message.text || message.Text || '';
-      const role = message.role || message.Role || 'agent'; // 'user' or 'agent'
+      const text = message.Text;
+      const role = message.Role; // 'user' or 'agent'
       
-      console.log('[DEBUG] handleTranscription called:', { text, role, message });
-      console.log('[DEBUG] Role check - message.role:', message.role, 'message.Role:', message.Role, 'final role:', role);
+      console.log('[DEBUG] handleTranscription called:', { text, role });
       
       if (text) {
-        // USER MESSAGES: Always add to transcript (no duplication check needed)
+        // USER MESSAGES: replace the in-progress bubble, if the text was streamed
         if (role === 'user') {
           console.log('[DEBUG] USER transcription - adding to transcript:', text);
-          addTranscript(role, text);
+          if (!userTranscriptStreamer.claimTranscription(text)) {
+            addTranscript(role, text);
+          }
           this.callbacks.onTranscription(text, role);
           console.log(`User transcription added: ${text}`);
           return;
         }
         
-        // AGENT MESSAGES: Check for duplicates from streaming
-        if (role === 'agent') {
-          const streamingElement = document.querySelector('.transcript-item.agent.streaming .transcript-content');
-          if (streamingElement) {
-            // Streaming element exists - skip adding duplicate, it will be finalized by consumption tracker
-            console.log('Skipping agent transcription - streaming element active');
-            this.callbacks.onTranscription(text, role);
-            return;
-          }
-          
-          // Check if there's a recently finalized element with same/similar content
-          const lastAgentItem = document.querySelector('.transcript-item.agent:last-of-type .transcript-content');
-          if (lastAgentItem && lastAgentItem.textContent.trim().startsWith(text.trim().substring(0, 20))) {
-            console.log('Skipping agent transcription - similar content already in transcript');
-            this.callbacks.onTranscription(text, role);
-            return;
-          }
+        // AGENT MESSAGES: the response stream that transcribed them already shows them
+        if (role === 'agent' && transcriptStreamer.claimTranscription(text)) {
+          console.log('Agent transcription matched to its response stream');
+          this.callbacks.onTranscription(text, role);
+          return;
         }
         
         // Add to transcript UI
@@ -340,121 +654,124 @@ export class WebSocketHandler {
   }
 
   /**
-   * Handle session events sent from server for tracing / UI
-   * @param {Object} message
+   * Register handlers for each canonical session event
+   * The handler only updates its own status UI; trackers and other observers
+   * subscribe to the republished events on the event bus.
+   * Payload keys arrive in PascalCase; nested objects keep the keys they were sent with
    */
-  handleSessionEvent(message) {
-    try {
-      const eventType = message.event || message.Event || 'unknown';
-      const payload = message.payload || message.Payload || null;
-
-      console.log('[DEBUG] SessionEvent received:', { eventType, payload });
-
-      // Add to trace panel
-      addTraceEntry('system', `${eventType}${payload ? ': ' + JSON.stringify(payload) : ''}`);
-
-      // ===== Consumption Tracking Integration =====
-      
-      // Track session.created event
-      if (eventType === 'SessionCreated' || eventType === 'session.created') {
-        consumptionTracker.handleSessionCreated(payload);
-        consumptionTracker.startDurationTimer();
-        if (payload && payload.SessionId) {
-          updateStatus((window.APP_RESOURCES?.SessionId || 'Session: {0}').replace('{0}', payload.SessionId.substring(0, 8)), 'connected');
-        }
-      }
-      
-      // Track session.updated event
-      if (eventType === 'SessionUpdated' || eventType === 'session.updated') {
-        consumptionTracker.handleSessionUpdated(payload);
-      }
-
-      // Handle disconnection events
-      if (eventType === 'SessionDisconnected' || eventType === 'SessionClosed' || eventType === 'SessionEnded' || eventType === 'Disconnected') {
-        consumptionTracker.handleSessionDisconnected();
-        consumptionTracker.stopDurationTimer();
-        updateStatus(window.APP_RESOURCES?.Disconnected || 'Disconnected', 'disconnected');
+  registerSessionEventHandlers() {
+    const publish = (sessionEvent, appEvent, handler) => {
+      this.dispatcher.onSessionEvent(sessionEvent, (payload) => {
+        if (handler) handler(payload);
+        this.eventBus.emit(appEvent, payload);
+      });
+    };
+    
+    publish(SESSION_EVENTS.SESSION_CONNECTED, APP_EVENTS.SESSION_CONNECTED);
+    
+    publish(SESSION_EVENTS.SESSION_CREATED, APP_EVENTS.SESSION_CREATED, (payload) => {
+      // Remember the session id so a reconnect can ask the server to resume it
+      if (payload && payload.SessionId) {
+        this.sessionId = payload.SessionId;
+        updateStatus((window.APP_RESOURCES?.SessionId || 'Session: {0}').replace('{0}', payload.SessionId.substring(0, 8)), 'connected');
       }
+    });
+    
+    publish(SESSION_EVENTS.SESSION_UPDATED, APP_EVENTS.SESSION_UPDATED);
+    
+    publish(SESSION_EVENTS.SESSION_DISCONNECTED, APP_EVENTS.SESSION_DISCONNECTED, () => {
+      updateStatus(window.APP_RESOURCES?.Disconnected || 'Disconnected', 'disconnected');
+    });
+    
+    publish(SESSION_EVENTS.RESPONSE_CREATED, APP_EVENTS.RESPONSE_CREATED, () => {
+      updateStatus(window.APP_RESOURCES?.GeneratingResponse || 'Generating response...', 'connected');
+    });
+    
+    publish(SESSION_EVENTS.RESPONSE_DONE, APP_EVENTS.RESPONSE_DONE, (payload) => {
+      updateStatus(window.APP_RESOURCES?.SessionActive || 'Session active', 'connected');
       
-      // Track response.created event
-      if (eventType === 'ResponseCreated' || eventType === 'response.created') {
-        consumptionTracker.handleResponseCreated(payload);
-        updateStatus(window.APP_RESOURCES?.GeneratingResponse || 'Generating response...', 'connected');
-      }
-
-      // Track response.done event with token usage
-      if (eventType === 'ResponseDone' || eventType === 'response.done') {
-        updateStatus(window.APP_RESOURCES?.SessionActive || 'Session active', 'connected');
+      // Extract token usage from payload for legacy display
+      // Payload format: { ResponseId, Status, Usage: { InputTokens, OutputTokens, TotalTokens } }
+      if (payload && payload.Usage) {
+        const usage = payload.Usage;
+        const inputTokens = usage.InputTokens || 0;
+        const outputTokens = usage.OutputTokens || 0;
+        const totalTokens = usage.TotalTokens || (inputTokens + outputTokens);
         
-        // Update consumption tracker with response done data
-        consumptionTracker.handleResponseDone(payload);
+        console.log(`Token usage - Input: ${inputTokens}, Output: ${outputTokens}, Total: ${totalTokens}`);
         
-        // Extract token usage from payload for legacy display
-        // Payload format: { ResponseId, Status, Usage: { InputTokens, OutputTokens, TotalTokens } }
-        if (payload && payload.Usage) {
-          const usage = payload.Usage;
-          const inputTokens = usage.InputTokens || usage.input_tokens || 0;
-          const outputTokens = usage.OutputTokens || usage.output_tokens || 0;
-          const totalTokens = usage.TotalTokens || usage.total_tokens || (inputTokens + outputTokens);
-          
-          console.log(`Token usage - Input: ${inputTokens}, Output: ${outputTokens}, Total: ${totalTokens}`);
-          
-          // Update legacy token display in UI if available
-          this.updateTokenDisplay(inputTokens, outputTokens, totalTokens);
-        }
-      }
-      
-      // Track rate_limits.updated event
-      if (eventType === 'RateLimitsUpdated' || eventType === 'rate_limits.updated') {
-        consumptionTracker.handleRateLimitsUpdated(payload);
-      }
-         
-      // Show user-visible info/error messages under mic for certain events
-      if (eventType === 'SessionError' || eventType === 'Error' || eventType === 'error') {
-        const msg = (payload && payload.Message) ? payload.Message : (payload && payload.Error) ? payload.Error : (window.APP_RESOURCES?.SessionError || 'Session error');
-        showMicMessage('error', msg, 6000);
-      }
-
-      if (eventType === 'SessionInfo' || eventType === 'Info') {
-        const msg = (payload && payload.Message) ? payload.Message : (payload && payload.Info) ? payload.Info : (window.APP_RESOURCES?.Information || 'Information');
-        showMicMessage('info', msg, 4500);
-      }
-
-      // Update status for speech events and track audio duration
-      if (eventType === 'SpeechStarted' || eventType === 'input_audio_buffer.speech_started') {
-        updateStatus(window.APP_RESOURCES?.UserSpeaking || 'User speaking...', 'speaking');
-        consumptionTracker.handleInputAudioSpeechStarted(payload);
-      }
-
-      if (eventType === 'SpeechStopped' || eventType === 'input_audio_buffer.speech_stopped') {
-        updateStatus(window.APP_RESOURCES?.Processing || 'Processing...', 'connected');
-        consumptionTracker.handleInputAudioSpeechStopped(payload);
-      }
-
-      if (eventType === 'ResponseAudioDelta' || eventType === 'response.audio.delta') {
-        updateStatus(window.APP_RESOURCES?.AssistantSpeaking || 'Assistant speaking...', 'speaking');
-        consumptionTracker.handleOutputAudioDelta(payload);
-      }
-
-      if (eventType === 'ResponseAudioDone' || eventType === 'response.audio.done') {
-        consumptionTracker.handleOutputAudioDone(payload);
+        // Update legacy token display in UI if available
+        this.updateTokenDisplay(inputTokens, outputTokens, totalTokens);
       }
+    });
+    
+    publish(SESSION_EVENTS.RESPONSE_OUTPUT_ITEM_ADDED, APP_EVENTS.RESPONSE_OUTPUT_ITEM_ADDED);
+    
+    publish(SESSION_EVENTS.RATE_LIMITS_UPDATED, APP_EVENTS.RATE_LIMITS_UPDATED);
+    
+    // Show user-visible info/error messages under mic for certain events
+    publish(SESSION_EVENTS.SESSION_ERROR, APP_EVENTS.SESSION_ERROR, (payload) => {
+      const msg = (payload && payload.Message) ? payload.Message : (payload && payload.Error) ? payload.Error : (window.APP_RESOURCES?.SessionError || 'Session error');
+      showMicMessage('error', msg, 6000);
+    });
+    
+    publish(SESSION_EVENTS.SESSION_INFO, APP_EVENTS.SESSION_INFO, (payload) => {
+      const msg = (payload && payload.Message) ? payload.Message : (payload && payload.Info) ? payload.Info : (window.APP_RESOURCES?.Information || 'Information');
+      showMicMessage('info', msg, 4500);
+    });
+    
+    // Update status for speech events
+    publish(SESSION_EVENTS.SPEECH_STARTED, APP_EVENTS.SPEECH_STARTED, () => {
+      updateStatus(window.APP_RESOURCES?.UserSpeaking || 'User speaking...', 'speaking');
+    });
+    
+    publish(SESSION_EVENTS.SPEECH_STOPPED, APP_EVENTS.SPEECH_STOPPED, () => {
+      updateStatus(window.APP_RESOURCES?.Processing || 'Processing...', 'connected');
+    });
+    
+    // Live user transcription (rendered by UserTranscriptStreamer)
+    publish(SESSION_EVENTS.USER_TRANSCRIPTION_DELTA, APP_EVENTS.USER_TRANSCRIPT_DELTA);
+    publish(SESSION_EVENTS.USER_TRANSCRIPTION, APP_EVENTS.USER_TRANSCRIPT_DONE);
+    publish(SESSION_EVENTS.USER_TRANSCRIPTION_FAILED, APP_EVENTS.USER_TRANSCRIPT_FAILED);
+    
+    publish(SESSION_EVENTS.RESPONSE_AUDIO_DELTA, APP_EVENTS.RESPONSE_AUDIO_DELTA, () => {
+      updateStatus(window.APP_RESOURCES?.AssistantSpeaking || 'Assistant speaking...', 'speaking');
+    });
+    
+    publish(SESSION_EVENTS.RESPONSE_AUDIO_DONE, APP_EVENTS.RESPONSE_AUDIO_DONE);
+    publish(SESSION_EVENTS.AUDIO_TIMESTAMP_DELTA, APP_EVENTS.AUDIO_TIMESTAMP_DELTA);
+    publish(SESSION_EVENTS.RESPONSE_AUDIO_TRANSCRIPT_DELTA, APP_EVENTS.TRANSCRIPT_DELTA);
+    publish(SESSION_EVENTS.RESPONSE_AUDIO_TRANSCRIPT_DONE, APP_EVENTS.TRANSCRIPT_DONE);
+    
+    // Tool calls (rendered by ToolCallManager)
+    publish(SESSION_EVENTS.FUNCTION_CALL_ARGUMENTS_DELTA, APP_EVENTS.TOOL_CALL_ARGUMENTS_DELTA);
+    publish(SESSION_EVENTS.FUNCTION_CALL_ARGUMENTS_DONE, APP_EVENTS.TOOL_CALL_ARGUMENTS_DONE);
+    publish(SESSION_EVENTS.FUNCTION_CALL_COMPLETED, APP_EVENTS.TOOL_CALL_COMPLETED);
+    publish(SESSION_EVENTS.FUNCTION_CALL_FAILED, APP_EVENTS.TOOL_CALL_FAILED);
+  }
 
-      if (eventType === 'AudioTimestampDelta' || eventType === 'response.audio_timestamp.delta') {
-        consumptionTracker.handleAudioTimestampDelta(payload);
-        transcriptStreamer.handleAudioTimestampDelta(payload);
-      }
+  /**
+   * Handle session events sent from server for tracing / UI
+   * @param {Object} message - Validated SessionEvent fields (Event, EventType, Payload)
+   */
+  handleSessionEvent(message) {
+    try {
+      const payload = message.Payload;
 
-      // Handle transcript delta for streaming text (alternative to audio_timestamp.delta)
-      if (eventType === 'ResponseAudioTranscriptDelta' || eventType === 'response.audio_transcript.delta') {
-        transcriptStreamer.handleTranscriptDelta(payload);
-      }
+      console.log('[DEBUG] SessionEvent received:', { eventType: message.EventType, payload });
 
-      // Finalize transcript streaming when response is done
-      if (eventType === 'ResponseDone' || eventType === 'response.done') {
-        transcriptStreamer.finalizeStreamingTranscript();
-      }
+      // Add to trace panel (the payload is kept raw, for filtering and export)
+      const category = getSessionEventCategory(message.Event);
+      addTraceEntry(category === 'error' ? 'error' : 'system', message.Event, {
+        level: category === 'error' ? 'error' : 'info',
+        category,
+        payload: payload ?? null
+      });
 
+      this.dispatcher.dispatchSessionEvent(message);
+      
+      // Generic feed for analytics / plugins that want every event
+      this.eventBus.emit(APP_EVENTS.SESSION_EVENT, { eventType: message.EventType, event: message.Event, payload });
     } catch (error) {
       console.error('Error handling session event:', error);
     }
@@ -469,6 +786,7 @@ export class WebSocketHandler {
       console.log('StopAudio received');
       
       // Call callback to stop audio playback
+      this.eventBus.emit(APP_EVENTS.AUDIO_STOP);
       this.callbacks.onStopAudio();
     } catch (error) {
       console.error('Error handling stop audio:', error);
@@ -477,12 +795,13 @@ export class WebSocketHandler {
   
   /**
    * Handle error message from server
-   * @param {Object} message - Error message object
+   * @param {Object} message - Validated Error fields (Message, Error)
    */
   handleError(message) {
-    const errorText = message.message || message.Message || message.error || message.Error || 'Unknown server error';
+    const errorText = message.Message || message.Error || 'Unknown server error';
     console.error('Server error:', errorText);
     showToast(errorText, 'error');
+    this.eventBus.emit(APP_EVENTS.SERVER_ERROR, { message: errorText });
     
     // Call error callback
     this.callbacks.onError(new Error(errorText));
@@ -533,6 +852,14 @@ export class WebSocketHandler {
     return this.isConnected && this.socket && this.socket.readyState === WebSocket.OPEN;
   }
   
+  /**
+   * Check if the handler can accept outbound messages (connected, or buffering while reconnecting)
+   * @returns {boolean}
+   */
+  canSend() {
+    return this.isSocketConnected() || this.isReconnecting;
+  }
+  
   /**
    * Get connection state
    * @returns {string} - 'connecting', 'open', 'closing', 'closed'
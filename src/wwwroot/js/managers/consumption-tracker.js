@@ -9,6 +9,11 @@ import { PricingManager } from '../modules/pricing-manager.js';
 import { ConsumptionFormatter } from '../modules/consumption-formatter.js';
 import { ConsumptionUIRenderer } from '../modules/consumption-ui-renderer.js';
 import { SettingsManager } from '../modules/settings-manager.js';
+import { EventEmitterHelper } from '../modules/event-emitter-helper.js';
+import { eventBus, APP_EVENTS } from '../core/event-bus.js';
+import { DEFAULT_BUDGET } from '../core/config.js';
+import { showToast } from '../ui/ui-utils.js';
+import { addTraceEntry } from './trace-manager.js';
 
 /**
  * ConsumptionTracker class
@@ -19,6 +24,7 @@ export class ConsumptionTracker {
     // Session tracking
     this.sessionId = null;
     this.sessionModel = null;
+    this.sessionVoice = null;
     this.sessionStartTime = null;
     this.sessionStatus = 'disconnected';
     
@@ -63,9 +69,12 @@ export class ConsumptionTracker {
     // Rate limits
     this.rateLimits = [];
     
+    // Agent playback jitter buffer stats (published by AudioHandler)
+    this.playbackStats = null;
+    
     // Model-based token tracking for cost analysis
-    this.modelTokenUsage = {}; // { modelName: { input: 0, output: 0, cached: 0 } }
-    this.modelCosts = {}; // { modelName: { input: 0, output: 0, cached: 0, total: 0 } }
+    this.modelTokenUsage = {}; // { modelName: { input, output, cached, inputAudio, outputAudio, cachedAudio } }
+    this.modelCosts = {}; // { modelName: { input, output, cached, avatar, total, breakdown } }
     
     // Pricing manager for cost calculations
     this.pricingManager = new PricingManager();
@@ -90,10 +99,53 @@ export class ConsumptionTracker {
     // Event listener tracking for cleanup
     this.eventListeners = [];
     
+    // Event bus subscriptions (see subscribe())
+    this.busSubscriptions = null;
+    
+    // Virtual clock of a session replay (see setReplayClock())
+    this.replayClock = null;
+    
+    // Spending limits, shared by all pages (see setBudget())
+    this.budgetManager = new SettingsManager('voiceAgent_budget', { ...DEFAULT_BUDGET });
+    this.budgetAlerts = new Set(); // Alerts already raised this session ('session.tokens.warning', ...)
+    this.savedDailyUsage = null; // Today's totals of the saved sessions (see getDailyUsage())
+    this.sessionStart = this.getCounters(); // Cumulative counters when the current session started
+    
     // Initialize UI
     this.initializeDashboard();
     // Try to load server-driven pricing to override frontend fallbacks
-    this.pricingManager.loadServerPricing();
+    this.pricingManager.loadServerPricing().then(() => this.applyCurrency());
+  }
+  
+  /**
+   * Show costs in the currency chosen in the app settings (homepage)
+   * Costs stay in USD while the administrator has not set an exchange rate for it.
+   */
+  applyCurrency() {
+    const currency = String(new SettingsManager('uiSettings', {}).get('currency', 'USD') || 'USD').toUpperCase();
+    const rate = this.pricingManager.getExchangeRate(currency);
+    if (rate === null) {
+      console.warn(`[ConsumptionTracker] No exchange rate for ${currency}, showing costs in USD`);
+    }
+    ConsumptionFormatter.setCurrency(rate === null ? 'USD' : currency, rate ?? 1);
+    this.updateCostsPerModelUI();
+  }
+
+  /**
+   * Measure time on the virtual clock of a session replay, or on the wall clock again
+   * Replayed sessions are shown on the dashboard but not saved to the history.
+   * @param {VirtualClock|null} clock - Replay clock (null when the replay ends)
+   */
+  setReplayClock(clock) {
+    this.replayClock = clock || null;
+  }
+
+  /**
+   * Current time in milliseconds (the replay position while a session is replayed)
+   * @returns {number}
+   */
+  now() {
+    return this.replayClock ? this.replayClock.now() : Date.now();
   }
 
   /**
@@ -106,6 +158,56 @@ export class ConsumptionTracker {
       }
     });
     this.eventListeners = [];
+    this.unsubscribe();
+  }
+
+  /**
+   * Subscribe to session events published on an event bus
+   * @param {EventBus} bus - Event bus to listen on
+   */
+  subscribe(bus) {
+    this.unsubscribe();
+    this.bus = bus;
+    this.busSubscriptions = new EventEmitterHelper(bus);
+    this.busSubscriptions.registerHandlers({
+      [APP_EVENTS.SESSION_CREATED]: (payload) => {
+        this.handleSessionCreated(payload);
+        this.stopDurationTimer();
+        this.startDurationTimer();
+      },
+      [APP_EVENTS.SESSION_UPDATED]: this.handleSessionUpdated,
+      [APP_EVENTS.SESSION_DISCONNECTED]: this.handleSessionEnded,
+      [APP_EVENTS.CONNECTION_CLOSED]: this.handleSessionEnded,
+      [APP_EVENTS.RESPONSE_CREATED]: this.handleResponseCreated,
+      [APP_EVENTS.RESPONSE_DONE]: this.handleResponseDone,
+      [APP_EVENTS.RATE_LIMITS_UPDATED]: this.handleRateLimitsUpdated,
+      [APP_EVENTS.SPEECH_STARTED]: this.handleInputAudioSpeechStarted,
+      [APP_EVENTS.SPEECH_STOPPED]: this.handleInputAudioSpeechStopped,
+      [APP_EVENTS.RESPONSE_AUDIO_DELTA]: this.handleOutputAudioDelta,
+      [APP_EVENTS.RESPONSE_AUDIO_DONE]: this.handleOutputAudioDone,
+      [APP_EVENTS.AUDIO_TIMESTAMP_DELTA]: this.handleAudioTimestampDelta,
+      [APP_EVENTS.PLAYBACK_STATS]: this.handlePlaybackStats
+    }, this);
+  }
+
+  /**
+   * Remove all event bus subscriptions
+   */
+  unsubscribe() {
+    if (this.busSubscriptions) {
+      this.busSubscriptions.unregisterAll();
+      this.busSubscriptions = null;
+    }
+  }
+
+  /**
+   * Handle the end of a session (server event or socket closed)
+   * Persists the session once, even if both signals arrive.
+   */
+  handleSessionEnded() {
+    this.stopDurationTimer();
+    if (this.sessionStatus === 'disconnected') return;
+    this.handleSessionDisconnected();
   }
 
   /**
@@ -147,7 +249,8 @@ export class ConsumptionTracker {
     responses: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M21 15a2 2 0 0 1-2 2H7l-4 4V5a2 2 0 0 1 2-2h14a2 2 0 0 1 2 2z"/></svg>`,
     tokens: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><circle cx="12" cy="12" r="10"/><circle cx="12" cy="12" r="3"/></svg>`,
     audio: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"/><path d="M15.54 8.46a5 5 0 0 1 0 7.07"/><path d="M19.07 4.93a10 10 0 0 1 0 14.14"/></svg>`,
-    rateLimits: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>`
+    rateLimits: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><polygon points="13 2 3 14 12 14 11 22 21 10 12 10 13 2"/></svg>`,
+    history: `<svg width="16" height="16" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M3 3v5h5"/><path d="M3.05 13A9 9 0 1 0 6 5.3L3 8"/><path d="M12 7v5l4 2"/></svg>`
   };
 
   /**
@@ -158,7 +261,11 @@ export class ConsumptionTracker {
     return `
       <div class="consumption-header">
         <h3>${ConsumptionTracker.ICONS.dashboard} ${r.ConsumptionDashboard || 'Consumption Dashboard'}</h3>
-        <button id="closeDashboard" class="close-dashboard-btn" title="${r.CloseDashboard || 'Chiudi dashboard'}">×</button>
+        <div class="consumption-header-actions">
+          <button id="consumptionHistoryButton" class="close-dashboard-btn" title="${r.ConsumptionHistory || 'Consumption history'}"
+            aria-label="${r.ConsumptionHistory || 'Consumption history'}" aria-controls="consumptionHistory" aria-expanded="false">${ConsumptionTracker.ICONS.history}</button>
+          <button id="closeDashboard" class="close-dashboard-btn" title="${r.CloseDashboard || 'Chiudi dashboard'}">×</button>
+        </div>
       </div>
       <div class="consumption-body">
         <!-- Session Section -->
@@ -264,6 +371,29 @@ export class ConsumptionTracker {
           </div>
         </div>
         
+        <!-- Playback Section -->
+        <div class="consumption-section">
+          <h4>${ConsumptionTracker.ICONS.audio} ${r.Playback || 'Playback'}</h4>
+          <div class="consumption-grid">
+            <div class="consumption-item">
+              <span class="consumption-label">${r.PlaybackLatency || 'Current Latency:'}</span>
+              <span class="consumption-value" id="dashPlaybackLatency">-</span>
+            </div>
+            <div class="consumption-item">
+              <span class="consumption-label">${r.Underruns || 'Underruns:'}</span>
+              <span class="consumption-value consumption-count" id="dashPlaybackUnderruns">0</span>
+            </div>
+            <div class="consumption-item">
+              <span class="consumption-label">${r.NetworkJitter || 'Jitter:'}</span>
+              <span class="consumption-value" id="dashPlaybackJitter">-</span>
+            </div>
+          </div>
+          <div class="audio-format-info">
+            <span>${r.TargetBuffer || 'Target Buffer:'} <strong id="dashPlaybackTarget">-</strong></span>
+            <span>${r.Concealed || 'Concealed:'} <strong id="dashPlaybackConcealed">0ms</strong></span>
+          </div>
+        </div>
+        
         <!-- Rate Limits Section -->
         <div class="consumption-section" id="rateLimitsSection" style="display: none;">
           <h4>${ConsumptionTracker.ICONS.rateLimits} ${r.RateLimits || 'Rate Limits'}</h4>
@@ -377,11 +507,16 @@ export class ConsumptionTracker {
   handleSessionCreated(payload) {
     if (!payload) return;
     
-    const session = payload.session || payload;
-    this.sessionId = session.id || session.SessionId || payload.SessionId;
+    const session = payload.session || payload.Session || payload;
+    this.sessionId = session.id || session.Id || session.SessionId || payload.SessionId;
     this.sessionModel = session.model || session.Model || '-';
-    this.sessionStartTime = new Date();
+    this.sessionVoice = this.getVoiceId(session);
+    this.sessionStartTime = new Date(this.now());
     this.sessionStatus = 'connected';
+    this.budgetAlerts.clear();
+    this.savedDailyUsage = null;
+    // The counters stay cumulative across sessions; limits and saved records only count this one
+    this.sessionStart = this.getCounters();
     
     // Extract audio configuration from session
     this.inputAudioFormat = session.input_audio_format || session.InputAudioFormat || 'pcm16';
@@ -401,6 +536,17 @@ export class ConsumptionTracker {
     });
   }
   
+  /**
+   * Get the voice of a session payload
+   * OpenAI voices are names ('alloy'), Azure voices objects ({ name, type }).
+   * @param {Object} session - Session from session.created/updated
+   * @returns {string|null}
+   */
+  getVoiceId(session) {
+    const voice = session.voice || session.Voice;
+    return typeof voice === 'string' ? voice : (voice?.name || voice?.Name || null);
+  }
+  
   /**
    * Get default sample rate based on audio format
    */
@@ -439,10 +585,11 @@ export class ConsumptionTracker {
   handleSessionUpdated(payload) {
     if (!payload) return;
     
-    const session = payload.session || payload;
+    const session = payload.session || payload.Session || payload;
     if (session.model || session.Model) {
       this.sessionModel = session.model || session.Model;
     }
+    this.sessionVoice = this.getVoiceId(session) || this.sessionVoice;
     
     // Update audio configuration if changed
     if (session.input_audio_format || session.InputAudioFormat) {
@@ -476,7 +623,7 @@ export class ConsumptionTracker {
     if (!payload) return;
     
     const response = payload.response || payload;
-    this.currentResponseId = response.id || response.ResponseId || payload.ResponseId;
+    this.currentResponseId = response.id || response.Id || response.ResponseId || payload.ResponseId;
     this.currentResponseStatus = response.status || response.Status || 'in_progress';
     this.responseCount++;
     
@@ -492,7 +639,7 @@ export class ConsumptionTracker {
     if (!payload) return;
     
     const response = payload.response || payload;
-    this.currentResponseId = response.id || response.ResponseId || payload.ResponseId || this.currentResponseId;
+    this.currentResponseId = response.id || response.Id || response.ResponseId || payload.ResponseId || this.currentResponseId;
     this.currentResponseStatus = response.status || response.Status || payload.Status || 'completed';
     
     // Ensure we have a model name - try to extract from response if not already set
@@ -525,21 +672,35 @@ export class ConsumptionTracker {
           this.modelTokenUsage[this.sessionModel] = {
             input: 0,
             output: 0,
-            cached: 0
+            cached: 0,
+            inputAudio: 0,
+            outputAudio: 0,
+            cachedAudio: 0
           };
         }
         
         // Extract cached tokens separately (support multiple naming conventions)
         const inputDetails = usage.input_token_details ?? usage.InputTokenDetails ?? usage.inputTokenDetails ?? usage.inputDetails ?? usage.InputDetails ?? {};
         const cachedTokens = inputDetails.cached_tokens ?? inputDetails.CachedTokens ?? inputDetails.cachedTokens ?? inputDetails.Cached ?? 0;
+        
+        // Audio share of each count, billed at the audio rates
+        const cachedDetails = inputDetails.cached_tokens_details ?? inputDetails.CachedTokensDetails ?? inputDetails.cachedTokensDetails ?? {};
+        const outputDetails = usage.output_token_details ?? usage.OutputTokenDetails ?? usage.outputTokenDetails ?? {};
+        const cachedAudioTokens = Math.min(cachedTokens, cachedDetails.audio_tokens ?? cachedDetails.AudioTokens ?? cachedDetails.audioTokens ?? 0);
+        const inputAudioTokens = Math.max(0, (inputDetails.audio_tokens ?? inputDetails.AudioTokens ?? inputDetails.audioTokens ?? 0) - cachedAudioTokens);
+        const outputAudioTokens = Math.min(outputTokens, outputDetails.audio_tokens ?? outputDetails.AudioTokens ?? outputDetails.audioTokens ?? 0);
 
         // Calculate actual input tokens (not including cached)
         const actualInputTokens = Math.max(0, inputTokens - cachedTokens);
         
         // Add to model usage
-        this.modelTokenUsage[this.sessionModel].input += actualInputTokens;
-        this.modelTokenUsage[this.sessionModel].output += outputTokens;
-        this.modelTokenUsage[this.sessionModel].cached += cachedTokens;
+        const modelUsage = this.modelTokenUsage[this.sessionModel];
+        modelUsage.input += actualInputTokens;
+        modelUsage.output += outputTokens;
+        modelUsage.cached += cachedTokens;
+        modelUsage.inputAudio += Math.min(actualInputTokens, inputAudioTokens);
+        modelUsage.outputAudio += outputAudioTokens;
+        modelUsage.cachedAudio += cachedAudioTokens;
         
         // Calculate costs per model
         this.calculateModelCosts();
@@ -548,7 +709,10 @@ export class ConsumptionTracker {
           model: this.sessionModel,
           input: actualInputTokens,
           output: outputTokens,
-          cached: cachedTokens
+          cached: cachedTokens,
+          inputAudio: inputAudioTokens,
+          outputAudio: outputAudioTokens,
+          cachedAudio: cachedAudioTokens
         });
       }
       
@@ -578,6 +742,7 @@ export class ConsumptionTracker {
     
     this.updateDashboard();
     this.updateTokenBadge();
+    this.checkBudget();
   }
   
   /**
@@ -591,6 +756,17 @@ export class ConsumptionTracker {
     this.updateRateLimitsUI();
   }
   
+  /**
+   * Handle playback stats published by the AudioHandler jitter buffer
+   * @param {Object} stats - { underruns, concealedMs, jitterMs, targetDepthMs, latencyMs }
+   */
+  handlePlaybackStats(stats) {
+    if (!stats) return;
+    
+    this.playbackStats = stats;
+    this.updatePlaybackUI();
+  }
+  
   /**
    * Handle input_audio_buffer.speech_started event
    * Tracks when user starts speaking
@@ -599,7 +775,7 @@ export class ConsumptionTracker {
   handleInputAudioSpeechStarted(payload) {
     // Store the local timestamp when speech started
     // Since the SDK doesn't provide audio_start_ms, we track locally
-    this.currentInputAudioStartMs = Date.now();
+    this.currentInputAudioStartMs = this.now();
     
     this.logEvent('InputAudioSpeechStarted', { 
       timestamp: this.currentInputAudioStartMs,
@@ -615,7 +791,7 @@ export class ConsumptionTracker {
   handleInputAudioSpeechStopped(payload) {
     // Calculate duration using local timestamps
     if (this.currentInputAudioStartMs !== null) {
-      const endTime = Date.now();
+      const endTime = this.now();
       const durationMs = endTime - this.currentInputAudioStartMs;
       
       if (durationMs > 0) {
@@ -637,11 +813,11 @@ export class ConsumptionTracker {
    * @param {Object} payload - Audio append payload
    */
   handleInputAudioBufferAppend(payload) {
-    if (!payload || !payload.audio) return;
+    if (!payload || !payload.Audio) return;
     
     // Estimate audio duration from base64 audio data
     // Base64 string length * 3/4 = bytes, then calculate duration based on format
-    const base64Audio = payload.audio;
+    const base64Audio = payload.Audio;
     const audioBytes = Math.floor(base64Audio.length * 3 / 4);
     this.currentInputAudioBytes += audioBytes;
   }
@@ -737,6 +913,7 @@ export class ConsumptionTracker {
     this.inputTokenDetails = { cachedTokens: 0, textTokens: 0, audioTokens: 0 };
     this.outputTokenDetails = { textTokens: 0, audioTokens: 0 };
     this.rateLimits = [];
+    this.playbackStats = null;
     this.modelTokenUsage = {};
     this.modelCosts = {};
     
@@ -749,6 +926,7 @@ export class ConsumptionTracker {
     
     // Reset audio timestamp tracking
     this.maxOutputAudioEndMs = 0;
+    this.sessionStart = this.getCounters();
     
     this.updateDashboard();
     this.updateTokenBadge();
@@ -788,6 +966,9 @@ export class ConsumptionTracker {
     this.updateElement('dashAudioFormat', this.outputAudioFormat || 'pcm16');
     this.updateElement('dashSampleRate', this.formatSampleRate(this.outputAudioSamplingRate));
     
+    // Playback jitter buffer
+    this.updatePlaybackUI();
+    
     // Update token consumption and costs per model
     this.updateTokenConsumptionPerModelUI();
     this.updateCostsPerModelUI();
@@ -809,6 +990,224 @@ export class ConsumptionTracker {
     }
   }
   
+  /**
+   * Get the spending limits
+   * @returns {Object} - { sessionTokens, sessionUsd, dailyTokens, dailyUsd, warnPercent, hardStop }
+   */
+  getBudget() {
+    return { ...DEFAULT_BUDGET, ...this.budgetManager.getAll() };
+  }
+  
+  /**
+   * Save the spending limits and check the current session against them
+   * @param {Object} budget - Limits (see DEFAULT_BUDGET); empty or invalid limits mean no limit
+   */
+  setBudget(budget) {
+    const limit = (value) => Math.max(0, parseFloat(value) || 0);
+    this.budgetManager.save({
+      sessionTokens: Math.round(limit(budget.sessionTokens)),
+      sessionUsd: limit(budget.sessionUsd),
+      dailyTokens: Math.round(limit(budget.dailyTokens)),
+      dailyUsd: limit(budget.dailyUsd),
+      warnPercent: Math.min(100, limit(budget.warnPercent)) || DEFAULT_BUDGET.warnPercent,
+      hardStop: budget.hardStop === true
+    });
+    
+    // Changed limits are reported again
+    this.budgetAlerts.clear();
+    this.checkBudget();
+  }
+  
+  /**
+   * Get a copy of the cumulative counters
+   * @returns {Object} - { responseCount, tokens, audio, modelUsage }
+   */
+  getCounters() {
+    return {
+      responseCount: this.responseCount,
+      tokens: {
+        input: this.totalInputTokens,
+        output: this.totalOutputTokens,
+        total: this.totalTokens,
+        inputDetails: { ...this.inputTokenDetails },
+        outputDetails: { ...this.outputTokenDetails }
+      },
+      audio: {
+        inputDurationMs: this.totalInputAudioDurationMs,
+        outputDurationMs: this.totalOutputAudioDurationMs,
+        inputBytes: this.currentInputAudioBytes,
+        outputBytes: this.currentOutputAudioBytes
+      },
+      modelUsage: Object.fromEntries(Object.entries(this.modelTokenUsage).map(([model, usage]) => [model, { ...usage }]))
+    };
+  }
+  
+  /**
+   * Get the consumption of the current session: the counters since it started
+   * @returns {Object} - { responseCount, tokens, audio, modelUsage, modelCosts }
+   */
+  getSessionConsumption() {
+    const subtract = (current, start = {}) => Object.fromEntries(Object.entries(current).map(([key, value]) => [
+      key,
+      typeof value === 'object' ? subtract(value, start[key]) : Math.max(0, value - (start[key] || 0))
+    ]));
+    const session = subtract(this.getCounters(), this.sessionStart);
+    
+    // Models used by earlier sessions only are left out
+    session.modelCosts = {};
+    Object.entries(session.modelUsage).forEach(([model, usage]) => {
+      if (!Object.values(usage).some(Boolean)) {
+        delete session.modelUsage[model];
+        return;
+      }
+      session.modelCosts[model] = this.pricingManager.calculateCosts(model, usage);
+    });
+    return session;
+  }
+  
+  /**
+   * Get the tokens and cost of the current session
+   * @returns {{tokens: number, usd: number}}
+   */
+  getSessionUsage() {
+    const session = this.getSessionConsumption();
+    return {
+      tokens: session.tokens.total,
+      usd: Object.values(session.modelCosts).reduce((sum, costs) => sum + (costs.total || 0), 0)
+    };
+  }
+  
+  /**
+   * Get today's consumption: the sessions saved today and the current one
+   * The saved sessions are summed once per session (and again after midnight), not on every usage update.
+   * @returns {{tokens: number, usd: number}}
+   */
+  getDailyUsage() {
+    const startOfDay = new Date(this.now());
+    startOfDay.setHours(0, 0, 0, 0);
+    
+    if (this.savedDailyUsage?.day !== startOfDay.getTime()) {
+      const saved = { day: startOfDay.getTime(), tokens: 0, usd: 0 };
+      this.loadFromLocalStorage().sessions.forEach(session => {
+        if (!session.savedAt || new Date(session.savedAt) < startOfDay) return;
+        saved.tokens += session.tokens?.total || 0;
+        saved.usd += Object.values(session.modelCosts || {}).reduce((sum, costs) => sum + (costs.total || 0), 0);
+      });
+      this.savedDailyUsage = saved;
+    }
+    
+    const session = this.getSessionUsage();
+    return {
+      tokens: this.savedDailyUsage.tokens + session.tokens,
+      usd: this.savedDailyUsage.usd + session.usd
+    };
+  }
+  
+  /**
+   * Compare the consumption with the spending limits and raise each warning or cap once per session
+   */
+  checkBudget() {
+    // Replays show a recorded session; nothing is spent
+    if (this.replayClock || this.sessionStatus !== 'connected') return;
+    
+    const budget = this.getBudget();
+    const session = this.getSessionUsage();
+    const daily = this.getDailyUsage();
+    const checks = [
+      { scope: 'session', metric: 'tokens', used: session.tokens, limit: budget.sessionTokens },
+      { scope: 'session', metric: 'usd', used: session.usd, limit: budget.sessionUsd },
+      { scope: 'daily', metric: 'tokens', used: daily.tokens, limit: budget.dailyTokens },
+      { scope: 'daily', metric: 'usd', used: daily.usd, limit: budget.dailyUsd }
+    ];
+    
+    checks.forEach(check => {
+      if (!check.limit) return;
+      
+      let level = null;
+      if (check.used >= check.limit) {
+        level = 'exceeded';
+      } else if (check.used >= check.limit * budget.warnPercent / 100) {
+        level = 'warning';
+      }
+      
+      const key = `${check.scope}.${check.metric}.${level}`;
+      if (!level || this.budgetAlerts.has(key)) return;
+      
+      // A reached cap makes its warning pointless
+      this.budgetAlerts.add(key);
+      this.budgetAlerts.add(`${check.scope}.${check.metric}.warning`);
+      this.reportBudgetAlert({ ...check, level, hardStop: budget.hardStop });
+    });
+  }
+  
+  /**
+   * Raise a spending alert: toast, trace entry and bus event (the page stops the session on a hard stop)
+   * @param {Object} alert - { scope, metric, used, limit, level, hardStop }
+   */
+  reportBudgetAlert(alert) {
+    const format = (value) => alert.metric === 'usd'
+      ? ConsumptionFormatter.formatCurrency(value)
+      : (window.APP_RESOURCES?.BudgetTokens || '{0} tokens').replace('{0}', this.formatNumber(Math.round(value)));
+    const scope = alert.scope === 'daily'
+      ? (window.APP_RESOURCES?.BudgetDaily || 'Daily')
+      : (window.APP_RESOURCES?.BudgetSession || 'Session');
+    
+    const exceeded = alert.level === 'exceeded';
+    let template = window.APP_RESOURCES?.BudgetWarning || '{0} budget almost used: {1} of {2}';
+    if (exceeded) {
+      template = alert.hardStop
+        ? (window.APP_RESOURCES?.BudgetExceededStopping || '{0} budget reached: {1} of {2}. Stopping the session.')
+        : (window.APP_RESOURCES?.BudgetExceeded || '{0} budget reached: {1} of {2}');
+    }
+    const message = template.replace('{0}', scope).replace('{1}', format(alert.used)).replace('{2}', format(alert.limit));
+    
+    // Spending alerts are shown even with toast notifications turned off
+    showToast(message, exceeded ? 'error' : 'warning');
+    addTraceEntry(exceeded ? 'error' : 'system', message, {
+      level: exceeded ? 'error' : 'warn',
+      category: 'session',
+      payload: alert
+    });
+    this.logEvent('BudgetAlert', alert);
+    this.bus?.emit(exceeded ? APP_EVENTS.BUDGET_EXCEEDED : APP_EVENTS.BUDGET_WARNING, alert);
+  }
+  
+  /**
+   * Fill the spending limit fields of the settings modal (_BudgetSettings.cshtml)
+   */
+  populateBudgetForm() {
+    const budget = this.getBudget();
+    const setValue = (id, value) => {
+      const input = document.getElementById(id);
+      if (input) input.value = value ? String(value) : '';
+    };
+    setValue('budgetSessionTokensInput', budget.sessionTokens);
+    setValue('budgetSessionUsdInput', budget.sessionUsd);
+    setValue('budgetDailyTokensInput', budget.dailyTokens);
+    setValue('budgetDailyUsdInput', budget.dailyUsd);
+    setValue('budgetWarnPercentInput', budget.warnPercent);
+    
+    const hardStopToggle = document.getElementById('budgetHardStopToggle');
+    if (hardStopToggle) hardStopToggle.checked = budget.hardStop === true;
+  }
+  
+  /**
+   * Save the spending limit fields of the settings modal
+   */
+  saveBudgetForm() {
+    if (!document.getElementById('budgetSessionTokensInput')) return;
+    
+    const value = (id) => document.getElementById(id)?.value;
+    this.setBudget({
+      sessionTokens: value('budgetSessionTokensInput'),
+      sessionUsd: value('budgetSessionUsdInput'),
+      dailyTokens: value('budgetDailyTokensInput'),
+      dailyUsd: value('budgetDailyUsdInput'),
+      warnPercent: value('budgetWarnPercentInput'),
+      hardStop: document.getElementById('budgetHardStopToggle')?.checked === true
+    });
+  }
+  
   /**
    * Format duration in milliseconds (delegated to ConsumptionFormatter)
    */
@@ -823,6 +1222,19 @@ export class ConsumptionTracker {
     return ConsumptionFormatter.formatSampleRate(rate);
   }
 
+  /**
+   * Update playback jitter buffer UI
+   */
+  updatePlaybackUI() {
+    const stats = this.playbackStats;
+    this.updateElement('dashPlaybackLatency', stats ? this.formatDuration(stats.latencyMs) : '-');
+    this.updateElement('dashPlaybackUnderruns', stats ? stats.underruns.toString() : '0',
+      `consumption-value consumption-count${stats?.underruns > 0 ? ' warning' : ''}`);
+    this.updateElement('dashPlaybackJitter', stats ? this.formatDuration(stats.jitterMs) : '-');
+    this.updateElement('dashPlaybackTarget', stats ? this.formatDuration(stats.targetDepthMs) : '-');
+    this.updateElement('dashPlaybackConcealed', this.formatDuration(stats ? stats.concealedMs : 0));
+  }
+
   /**
    * Update rate limits UI
    */
@@ -963,7 +1375,7 @@ export class ConsumptionTracker {
       return '-';
     }
     
-    const now = new Date();
+    const now = new Date(this.now());
     const diff = now - this.sessionStartTime;
     const seconds = Math.floor(diff / 1000);
     const minutes = Math.floor(seconds / 60);
@@ -1026,6 +1438,27 @@ export class ConsumptionTracker {
     };
   }
   
+  /**
+   * Get the consumption summary of the current session only (see getSummary())
+   */
+  getSessionSummary() {
+    const consumption = this.getSessionConsumption();
+    return {
+      sessionId: this.sessionId,
+      sessionModel: this.sessionModel,
+      sessionDuration: this.getSessionDuration(),
+      sessionStatus: this.sessionStatus,
+      responseCount: consumption.responseCount,
+      totalInputTokens: consumption.tokens.input,
+      totalOutputTokens: consumption.tokens.output,
+      totalTokens: consumption.tokens.total,
+      inputTokenDetails: consumption.tokens.inputDetails,
+      outputTokenDetails: consumption.tokens.outputDetails,
+      modelTokenUsage: consumption.modelUsage,
+      modelCosts: consumption.modelCosts
+    };
+  }
+  
   /**
    * Start duration timer
    */
@@ -1061,38 +1494,32 @@ export class ConsumptionTracker {
   
   /**
    * Save current session data using SettingsManager
+   * The record holds the consumption of this session only, not the totals of the page.
    */
   saveToLocalStorage() {
     try {
       const history = this.loadFromLocalStorage();
+      const consumption = this.getSessionConsumption();
       
       // Create session record
       const sessionRecord = {
         sessionId: this.sessionId,
         model: this.sessionModel,
+        voice: this.sessionVoice,
         startTime: this.sessionStartTime,
         endTime: new Date().toISOString(),
         status: this.sessionStatus,
         duration: this.getSessionDuration(),
-        responseCount: this.responseCount,
-        tokens: {
-          input: this.totalInputTokens,
-          output: this.totalOutputTokens,
-          total: this.totalTokens,
-          inputDetails: { ...this.inputTokenDetails },
-          outputDetails: { ...this.outputTokenDetails }
-        },
+        responseCount: consumption.responseCount,
+        tokens: consumption.tokens,
         audio: {
-          inputDurationMs: this.totalInputAudioDurationMs,
-          outputDurationMs: this.totalOutputAudioDurationMs,
-          inputBytes: this.currentInputAudioBytes,
-          outputBytes: this.currentOutputAudioBytes,
+          ...consumption.audio,
           inputFormat: this.inputAudioFormat,
           outputFormat: this.outputAudioFormat,
           sampleRate: this.outputAudioSamplingRate
         },
-        modelUsage: { ...this.modelTokenUsage },
-        modelCosts: { ...this.modelCosts },
+        modelUsage: consumption.modelUsage,
+        modelCosts: consumption.modelCosts,
         savedAt: new Date().toISOString()
       };
       
@@ -1104,15 +1531,14 @@ export class ConsumptionTracker {
       
       // Update aggregated totals
       history.aggregated.totalSessions++;
-      history.aggregated.totalTokens += this.totalTokens;
-      history.aggregated.totalInputTokens += this.totalInputTokens;
-      history.aggregated.totalOutputTokens += this.totalOutputTokens;
-      history.aggregated.totalInputAudioMs += this.totalInputAudioDurationMs;
-      history.aggregated.totalOutputAudioMs += this.totalOutputAudioDurationMs;
+      history.aggregated.totalTokens += consumption.tokens.total;
+      history.aggregated.totalInputTokens += consumption.tokens.input;
+      history.aggregated.totalOutputTokens += consumption.tokens.output;
+      history.aggregated.totalInputAudioMs += consumption.audio.inputDurationMs;
+      history.aggregated.totalOutputAudioMs += consumption.audio.outputDurationMs;
       history.aggregated.lastUpdated = new Date().toISOString();
       
-      this.historyManager.set(history);
-      this.historyManager.save();
+      this.historyManager.save(history);
       this.logEvent('SavedToLocalStorage', { sessionId: this.sessionId });
       
       return true;
@@ -1160,10 +1586,19 @@ export class ConsumptionTracker {
   
   /**
    * Get recent sessions from localStorage
+   * Costs are recalculated from the session's own usage, with the prices valid when it started.
    */
   getRecentSessions(limit = 10) {
     const history = this.loadFromLocalStorage();
-    return history.sessions.slice(0, limit);
+    return history.sessions.slice(0, limit).map(session => {
+      if (!session.modelUsage || !session.startTime) return session;
+      
+      const modelCosts = {};
+      Object.entries(session.modelUsage).forEach(([model, usage]) => {
+        modelCosts[model] = this.pricingManager.calculateCosts(model, usage, session.startTime);
+      });
+      return { ...session, modelCosts };
+    });
   }
   
   /**
@@ -1172,6 +1607,7 @@ export class ConsumptionTracker {
   clearHistory() {
     try {
       this.historyManager.clear();
+      this.savedDailyUsage = null;
       this.logEvent('HistoryCleared', {});
       return true;
     } catch (error) {
@@ -1229,7 +1665,7 @@ export class ConsumptionTracker {
   debugShowGraphs() {
     // Populate test data
     this.modelTokenUsage = {
-      'gpt-4o': { input: 5000, output: 2000, cached: 1000 },
+      'gpt-4o': { input: 5000, output: 2000, cached: 1000, inputAudio: 3000, outputAudio: 1500, cachedAudio: 800 },
       'gpt-4o-mini': { input: 3000, output: 1500, cached: 500 },
       'gpt-4-turbo': { input: 2000, output: 1000, cached: 200 }
     };
@@ -1260,13 +1696,16 @@ export class ConsumptionTracker {
     this.sessionStatus = 'disconnected';
     this.stopDurationTimer();
     
-    // Save to localStorage
-    this.saveToLocalStorage();
-    
-    // Try to sync to backend
-    this.syncToBackend().catch(err => {
-      console.warn('[ConsumptionTracker] Backend sync failed on disconnect:', err);
-    });
+    // A replayed session was already saved when it was recorded
+    if (!this.replayClock) {
+      // Save to localStorage
+      this.saveToLocalStorage();
+      
+      // Try to sync to backend
+      this.syncToBackend().catch(err => {
+        console.warn('[ConsumptionTracker] Backend sync failed on disconnect:', err);
+      });
+    }
     
     this.updateDashboard();
   }
@@ -1274,3 +1713,4 @@ export class ConsumptionTracker {
 
 // Create singleton instance
 export const consumptionTracker = new ConsumptionTracker();
+consumptionTracker.subscribe(eventBus);
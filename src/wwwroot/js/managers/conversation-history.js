@@ -0,0 +1,158 @@
+/**
+ * Conversation History Module
+ *
+ * Saves every session to the conversation store when it stops: the transcript,
+ * the settings it ran with and its consumption summary. The history drawer
+ * (ui/history-drawer.js) lists, searches and reopens them.
+ */
+
+import { HISTORY_CONFIG } from '../core/config.js';
+import { ConversationStore } from '../modules/conversation-store.js';
+import { transcriptStore } from './transcript-store.js';
+
+/**
+ * ConversationHistory class
+ * Tracks the running session and persists it
+ */
+export class ConversationHistory {
+  constructor() {
+    this.store = new ConversationStore();
+    this.currentSession = null; // { page, settings, startedAt, startTime }
+    this.lastSaved = null; // Record of the last saved session (messages can still be flagged)
+  }
+
+  /**
+   * Start tracking a session
+   * @param {Object} options
+   * @param {string} options.page - Page the session runs on
+   * @param {Object} options.settings - Settings the session was started with
+   */
+  begin({ page, settings }) {
+    const saved = {};
+    HISTORY_CONFIG.SETTINGS_KEYS.forEach(key => {
+      if (settings?.[key] !== undefined && settings[key] !== '') saved[key] = settings[key];
+    });
+
+    this.currentSession = {
+      page,
+      settings: saved,
+      startedAt: new Date().toISOString(),
+      startTime: performance.now()
+    };
+  }
+
+  /**
+   * Save the running session and stop tracking it
+   * Sessions without any message are not saved.
+   * @param {Object} options
+   * @param {string|null} options.sessionId - Server session id
+   * @param {Object|null} options.consumption - Consumption summary (ConsumptionTracker.getSessionSummary())
+   * @returns {Promise<Object|null>} - The saved record
+   */
+  async end({ sessionId = null, consumption = null } = {}) {
+    const session = this.currentSession;
+    this.currentSession = null;
+    if (!session) return null;
+
+    const transcript = transcriptStore.getEntries(session.startTime).filter(entry => entry.text.trim());
+    if (!transcript.length) return null;
+
+    const record = {
+      // Sessions that never got a server id (e.g. failed to start) still get a unique key
+      sessionId: sessionId || `local-${session.startedAt}`,
+      page: session.page,
+      startedAt: session.startedAt,
+      endedAt: new Date().toISOString(),
+      settings: session.settings,
+      transcript,
+      consumption
+    };
+    record.searchText = this.buildSearchText(record);
+
+    try {
+      await this.store.put(record);
+      await this.prune();
+      this.lastSaved = record;
+      return record;
+    } catch (error) {
+      console.error('[ConversationHistory] Error saving conversation:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Build the lower-case text searched by the history drawer
+   * @param {Object} record - Conversation record
+   * @returns {string}
+   */
+  buildSearchText(record) {
+    return [
+      ...record.transcript.map(entry => entry.text),
+      ...record.transcript.map(entry => entry.flag?.note || ''),
+      ...Object.values(record.settings),
+      record.page,
+      record.sessionId
+    ].join('\n').toLowerCase();
+  }
+
+  /**
+   * Update the flag of a message in the last saved session (flagged after the session stopped)
+   * @param {string} entryId - Transcript entry id
+   * @returns {Promise<void>}
+   */
+  async updateSavedFlag(entryId) {
+    const record = this.lastSaved;
+    const entry = transcriptStore.findById(entryId);
+    if (!record || !entry || !record.transcript.some(saved => saved.id === entryId)) return;
+
+    record.transcript = record.transcript.map(saved =>
+      saved.id === entryId ? { ...saved, flag: entry.flag ? { ...entry.flag } : null } : saved);
+    record.searchText = this.buildSearchText(record);
+    try {
+      await this.store.put(record);
+    } catch (error) {
+      console.error('[ConversationHistory] Error updating conversation:', error);
+    }
+  }
+
+  /**
+   * Delete the oldest conversations beyond the configured maximum
+   */
+  async prune() {
+    const records = await this.store.getAll();
+    const excess = records.slice(HISTORY_CONFIG.MAX_CONVERSATIONS);
+    for (const record of excess) {
+      await this.store.delete(record.sessionId);
+    }
+  }
+
+  /**
+   * Search saved conversations
+   * @param {string} query - Search text
+   * @returns {Promise<Array<Object>>} - Newest first
+   */
+  search(query) {
+    return this.store.search(query);
+  }
+
+  /**
+   * Get a saved conversation
+   * @param {string} sessionId - Session id
+   * @returns {Promise<Object|null>}
+   */
+  get(sessionId) {
+    return this.store.get(sessionId);
+  }
+
+  /**
+   * Delete a saved conversation
+   * @param {string} sessionId - Session id
+   * @returns {Promise<void>}
+   */
+  delete(sessionId) {
+    return this.store.delete(sessionId);
+  }
+}
+
+// Create and export singleton instance
+export const conversationHistory = new ConversationHistory();
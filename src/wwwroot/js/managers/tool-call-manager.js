@@ -0,0 +1,311 @@
+/**
+ * Tool Call Manager
+ * Shows the tool (function) calls of the agent as collapsible cards in the transcript:
+ * tool name, arguments as they stream in, the result or error and the latency.
+ * Each call is also summarized in the trace panel, instead of only raw event JSON.
+ */
+
+import { EventEmitterHelper } from '../modules/event-emitter-helper.js';
+import { eventBus, APP_EVENTS } from '../core/event-bus.js';
+import { addTraceEntry } from './trace-manager.js';
+
+const TOOL_ICON = '<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M14.7 6.3a1 1 0 0 0 0 1.4l1.6 1.6a1 1 0 0 0 1.4 0l3.77-3.77a6 6 0 0 1-7.94 7.94l-6.91 6.91a2.12 2.12 0 0 1-3-3l6.91-6.91a6 6 0 0 1 7.94-7.94l-3.76 3.76z"></path></svg>';
+
+// Longest argument/result text repeated in a trace line
+const TRACE_PREVIEW_LENGTH = 200;
+
+let nextLocalCallId = 1;
+
+/**
+ * Pretty-print JSON text (tool arguments and results usually are JSON)
+ * @param {string} text - Text
+ * @returns {string} - Indented JSON, or the text as is
+ */
+function formatJson(text) {
+  if (!text) return '';
+  try {
+    return JSON.stringify(JSON.parse(text), null, 2);
+  } catch (e) {
+    return text;
+  }
+}
+
+/**
+ * Shorten a text for a one-line trace entry
+ * @param {string} text - Text
+ * @returns {string}
+ */
+function preview(text) {
+  const line = (text || '').replace(/\s+/g, ' ').trim();
+  return line.length > TRACE_PREVIEW_LENGTH ? `${line.slice(0, TRACE_PREVIEW_LENGTH)}…` : line;
+}
+
+export class ToolCallManager {
+  constructor() {
+    // Calls by call id, in the order they started
+    this.calls = new Map(); // callId -> { name, arguments, result, error, status, startTime, lastDeltaTime, durationMs, element }
+
+    // Event bus subscriptions (see subscribe())
+    this.busSubscriptions = null;
+  }
+
+  /**
+   * Subscribe to tool call events published on an event bus
+   * @param {EventBus} bus - Event bus to listen on
+   */
+  subscribe(bus) {
+    this.unsubscribe();
+    this.busSubscriptions = new EventEmitterHelper(bus);
+    this.busSubscriptions.registerHandlers({
+      [APP_EVENTS.TOOL_CALL_ARGUMENTS_DELTA]: this.handleArgumentsDelta,
+      [APP_EVENTS.TOOL_CALL_ARGUMENTS_DONE]: this.handleArgumentsDone,
+      [APP_EVENTS.TOOL_CALL_COMPLETED]: this.handleCallCompleted,
+      [APP_EVENTS.TOOL_CALL_FAILED]: this.handleCallFailed,
+      [APP_EVENTS.CONNECTION_CLOSED]: this.reset
+    }, this);
+  }
+
+  /**
+   * Remove all event bus subscriptions
+   */
+  unsubscribe() {
+    if (this.busSubscriptions) {
+      this.busSubscriptions.unregisterAll();
+      this.busSubscriptions = null;
+    }
+  }
+
+  /**
+   * Handle response.function_call_arguments.delta event
+   * @param {Object} payload - { CallId, Delta }
+   */
+  handleArgumentsDelta(payload) {
+    const call = this.getCall(payload?.CallId);
+    if (call.status !== 'streaming') return;
+
+    const delta = payload.Delta || '';
+    call.arguments += delta;
+    call.lastDeltaTime = performance.now();
+
+    // Append to the streamed text; the whole card is redrawn once the arguments are complete
+    const pre = call.element?.querySelector('.tool-call-arguments');
+    if (pre) {
+      pre.appendChild(document.createTextNode(delta));
+    } else {
+      this.renderCall(call);
+    }
+  }
+
+  /**
+   * Handle response.function_call_arguments.done event: the server runs the tool now
+   * @param {Object} payload - { CallId, Name, Arguments }
+   */
+  handleArgumentsDone(payload) {
+    const call = this.getCall(payload?.CallId);
+    call.name = payload?.Name || call.name;
+    call.arguments = payload?.Arguments ?? call.arguments;
+    this.startCall(call, performance.now());
+    this.renderCall(call);
+  }
+
+  /**
+   * Handle a tool result sent back to the model
+   * @param {Object} payload - { CallId, Name, Result, DurationMs }
+   */
+  handleCallCompleted(payload) {
+    const call = this.findRunningCall(payload);
+    call.result = payload?.Result ?? '';
+    this.finishCall(call, 'done', payload?.DurationMs);
+
+    addTraceEntry('event', (window.APP_RESOURCES?.ToolCallCompleted || 'Tool {0} returned in {1} ms: {2}')
+      .replace('{0}', call.name)
+      .replace('{1}', call.durationMs)
+      .replace('{2}', preview(call.result)));
+  }
+
+  /**
+   * Handle a tool that could not be run
+   * @param {Object} payload - { CallId, Name, Error, DurationMs }
+   */
+  handleCallFailed(payload) {
+    const call = this.findRunningCall(payload);
+    call.error = payload?.Error || window.APP_RESOURCES?.UnknownError || 'Unknown error';
+    this.finishCall(call, 'failed', payload?.DurationMs);
+
+    addTraceEntry('error', (window.APP_RESOURCES?.ToolCallFailed || 'Tool {0} failed after {1} ms: {2}')
+      .replace('{0}', call.name)
+      .replace('{1}', call.durationMs)
+      .replace('{2}', preview(call.error)));
+  }
+
+  /**
+   * Mark a call as running: its arguments are complete and the server runs the tool
+   * @param {Object} call - Call
+   * @param {number} startTime - When the tool started (performance.now() time)
+   */
+  startCall(call, startTime) {
+    call.status = 'running';
+    call.startTime = startTime;
+
+    addTraceEntry('event', (window.APP_RESOURCES?.ToolCallStarted || 'Tool {0} called with {1}')
+      .replace('{0}', call.name)
+      .replace('{1}', preview(call.arguments) || '{}'));
+  }
+
+  /**
+   * Get a call, adding its card on its first event
+   * @param {string} callId - Call id (a local one is made up when the server sends none)
+   * @returns {Object}
+   */
+  getCall(callId) {
+    const key = callId || `local-${nextLocalCallId++}`;
+    let call = this.calls.get(key);
+    if (!call) {
+      call = {
+        callId: key,
+        name: '',
+        arguments: '',
+        result: null,
+        error: null,
+        status: 'streaming', // streaming -> running -> done | failed
+        startTime: performance.now(),
+        lastDeltaTime: null,
+        durationMs: null,
+        element: null
+      };
+      this.calls.set(key, call);
+      this.createCard(call);
+    }
+    return call;
+  }
+
+  /**
+   * Find the call a result belongs to
+   * Older servers send results without the call id: the oldest running call of the tool.
+   * Sessions that send no arguments-done event finish calls that are still streaming:
+   * the tool started with their last arguments delta.
+   * @param {Object} payload - { CallId, Name }
+   * @returns {Object}
+   */
+  findRunningCall(payload) {
+    if (payload?.CallId) {
+      const call = this.getCall(payload.CallId);
+      call.name = call.name || payload.Name || '';
+      if (call.status === 'streaming') {
+        this.startCall(call, call.lastDeltaTime ?? performance.now());
+      }
+      return call;
+    }
+
+    const running = [...this.calls.values()].find(call => call.status === 'running' && call.name === payload?.Name);
+    if (running) return running;
+
+    const call = this.getCall(null);
+    call.name = payload?.Name || '';
+    return call;
+  }
+
+  /**
+   * Record the outcome of a call
+   * @param {Object} call - Call
+   * @param {string} status - 'done' or 'failed'
+   * @param {number} durationMs - Tool run time measured by the server (measured here when missing)
+   */
+  finishCall(call, status, durationMs) {
+    call.status = status;
+    call.durationMs = Number.isFinite(durationMs) ? durationMs : Math.round(performance.now() - call.startTime);
+    this.renderCall(call);
+  }
+
+  /**
+   * Add the card of a call to the transcript panel
+   * @param {Object} call - Call
+   */
+  createCard(call) {
+    const transcriptContent = document.getElementById('transcriptContent');
+    if (!transcriptContent) return;
+
+    const card = document.createElement('details');
+    card.className = 'transcript-item tool-call';
+    card.dataset.callId = call.callId;
+
+    const summary = document.createElement('summary');
+    summary.className = 'tool-call-summary';
+    summary.innerHTML = `<span class="transcript-icon">${TOOL_ICON}</span><span class="tool-call-name"></span><span class="tool-call-status"></span>`;
+
+    const body = document.createElement('div');
+    body.className = 'tool-call-body';
+
+    card.appendChild(summary);
+    card.appendChild(body);
+    transcriptContent.appendChild(card);
+    transcriptContent.scrollTop = transcriptContent.scrollHeight;
+
+    call.element = card;
+  }
+
+  /**
+   * Update the card of a call
+   * @param {Object} call - Call
+   */
+  renderCall(call) {
+    const card = call.element;
+    if (!card) return;
+
+    card.classList.toggle('running', call.status === 'streaming' || call.status === 'running');
+    card.classList.toggle('failed', call.status === 'failed');
+
+    card.querySelector('.tool-call-name').textContent = call.name || (window.APP_RESOURCES?.ToolCall || 'Tool call');
+    const status = {
+      done: () => (window.APP_RESOURCES?.ToolLatency || '{0} ms').replace('{0}', call.durationMs),
+      failed: () => window.APP_RESOURCES?.ToolFailed || 'Failed'
+    }[call.status];
+    card.querySelector('.tool-call-status').textContent = status ? status() : (window.APP_RESOURCES?.ToolRunning || 'Running…');
+
+    // Arguments stream in as raw text and are pretty-printed once complete
+    const body = card.querySelector('.tool-call-body');
+    body.innerHTML = '';
+    const argumentsText = call.status === 'streaming' ? call.arguments : formatJson(call.arguments);
+    this.appendSection(body, window.APP_RESOURCES?.ToolArguments || 'Arguments', argumentsText).classList.add('tool-call-arguments');
+    if (call.result !== null) {
+      this.appendSection(body, window.APP_RESOURCES?.ToolResult || 'Result', formatJson(call.result));
+    }
+    if (call.error !== null) {
+      this.appendSection(body, window.APP_RESOURCES?.ToolError || 'Error', call.error);
+    }
+  }
+
+  /**
+   * Add a labelled block of text to a card
+   * @param {HTMLElement} body - .tool-call-body
+   * @param {string} label - Section label
+   * @param {string} text - Section text
+   * @returns {HTMLElement} - The <pre> holding the text
+   */
+  appendSection(body, label, text) {
+    const heading = document.createElement('div');
+    heading.className = 'tool-call-label';
+    heading.textContent = label;
+
+    const pre = document.createElement('pre');
+    pre.className = 'tool-call-text';
+    pre.textContent = text;
+
+    body.appendChild(heading);
+    body.appendChild(pre);
+    return pre;
+  }
+
+  /**
+   * Forget the calls of the closed connection (their cards stay in the transcript)
+   */
+  reset() {
+    // Results of unfinished calls will never arrive
+    this.calls.forEach(call => call.element?.classList.remove('running'));
+    this.calls.clear();
+  }
+}
+
+// Create and export singleton instance
+export const toolCallManager = new ToolCallManager();
+toolCallManager.subscribe(eventBus);
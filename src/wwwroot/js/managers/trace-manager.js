@@ -1,44 +1,324 @@
 /**
  * Trace Manager Module
- * 
- * Manages the trace/debug panel for event logging and debugging
+ *
+ * Manages the trace/debug panel for event logging and debugging.
+ * Entries are kept as a structured log (level, category, millisecond timestamp and
+ * raw payload) in a ring buffer, so long sessions stay responsive. The panel can be
+ * filtered, searched and paused, and the log exported as NDJSON. While frame capture
+ * is on, inbound WebSocket frames are recorded in a buffer of their own and exported
+ * with the entries, so the export can be replayed (see session-replay.js).
  */
 
+import { TRACE_CONFIG } from '../core/config.js';
+import { downloadBlob } from '../ui/ui-utils.js';
+
+let nextTraceId = 1;
+
 /**
- * Add a trace entry to the trace panel
- * @param {string} role - Entry role: 'user', 'assistant', 'system'
- * @param {string} message - Message text
+ * Get the log category of a session event from its name
+ * @param {string} eventName - Session event name (e.g. 'ResponseDone', 'SpeechStarted')
+ * @returns {string} - One of TRACE_CONFIG.CATEGORIES
  */
-export function addTraceEntry(role = 'system', message = '') {
-  const traceContent = document.getElementById('traceContent');
-  if (!traceContent) return;
-
-  // Create timestamp
-  const now = new Date();
-  const timestamp = now.toLocaleTimeString('en-US', {
-    hour: '2-digit',
-    minute: '2-digit',
-    second: '2-digit'
-  });
+export function getSessionEventCategory(eventName = '') {
+  if (/error|fail/i.test(eventName)) return 'error';
+  if (/^(response|functioncall)/i.test(eventName)) return 'response';
+  if (/audio|speech|transcription/i.test(eventName)) return 'audio';
+  return 'session';
+}
+
+/**
+ * Format a timestamp as HH:MM:SS.mmm (local time)
+ * @param {number} time - Epoch milliseconds
+ * @returns {string}
+ */
+function formatTime(time) {
+  const date = new Date(time);
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  return `${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}.${pad(date.getMilliseconds(), 3)}`;
+}
+
+/**
+ * TraceLog class
+ * Ring buffer of trace entries and the view of it in #traceContent
+ */
+export class TraceLog {
+  constructor() {
+    this.entries = [];
+    this.filter = { category: '', level: TRACE_CONFIG.DEFAULT_LEVEL, search: '' };
+    this.paused = false;
+    this.pendingEntries = []; // Visible entries not rendered yet (next frame, or on resume)
+    this.renderFrameId = null;
+    this.onPauseChange = null; // Called with the number of entries held back while paused
+    
+    // Raw inbound frames: kept apart so they never push entries out of the ring buffer
+    this.captureFrames = false;
+    this.frames = []; // { time, frame }
+  }
+
+  /**
+   * Record an entry
+   * @param {Object} fields
+   * @param {string} fields.role - Display style: 'user', 'assistant', 'system', 'event' or 'error'
+   * @param {string} fields.level - One of TRACE_CONFIG.LEVELS
+   * @param {string} fields.category - One of TRACE_CONFIG.CATEGORIES
+   * @param {string} fields.message - Message text
+   * @param {*} fields.payload - Raw payload (shown on demand and exported as is)
+   * @returns {Object} - The new entry
+   */
+  add({ role, level, category, message, payload }) {
+    const entry = {
+      id: nextTraceId++,
+      time: Date.now(),
+      role,
+      level,
+      category,
+      message,
+      payload: payload === undefined ? null : payload,
+      searchText: null, // Lower-case message and payload, built on the first search
+      element: null,
+      dropped: false // Pushed out of the ring buffer
+    };
+
+    this.entries.push(entry);
+    while (this.entries.length > TRACE_CONFIG.MAX_ENTRIES) {
+      const dropped = this.entries.shift();
+      dropped.dropped = true;
+      dropped.element?.remove();
+      dropped.element = null;
+    }
+
+    if (this.matches(entry)) {
+      this.pendingEntries.push(entry);
+      if (this.paused) {
+        // Entries held back may have been dropped in the meantime
+        while (this.pendingEntries[0]?.dropped) {
+          this.pendingEntries.shift();
+        }
+        this.onPauseChange?.(this.pendingEntries.length);
+      } else {
+        this.scheduleRender();
+      }
+    }
+    return entry;
+  }
 
-  // Create trace entry element
-  const entry = document.createElement('div');
-  entry.className = `trace-entry ${role}`;
+  /**
+   * Turn frame capture on or off; frames recorded so far are kept for the export
+   * @param {boolean} enabled
+   */
+  setCaptureFrames(enabled) {
+    this.captureFrames = enabled === true;
+  }
+  
+  /**
+   * Record an inbound WebSocket frame, if frame capture is on
+   * @param {{type: string, data: string}} frame - Encoded frame (see session-replay.encodeFrame())
+   */
+  recordFrame(frame) {
+    if (!this.captureFrames) return;
+    
+    this.frames.push({ time: Date.now(), frame });
+    if (this.frames.length > TRACE_CONFIG.MAX_FRAMES) {
+      this.frames.shift();
+    }
+  }
+  
+  /**
+   * Check whether an entry passes the current filter
+   * @param {Object} entry - Entry
+   * @returns {boolean}
+   */
+  matches(entry) {
+    const { category, level, search } = this.filter;
+    if (category && entry.category !== category) return false;
+    if (TRACE_CONFIG.LEVELS.indexOf(entry.level) < TRACE_CONFIG.LEVELS.indexOf(level)) return false;
+    if (!search) return true;
+
+    if (entry.searchText === null) {
+      entry.searchText = `${entry.message}\n${entry.payload === null ? '' : JSON.stringify(entry.payload)}`.toLowerCase();
+    }
+    return entry.searchText.includes(search);
+  }
+
+  /**
+   * Change the filter and show the matching entries
+   * @param {Object} changes - { category, level, search }
+   */
+  setFilter(changes) {
+    this.filter = { ...this.filter, ...changes, search: (changes.search ?? this.filter.search).trim().toLowerCase() };
+    this.renderAll();
+  }
+
+  /**
+   * Stop or restart updating the panel; entries are still recorded while paused
+   * @param {boolean} paused
+   */
+  setPaused(paused) {
+    this.paused = paused;
+    if (!paused) {
+      this.scheduleRender();
+    }
+    this.onPauseChange?.(paused ? this.pendingEntries.length : 0);
+  }
+
+  /**
+   * Render the pending entries on the next animation frame
+   * Bursts of entries (e.g. audio events) are appended in one go.
+   */
+  scheduleRender() {
+    if (this.renderFrameId === null) {
+      this.renderFrameId = requestAnimationFrame(() => this.renderPending());
+    }
+  }
+
+  /**
+   * Append the pending entries to the panel
+   */
+  renderPending() {
+    this.renderFrameId = null;
+    const traceContent = document.getElementById('traceContent');
+    if (!traceContent || this.paused) return;
 
-  // Create timestamp span
-  const timeSpan = document.createElement('span');
-  timeSpan.className = 'trace-timestamp';
-  timeSpan.textContent = `[${timestamp}]`;
+    // Only follow new entries when the panel is scrolled to the bottom
+    const atBottom = traceContent.scrollHeight - traceContent.scrollTop - traceContent.clientHeight < 24;
 
-  // Create message span
-  const msgSpan = document.createElement('span');
-  msgSpan.textContent = message;
+    const fragment = document.createDocumentFragment();
+    this.pendingEntries.forEach(entry => {
+      if (entry.dropped) return;
+      entry.element = entry.element || this.createEntryElement(entry);
+      fragment.appendChild(entry.element);
+    });
+    this.pendingEntries = [];
+    traceContent.appendChild(fragment);
 
-  entry.appendChild(timeSpan);
-  entry.appendChild(msgSpan);
+    if (atBottom) {
+      traceContent.scrollTop = traceContent.scrollHeight;
+    }
+  }
 
-  // Add to trace content
-  traceContent.appendChild(entry);
+  /**
+   * Rebuild the panel from the entries matching the filter
+   */
+  renderAll() {
+    const traceContent = document.getElementById('traceContent');
+    if (traceContent) {
+      traceContent.innerHTML = '';
+    }
+    this.pendingEntries = this.entries.filter(entry => this.matches(entry));
+    if (this.paused) {
+      this.onPauseChange?.(this.pendingEntries.length);
+    } else {
+      this.renderPending();
+    }
+  }
+
+  /**
+   * Build the element of an entry
+   * @param {Object} entry - Entry
+   * @returns {HTMLElement}
+   */
+  createEntryElement(entry) {
+    const element = document.createElement('div');
+    element.className = `trace-entry ${entry.role}`;
+    element.dataset.level = entry.level;
+    element.dataset.category = entry.category;
+
+    const timeSpan = document.createElement('span');
+    timeSpan.className = 'trace-timestamp';
+    timeSpan.textContent = `[${formatTime(entry.time)}]`;
+
+    const categorySpan = document.createElement('span');
+    categorySpan.className = 'trace-category';
+    categorySpan.textContent = entry.category;
+
+    const msgSpan = document.createElement('span');
+    msgSpan.textContent = entry.message;
+
+    element.appendChild(timeSpan);
+    element.appendChild(categorySpan);
+    element.appendChild(msgSpan);
+
+    // The payload is only serialized when it is opened
+    if (entry.payload !== null) {
+      const details = document.createElement('details');
+      details.className = 'trace-payload';
+      const summary = document.createElement('summary');
+      summary.textContent = window.APP_RESOURCES?.TracePayload || 'Payload';
+      const pre = document.createElement('pre');
+      details.appendChild(summary);
+      details.appendChild(pre);
+      details.addEventListener('toggle', () => {
+        if (details.open && !pre.textContent) {
+          pre.textContent = JSON.stringify(entry.payload, null, 2);
+        }
+      });
+      element.appendChild(details);
+    }
+    return element;
+  }
+
+  /**
+   * Serialize the log as NDJSON (one JSON object per line)
+   * Captured frames are interleaved with the entries by time, each on a line of its own.
+   * @param {Array<Object>} entries - Entries to export (all by default)
+   * @param {Array<Object>} frames - Captured frames to export (all by default)
+   * @returns {string}
+   */
+  toNDJSON(entries = this.entries, frames = this.frames) {
+    const lines = [
+      ...frames.map(({ time, frame }) => ({ time, record: { time: new Date(time).toISOString(), timestamp: time, frame } })),
+      ...entries.map(entry => ({
+        time: entry.time,
+        record: {
+          time: new Date(entry.time).toISOString(),
+          timestamp: entry.time,
+          level: entry.level,
+          category: entry.category,
+          role: entry.role,
+          message: entry.message,
+          payload: entry.payload
+        }
+      }))
+    ].sort((a, b) => a.time - b.time);
+    return lines.map(line => JSON.stringify(line.record)).join('\n') + (lines.length ? '\n' : '');
+  }
+
+  /**
+   * Remove all entries
+   */
+  clear() {
+    this.entries = [];
+    this.pendingEntries = [];
+    this.frames = [];
+    const traceContent = document.getElementById('traceContent');
+    if (traceContent) {
+      traceContent.innerHTML = '';
+    }
+    this.onPauseChange?.(0);
+  }
+}
+
+// Create and export singleton instance
+export const traceLog = new TraceLog();
+
+/**
+ * Add a trace entry to the trace panel
+ * @param {string} role - Entry role: 'user', 'assistant', 'system', 'event', 'error'
+ * @param {string} message - Message text
+ * @param {Object} options
+ * @param {string} options.level - One of TRACE_CONFIG.LEVELS ('error' for the error role, 'info' otherwise)
+ * @param {string} options.category - One of TRACE_CONFIG.CATEGORIES ('error' for the error role, 'session' otherwise)
+ * @param {*} options.payload - Raw payload of the event
+ * @returns {Object} - The new entry
+ */
+export function addTraceEntry(role = 'system', message = '', { level = null, category = null, payload = null } = {}) {
+  const entry = traceLog.add({
+    role,
+    level: level || (role === 'error' ? 'error' : 'info'),
+    category: category || (role === 'error' ? 'error' : 'session'),
+    message,
+    payload
+  });
 
   // Update badge counter
   const badge = document.querySelector('.trace-badge');
@@ -46,19 +326,14 @@ export function addTraceEntry(role = 'system', message = '') {
     const currentCount = parseInt(badge.textContent) || 0;
     badge.textContent = currentCount + 1;
   }
-
-  // Auto-scroll to bottom
-  traceContent.scrollTop = traceContent.scrollHeight;
+  return entry;
 }
 
 /**
  * Clear all trace entries
  */
 export function clearTraceEntries() {
-  const traceContent = document.getElementById('traceContent');
-  if (traceContent) {
-    traceContent.innerHTML = '';
-  }
+  traceLog.clear();
 
   // Reset badge counter
   const badge = document.querySelector('.trace-badge');
@@ -67,6 +342,60 @@ export function clearTraceEntries() {
   }
 }
 
+/**
+ * Download the trace log as NDJSON
+ * @param {string} fileNamePrefix - File name prefix (e.g. the page name)
+ */
+export function downloadTraceLog(fileNamePrefix = 'session') {
+  const stamp = new Date().toISOString().replace(/[:.]/g, '-').replace('Z', '');
+  downloadBlob(new Blob([traceLog.toNDJSON()], { type: 'application/x-ndjson' }), `${fileNamePrefix}-trace-${stamp}.ndjson`);
+}
+
+/**
+ * Wire the trace panel controls (_TracePanel.cshtml): filters, search, pause, frame capture and export
+ * @param {Object} options
+ * @param {string} options.fileNamePrefix - File name prefix of exports (e.g. the page name)
+ */
+export function initTracePanel({ fileNamePrefix = 'session' } = {}) {
+  const categoryFilter = document.getElementById('traceCategoryFilter');
+  const levelFilter = document.getElementById('traceLevelFilter');
+  const searchInput = document.getElementById('traceSearchInput');
+  const pauseButton = document.getElementById('tracePauseButton');
+  const captureButton = document.getElementById('traceCaptureButton');
+  const exportButton = document.getElementById('traceExportButton');
+
+  categoryFilter?.addEventListener('change', () => traceLog.setFilter({ category: categoryFilter.value }));
+  levelFilter?.addEventListener('change', () => traceLog.setFilter({ level: levelFilter.value }));
+
+  let searchTimer = null;
+  searchInput?.addEventListener('input', () => {
+    clearTimeout(searchTimer);
+    searchTimer = setTimeout(() => traceLog.setFilter({ search: searchInput.value }), TRACE_CONFIG.SEARCH_DEBOUNCE_MS);
+  });
+
+  if (pauseButton) {
+    const pauseLabel = window.APP_RESOURCES?.TracePause || 'Pause';
+    traceLog.onPauseChange = (heldBack) => {
+      const label = traceLog.paused
+        ? (window.APP_RESOURCES?.TraceResume || 'Resume ({0} new)').replace('{0}', heldBack)
+        : pauseLabel;
+      pauseButton.title = label;
+      pauseButton.setAttribute('aria-label', label);
+      pauseButton.setAttribute('aria-pressed', String(traceLog.paused));
+      pauseButton.classList.toggle('active', traceLog.paused);
+    };
+    pauseButton.addEventListener('click', () => traceLog.setPaused(!traceLog.paused));
+  }
+
+  captureButton?.addEventListener('click', () => {
+    traceLog.setCaptureFrames(!traceLog.captureFrames);
+    captureButton.setAttribute('aria-pressed', String(traceLog.captureFrames));
+    captureButton.classList.toggle('active', traceLog.captureFrames);
+  });
+
+  exportButton?.addEventListener('click', () => downloadTraceLog(fileNamePrefix));
+}
+
 /**
  * Toggle trace panel visibility
  */
@@ -1,17 +1,41 @@
 /**
  * Transcript Manager Module
  * 
- * Manages the transcript panel: adding messages, clearing, toggling visibility
+ * Manages the transcript panel: adding messages, clearing, toggling visibility.
+ * Every message is also recorded in the transcript store for export, and gets
+ * an action toolbar (copy, send again, replay audio, flag as incorrect).
  */
 
-import { markdownToHtml } from '../ui/ui-utils.js';
+import { markdownToHtml, showToast, downloadBlob } from '../ui/ui-utils.js';
+import { transcriptStore } from './transcript-store.js';
+import { exportTranscript, getTranscriptFileName } from '../modules/transcript-exporter.js';
+import { conversationHistory } from './conversation-history.js';
+import { transcriptStreamer } from './transcript-streamer.js';
+import { userTranscriptStreamer } from './user-transcript-streamer.js';
+
+const ACTION_ICONS = {
+  copy: '<rect x="9" y="9" width="13" height="13" rx="2"></rect><path d="M5 15H4a2 2 0 0 1-2-2V4a2 2 0 0 1 2-2h9a2 2 0 0 1 2 2v1"></path>',
+  resend: '<polyline points="1 4 1 10 7 10"></polyline><path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"></path>',
+  replay: '<polygon points="11 5 6 9 2 9 2 15 6 15 11 19 11 5"></polygon><path d="M15.54 8.46a5 5 0 0 1 0 7.07"></path>',
+  flag: '<path d="M4 15s1-1 4-1 5 2 8 2 4-1 4-1V3s-1 1-4 1-5-2-8-2-4 1-4 1z"></path><line x1="4" y1="22" x2="4" y2="15"></line>'
+};
+
+const ROLE_ICONS = {
+  user: '<path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path><circle cx="12" cy="7" r="4"></circle>',
+  agent: '<rect x="3" y="11" width="18" height="10" rx="2"></rect><circle cx="12" cy="5" r="2"></circle><path d="M12 7v4"></path><line x1="8" y1="16" x2="8" y2="16"></line><line x1="16" y1="16" x2="16" y2="16"></line>'
+};
+
+// Interruptions of responses whose message is not shown yet: audioEndMs by response id
+const pendingInterruptions = new Map();
 
 /**
  * Add a transcript entry to the transcript panel
  * @param {string} role - Role: 'user', 'agent', 'system'
  * @param {string} text - Text content
+ * @param {Object} options
+ * @param {HTMLElement|null} options.replace - Element the message takes the place of (e.g. an in-progress bubble)
  */
-export function addTranscript(role, text) {
+export function addTranscript(role, text, { replace = null } = {}) {
   const transcriptContent = document.getElementById('transcriptContent');
   if (!transcriptContent) {
     console.warn('[addTranscript] transcriptContent element not found');
@@ -31,28 +55,33 @@ export function addTranscript(role, text) {
   
   console.log('[addTranscript] Normalized role:', normalizedRole);
 
+  // A message replacing an element keeps its place, also in the store
+  const placeholder = replace?.isConnected ? replace : null;
+  let nextItem = placeholder?.nextElementSibling || null;
+  while (nextItem && !nextItem.dataset.entryId) {
+    nextItem = nextItem.nextElementSibling;
+  }
+
   // Build transcript item using .transcript-item markup for better styling
+  const entry = transcriptStore.addEntry(normalizedRole, text, null, nextItem?.dataset.entryId || null);
+
   const item = document.createElement('div');
   item.className = `transcript-item ${normalizedRole}`;
-
-  // Create icon element
-  const iconDiv = document.createElement('div');
-  iconDiv.className = 'transcript-icon';
-  
-  if (normalizedRole === 'user') {
-    iconDiv.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><path d="M20 21v-2a4 4 0 0 0-4-4H8a4 4 0 0 0-4 4v2"></path><circle cx="12" cy="7" r="4"></circle></svg>`;
-  } else {
-    iconDiv.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="11" width="18" height="10" rx="2"></rect><circle cx="12" cy="5" r="2"></circle><path d="M12 7v4"></path><line x1="8" y1="16" x2="8" y2="16"></line><line x1="16" y1="16" x2="16" y2="16"></line></svg>`;
-  }
+  item.dataset.entryId = entry.id;
 
   const content = document.createElement('div');
   content.className = 'transcript-content';
   content.innerHTML = markdownToHtml(text);
 
-  item.appendChild(iconDiv);
+  item.appendChild(createTranscriptIcon(normalizedRole));
   item.appendChild(content);
+  item.appendChild(createTranscriptActions(normalizedRole));
 
-  transcriptContent.appendChild(item);
+  if (placeholder) {
+    placeholder.replaceWith(item);
+  } else {
+    transcriptContent.appendChild(item);
+  }
   
   console.log('[addTranscript] Item added to transcript:', { role: normalizedRole, itemCount: transcriptContent.children.length });
 
@@ -60,6 +89,236 @@ export function addTranscript(role, text) {
   transcriptContent.scrollTop = transcriptContent.scrollHeight;
 }
 
+/**
+ * Mark an agent transcript entry as interrupted (barge-in)
+ * Only the entry carrying the response id is marked. When the response has no
+ * message yet, the marker is kept and applied by applyPendingInterruption().
+ * @param {string} responseId - Interrupted response id
+ * @param {number} audioEndMs - Milliseconds of the response heard before the interruption
+ * @returns {boolean} - True if an entry was marked
+ */
+export function markTranscriptInterrupted(responseId, audioEndMs) {
+  if (!responseId) return false;
+
+  const transcriptContent = document.getElementById('transcriptContent');
+  const item = transcriptContent?.querySelector(`.transcript-item.agent[data-response-id="${CSS.escape(responseId)}"]`);
+  if (!item) {
+    pendingInterruptions.set(responseId, audioEndMs);
+    return false;
+  }
+  return markItemInterrupted(item, audioEndMs);
+}
+
+/**
+ * Apply the interruption marker kept for a response whose message was just added
+ * @param {HTMLElement} item - .transcript-item with data-response-id
+ * @returns {boolean} - True if the item was marked
+ */
+export function applyPendingInterruption(item) {
+  const responseId = item?.dataset.responseId;
+  if (!responseId || !pendingInterruptions.has(responseId)) return false;
+
+  const audioEndMs = pendingInterruptions.get(responseId);
+  pendingInterruptions.delete(responseId);
+  return markItemInterrupted(item, audioEndMs);
+}
+
+/**
+ * Show the interrupted badge on a transcript item
+ * @param {HTMLElement} item - .transcript-item
+ * @param {number} audioEndMs - Milliseconds of the response heard before the interruption
+ * @returns {boolean} - True if the item was marked
+ */
+function markItemInterrupted(item, audioEndMs) {
+  if (item.classList.contains('interrupted')) return false;
+
+  transcriptStore.markInterrupted(transcriptStore.findById(item.dataset.entryId), audioEndMs);
+
+  item.classList.add('interrupted');
+  item.title = (window.APP_RESOURCES?.InterruptedAfter || 'Interrupted after {0}s').replace('{0}', (audioEndMs / 1000).toFixed(1));
+
+  const badge = document.createElement('span');
+  badge.className = 'transcript-interrupted-badge';
+  badge.textContent = window.APP_RESOURCES?.Interrupted || 'Interrupted';
+  item.querySelector('.transcript-content')?.appendChild(badge);
+
+  return true;
+}
+
+/**
+ * Create the role icon of a transcript item
+ * @param {string} role - 'user' or 'agent'
+ * @returns {HTMLElement}
+ */
+export function createTranscriptIcon(role) {
+  const iconDiv = document.createElement('div');
+  iconDiv.className = 'transcript-icon';
+  iconDiv.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round">${ROLE_ICONS[role] || ROLE_ICONS.agent}</svg>`;
+  return iconDiv;
+}
+
+/**
+ * Create the action toolbar of a transcript item
+ * Clicks are handled by the listener installed by initTranscriptActions().
+ * @param {string} role - 'user' or 'agent'
+ * @returns {HTMLElement}
+ */
+export function createTranscriptActions(role) {
+  const actions = [
+    ['copy', window.APP_RESOURCES?.CopyMessage || 'Copy'],
+    role === 'user'
+      ? ['resend', window.APP_RESOURCES?.ResendMessage || 'Send again']
+      : ['replay', window.APP_RESOURCES?.ReplayAudio || 'Replay audio'],
+    ['flag', window.APP_RESOURCES?.FlagMessage || 'Flag as incorrect']
+  ];
+
+  const toolbar = document.createElement('div');
+  toolbar.className = 'transcript-actions';
+  actions.forEach(([action, label]) => {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.dataset.action = action;
+    button.title = label;
+    button.setAttribute('aria-label', label);
+    button.innerHTML = `<svg width="14" height="14" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round" aria-hidden="true">${ACTION_ICONS[action]}</svg>`;
+    toolbar.appendChild(button);
+  });
+  return toolbar;
+}
+
+/**
+ * Handle clicks on the transcript item toolbars
+ * @param {Object} options
+ * @param {Function} options.onResend - (text) => void, sends a user message again
+ * @param {Function} options.onReplay - (responseId) => void, replays an agent response
+ */
+export function initTranscriptActions({ onResend, onReplay }) {
+  const transcriptContent = document.getElementById('transcriptContent');
+  if (!transcriptContent) return;
+
+  transcriptContent.addEventListener('click', (e) => {
+    const button = e.target.closest('[data-action], [data-flag-action]');
+    const item = button?.closest('.transcript-item');
+    if (!item) return;
+
+    const entry = transcriptStore.findById(item.dataset.entryId);
+    if (button.dataset.flagAction) {
+      handleFlagEditorAction(item, entry, button.dataset.flagAction);
+      return;
+    }
+
+    switch (button.dataset.action) {
+      case 'copy':
+        copyTranscriptText(entry?.text ?? item.querySelector('.transcript-content')?.textContent ?? '');
+        break;
+      case 'resend':
+        if (entry?.text.trim()) onResend?.(entry.text.trim());
+        break;
+      case 'replay':
+        onReplay?.(item.dataset.responseId || entry?.responseId || null);
+        break;
+      case 'flag':
+        openFlagEditor(item, entry);
+        break;
+    }
+  });
+}
+
+/**
+ * Copy a message to the clipboard
+ * @param {string} text - Message text
+ */
+async function copyTranscriptText(text) {
+  try {
+    await navigator.clipboard.writeText(text);
+    showToast(window.APP_RESOURCES?.MessageCopied || 'Message copied', 'success', 2000);
+  } catch (error) {
+    console.error('[copyTranscriptText] Copy failed:', error);
+    showToast(window.APP_RESOURCES?.CopyFailed || 'Could not copy the message', 'error');
+  }
+}
+
+/**
+ * Show the note editor of a transcript item
+ * @param {HTMLElement} item - Transcript item
+ * @param {Object|null} entry - Store entry of the item
+ */
+function openFlagEditor(item, entry) {
+  if (!entry) return;
+
+  let editor = item.querySelector('.transcript-flag-editor');
+  if (!editor) {
+    editor = document.createElement('div');
+    editor.className = 'transcript-flag-editor';
+
+    const note = document.createElement('textarea');
+    note.rows = 2;
+    note.placeholder = window.APP_RESOURCES?.FlagNotePlaceholder || 'What is wrong with this message?';
+    editor.appendChild(note);
+
+    const buttons = document.createElement('div');
+    buttons.className = 'transcript-flag-editor-actions';
+    [
+      ['remove', window.APP_RESOURCES?.RemoveFlag || 'Remove flag'],
+      ['cancel', window.APP_RESOURCES?.Cancel || 'Cancel'],
+      ['save', window.APP_RESOURCES?.Save || 'Save']
+    ].forEach(([action, label]) => {
+      const button = document.createElement('button');
+      button.type = 'button';
+      button.dataset.flagAction = action;
+      button.textContent = label;
+      buttons.appendChild(button);
+    });
+    editor.appendChild(buttons);
+    item.appendChild(editor);
+  }
+
+  editor.querySelector('[data-flag-action="remove"]').classList.toggle('hidden', !entry.flag);
+  item.classList.add('flag-editing');
+  const note = editor.querySelector('textarea');
+  note.value = entry.flag?.note || '';
+  note.focus();
+}
+
+/**
+ * Apply a button of the note editor
+ * @param {HTMLElement} item - Transcript item
+ * @param {Object|null} entry - Store entry of the item
+ * @param {string} action - 'save', 'remove' or 'cancel'
+ */
+function handleFlagEditorAction(item, entry, action) {
+  const editor = item.querySelector('.transcript-flag-editor');
+  if (entry && action !== 'cancel') {
+    transcriptStore.setFlag(entry, action === 'save' ? editor.querySelector('textarea').value : null);
+    renderTranscriptFlag(item, entry.flag);
+    // A session that already stopped was saved without the flag
+    conversationHistory.updateSavedFlag(entry.id);
+  }
+  editor?.remove();
+  item.classList.remove('flag-editing');
+}
+
+/**
+ * Show (or remove) the flag note of a transcript item
+ * @param {HTMLElement} item - Transcript item
+ * @param {Object|null} flag - Flag of the entry ({ note }) or null
+ */
+export function renderTranscriptFlag(item, flag) {
+  item.classList.toggle('flagged', !!flag);
+  item.querySelector('.transcript-flag-note')?.remove();
+  if (!flag) return;
+
+  const note = document.createElement('div');
+  note.className = 'transcript-flag-note';
+  const label = document.createElement('strong');
+  label.textContent = window.APP_RESOURCES?.FlaggedIncorrect || 'Flagged as incorrect';
+  note.appendChild(label);
+  if (flag.note) {
+    note.appendChild(document.createTextNode(`: ${flag.note}`));
+  }
+  item.appendChild(note);
+}
+
 /**
  * Clear all transcript entries
  */
@@ -68,6 +327,66 @@ export function clearTranscripts() {
   if (transcriptContent) {
     transcriptContent.innerHTML = '';
   }
+  transcriptStore.clear();
+  pendingInterruptions.clear();
+  // Responses still streaming would otherwise keep writing to the removed messages
+  transcriptStreamer.reset();
+  userTranscriptStreamer.reset();
+}
+
+/**
+ * Wire the transcript export menu
+ * @param {Object} options
+ * @param {HTMLElement} options.button - Button toggling the menu
+ * @param {HTMLElement} options.menu - Menu with one [data-format] button per format
+ * @param {string} options.fileNamePrefix - File name prefix (e.g. the page name)
+ */
+export function initTranscriptExport({ button, menu, fileNamePrefix = 'session' }) {
+  if (!button || !menu) return;
+
+  const setMenuOpen = (open) => {
+    menu.classList.toggle('hidden', !open);
+    button.setAttribute('aria-expanded', String(open));
+  };
+
+  button.addEventListener('click', (e) => {
+    e.stopPropagation();
+    setMenuOpen(menu.classList.contains('hidden'));
+  });
+  document.addEventListener('click', (e) => {
+    if (!menu.contains(e.target)) setMenuOpen(false);
+  });
+  document.addEventListener('keydown', (e) => {
+    if (e.key === 'Escape') setMenuOpen(false);
+  });
+
+  menu.querySelectorAll('[data-format]').forEach(option => {
+    option.addEventListener('click', () => {
+      setMenuOpen(false);
+      downloadTranscript(option.dataset.format, fileNamePrefix);
+    });
+  });
+}
+
+/**
+ * Download the transcript in a format
+ * @param {string} format - 'markdown', 'json', 'srt' or 'vtt'
+ * @param {string} fileNamePrefix - File name prefix
+ */
+export function downloadTranscript(format, fileNamePrefix = 'session') {
+  if (!transcriptStore.hasEntries()) {
+    showToast(window.APP_RESOURCES?.TranscriptEmpty || 'The conversation is empty', 'info');
+    return;
+  }
+
+  try {
+    const { content, mimeType } = exportTranscript(format);
+    downloadBlob(new Blob([content], { type: `${mimeType};charset=utf-8` }),
+      getTranscriptFileName(format, fileNamePrefix, transcriptStore.originAt));
+  } catch (error) {
+    console.error('[downloadTranscript] Export failed:', error);
+    showToast(window.APP_RESOURCES?.TranscriptExportFailed || 'Could not export the transcript', 'error');
+  }
 }
 
 /**
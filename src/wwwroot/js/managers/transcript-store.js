@@ -0,0 +1,220 @@
+/**
+ * Transcript Store Module
+ *
+ * Data model behind the transcript panel. Each message is kept as an entry with its
+ * role, text and (for agent responses) the response id and the word timings reported
+ * by TranscriptStreamer, so the conversation can be exported after the fact.
+ *
+ * Times are performance.now() values; getEntries() turns them into milliseconds from
+ * the transcript origin (the first message, or the start of a session recording).
+ */
+
+let nextEntryId = 1;
+
+/**
+ * TranscriptStore class
+ * Ordered list of transcript entries
+ */
+export class TranscriptStore {
+  constructor() {
+    this.entries = [];
+    this.originTime = null; // performance.now() of time zero
+    this.originAt = null; // Wall clock of time zero
+  }
+
+  /**
+   * Set time zero (e.g. when a session recording starts, so captions line up with it)
+   * @param {number} time - performance.now() value
+   */
+  setOrigin(time = performance.now()) {
+    this.originTime = time;
+    this.originAt = new Date(Date.now() - (performance.now() - time));
+  }
+
+  /**
+   * Add a message
+   * @param {string} role - 'user' or 'agent'
+   * @param {string} text - Message text
+   * @param {string|null} responseId - Response id (agent messages)
+   * @param {string|null} beforeId - Insert before this entry (a message shown above later ones); appended when omitted
+   * @returns {Object} - The new entry
+   */
+  addEntry(role, text, responseId = null, beforeId = null) {
+    const now = performance.now();
+    if (this.originTime === null) {
+      this.setOrigin(now);
+    }
+
+    const entry = {
+      id: `t${nextEntryId++}`,
+      role,
+      text: text || '',
+      responseId: responseId || null,
+      createdAt: new Date().toISOString(),
+      time: now,
+      audioStartTime: null, // performance.now() of the response audio offset 0
+      words: [], // { text, offsetMs, durationMs } from audio timestamps
+      interrupted: false,
+      heardMs: null, // Audio heard before an interruption
+      flag: null // { note, flaggedAt } when marked as incorrect
+    };
+    const index = beforeId ? this.entries.findIndex(other => other.id === beforeId) : -1;
+    if (index === -1) {
+      this.entries.push(entry);
+    } else {
+      this.entries.splice(index, 0, entry);
+    }
+    return entry;
+  }
+
+  /**
+   * Find the entry of an agent response
+   * @param {string} responseId - Response id
+   * @returns {Object|null}
+   */
+  findByResponseId(responseId) {
+    if (!responseId) return null;
+    for (let i = this.entries.length - 1; i >= 0; i--) {
+      if (this.entries[i].responseId === responseId) return this.entries[i];
+    }
+    return null;
+  }
+
+  /**
+   * Check whether an entry is still in the store (it is gone after clear())
+   * @param {Object} entry - Entry
+   * @returns {boolean}
+   */
+  contains(entry) {
+    return this.entries.includes(entry);
+  }
+
+  /**
+   * Find an entry by id
+   * @param {string} id - Entry id (data-entry-id of the panel item)
+   * @returns {Object|null}
+   */
+  findById(id) {
+    return this.entries.find(entry => entry.id === id) || null;
+  }
+
+  /**
+   * Record the timing of a spoken word
+   * Offsets are relative to the start of the response audio; until the audio is heard
+   * (see setAudioStartTime()) the first timestamp anchors that start to the current time.
+   * @param {Object} entry - Agent entry
+   * @param {string} word - Word text
+   * @param {number} offsetMs - Offset of the word in the response audio
+   * @param {number} durationMs - Duration of the word (0 if unknown)
+   */
+  addWordTiming(entry, word, offsetMs, durationMs = 0) {
+    if (entry.audioStartTime === null) {
+      entry.audioStartTime = performance.now() - offsetMs;
+    }
+    entry.words.push({ text: word, offsetMs, durationMs: durationMs || 0 });
+  }
+
+  /**
+   * Anchor the start of an entry's response audio (performance.now() of audio offset 0)
+   * Set by TranscriptStreamer from the playback position once the audio is heard.
+   * @param {Object} entry - Agent entry
+   * @param {number} time - performance.now() value
+   */
+  setAudioStartTime(entry, time) {
+    if (entry) entry.audioStartTime = time;
+  }
+
+  /**
+   * Mark an agent entry as interrupted
+   * @param {Object} entry - Agent entry
+   * @param {number} heardMs - Milliseconds of the response heard before the interruption
+   */
+  markInterrupted(entry, heardMs) {
+    if (!entry) return;
+    entry.interrupted = true;
+    entry.heardMs = Number.isFinite(heardMs) ? heardMs : null;
+  }
+
+  /**
+   * Flag an entry as incorrect, or remove the flag
+   * @param {Object} entry - Entry
+   * @param {string|null} note - Reviewer note; null removes the flag
+   */
+  setFlag(entry, note) {
+    if (!entry) return;
+    entry.flag = note === null ? null : { note: note.trim(), flaggedAt: new Date().toISOString() };
+  }
+
+  /**
+   * Get the audio offsets spanned by an entry's words
+   * @param {Object} entry - Entry
+   * @returns {{audioStartMs: number, audioEndMs: number}|null}
+   */
+  getAudioRange(entry) {
+    if (!entry.words.length) return null;
+
+    const audioStartMs = Math.min(...entry.words.map(w => w.offsetMs));
+    let audioEndMs = Math.max(...entry.words.map(w => w.offsetMs + w.durationMs));
+    if (entry.interrupted && entry.heardMs !== null) {
+      audioEndMs = Math.min(audioEndMs, entry.heardMs);
+    }
+    return { audioStartMs, audioEndMs: Math.max(audioStartMs, audioEndMs) };
+  }
+
+  /**
+   * Get a plain copy of the entries with times relative to the origin
+   * startMs/endMs (and the word times) are only set for agent entries with word
+   * timings; the exporter estimates the others from offsetMs, the arrival time.
+   * @param {number|null} sinceTime - Only entries added from this performance.now() time
+   * @returns {Array<Object>}
+   */
+  getEntries(sinceTime = null) {
+    const entries = sinceTime === null ? this.entries : this.entries.filter(entry => entry.time >= sinceTime);
+    return entries.map(entry => {
+      const range = this.getAudioRange(entry);
+      const base = entry.audioStartTime !== null ? entry.audioStartTime - this.originTime : null;
+      return {
+        id: entry.id,
+        role: entry.role,
+        text: entry.text,
+        responseId: entry.responseId,
+        createdAt: entry.createdAt,
+        offsetMs: Math.round(entry.time - this.originTime),
+        startMs: range && base !== null ? Math.round(base + range.audioStartMs) : null,
+        endMs: range && base !== null ? Math.round(base + range.audioEndMs) : null,
+        audioStartMs: range ? range.audioStartMs : null,
+        audioEndMs: range ? range.audioEndMs : null,
+        words: base === null ? [] : entry.words
+          .filter(word => !entry.interrupted || entry.heardMs === null || word.offsetMs < entry.heardMs)
+          .map(word => ({
+            text: word.text,
+            startMs: Math.round(base + word.offsetMs),
+            endMs: Math.round(base + word.offsetMs + word.durationMs)
+          })),
+        interrupted: entry.interrupted,
+        heardMs: entry.heardMs,
+        flag: entry.flag ? { ...entry.flag } : null
+      };
+    });
+  }
+
+  /**
+   * Check whether the transcript has any message
+   * @returns {boolean}
+   */
+  hasEntries() {
+    return this.entries.some(entry => entry.text.trim());
+  }
+
+  /**
+   * Remove all entries and the origin
+   */
+  clear() {
+    this.entries = [];
+    this.originTime = null;
+    this.originAt = null;
+  }
+}
+
+// Create and export singleton instance
+export const transcriptStore = new TranscriptStore();
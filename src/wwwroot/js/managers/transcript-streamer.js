@@ -1,22 +1,148 @@
 /**
  * Transcript Streamer
  * Handles synchronized streaming of transcript text with audio playback
- * Uses audio_timestamp.delta events for word-level synchronization
+ * Uses audio_timestamp.delta events for word-level synchronization: each word is
+ * revealed when the response audio reaches its offset on the AudioHandler's
+ * audio clock, and the word being spoken is highlighted (CSS Custom Highlight API).
+ *
+ * Streaming state is kept per response id, so responses that overlap (function calls,
+ * interruptions) each stream into their own message and are finalized on their own.
+ * The final Transcription message of a response is matched to its stream by
+ * claimTranscription() rather than by comparing text. A stream is released once it
+ * is both finalized and transcribed.
  */
 
-import { markdownToHtml } from '../ui/ui-utils.js';
+import { IncrementalMarkdownRenderer, renderMarkdown } from '../modules/markdown-renderer.js';
+import { EventEmitterHelper } from '../modules/event-emitter-helper.js';
+import { eventBus, APP_EVENTS } from '../core/event-bus.js';
+import { TRANSCRIPT_CONFIG } from '../core/config.js';
+import { transcriptStore } from './transcript-store.js';
+import { createTranscriptIcon, createTranscriptActions, applyPendingInterruption } from './transcript-manager.js';
+
+const SPOKEN_WORD_HIGHLIGHT = 'transcript-spoken-word';
 
 export class TranscriptStreamer {
   constructor() {
-    // Streaming state
-    this.currentStreamingResponseId = null;
-    this.streamingTranscriptElement = null;
-    this.streamingTranscriptText = '';
+    // Streaming state by response id, in the order the responses started (see createStream())
+    this.streams = new Map();
     
     // Audio synchronization
-    this.streamingStartTime = null; // Time when audio started playing
-    this.pendingWords = []; // Queue of words with timestamps waiting to be displayed
-    this.streamingIntervalId = null; // Interval ID for synchronized streaming
+    this.audioClock = null; // AudioHandler whose playback position reveals the words
+    this.revealFrameId = null; // requestAnimationFrame of the reveal loop (only runs while needed)
+    
+    // Karaoke highlight: displayed words of the last spoken response
+    this.spokenWords = []; // { word, audioOffsetMs, audioDurationMs }
+    this.spokenResponseId = null;
+    this.spokenElement = null; // .transcript-content holding the words
+    this.highlightedWord = null;
+    
+    // Event bus subscriptions (see subscribe())
+    this.busSubscriptions = null;
+  }
+  
+  /**
+   * Subscribe to transcript events published on an event bus
+   * @param {EventBus} bus - Event bus to listen on
+   */
+  subscribe(bus) {
+    this.unsubscribe();
+    this.busSubscriptions = new EventEmitterHelper(bus);
+    this.busSubscriptions.registerHandlers({
+      [APP_EVENTS.AUDIO_TIMESTAMP_DELTA]: this.handleAudioTimestampDelta,
+      [APP_EVENTS.TRANSCRIPT_DELTA]: this.handleTranscriptDelta,
+      [APP_EVENTS.TRANSCRIPT_DONE]: this.handleTranscriptDone,
+      [APP_EVENTS.RESPONSE_INTERRUPTED]: this.handleResponseInterrupted,
+      [APP_EVENTS.RESPONSE_DONE]: (payload) => this.finalizeStreamingTranscript(payload?.ResponseId),
+      // Responses of a closed connection are never completed
+      [APP_EVENTS.CONNECTION_CLOSED]: this.reset
+    }, this);
+  }
+  
+  /**
+   * Set the audio clock words are revealed against
+   * Without one, words are shown as soon as they arrive.
+   * @param {AudioHandler|null} clock - Object with getResponsePositionMs(responseId) and hasPendingPlayback()
+   */
+  setAudioClock(clock) {
+    this.audioClock = clock;
+  }
+  
+  /**
+   * Remove all event bus subscriptions
+   */
+  unsubscribe() {
+    if (this.busSubscriptions) {
+      this.busSubscriptions.unregisterAll();
+      this.busSubscriptions = null;
+    }
+  }
+  
+  /**
+   * Create the streaming state of a response
+   * @param {string|null} responseId - The response ID
+   * @returns {Object}
+   */
+  createStream(responseId) {
+    return {
+      responseId,
+      entry: transcriptStore.findByResponseId(responseId) || transcriptStore.addEntry('agent', '', responseId),
+      element: null, // .transcript-item, added with the first text
+      content: null, // Its .transcript-content
+      renderer: null, // Renders the streaming text as it grows
+      text: '',
+      source: null, // 'words' or 'delta': whichever shows text first; the other is not displayed
+      pendingWords: [], // Words with timestamps waiting for the audio to reach them
+      finalText: null, // Transcript of the whole response, once known
+      transcriptDone: false, // ResponseAudioTranscriptDone received
+      transcribed: false, // Final Transcription message claimed (see claimTranscription())
+      interrupted: false, // Barge-in: the remaining words are never shown
+      finalizePending: false, // Response done while its words still follow the audio
+      finalized: false
+    };
+  }
+  
+  /**
+   * Get the streaming state of a response, creating it on its first event
+   * @param {string} responseId - The response ID
+   * @returns {Object}
+   */
+  getStream(responseId) {
+    const key = responseId || null;
+    let stream = this.streams.get(key);
+    if (!stream) {
+      stream = this.createStream(key);
+      this.streams.set(key, stream);
+    } else if (!transcriptStore.contains(stream.entry)) {
+      // The transcript was cleared: text still to come starts a new message
+      stream.entry = transcriptStore.addEntry('agent', '', key);
+      stream.element = null;
+      stream.content = null;
+      stream.renderer = null;
+      stream.text = '';
+    }
+    return stream;
+  }
+  
+  /**
+   * Get the store entry of a response, adding it on the first word or delta
+   * @param {string} responseId - The response ID
+   * @returns {Object} - Transcript store entry
+   */
+  getTranscriptEntry(responseId) {
+    return this.getStream(responseId).entry;
+  }
+  
+  /**
+   * Check whether a source may display text in a response
+   * Word timestamps and transcript deltas carry the same text, so only the first
+   * one to arrive is shown.
+   * @param {Object} stream - Response stream
+   * @param {string} source - 'words' or 'delta'
+   * @returns {boolean}
+   */
+  acceptSource(stream, source) {
+    stream.source = stream.source || source;
+    return stream.source === source && !stream.interrupted && !stream.finalized;
   }
   
   /**
@@ -30,11 +156,16 @@ export class TranscriptStreamer {
     const responseId = payload.response_id || payload.ResponseId;
     const audioOffsetMs = payload.audio_offset_ms || payload.AudioOffsetMs || 0;
     const text = payload.text || payload.Text || '';
+    const audioDurationMs = payload.audio_duration_ms || payload.AudioDurationMs || 0;
     const timestampType = payload.timestamp_type || payload.TimestampType;
     
     // Queue text for synchronized streaming (word-by-word)
     if (text && timestampType === 'word') {
-      this.queueWordForSyncStreaming(responseId, text, audioOffsetMs);
+      const stream = this.getStream(responseId);
+      transcriptStore.addWordTiming(stream.entry, text, audioOffsetMs, audioDurationMs);
+      if (this.acceptSource(stream, 'words')) {
+        this.queueWordForSyncStreaming(stream, text, audioOffsetMs, audioDurationMs);
+      }
     }
   }
   
@@ -54,131 +185,331 @@ export class TranscriptStreamer {
     console.log('[DEBUG] Parsed delta:', { responseId, delta });
     
     // Stream delta text to transcript panel
-    if (delta) {
-      this.streamTextToTranscript(responseId, delta, true); // true = is delta (append without space)
+    const stream = this.getStream(responseId);
+    if (delta && this.acceptSource(stream, 'delta')) {
+      this.streamTextToTranscript(stream, delta, true); // true = is delta (append without space)
+    }
+  }
+  
+  /**
+   * Handle response.audio_transcript.done event
+   * The server sends the final Transcription message right after it, so it is the one
+   * claimTranscription() matches that message to.
+   * @param {Object} payload - { ResponseId, ItemId, Transcript }
+   */
+  handleTranscriptDone(payload) {
+    const responseId = payload?.response_id || payload?.ResponseId;
+    if (!responseId) return;
+    
+    const stream = this.getStream(responseId);
+    const transcript = payload.transcript ?? payload.Transcript ?? '';
+    stream.transcriptDone = true;
+    stream.finalText = transcript;
+    // An empty transcript is never sent as a Transcription message
+    stream.transcribed = stream.transcribed || !transcript.trim();
+  }
+  
+  /**
+   * Match a final agent Transcription message to the response it transcribes
+   * The message carries no response id. It belongs to the latest response whose
+   * transcript is done; when the server does not report that (e.g. avatar sessions),
+   * to the oldest response still waiting for its transcription.
+   * @param {string} text - Transcription text
+   * @returns {boolean} - True if a response stream shows the text (nothing else to add)
+   */
+  claimTranscription(text) {
+    const streams = [...this.streams.values()].filter(stream => !stream.transcribed);
+    const stream = streams.filter(candidate => candidate.transcriptDone).pop()
+      || streams.find(candidate => candidate.element || candidate.pendingWords.length > 0);
+    if (!stream) return false;
+    
+    stream.transcribed = true;
+    if (stream.finalText === null) {
+      stream.finalText = text;
+    }
+    
+    // Nothing was streamed: the transcription is the whole message
+    if (!stream.element && stream.pendingWords.length === 0 && !stream.interrupted) {
+      this.streamTextToTranscript(stream, stream.finalText, true);
+      this.finalizeStream(stream);
+    } else if (stream.finalized) {
+      this.applyFinalText(stream);
+      this.releaseStream(stream);
+    }
+    return true;
+  }
+  
+  /**
+   * Handle a barge-in: words the user did not hear are never shown
+   * @param {Object} payload - { responseId, audioEndMs }
+   */
+  handleResponseInterrupted(payload) {
+    const stream = payload?.responseId
+      ? this.getStream(payload.responseId)
+      : [...this.streams.values()].filter(candidate => !candidate.finalized).pop();
+    if (!stream) return;
+    
+    stream.interrupted = true;
+    stream.pendingWords = [];
+    if (this.spokenResponseId === stream.responseId) {
+      this.setSpokenWordHighlight(null);
+    }
+    // A response already done was only waiting for these words
+    if (stream.finalizePending) {
+      this.finalizeStream(stream);
     }
   }
   
   /**
    * Queue a word for synchronized streaming based on audio timestamp
-   * @param {string} responseId - The response ID
+   * @param {Object} stream - Response stream
    * @param {string} word - The word to display
    * @param {number} audioOffsetMs - When this word should appear (ms from audio start)
+   * @param {number} audioDurationMs - How long the word is spoken (0 if unknown)
    */
-  queueWordForSyncStreaming(responseId, word, audioOffsetMs) {
-    // Add word to queue
-    this.pendingWords.push({ responseId, word, audioOffsetMs });
-    
-    // Start streaming interval if not already running
-    if (!this.streamingIntervalId) {
-      this.startSynchronizedStreaming();
+  queueWordForSyncStreaming(stream, word, audioOffsetMs, audioDurationMs = 0) {
+    stream.pendingWords.push({ responseId: stream.responseId, word, audioOffsetMs, audioDurationMs });
+    this.startRevealLoop();
+  }
+  
+  /**
+   * Get the playback position of a response's audio
+   * @param {string} responseId - The response ID
+   * @returns {number|null} - Milliseconds played (Infinity without an audio clock), null before it plays
+   */
+  getAudioPositionMs(responseId) {
+    if (!this.audioClock) return Infinity;
+    return this.audioClock.getResponsePositionMs(responseId);
+  }
+  
+  /**
+   * Run the reveal loop on the next animation frame (if not already running)
+   */
+  startRevealLoop() {
+    if (this.revealFrameId === null) {
+      this.revealFrameId = requestAnimationFrame(() => this.revealWords());
     }
   }
   
   /**
-   * Start the synchronized streaming interval
-   * Displays words from queue based on their audio timestamps
+   * Stop the reveal loop
    */
-  startSynchronizedStreaming() {
-    // Record when audio started playing (or use current time as approximation)
-    if (!this.streamingStartTime) {
-      this.streamingStartTime = Date.now();
+  stopRevealLoop() {
+    if (this.revealFrameId !== null) {
+      cancelAnimationFrame(this.revealFrameId);
+      this.revealFrameId = null;
     }
+  }
+  
+  /**
+   * Reveal the queued words the audio has reached and move the highlight
+   * Runs once per animation frame while words are queued or one is highlighted.
+   */
+  revealWords() {
+    this.revealFrameId = null;
     
-    // Check every 50ms if any words should be displayed
-    this.streamingIntervalId = setInterval(() => {
-      const elapsedMs = Date.now() - this.streamingStartTime;
-      
-      // Find all words that should be displayed by now
-      const wordsToDisplay = [];
-      this.pendingWords = this.pendingWords.filter(wordData => {
-        if (wordData.audioOffsetMs <= elapsedMs) {
-          wordsToDisplay.push(wordData);
-          return false; // Remove from queue
-        }
-        return true; // Keep in queue
-      });
+    let waiting = false;
+    this.streams.forEach(stream => {
+      while (stream.pendingWords.length > 0) {
+        const wordData = stream.pendingWords[0];
+        const positionMs = this.getAudioPositionMs(stream.responseId);
+        if (positionMs === null || wordData.audioOffsetMs > positionMs) break;
+        
+        stream.pendingWords.shift();
+        this.revealWord(stream, wordData, positionMs);
+      }
       
-      // Display the words
-      wordsToDisplay.forEach(({ responseId, word }) => {
-        this.streamTextToTranscript(responseId, word, false);
-      });
+      // Audio is over (or never played) but words remain: the response can be finished now
+      if (stream.finalizePending && (stream.pendingWords.length === 0 || !this.audioClock?.hasPendingPlayback())) {
+        this.finalizeStream(stream);
+      }
+      waiting = waiting || stream.pendingWords.length > 0;
+    });
+    
+    this.updateSpokenWordHighlight();
+    if (waiting || this.highlightedWord) {
+      this.startRevealLoop();
+    }
+  }
+  
+  /**
+   * Show a word in the transcript panel
+   * @param {Object} stream - Response stream
+   * @param {Object} wordData - Queued word
+   * @param {number|null} positionMs - Playback position of its response
+   */
+  revealWord(stream, wordData, positionMs) {
+    this.streamTextToTranscript(stream, wordData.word, false);
+    
+    if (stream.responseId !== this.spokenResponseId) {
+      this.setSpokenWordHighlight(null);
+      this.spokenResponseId = stream.responseId;
+      this.spokenWords = [];
+      this.spokenElement = stream.content;
       
-      // Stop interval if no more words pending
-      if (this.pendingWords.length === 0) {
-        this.stopSynchronizedStreaming();
+      // Export timings follow the audio actually heard rather than the arrival of the first word
+      if (Number.isFinite(positionMs)) {
+        transcriptStore.setAudioStartTime(stream.entry, performance.now() - positionMs);
       }
-    }, 50); // Check every 50ms for smooth streaming
+    }
+    this.spokenWords.push(wordData);
+  }
+  
+  /**
+   * Highlight the word being spoken, if it changed
+   */
+  updateSpokenWordHighlight() {
+    let current = null;
+    const positionMs = this.spokenResponseId ? this.getAudioPositionMs(this.spokenResponseId) : null;
+    
+    // Only while the audio is playing: a stopped clock must not keep a word lit
+    if (Number.isFinite(positionMs) && this.audioClock.hasPendingPlayback()
+      && !this.streams.get(this.spokenResponseId)?.interrupted) {
+      const fallbackMs = 60000 / TRANSCRIPT_CONFIG.WORDS_PER_MINUTE;
+      this.spokenWords.forEach((wordData, index) => {
+        const next = this.spokenWords[index + 1];
+        const endMs = wordData.audioOffsetMs + (wordData.audioDurationMs
+          || (next ? next.audioOffsetMs - wordData.audioOffsetMs : fallbackMs));
+        if (wordData.audioOffsetMs <= positionMs && positionMs < endMs) {
+          current = wordData;
+        }
+      });
+    }
+    
+    if (current !== this.highlightedWord) {
+      this.setSpokenWordHighlight(current);
+    }
   }
   
   /**
-   * Stop the synchronized streaming interval
+   * Highlight a displayed word (karaoke style), or clear the highlight
+   * Uses the CSS Custom Highlight API, so the rendered Markdown is left untouched;
+   * browsers without it simply show no highlight.
+   * @param {Object|null} wordData - Word from spokenWords
    */
-  stopSynchronizedStreaming() {
-    if (this.streamingIntervalId) {
-      clearInterval(this.streamingIntervalId);
-      this.streamingIntervalId = null;
+  setSpokenWordHighlight(wordData) {
+    this.highlightedWord = wordData;
+    const highlights = globalThis.CSS?.highlights;
+    if (!highlights || !TRANSCRIPT_CONFIG.HIGHLIGHT_SPOKEN_WORD) return;
+    
+    const range = wordData ? this.findWordRange(this.spokenWords.indexOf(wordData)) : null;
+    if (range) {
+      highlights.set(SPOKEN_WORD_HIGHLIGHT, new Highlight(range));
+    } else {
+      highlights.delete(SPOKEN_WORD_HIGHLIGHT);
+    }
+  }
+  
+  /**
+   * Find a displayed word in the rendered message
+   * Words are matched in order, so a repeated word resolves to the right occurrence.
+   * @param {number} index - Index in spokenWords
+   * @returns {Range|null}
+   */
+  findWordRange(index) {
+    if (!this.spokenElement?.isConnected || index < 0) return null;
+    
+    const nodes = [];
+    let text = '';
+    const walker = document.createTreeWalker(this.spokenElement, NodeFilter.SHOW_TEXT);
+    while (walker.nextNode()) {
+      nodes.push({ node: walker.currentNode, start: text.length });
+      text += walker.currentNode.nodeValue;
+    }
+    
+    let cursor = 0;
+    let found = -1;
+    let word = '';
+    for (let i = 0; i <= index; i++) {
+      word = this.spokenWords[i].word.trim();
+      const position = word ? text.indexOf(word, cursor) : -1;
+      found = i === index ? position : found;
+      if (position !== -1) cursor = position + word.length;
     }
+    if (found === -1) return null;
+    
+    // Map the character span back to text nodes
+    const locate = (offset) => {
+      for (let i = nodes.length - 1; i >= 0; i--) {
+        if (offset >= nodes[i].start) return { node: nodes[i].node, offset: offset - nodes[i].start };
+      }
+      return null;
+    };
+    const start = locate(found);
+    const end = locate(found + word.length);
+    if (!start || !end) return null;
+    
+    const range = document.createRange();
+    range.setStart(start.node, start.offset);
+    range.setEnd(end.node, end.offset);
+    return range;
+  }
+  
+  /**
+   * Show the queued words of a response immediately
+   * @param {Object} stream - Response stream
+   */
+  flushPendingWords(stream) {
+    const flushed = stream.pendingWords;
+    stream.pendingWords = [];
+    flushed.forEach(wordData => this.revealWord(stream, wordData, null));
+  }
+  
+  /**
+   * Add the transcript item of a response to the panel
+   * @param {Object} stream - Response stream
+   * @param {HTMLElement} transcriptContent - #transcriptContent
+   */
+  createStreamElement(stream, transcriptContent) {
+    const item = document.createElement('div');
+    item.className = 'transcript-item agent streaming';
+    item.dataset.responseId = stream.responseId;
+    item.dataset.entryId = stream.entry.id;
+    
+    const content = document.createElement('div');
+    content.className = 'transcript-content streaming-text';
+    
+    item.appendChild(createTranscriptIcon('agent'));
+    item.appendChild(content);
+    item.appendChild(createTranscriptActions('agent'));
+    transcriptContent.appendChild(item);
+    
+    stream.element = item;
+    stream.content = content;
+    stream.renderer = new IncrementalMarkdownRenderer(content);
   }
   
   /**
    * Stream text word-by-word to the transcript panel
-   * Creates or updates a streaming transcript element for the current response
-   * @param {string} responseId - The response ID
+   * Creates or updates the streaming transcript element of the response
+   * @param {Object} stream - Response stream
    * @param {string} text - The text to append (word or delta)
    * @param {boolean} isDelta - If true, append without space (for transcript deltas)
    */
-  streamTextToTranscript(responseId, text, isDelta = false) {
+  streamTextToTranscript(stream, text, isDelta = false) {
     const transcriptContent = document.getElementById('transcriptContent');
     if (!transcriptContent) return;
     
-    // Check if we need to create a new streaming element for a new response
-    if (responseId !== this.currentStreamingResponseId) {
-      // Finalize previous streaming element if exists
-      if (this.streamingTranscriptElement) {
-        this.streamingTranscriptElement.classList.remove('streaming');
-      }
-      
-      // Create new streaming transcript item
-      this.currentStreamingResponseId = responseId;
-      this.streamingTranscriptText = '';
-      
-      const item = document.createElement('div');
-      item.className = 'transcript-item agent streaming';
-      item.dataset.responseId = responseId;
-      
-      // Create icon element
-      const iconDiv = document.createElement('div');
-      iconDiv.className = 'transcript-icon';
-      iconDiv.innerHTML = `<svg width="20" height="20" viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"><rect x="3" y="11" width="18" height="10" rx="2"></rect><circle cx="12" cy="5" r="2"></circle><path d="M12 7v4"></path><line x1="8" y1="16" x2="8" y2="16"></line><line x1="16" y1="16" x2="16" y2="16"></line></svg>`;
-      
-      const content = document.createElement('div');
-      content.className = 'transcript-content streaming-text';
-      
-      item.appendChild(iconDiv);
-      item.appendChild(content);
-      transcriptContent.appendChild(item);
-      
-      this.streamingTranscriptElement = item;
+    const isNew = !stream.element;
+    if (isNew) {
+      this.createStreamElement(stream, transcriptContent);
     }
     
     // Append text to streaming text
-    if (isDelta) {
-      // For transcript deltas, append directly (they include their own spacing)
-      this.streamingTranscriptText += text;
+    if (isDelta || !stream.text) {
+      // Transcript deltas include their own spacing
+      stream.text += text;
     } else {
       // For word-level timestamps, add space between words
-      if (this.streamingTranscriptText) {
-        this.streamingTranscriptText += ' ' + text;
-      } else {
-        this.streamingTranscriptText = text;
-      }
+      stream.text += ' ' + text;
     }
+    stream.entry.text = stream.text;
     
-    // Update the content
-    const contentElement = this.streamingTranscriptElement?.querySelector('.transcript-content');
-    if (contentElement) {
-      contentElement.textContent = this.streamingTranscriptText;
+    // Update the content (only the last Markdown block is re-rendered)
+    stream.renderer?.update(stream.text);
+    // The user may have interrupted the response before its first word was shown
+    if (isNew) {
+      applyPendingInterruption(stream.element);
     }
     
     // Auto-scroll to bottom
@@ -186,48 +517,95 @@ export class TranscriptStreamer {
   }
   
   /**
-   * Finalize streaming transcript when response is done
+   * Replace the streamed text of a response with its final transcript
+   * Words and deltas can miss punctuation or formatting the transcript has. An
+   * interrupted response keeps the text that was heard.
+   * @param {Object} stream - Response stream
    */
-  finalizeStreamingTranscript() {
-    // Display any remaining words immediately
-    this.pendingWords.forEach(({ responseId, word }) => {
-      this.streamTextToTranscript(responseId, word, false);
-    });
-    this.pendingWords = [];
+  applyFinalText(stream) {
+    if (stream.finalText === null || stream.interrupted || !stream.content) return;
+    if (stream.finalText.trim() === stream.text.trim()) return;
     
-    // Stop streaming interval
-    this.stopSynchronizedStreaming();
+    stream.text = stream.finalText;
+    stream.entry.text = stream.text;
+    if (stream.renderer) {
+      stream.renderer.update(stream.text);
+    } else {
+      stream.content.innerHTML = renderMarkdown(stream.text);
+    }
+    // The rendered words changed: highlight ranges are looked up again
+    if (this.spokenResponseId === stream.responseId) {
+      this.setSpokenWordHighlight(null);
+    }
+  }
+  
+  /**
+   * Finalize a response stream
+   * The response is usually done well before its audio has played: the element stays
+   * open until the reveal loop has shown the last word (or the audio stopped).
+   * @param {Object} stream - Response stream
+   */
+  finalizeStream(stream) {
+    if (stream.finalized) return;
+    if (stream.pendingWords.length > 0 && this.audioClock?.hasPendingPlayback()) {
+      stream.finalizePending = true;
+      this.startRevealLoop();
+      return;
+    }
+    stream.finalizePending = false;
     
-    // Reset streaming state
-    this.streamingStartTime = null;
+    // Display any remaining words immediately
+    this.flushPendingWords(stream);
+    this.applyFinalText(stream);
     
-    if (this.streamingTranscriptElement) {
-      this.streamingTranscriptElement.classList.remove('streaming');
-      this.streamingTranscriptElement = null;
+    stream.finalized = true;
+    stream.element?.classList.remove('streaming');
+    stream.renderer?.finish();
+    stream.renderer = null;
+    this.releaseStream(stream);
+  }
+  
+  /**
+   * Forget a response once nothing more can change its message
+   * @param {Object} stream - Response stream
+   */
+  releaseStream(stream) {
+    if (stream.finalized && stream.transcribed && this.streams.get(stream.responseId) === stream) {
+      this.streams.delete(stream.responseId);
     }
-    this.streamingTranscriptText = '';
-    this.currentStreamingResponseId = null;
+  }
+  
+  /**
+   * Finalize streaming transcript when response is done
+   * @param {string} responseId - Response to finalize (all open responses when omitted)
+   */
+  finalizeStreamingTranscript(responseId = undefined) {
+    if (responseId) {
+      const stream = this.streams.get(responseId);
+      if (stream) this.finalizeStream(stream);
+      return;
+    }
+    this.streams.forEach(stream => this.finalizeStream(stream));
   }
   
   /**
    * Reset streamer state
    */
   reset() {
-    this.pendingWords.forEach(({ responseId, word }) => {
-      this.streamTextToTranscript(responseId, word, false);
+    this.streams.forEach(stream => {
+      this.flushPendingWords(stream);
+      stream.element?.classList.remove('streaming');
+      stream.renderer?.finish();
     });
-    this.pendingWords = [];
-    this.stopSynchronizedStreaming();
-    this.streamingStartTime = null;
-    
-    if (this.streamingTranscriptElement) {
-      this.streamingTranscriptElement.classList.remove('streaming');
-      this.streamingTranscriptElement = null;
-    }
-    this.streamingTranscriptText = '';
-    this.currentStreamingResponseId = null;
+    this.streams.clear();
+    this.stopRevealLoop();
+    this.setSpokenWordHighlight(null);
+    this.spokenWords = [];
+    this.spokenResponseId = null;
+    this.spokenElement = null;
   }
 }
 
 // Create and export singleton instance
 export const transcriptStreamer = new TranscriptStreamer();
+transcriptStreamer.subscribe(eventBus);
@@ -0,0 +1,177 @@
+/**
+ * User Transcript Streamer
+ * Shows what the user is saying while the input audio is transcribed: an in-progress
+ * bubble follows the transcription deltas of each input item and is replaced by the
+ * final Transcription message, so users can see whether the agent heard them right.
+ */
+
+import { EventEmitterHelper } from '../modules/event-emitter-helper.js';
+import { eventBus, APP_EVENTS } from '../core/event-bus.js';
+import { addTranscript, createTranscriptIcon } from './transcript-manager.js';
+
+export class UserTranscriptStreamer {
+  constructor() {
+    // In-progress bubbles by input item id, in the order the user spoke
+    this.drafts = new Map(); // itemId -> { element, content, text, done }
+
+    // Event bus subscriptions (see subscribe())
+    this.busSubscriptions = null;
+  }
+
+  /**
+   * Subscribe to user transcription events published on an event bus
+   * @param {EventBus} bus - Event bus to listen on
+   */
+  subscribe(bus) {
+    this.unsubscribe();
+    this.busSubscriptions = new EventEmitterHelper(bus);
+    this.busSubscriptions.registerHandlers({
+      [APP_EVENTS.USER_TRANSCRIPT_DELTA]: this.handleTranscriptionDelta,
+      [APP_EVENTS.USER_TRANSCRIPT_DONE]: this.handleTranscriptionDone,
+      [APP_EVENTS.USER_TRANSCRIPT_FAILED]: this.handleTranscriptionFailed,
+      // Inputs of a closed connection are never completed
+      [APP_EVENTS.CONNECTION_CLOSED]: this.reset
+    }, this);
+  }
+
+  /**
+   * Remove all event bus subscriptions
+   */
+  unsubscribe() {
+    if (this.busSubscriptions) {
+      this.busSubscriptions.unregisterAll();
+      this.busSubscriptions = null;
+    }
+  }
+
+  /**
+   * Handle conversation.item.input_audio_transcription.delta event
+   * @param {Object} payload - { ItemId, ContentIndex, Delta }
+   */
+  handleTranscriptionDelta(payload) {
+    const delta = payload?.Delta || '';
+    if (!delta) return;
+
+    const draft = this.getDraft(payload.ItemId);
+    if (!draft || draft.done) return;
+    this.renderDraft(draft, draft.text + delta);
+  }
+
+  /**
+   * Handle conversation.item.input_audio_transcription.completed event
+   * The server sends the final Transcription message right after it, so it is the one
+   * claimTranscription() matches that message to.
+   * @param {Object} payload - { ItemId, ContentIndex, Transcript }
+   */
+  handleTranscriptionDone(payload) {
+    const transcript = payload?.Transcript || '';
+
+    // An empty transcript is never sent as a Transcription message
+    if (!transcript.trim()) {
+      this.removeDraft(payload?.ItemId || null);
+      return;
+    }
+
+    const draft = this.getDraft(payload.ItemId);
+    if (!draft) return;
+    draft.done = true;
+    this.renderDraft(draft, transcript);
+  }
+
+  /**
+   * Handle conversation.item.input_audio_transcription.failed event
+   * @param {Object} payload - { ItemId, Error }
+   */
+  handleTranscriptionFailed(payload) {
+    this.removeDraft(payload?.ItemId || null);
+  }
+
+  /**
+   * Get the in-progress bubble of an input item, adding it on its first text
+   * @param {string} itemId - Input audio item id
+   * @returns {Object|null} - Null without a transcript panel
+   */
+  getDraft(itemId) {
+    const key = itemId || null;
+    let draft = this.drafts.get(key);
+    if (draft && !draft.element.isConnected) {
+      // The transcript was cleared
+      this.drafts.delete(key);
+      draft = null;
+    }
+    if (draft) return draft;
+
+    const transcriptContent = document.getElementById('transcriptContent');
+    if (!transcriptContent) return null;
+
+    const item = document.createElement('div');
+    item.className = 'transcript-item user streaming in-progress';
+    if (key) item.dataset.itemId = key;
+
+    const content = document.createElement('div');
+    content.className = 'transcript-content';
+
+    item.appendChild(createTranscriptIcon('user'));
+    item.appendChild(content);
+    transcriptContent.appendChild(item);
+
+    draft = { element: item, content, text: '', done: false };
+    this.drafts.set(key, draft);
+    return draft;
+  }
+
+  /**
+   * Show the text heard so far
+   * @param {Object} draft - In-progress bubble
+   * @param {string} text - Transcript so far
+   */
+  renderDraft(draft, text) {
+    draft.text = text;
+    draft.content.textContent = text;
+
+    const transcriptContent = draft.element.parentElement;
+    if (transcriptContent) {
+      transcriptContent.scrollTop = transcriptContent.scrollHeight;
+    }
+  }
+
+  /**
+   * Remove an in-progress bubble
+   * @param {string|null} itemId - Input audio item id
+   */
+  removeDraft(itemId) {
+    this.drafts.get(itemId)?.element.remove();
+    this.drafts.delete(itemId);
+  }
+
+  /**
+   * Replace the in-progress bubble of a final user Transcription message
+   * The message carries no item id. It belongs to the latest input whose transcription
+   * completed; when the server does not report that, to the oldest input still in progress.
+   * @param {string} text - Transcription text
+   * @returns {boolean} - True if the message took the place of a bubble (nothing else to add)
+   */
+  claimTranscription(text) {
+    const entries = [...this.drafts.entries()];
+    const [itemId, draft] = entries.filter(([, candidate]) => candidate.done).pop() || entries[0] || [];
+    if (!draft) return false;
+
+    this.drafts.delete(itemId);
+    if (!draft.element.isConnected) return false;
+
+    addTranscript('user', text, { replace: draft.element });
+    return true;
+  }
+
+  /**
+   * Remove all in-progress bubbles
+   */
+  reset() {
+    this.drafts.forEach(draft => draft.element.remove());
+    this.drafts.clear();
+  }
+}
+
+// Create and export singleton instance
+export const userTranscriptStreamer = new UserTranscriptStreamer();
+userTranscriptStreamer.subscribe(eventBus);
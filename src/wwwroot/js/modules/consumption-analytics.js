@@ -0,0 +1,200 @@
+/**
+ * Consumption Analytics Module
+ *
+ * Aggregates the session records saved by ConsumptionTracker: totals per day or
+ * week, breakdowns by model and voice, and averages per response and per minute.
+ */
+
+export class ConsumptionAnalytics {
+  /**
+   * Get the totals of one session record
+   * Records hold the consumption of their own session, so they can be summed.
+   * @param {Object} session - Session record (see ConsumptionTracker.saveToLocalStorage())
+   * @returns {Object} - { inputTokens, outputTokens, tokens, cost, inputAudioMinutes, outputAudioMinutes, audioMinutes, responses, minutes }
+   */
+  static getSessionMetrics(session) {
+    const tokens = session.tokens || {};
+    const audio = session.audio || {};
+    const inputAudioMinutes = (audio.inputDurationMs || 0) / 60000;
+    const outputAudioMinutes = (audio.outputDurationMs || 0) / 60000;
+
+    return {
+      inputTokens: tokens.input || 0,
+      outputTokens: tokens.output || 0,
+      tokens: tokens.total || 0,
+      cost: Object.values(session.modelCosts || {}).reduce((sum, costs) => sum + (costs.total || 0), 0),
+      inputAudioMinutes,
+      outputAudioMinutes,
+      audioMinutes: inputAudioMinutes + outputAudioMinutes,
+      responses: session.responseCount || 0,
+      minutes: this.getSessionMinutes(session)
+    };
+  }
+
+  /**
+   * Get the connected time of a session record
+   * @param {Object} session - Session record
+   * @returns {number} - Minutes between start and end (0 when unknown)
+   */
+  static getSessionMinutes(session) {
+    const start = Date.parse(session.startTime);
+    const end = Date.parse(session.endTime);
+    if (!Number.isFinite(start) || !Number.isFinite(end) || end < start) return 0;
+    return (end - start) / 60000;
+  }
+
+  /**
+   * Get the local start of the day or week (from Monday) a date falls in
+   * @param {Date|string} date - Date
+   * @param {string} period - 'day' or 'week'
+   * @returns {Date}
+   */
+  static getPeriodStart(date, period) {
+    const start = new Date(date);
+    start.setHours(0, 0, 0, 0);
+    if (period === 'week') {
+      start.setDate(start.getDate() - (start.getDay() + 6) % 7);
+    }
+    return start;
+  }
+
+  /**
+   * Sum the sessions per day or week
+   * The most recent periods up to now are returned, including the ones without sessions.
+   * @param {Array<Object>} sessions - Session records
+   * @param {string} period - 'day' or 'week'
+   * @param {number} count - Number of periods
+   * @param {Date} now - End of the range
+   * @returns {Array<Object>} - Oldest first: { start, sessions, inputTokens, outputTokens, tokens, cost, inputAudioMinutes, outputAudioMinutes, audioMinutes }
+   */
+  static groupByPeriod(sessions, period, count, now = new Date()) {
+    const periods = [];
+    const last = this.getPeriodStart(now, period);
+    for (let i = count - 1; i >= 0; i--) {
+      const start = new Date(last);
+      start.setDate(start.getDate() - i * (period === 'week' ? 7 : 1));
+      periods.push({
+        start,
+        sessions: 0,
+        inputTokens: 0,
+        outputTokens: 0,
+        tokens: 0,
+        cost: 0,
+        inputAudioMinutes: 0,
+        outputAudioMinutes: 0,
+        audioMinutes: 0
+      });
+    }
+
+    sessions.forEach(session => {
+      if (!session.startTime) return;
+      const start = this.getPeriodStart(session.startTime, period).getTime();
+      const bucket = periods.find(p => p.start.getTime() === start);
+      if (!bucket) return;
+
+      const metrics = this.getSessionMetrics(session);
+      bucket.sessions++;
+      ['inputTokens', 'outputTokens', 'tokens', 'cost', 'inputAudioMinutes', 'outputAudioMinutes', 'audioMinutes']
+        .forEach(key => { bucket[key] += metrics[key]; });
+    });
+
+    return periods;
+  }
+
+  /**
+   * Sum tokens and costs per model
+   * Sessions using several models are split by their per-model usage; older records
+   * without it count entirely for the session model.
+   * @param {Array<Object>} sessions - Session records
+   * @returns {Array<Object>} - Largest cost first: { key, sessions, tokens, cost }
+   */
+  static breakdownByModel(sessions) {
+    const rows = new Map();
+    const add = (key, tokens, cost) => {
+      const row = rows.get(key) || { key, sessions: 0, tokens: 0, cost: 0 };
+      row.sessions++;
+      row.tokens += tokens;
+      row.cost += cost;
+      rows.set(key, row);
+    };
+
+    sessions.forEach(session => {
+      const usage = Object.entries(session.modelUsage || {});
+      if (!usage.length) {
+        const metrics = this.getSessionMetrics(session);
+        add(session.model || '', metrics.tokens, metrics.cost);
+        return;
+      }
+      usage.forEach(([model, modelUsage]) => {
+        add(model, (modelUsage.input || 0) + (modelUsage.output || 0), session.modelCosts?.[model]?.total || 0);
+      });
+    });
+
+    return this.sortRows(rows);
+  }
+
+  /**
+   * Sum tokens and costs per voice
+   * @param {Array<Object>} sessions - Session records (records saved before voices were kept have none)
+   * @returns {Array<Object>} - Largest cost first: { key, sessions, tokens, cost }
+   */
+  static breakdownByVoice(sessions) {
+    const rows = new Map();
+    sessions.forEach(session => {
+      const key = session.voice || '';
+      const metrics = this.getSessionMetrics(session);
+      const row = rows.get(key) || { key, sessions: 0, tokens: 0, cost: 0 };
+      row.sessions++;
+      row.tokens += metrics.tokens;
+      row.cost += metrics.cost;
+      rows.set(key, row);
+    });
+
+    return this.sortRows(rows);
+  }
+
+  /**
+   * Sort breakdown rows by cost, then tokens
+   * @param {Map<string, Object>} rows - Rows by key
+   * @returns {Array<Object>}
+   */
+  static sortRows(rows) {
+    return [...rows.values()].sort((a, b) => (b.cost - a.cost) || (b.tokens - a.tokens));
+  }
+
+  /**
+   * Get the averages of a set of sessions
+   * @param {Array<Object>} sessions - Session records
+   * @returns {Object} - { tokensPerResponse, costPerResponse, tokensPerMinute, costPerMinute, audioMinutesPerSession }
+   */
+  static getAverages(sessions) {
+    const totals = { tokens: 0, cost: 0, responses: 0, minutes: 0, audioMinutes: 0 };
+    sessions.forEach(session => {
+      const metrics = this.getSessionMetrics(session);
+      Object.keys(totals).forEach(key => { totals[key] += metrics[key]; });
+    });
+
+    const divide = (value, by) => (by > 0 ? value / by : 0);
+    return {
+      tokensPerResponse: divide(totals.tokens, totals.responses),
+      costPerResponse: divide(totals.cost, totals.responses),
+      tokensPerMinute: divide(totals.tokens, totals.minutes),
+      costPerMinute: divide(totals.cost, totals.minutes),
+      audioMinutesPerSession: divide(totals.audioMinutes, sessions.length)
+    };
+  }
+
+  /**
+   * Keep the sessions started in the charted range
+   * @param {Array<Object>} sessions - Session records
+   * @param {string} period - 'day' or 'week'
+   * @param {number} count - Number of periods
+   * @param {Date} now - End of the range
+   * @returns {Array<Object>}
+   */
+  static filterRange(sessions, period, count, now = new Date()) {
+    const from = this.getPeriodStart(now, period);
+    from.setDate(from.getDate() - (count - 1) * (period === 'week' ? 7 : 1));
+    return sessions.filter(session => Date.parse(session.startTime) >= from.getTime());
+  }
+}
@@ -5,6 +5,9 @@
  */
 
 export class ConsumptionFormatter {
+  // Currency costs are shown in (see setCurrency())
+  static currency = { code: 'USD', rate: 1 };
+
   /**
    * Format number with locale-specific separators
    * @param {number} num - Number to format
@@ -75,13 +78,31 @@ export class ConsumptionFormatter {
   }
 
   /**
-   * Format currency value
+   * Set the currency costs are shown in
+   * @param {string} code - ISO 4217 code
+   * @param {number} rate - Amount of the currency worth 1 USD
+   */
+  static setCurrency(code, rate) {
+    this.currency = { code, rate };
+  }
+
+  /**
+   * Format currency value in the display currency
    * @param {number} value - Value in USD
    * @param {number} decimals - Number of decimal places
    * @returns {string} Formatted currency
    */
   static formatCurrency(value, decimals = 4) {
-    return `$${value.toFixed(decimals)}`;
+    const { code, rate } = this.currency;
+    if (code === 'USD') return `$${value.toFixed(decimals)}`;
+
+    const lang = globalThis.document?.documentElement?.lang || 'en-US';
+    return (value * rate).toLocaleString(lang, {
+      style: 'currency',
+      currency: code,
+      minimumFractionDigits: decimals,
+      maximumFractionDigits: decimals
+    });
   }
 
   /**
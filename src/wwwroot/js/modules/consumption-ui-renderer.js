@@ -53,7 +53,7 @@ export class ConsumptionUIRenderer {
   /**
    * Create a cost row for a model
    * @param {string} model - Model name
-   * @param {Object} costs - Cost breakdown { input, output, cached, total }
+   * @param {Object} costs - Cost breakdown { input, output, cached, total, breakdown } (see PricingManager.calculateCosts())
    * @returns {string} HTML for cost row
    */
   static createCostRow(model, costs) {
@@ -77,10 +77,41 @@ export class ConsumptionUIRenderer {
             ${this.renderSegment('cached-segment', cachedPercent, `Cached ${cachedPercent.toFixed(0)}%`, ConsumptionFormatter.formatCurrency(costs.cached))}
           </div>
         </div>
+        ${this.createCostBreakdown(costs.breakdown)}
       </div>
     `;
   }
 
+  /**
+   * Create the text/audio cost lines of a model (lines without cost are left out)
+   * @param {Object} breakdown - { textInput, audioInput, cachedText, cachedAudio, textOutput, audioOutput, avatar }
+   * @returns {string} HTML for cost details
+   * @private
+   */
+  static createCostBreakdown(breakdown) {
+    if (!breakdown) return '';
+
+    const lines = [
+      ['input', 'textInput', 'Text in'],
+      ['input', 'audioInput', 'Audio in'],
+      ['cached', 'cachedText', 'Cached text'],
+      ['cached', 'cachedAudio', 'Cached audio'],
+      ['output', 'textOutput', 'Text out'],
+      ['output', 'audioOutput', 'Audio out'],
+      ['output', 'avatar', 'Avatar']
+    ].filter(([, key]) => breakdown[key] > 0);
+    if (lines.length === 0) return '';
+
+    return `
+        <div class="model-details">
+          ${lines.map(([color, key, label]) => `
+          <span class="detail-item ${color}-detail">
+            <span class="detail-color ${color}-color"></span>${label}: ${ConsumptionFormatter.formatCurrency(breakdown[key])}
+          </span>`).join('')}
+        </div>
+    `;
+  }
+
   /**
    * Render a single bar segment
    * @param {string} className - CSS class for segment
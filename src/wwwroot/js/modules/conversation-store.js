@@ -0,0 +1,165 @@
+/**
+ * Conversation Store Module
+ *
+ * IndexedDB persistence for past conversations, keyed by sessionId.
+ * Falls back to in-memory storage when IndexedDB is unavailable
+ * (private browsing, blocked storage), like SettingsManager does for localStorage.
+ */
+
+const DB_VERSION = 1;
+const STORE_NAME = 'conversations';
+
+/**
+ * Wrap an IDBRequest in a promise
+ * @param {IDBRequest} request
+ * @returns {Promise<*>}
+ */
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * ConversationStore class
+ * Stores one record per session: { sessionId, startedAt, searchText, ... }
+ */
+export class ConversationStore {
+  /**
+   * @param {string} dbName - IndexedDB database name
+   */
+  constructor(dbName = 'voiceAgent_conversations') {
+    this.dbName = dbName;
+    this.dbPromise = null;
+    this.memoryStore = null; // Map used when IndexedDB cannot be opened
+  }
+
+  /**
+   * Open the database (once)
+   * @returns {Promise<IDBDatabase|null>} - null when falling back to memory
+   */
+  open() {
+    if (this.dbPromise) return this.dbPromise;
+
+    this.dbPromise = new Promise((resolve) => {
+      if (typeof indexedDB === 'undefined') {
+        resolve(null);
+        return;
+      }
+
+      const request = indexedDB.open(this.dbName, DB_VERSION);
+      request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+          const store = db.createObjectStore(STORE_NAME, { keyPath: 'sessionId' });
+          store.createIndex('startedAt', 'startedAt');
+        }
+      };
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        console.warn('[ConversationStore] IndexedDB unavailable, using memory:', request.error);
+        resolve(null);
+      };
+      request.onblocked = () => console.warn('[ConversationStore] Database upgrade blocked by another tab');
+    }).then(db => {
+      if (!db) this.memoryStore = new Map();
+      return db;
+    });
+
+    return this.dbPromise;
+  }
+
+  /**
+   * Run a request against the object store
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - (store) => IDBRequest
+   * @returns {Promise<*>}
+   */
+  async request(mode, callback) {
+    const db = await this.open();
+    const transaction = db.transaction(STORE_NAME, mode);
+    return promisify(callback(transaction.objectStore(STORE_NAME)));
+  }
+
+  /**
+   * Save (insert or replace) a conversation
+   * @param {Object} record - Conversation record with a sessionId
+   * @returns {Promise<void>}
+   */
+  async put(record) {
+    const db = await this.open();
+    if (!db) {
+      this.memoryStore.set(record.sessionId, structuredClone(record));
+      return;
+    }
+    await this.request('readwrite', store => store.put(record));
+  }
+
+  /**
+   * Get a conversation
+   * @param {string} sessionId - Session id
+   * @returns {Promise<Object|null>}
+   */
+  async get(sessionId) {
+    const db = await this.open();
+    if (!db) {
+      const record = this.memoryStore.get(sessionId);
+      return record ? structuredClone(record) : null;
+    }
+    return (await this.request('readonly', store => store.get(sessionId))) || null;
+  }
+
+  /**
+   * Get all conversations, newest first
+   * @returns {Promise<Array<Object>>}
+   */
+  async getAll() {
+    const db = await this.open();
+    const records = db
+      ? await this.request('readonly', store => store.index('startedAt').getAll())
+      : Array.from(this.memoryStore.values(), record => structuredClone(record));
+    return records.sort((a, b) => (b.startedAt || '').localeCompare(a.startedAt || ''));
+  }
+
+  /**
+   * Full-text search: every word of the query must appear in the record's searchText
+   * @param {string} query - Search text (empty returns everything)
+   * @param {number} limit - Maximum number of results
+   * @returns {Promise<Array<Object>>} - Matching conversations, newest first
+   */
+  async search(query = '', limit = 100) {
+    const terms = query.toLowerCase().split(/\s+/).filter(Boolean);
+    const records = await this.getAll();
+    return records
+      .filter(record => terms.every(term => (record.searchText || '').includes(term)))
+      .slice(0, limit);
+  }
+
+  /**
+   * Delete a conversation
+   * @param {string} sessionId - Session id
+   * @returns {Promise<void>}
+   */
+  async delete(sessionId) {
+    const db = await this.open();
+    if (!db) {
+      this.memoryStore.delete(sessionId);
+      return;
+    }
+    await this.request('readwrite', store => store.delete(sessionId));
+  }
+
+  /**
+   * Delete all conversations
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    if (!db) {
+      this.memoryStore.clear();
+      return;
+    }
+    await this.request('readwrite', store => store.clear());
+  }
+}
@@ -0,0 +1,700 @@
+/**
+ * Markdown Renderer Module
+ *
+ * Renders transcript messages in two stages: a line-based block tokenizer
+ * (headings, paragraphs, fenced code, blockquotes, nested lists, GFM tables,
+ * thematic breaks) and an inline renderer (code spans, emphasis, strikethrough,
+ * links and autolinks). All text is HTML-escaped; links whose scheme is not in
+ * MARKDOWN_CONFIG.ALLOWED_URL_SCHEMES are rendered as plain text.
+ *
+ * IncrementalMarkdownRenderer renders a message while it streams: blocks that
+ * can no longer change are rendered once, only the last one is re-rendered.
+ */
+
+import { MARKDOWN_CONFIG } from '../core/config.js';
+
+const FENCE = /^ {0,3}(`{3,}|~{3,})[ \t]*([^\s`]*)[^`]*$/;
+const HEADING = /^ {0,3}(#{1,6})(?:[ \t]+(.*?))?(?:[ \t]+#+)?[ \t]*$/;
+const RULE = /^ {0,3}([-*_])(?:[ \t]*\1){2,}[ \t]*$/;
+const BLOCKQUOTE = /^ {0,3}>[ \t]?/;
+const LIST_ITEM = /^( {0,3})([-*+]|\d{1,9}[.)])(?:([ \t]+)(.*))?$/;
+const TABLE_DELIMITER = /^ {0,3}\|?[ \t]*:?-+:?[ \t]*(?:\|[ \t]*:?-+:?[ \t]*)*\|?[ \t]*$/;
+const ESCAPABLE = /[!"#$%&'()*+,\-./:;<=>?@[\\\]^_`{|}~]/;
+
+/**
+ * Escape text for HTML content and attribute values
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Check a link URL against the allowed schemes
+ * Relative URLs are allowed.
+ * @param {string} url - Link destination
+ * @returns {string|null} - The URL, or null if it must not be linked
+ */
+export function sanitizeUrl(url) {
+  const trimmed = (url || '').trim();
+  if (!trimmed) return null;
+
+  // Browsers ignore whitespace and control characters inside a scheme ("java\tscript:")
+  const scheme = trimmed.replace(/[\u0000- \u007f-\u009f]/g, '').match(/^([a-z][a-z0-9+.-]*):/i);
+  if (scheme && !MARKDOWN_CONFIG.ALLOWED_URL_SCHEMES.includes(`${scheme[1].toLowerCase()}:`)) {
+    return null;
+  }
+  return trimmed;
+}
+
+function indentOf(line) {
+  return line.match(/^ */)[0].length;
+}
+
+function isBlank(line) {
+  return !line.trim();
+}
+
+/**
+ * Split a table row into cells (pipes inside cells are escaped as \|)
+ * @param {string} line - Table row
+ * @returns {Array<string>}
+ */
+function splitTableRow(line) {
+  let row = line.trim();
+  if (row.startsWith('|')) row = row.slice(1);
+  if (row.endsWith('|') && !row.endsWith('\\|')) row = row.slice(0, -1);
+  return row.split(/(?<!\\)\|/).map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Check whether a table starts at a line (header row followed by a delimiter row)
+ * @param {Array<string>} lines
+ * @param {number} index
+ * @returns {boolean}
+ */
+function isTableStart(lines, index) {
+  const header = lines[index];
+  const delimiter = lines[index + 1];
+  if (delimiter === undefined || !header.includes('|') || !TABLE_DELIMITER.test(delimiter)) return false;
+  return splitTableRow(header).length === splitTableRow(delimiter).length;
+}
+
+/**
+ * Check whether a line starts a block that interrupts a paragraph
+ * @param {string} line
+ * @returns {boolean}
+ */
+function startsBlock(line) {
+  if (FENCE.test(line) || HEADING.test(line) || RULE.test(line) || BLOCKQUOTE.test(line)) return true;
+  const item = line.match(LIST_ITEM);
+  // Only non-empty items starting a list (ordered ones at 1) interrupt a paragraph
+  return !!item && !!item[4]?.trim() && (!/\d/.test(item[2]) || parseInt(item[2], 10) === 1);
+}
+
+/**
+ * Check whether two list markers belong to the same list
+ * @param {string} a - Marker ('-', '*', '+', '1.', '2)')
+ * @param {string} b - Marker
+ * @returns {boolean}
+ */
+function sameListType(a, b) {
+  const ordered = /\d/.test(a);
+  if (ordered !== /\d/.test(b)) return false;
+  return ordered ? a.slice(-1) === b.slice(-1) : a === b;
+}
+
+/**
+ * Tokenize a list starting at a line
+ * @param {Array<string>} lines
+ * @param {number} start - Index of the first item
+ * @returns {{token: Object, next: number}}
+ */
+function parseList(lines, start) {
+  const first = lines[start].match(LIST_ITEM);
+  const marker = first[2];
+  const ordered = /\d/.test(marker);
+  const items = [];
+  let loose = false;
+  let i = start;
+
+  while (i < lines.length) {
+    const match = lines[i].match(LIST_ITEM);
+    if (!match || !sameListType(match[2], marker)) break;
+
+    const spacing = match[3] ? match[3].length : 1;
+    const contentIndent = match[1].length + match[2].length + (spacing > 4 ? 1 : spacing);
+    const itemLines = [match[4] || ''];
+    i++;
+
+    while (i < lines.length) {
+      const line = lines[i];
+      if (isBlank(line)) {
+        let next = i + 1;
+        while (next < lines.length && isBlank(lines[next])) next++;
+        if (next < lines.length && indentOf(lines[next]) >= contentIndent) {
+          // Blank line inside the item: the list is loose
+          for (; i < next; i++) itemLines.push('');
+          loose = true;
+          continue;
+        }
+        break;
+      }
+      if (indentOf(line) >= contentIndent) {
+        itemLines.push(line.slice(contentIndent));
+      } else if (LIST_ITEM.test(line) || startsBlock(line)) {
+        break;
+      } else {
+        // Lazy continuation of the item's paragraph
+        itemLines.push(line.trim());
+      }
+      i++;
+    }
+    items.push(parseBlocks(itemLines));
+
+    // Blank lines between items also make the list loose
+    let next = i;
+    while (next < lines.length && isBlank(lines[next])) next++;
+    const sibling = lines[next]?.match(LIST_ITEM);
+    if (next < lines.length && sibling && sameListType(sibling[2], marker)) {
+      if (next > i) loose = true;
+      i = next;
+    } else {
+      break;
+    }
+  }
+
+  return {
+    token: { type: 'list', ordered, start: ordered ? parseInt(marker, 10) : null, loose, items },
+    next: i
+  };
+}
+
+/**
+ * Tokenize lines into blocks
+ * @param {Array<string>} lines - Lines with tabs expanded
+ * @returns {Array<Object>} - Block tokens
+ */
+function parseBlocks(lines) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < lines.length) {
+    const line = lines[i];
+    if (isBlank(line)) {
+      i++;
+      continue;
+    }
+
+    // Fenced code: an unclosed fence runs to the end (e.g. while streaming)
+    const fence = line.match(FENCE);
+    if (fence) {
+      const indent = indentOf(line);
+      const closing = new RegExp(`^ {0,3}${fence[1][0] === '`' ? '`' : '~'}{${fence[1].length},}[ \\t]*$`);
+      const code = [];
+      i++;
+      while (i < lines.length && !closing.test(lines[i])) {
+        code.push(lines[i].replace(new RegExp(`^ {0,${indent}}`), ''));
+        i++;
+      }
+      i++;
+      tokens.push({ type: 'code', lang: fence[2].replace(/[^\w+#.-]/g, ''), text: code.join('\n') });
+      continue;
+    }
+
+    const heading = line.match(HEADING);
+    if (heading) {
+      tokens.push({ type: 'heading', level: heading[1].length, text: heading[2] || '' });
+      i++;
+      continue;
+    }
+
+    if (RULE.test(line)) {
+      tokens.push({ type: 'rule' });
+      i++;
+      continue;
+    }
+
+    if (BLOCKQUOTE.test(line)) {
+      const quoted = [];
+      while (i < lines.length && BLOCKQUOTE.test(lines[i])) {
+        quoted.push(lines[i].replace(BLOCKQUOTE, ''));
+        i++;
+      }
+      tokens.push({ type: 'blockquote', children: parseBlocks(quoted) });
+      continue;
+    }
+
+    if (LIST_ITEM.test(line)) {
+      const { token, next } = parseList(lines, i);
+      tokens.push(token);
+      i = next;
+      continue;
+    }
+
+    if (isTableStart(lines, i)) {
+      const header = splitTableRow(line);
+      const align = splitTableRow(lines[i + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+      });
+      const rows = [];
+      i += 2;
+      while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i])) {
+        const cells = splitTableRow(lines[i]);
+        rows.push(header.map((_, index) => cells[index] ?? ''));
+        i++;
+      }
+      tokens.push({ type: 'table', align, header, rows });
+      continue;
+    }
+
+    // Paragraph: runs until a blank line or another block
+    const text = [line.trim()];
+    i++;
+    while (i < lines.length && !isBlank(lines[i]) && !startsBlock(lines[i]) && !isTableStart(lines, i)) {
+      text.push(lines[i].trim());
+      i++;
+    }
+    tokens.push({ type: 'paragraph', text: text.join('\n') });
+  }
+
+  return tokens;
+}
+
+/**
+ * Tokenize Markdown into blocks
+ * @param {string} text - Markdown text
+ * @returns {Array<Object>} - Block tokens ({ type: 'paragraph' | 'heading' | 'code' | 'rule' | 'blockquote' | 'list' | 'table', ... })
+ */
+export function parseMarkdown(text) {
+  const lines = (text || '').replace(/\r\n?/g, '\n').split('\n')
+    .map(line => line.replace(/^\t+/, tabs => '    '.repeat(tabs.length)));
+  return parseBlocks(lines);
+}
+
+/**
+ * Find the end of a run of the same character
+ * @param {string} text
+ * @param {number} index - Start of the run
+ * @returns {number} - Length of the run
+ */
+function runLength(text, index) {
+  let end = index;
+  while (text[end] === text[index]) end++;
+  return end - index;
+}
+
+/**
+ * Find the closing backtick run of a code span
+ * @param {string} text
+ * @param {number} index - Start of the opening run
+ * @returns {number} - Index of the closing run, or -1
+ */
+function findCodeSpanEnd(text, index) {
+  const length = runLength(text, index);
+  let search = index + length;
+  while (search < text.length) {
+    const found = text.indexOf('`', search);
+    if (found === -1) return -1;
+    const foundLength = runLength(text, found);
+    if (foundLength === length) return found;
+    search = found + foundLength;
+  }
+  return -1;
+}
+
+/**
+ * Find the closing delimiter run of an emphasis
+ * @param {string} text
+ * @param {number} from - Index after the opening run
+ * @param {string} char - '*', '_' or '~'
+ * @param {number} size - Delimiters to close
+ * @returns {number} - Index of the closing delimiters, or -1
+ */
+function findEmphasisEnd(text, from, char, size) {
+  let i = from;
+  while (i < text.length) {
+    if (text[i] === '\\') {
+      i += 2;
+    } else if (text[i] === '`') {
+      const end = findCodeSpanEnd(text, i);
+      i = end === -1 ? i + runLength(text, i) : end + runLength(text, end);
+    } else if (text[i] === char) {
+      const length = runLength(text, i);
+      const afterRun = text[i + length] || '';
+      const closes = length >= size && i > from && !/\s/.test(text[i - 1])
+        && (char !== '_' || !/[\p{L}\p{N}]/u.test(afterRun));
+      if (closes) return i + length - size;
+      i += length;
+    } else {
+      i++;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Find the bracket closing a link label
+ * @param {string} text
+ * @param {number} index - Index of "["
+ * @returns {number} - Index of the matching "]", or -1
+ */
+function findLabelEnd(text, index) {
+  let depth = 0;
+  for (let i = index + 1; i < text.length; i++) {
+    if (text[i] === '\\') {
+      i++;
+    } else if (text[i] === '[') {
+      depth++;
+    } else if (text[i] === ']') {
+      if (depth === 0) return i;
+      depth--;
+    }
+  }
+  return -1;
+}
+
+/**
+ * Parse a link destination and title after "]("
+ * @param {string} text
+ * @param {number} index - Index after "("
+ * @returns {{url: string, title: string|null, end: number}|null} - end is the index after ")"
+ */
+function parseLinkTarget(text, index) {
+  let i = index;
+  while (text[i] === ' ') i++;
+
+  let url = '';
+  if (text[i] === '<') {
+    const close = text.indexOf('>', i);
+    if (close === -1) return null;
+    url = text.slice(i + 1, close);
+    i = close + 1;
+  } else {
+    let depth = 0;
+    const start = i;
+    while (i < text.length && !/\s/.test(text[i])) {
+      if (text[i] === '\\') {
+        i += 2;
+        continue;
+      }
+      if (text[i] === '(') depth++;
+      if (text[i] === ')') {
+        if (depth === 0) break;
+        depth--;
+      }
+      i++;
+    }
+    url = text.slice(start, i).replace(/\\(.)/g, '$1');
+  }
+
+  while (text[i] === ' ') i++;
+  let title = null;
+  if (text[i] === '"' || text[i] === '\'') {
+    const close = text.indexOf(text[i], i + 1);
+    if (close === -1) return null;
+    title = text.slice(i + 1, close);
+    i = close + 1;
+    while (text[i] === ' ') i++;
+  }
+  return text[i] === ')' ? { url, title, end: i + 1 } : null;
+}
+
+/**
+ * Render a link, or only its label when the URL is not allowed
+ * @param {string} labelHtml - Rendered label
+ * @param {string} url - Destination
+ * @param {string|null} title - Title
+ * @returns {string}
+ */
+function renderLink(labelHtml, url, title = null) {
+  const href = sanitizeUrl(url);
+  if (!href) return labelHtml;
+  const titleAttribute = title ? ` title="${escapeHtml(title)}"` : '';
+  return `<a href="${escapeHtml(href)}"${titleAttribute} target="_blank" rel="noopener noreferrer">${labelHtml}</a>`;
+}
+
+/**
+ * Render inline Markdown
+ * @param {string} text - Text of a paragraph, heading or table cell
+ * @returns {string} - HTML
+ */
+export function renderInline(text) {
+  let html = '';
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    const previous = text[i - 1] || '';
+
+    if (char === '\\' && ESCAPABLE.test(text[i + 1] || '')) {
+      html += escapeHtml(text[i + 1]);
+      i += 2;
+      continue;
+    }
+
+    if (char === '\n') {
+      html += '<br>';
+      i++;
+      continue;
+    }
+
+    if (char === '`') {
+      const length = runLength(text, i);
+      const end = findCodeSpanEnd(text, i);
+      if (end === -1) {
+        html += escapeHtml(text.slice(i, i + length));
+        i += length;
+        continue;
+      }
+      let code = text.slice(i + length, end).replace(/\n/g, ' ');
+      if (/^ .*[^ ].* $/.test(code)) code = code.slice(1, -1);
+      html += `<code>${escapeHtml(code)}</code>`;
+      i = end + length;
+      continue;
+    }
+
+    if (char === '[') {
+      const close = findLabelEnd(text, i);
+      const target = close !== -1 && text[close + 1] === '(' ? parseLinkTarget(text, close + 2) : null;
+      if (target) {
+        html += renderLink(renderInline(text.slice(i + 1, close)), target.url, target.title);
+        i = target.end;
+        continue;
+      }
+    }
+
+    if (char === '<') {
+      const autolink = text.slice(i).match(/^<([a-z][a-z0-9+.-]{1,31}:[^\s<>]*)>/i);
+      if (autolink) {
+        html += renderLink(escapeHtml(autolink[1]), autolink[1]);
+        i += autolink[0].length;
+        continue;
+      }
+    }
+
+    if ((char === 'h' || char === 'w') && !/[\p{L}\p{N}]/u.test(previous)) {
+      const bare = text.slice(i).match(/^(?:https?:\/\/|www\.)[^\s<]+/i);
+      if (bare) {
+        let url = bare[0].replace(/[?!.,:;*_~'"]+$/, '');
+        // Keep a closing parenthesis only when the URL opened one
+        while (url.endsWith(')') && (url.match(/\(/g) || []).length < (url.match(/\)/g) || []).length) {
+          url = url.slice(0, -1);
+        }
+        html += renderLink(escapeHtml(url), url.startsWith('www.') ? `http://${url}` : url);
+        i += url.length;
+        continue;
+      }
+    }
+
+    if (char === '*' || char === '_' || char === '~') {
+      const length = runLength(text, i);
+      const next = text[i + length] || '';
+      const canOpen = next && !/\s/.test(next)
+        && (char !== '_' || !/[\p{L}\p{N}]/u.test(previous))
+        && (char !== '~' || length === 2);
+      if (canOpen) {
+        const size = Math.min(length, 3);
+        const end = findEmphasisEnd(text, i + size, char, size);
+        if (end !== -1) {
+          const inner = renderInline(text.slice(i + size, end));
+          if (char === '~') html += `<del>${inner}</del>`;
+          else if (size === 3) html += `<em><strong>${inner}</strong></em>`;
+          else if (size === 2) html += `<strong>${inner}</strong>`;
+          else html += `<em>${inner}</em>`;
+          i = end + size;
+          continue;
+        }
+      }
+      html += escapeHtml(text.slice(i, i + length));
+      i += length;
+      continue;
+    }
+
+    html += escapeHtml(char);
+    i++;
+  }
+
+  return html;
+}
+
+/**
+ * Render block tokens
+ * @param {Array<Object>} tokens - Tokens from parseMarkdown()
+ * @param {boolean} tight - Render paragraphs without <p> (items of tight lists)
+ * @returns {string} - HTML
+ */
+function renderBlocks(tokens, tight = false) {
+  return tokens.map(token => {
+    switch (token.type) {
+      case 'paragraph':
+        return tight ? renderInline(token.text) : `<p>${renderInline(token.text)}</p>`;
+      case 'heading':
+        return `<h${token.level}>${renderInline(token.text)}</h${token.level}>`;
+      case 'code': {
+        const className = token.lang ? ` class="language-${escapeHtml(token.lang)}"` : '';
+        return `<pre><code${className}>${escapeHtml(token.text)}</code></pre>`;
+      }
+      case 'rule':
+        return '<hr>';
+      case 'blockquote':
+        return `<blockquote>${renderBlocks(token.children)}</blockquote>`;
+      case 'list': {
+        const tag = token.ordered ? 'ol' : 'ul';
+        const start = token.ordered && token.start !== 1 ? ` start="${token.start}"` : '';
+        const items = token.items.map(children => `<li>${renderBlocks(children, !token.loose)}</li>`).join('');
+        return `<${tag}${start}>${items}</${tag}>`;
+      }
+      case 'table': {
+        const cell = (tag, text, index) => {
+          const align = token.align[index] ? ` style="text-align: ${token.align[index]}"` : '';
+          return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+        };
+        const head = `<thead><tr>${token.header.map((text, index) => cell('th', text, index)).join('')}</tr></thead>`;
+        const body = token.rows.length
+          ? `<tbody>${token.rows.map(row => `<tr>${row.map((text, index) => cell('td', text, index)).join('')}</tr>`).join('')}</tbody>`
+          : '';
+        return `<div class="markdown-table"><table>${head}${body}</table></div>`;
+      }
+      default:
+        return '';
+    }
+  }).join('');
+}
+
+/**
+ * Render Markdown to HTML
+ * @param {string} text - Markdown text
+ * @returns {string} - HTML
+ */
+export function renderMarkdown(text) {
+  if (!text) return '';
+  return renderBlocks(parseMarkdown(text));
+}
+
+/**
+ * Find how much of a text is made of blocks that later text cannot change
+ * A block is complete once a blank line is followed by a line that starts a new
+ * top-level block (not indented, not a list item, not inside a code fence).
+ * @param {string} text - Markdown text
+ * @param {number} from - Index where a block starts (a previous result)
+ * @returns {number} - Index where the still-open blocks start
+ */
+export function findStableLength(text, from = 0) {
+  let stable = from;
+  let fence = null;
+  let previousBlank = false;
+  let position = from;
+
+  while (position < text.length) {
+    const end = text.indexOf('\n', position);
+    if (end === -1) break; // The last line can still grow
+
+    const line = text.slice(position, end);
+    if (fence) {
+      if (fence.test(line)) fence = null;
+      previousBlank = false;
+    } else if (isBlank(line)) {
+      previousBlank = true;
+    } else {
+      if (previousBlank && !/^[ \t]/.test(line) && !LIST_ITEM.test(line)) {
+        stable = position;
+      }
+      const open = line.match(FENCE);
+      if (open) {
+        fence = new RegExp(`^ {0,3}${open[1][0] === '`' ? '`' : '~'}{${open[1].length},}[ \\t]*$`);
+      }
+      previousBlank = false;
+    }
+    position = end + 1;
+  }
+
+  return stable;
+}
+
+/**
+ * IncrementalMarkdownRenderer class
+ * Renders a growing message into an element without re-parsing the complete blocks
+ */
+export class IncrementalMarkdownRenderer {
+  /**
+   * @param {HTMLElement} element - Element receiving the rendered message
+   */
+  constructor(element) {
+    this.element = element;
+    this.text = '';
+    this.stableLength = 0; // Characters already rendered as final blocks
+    this.stableNodes = [];
+    this.tail = null; // Container of the blocks that can still change
+  }
+
+  /**
+   * Render the message so far
+   * Text that keeps the already rendered blocks only renders the rest; anything else starts over.
+   * @param {string} text - Full message text
+   */
+  update(text) {
+    if (!text.startsWith(this.text.slice(0, this.stableLength))) {
+      this.reset();
+    }
+    this.text = text;
+
+    if (!this.tail) {
+      this.tail = document.createElement('div');
+      this.tail.className = 'markdown-tail';
+      this.element.appendChild(this.tail);
+    }
+
+    const stableLength = findStableLength(text, this.stableLength);
+    if (stableLength > this.stableLength) {
+      const template = document.createElement('template');
+      template.innerHTML = renderMarkdown(text.slice(this.stableLength, stableLength));
+      const nodes = Array.from(template.content.childNodes);
+      this.tail.before(...nodes);
+      this.stableNodes.push(...nodes);
+      this.stableLength = stableLength;
+    }
+
+    this.tail.innerHTML = renderMarkdown(text.slice(this.stableLength));
+  }
+
+  /**
+   * Append a delta to the message
+   * @param {string} delta - New text
+   */
+  append(delta) {
+    this.update(this.text + delta);
+  }
+
+  /**
+   * Stop rendering: the tail's blocks become plain children of the element
+   */
+  finish() {
+    if (this.tail) {
+      this.tail.replaceWith(...this.tail.childNodes);
+      this.tail = null;
+    }
+    this.stableNodes = [];
+  }
+
+  /**
+   * Remove everything rendered so far
+   */
+  reset() {
+    this.stableNodes.forEach(node => node.remove());
+    this.stableNodes = [];
+    this.tail?.remove();
+    this.tail = null;
+    this.text = '';
+    this.stableLength = 0;
+  }
+}
@@ -3,11 +3,50 @@
  * 
  * Manages model pricing configuration and cost calculations.
  * Loads pricing from server and calculates token costs.
+ *
+ * input/output/cached are the text rates. Realtime models bill audio tokens at their own
+ * rates (audioInput, audioOutput, cachedAudio); a model without them bills audio as text.
+ *
+ * Prices are in USD. The server also sends the prices each model had before (versions),
+ * so past sessions are costed with the price valid when they started, and the exchange
+ * rates used to show costs in other currencies.
  */
 
+// Rate fields of a model price, as sent by /api/admin/pricing/list
+const SERVER_RATE_FIELDS = {
+  input: 'inputTokenCost',
+  output: 'outputTokenCost',
+  cached: 'cachedInputTokenCost',
+  audioInput: 'audioInputTokenCost',
+  audioOutput: 'audioOutputTokenCost',
+  cachedAudio: 'cachedAudioInputTokenCost',
+  avatarPerMin: 'avatarCostPerMin'
+};
+
+/**
+ * Read the rates of a server price entry (current price or version)
+ * @param {Object} entry - Entry with the SERVER_RATE_FIELDS
+ * @returns {Object} - Rates found in the entry
+ */
+function parseServerPrices(entry) {
+  const prices = {};
+  Object.entries(SERVER_RATE_FIELDS).forEach(([rate, field]) => {
+    const value = Number(entry[field]);
+    if (entry[field] !== null && entry[field] !== undefined && Number.isFinite(value)) {
+      prices[rate] = value;
+    }
+  });
+  
+  // The server sends 0 for audio rates that are not configured: audio is billed as text
+  ['audioInput', 'audioOutput', 'cachedAudio'].forEach(rate => {
+    if (prices[rate] === 0) delete prices[rate];
+  });
+  return prices;
+}
+
 export class PricingManager {
   constructor() {
-    // Model pricing configuration (in USD per 1K tokens)
+    // Model pricing configuration (in USD per 1K tokens; avatarPerMin in USD per minute)
     this.modelPrices = {
       'gpt-4o': { input: 0.00250, output: 0.01000, cached: 0.00125 },
       'gpt-4o-mini': { input: 0.00015, output: 0.00060, cached: 0.000075 },
@@ -23,6 +62,12 @@ export class PricingManager {
       'gpt-realtime': { input: 0.0380541, output: 0.0761082, cached: 0.0023784 },
       'default': { input: 0.00100, output: 0.00200, cached: 0.00050 }
     };
+    
+    // Earlier prices of each model, oldest first
+    this.priceVersions = {}; // { modelName: [{ effectiveTo: ms, prices }] }
+    
+    // Amount of each currency worth 1 USD
+    this.exchangeRates = { USD: 1 };
   }
 
   /**
@@ -41,15 +86,19 @@ export class PricingManager {
         const model = p.modelName || p.model || p.name;
         if (!model) return;
         
-        const input = (p.inputTokenCost || p.inputTokenCost === 0) ? p.inputTokenCost : undefined;
-        const output = (p.outputTokenCost || p.outputTokenCost === 0) ? p.outputTokenCost : undefined;
-        const cached = (p.cachedInputTokenCost || p.cachedInputTokenCost === 0) ? p.cachedInputTokenCost : undefined;
-
-        this.modelPrices[model] = {
-          input: (input !== undefined) ? input : (this.modelPrices[model]?.input ?? this.modelPrices['default'].input),
-          output: (output !== undefined) ? output : (this.modelPrices[model]?.output ?? this.modelPrices['default'].output),
-          cached: (cached !== undefined) ? cached : (this.modelPrices[model]?.cached ?? this.modelPrices['default'].cached)
-        };
+        this.setPrice(model, { ...this.modelPrices[model], ...parseServerPrices(p) });
+        
+        this.priceVersions[model] = (Array.isArray(p.versions) ? p.versions : [])
+          .map(version => ({
+            effectiveTo: new Date(version.effectiveTo).getTime(),
+            prices: this.createPrice(parseServerPrices(version))
+          }))
+          .filter(version => Number.isFinite(version.effectiveTo))
+          .sort((a, b) => a.effectiveTo - b.effectiveTo);
+      });
+      
+      Object.entries(json?.exchangeRates || {}).forEach(([currency, rate]) => {
+        if (Number(rate) > 0) this.exchangeRates[currency.toUpperCase()] = Number(rate);
       });
     } catch (error) {
       console.error('[PricingManager] Error loading server pricing:', error);
@@ -58,44 +107,103 @@ export class PricingManager {
 
   /**
    * Calculate costs for token usage
+   * input, output and cached are totals (input without the cached tokens); the audio
+   * counts are the part of them that is audio. Usage without audio counts is billed as text.
    * @param {string} modelName - Model identifier
-   * @param {Object} tokenUsage - Token usage object with input, output, cached properties
-   * @returns {Object} Cost breakdown
+   * @param {Object} tokenUsage - { input, output, cached, inputAudio, outputAudio, cachedAudio, avatarMinutes }
+   * @param {Date|string|number} [at] - When the tokens were used (default: current prices)
+   * @returns {Object} Cost breakdown { input, output, cached, avatar, total, breakdown }
    */
-  calculateCosts(modelName, tokenUsage) {
-    const pricing = this.modelPrices[modelName] || this.modelPrices['default'];
-    const input = (tokenUsage.input / 1000) * pricing.input;
-    const output = (tokenUsage.output / 1000) * pricing.output;
-    const cached = (tokenUsage.cached / 1000) * pricing.cached;
+  calculateCosts(modelName, tokenUsage, at = null) {
+    const cost = (tokens, rate) => ((tokens || 0) / 1000) * this.getPrice(modelName, rate, at);
+    const textTokens = (total, audio) => Math.max(0, (total || 0) - (audio || 0));
+    
+    const breakdown = {
+      textInput: cost(textTokens(tokenUsage.input, tokenUsage.inputAudio), 'input'),
+      audioInput: cost(tokenUsage.inputAudio, 'audioInput'),
+      cachedText: cost(textTokens(tokenUsage.cached, tokenUsage.cachedAudio), 'cached'),
+      cachedAudio: cost(tokenUsage.cachedAudio, 'cachedAudio'),
+      textOutput: cost(textTokens(tokenUsage.output, tokenUsage.outputAudio), 'output'),
+      audioOutput: cost(tokenUsage.outputAudio, 'audioOutput'),
+      avatar: (tokenUsage.avatarMinutes || 0) * this.getPrice(modelName, 'avatarPerMin', at)
+    };
+    
+    const input = breakdown.textInput + breakdown.audioInput;
+    const output = breakdown.textOutput + breakdown.audioOutput;
+    const cached = breakdown.cachedText + breakdown.cachedAudio;
     
     return {
       input,
       output,
       cached,
-      total: input + output + cached
+      avatar: breakdown.avatar,
+      total: input + output + cached + breakdown.avatar,
+      breakdown
     };
   }
 
+  /**
+   * Get the prices of a model valid at a given time
+   * A time before the oldest known version gets the oldest version.
+   * @param {string} modelName - Model identifier
+   * @param {Date|string|number} [at] - Time (default: current prices)
+   * @returns {Object} Price object
+   */
+  getPricing(modelName, at = null) {
+    const current = this.modelPrices[modelName] || this.modelPrices['default'];
+    const time = at === null || at === undefined ? NaN : new Date(at).getTime();
+    if (!Number.isFinite(time)) return current;
+    
+    const version = (this.priceVersions[modelName] || []).find(candidate => time < candidate.effectiveTo);
+    return version ? version.prices : current;
+  }
+
   /**
    * Get pricing for a specific model and token type
+   * Audio rates fall back to the text rate of the model.
    * @param {string} modelName - Model identifier
-   * @param {string} tokenType - 'input', 'output', or 'cached'
-   * @returns {number} Price per 1K tokens
+   * @param {string} tokenType - 'input', 'output', 'cached', 'audioInput', 'audioOutput', 'cachedAudio' or 'avatarPerMin'
+   * @param {Date|string|number} [at] - Time the price applies to (default: current prices)
+   * @returns {number} Price per 1K tokens (per minute for avatarPerMin)
    */
-  getPrice(modelName, tokenType) {
-    return this.modelPrices[modelName]?.[tokenType] || this.modelPrices['default'][tokenType];
+  getPrice(modelName, tokenType, at = null) {
+    const pricing = this.getPricing(modelName, at);
+    const textRate = { audioInput: 'input', audioOutput: 'output', cachedAudio: 'cached' }[tokenType];
+    return pricing[tokenType] ?? (textRate ? pricing[textRate] : undefined) ?? this.modelPrices['default'][tokenType] ?? 0;
   }
 
   /**
    * Update pricing for a specific model
    * @param {string} modelName - Model identifier
-   * @param {Object} prices - Price object with input, output, cached properties
+   * @param {Object} prices - Price object with input, output, cached and optional audioInput, audioOutput, cachedAudio, avatarPerMin
    */
   setPrice(modelName, prices) {
-    this.modelPrices[modelName] = {
+    this.modelPrices[modelName] = this.createPrice(prices);
+  }
+
+  /**
+   * Build a price object, with the default text rates for missing ones
+   * @param {Object} prices - Price object with input, output, cached and optional audioInput, audioOutput, cachedAudio, avatarPerMin
+   * @returns {Object} Price object
+   */
+  createPrice(prices) {
+    const price = {
       input: prices.input ?? this.modelPrices['default'].input,
       output: prices.output ?? this.modelPrices['default'].output,
       cached: prices.cached ?? this.modelPrices['default'].cached
     };
+    ['audioInput', 'audioOutput', 'cachedAudio', 'avatarPerMin'].forEach(rate => {
+      if (prices[rate] !== undefined) price[rate] = prices[rate];
+    });
+    return price;
+  }
+
+  /**
+   * Get the exchange rate of a currency
+   * @param {string} currency - ISO 4217 code
+   * @returns {number|null} Amount of the currency worth 1 USD, or null if unknown
+   */
+  getExchangeRate(currency) {
+    return this.exchangeRates[(currency || '').toUpperCase()] ?? null;
   }
 }
@@ -0,0 +1,280 @@
+/**
+ * Transcript Exporter Module
+ *
+ * Renders the transcript store as Markdown, JSON or timed SRT/WebVTT captions.
+ * Caption times come from the agent word timestamps when they were received;
+ * other messages are timed from their arrival and an estimated speaking rate.
+ */
+
+import { TRANSCRIPT_CONFIG } from '../core/config.js';
+import { transcriptStore } from '../managers/transcript-store.js';
+
+/**
+ * Supported export formats
+ */
+export const TRANSCRIPT_FORMATS = {
+  markdown: { extension: 'md', mimeType: 'text/markdown' },
+  json: { extension: 'json', mimeType: 'application/json' },
+  srt: { extension: 'srt', mimeType: 'application/x-subrip' },
+  vtt: { extension: 'vtt', mimeType: 'text/vtt' }
+};
+
+/**
+ * Get the display name of a role
+ * @param {string} role - 'user' or 'agent'
+ * @returns {string}
+ */
+function getRoleLabel(role) {
+  return role === 'agent'
+    ? (window.APP_RESOURCES?.Assistant || 'Assistant')
+    : (window.APP_RESOURCES?.TranscriptUser || 'User');
+}
+
+/**
+ * Format milliseconds as a caption timestamp (HH:MM:SS,mmm)
+ * @param {number} ms - Milliseconds
+ * @param {string} separator - ',' for SRT, '.' for WebVTT
+ * @returns {string}
+ */
+export function formatCaptionTime(ms, separator = ',') {
+  const total = Math.max(0, Math.round(ms));
+  const pad = (value, length = 2) => String(value).padStart(length, '0');
+  const hours = Math.floor(total / 3600000);
+  const minutes = Math.floor(total / 60000) % 60;
+  const seconds = Math.floor(total / 1000) % 60;
+  return `${pad(hours)}:${pad(minutes)}:${pad(seconds)}${separator}${pad(total % 1000, 3)}`;
+}
+
+/**
+ * Format milliseconds as a short offset (M:SS or H:MM:SS)
+ * @param {number} ms - Milliseconds
+ * @returns {string}
+ */
+function formatOffset(ms) {
+  const total = Math.max(0, Math.floor(ms / 1000));
+  const hours = Math.floor(total / 3600);
+  const minutes = Math.floor(total / 60) % 60;
+  const seconds = String(total % 60).padStart(2, '0');
+  return hours > 0 ? `${hours}:${String(minutes).padStart(2, '0')}:${seconds}` : `${minutes}:${seconds}`;
+}
+
+/**
+ * Estimate how long a text takes to say
+ * @param {string} text - Text
+ * @returns {number} - Milliseconds
+ */
+function estimateDurationMs(text) {
+  const words = text.trim().split(/\s+/).filter(Boolean).length;
+  return Math.max(TRANSCRIPT_CONFIG.MIN_CAPTION_MS, words * 60000 / TRANSCRIPT_CONFIG.WORDS_PER_MINUTE);
+}
+
+/**
+ * Strip Markdown syntax that would show up literally in captions
+ * @param {string} text - Markdown text
+ * @returns {string}
+ */
+function toPlainText(text) {
+  return text
+    .replace(/```[^\n]*\n?/g, '')
+    .replace(/`([^`]*)`/g, '$1')
+    .replace(/\*\*([^*]+)\*\*|__([^_]+)__/g, '$1$2')
+    .replace(/\*([^*]+)\*/g, '$1')
+    .replace(/\[([^\]]+)\]\([^)]*\)/g, '$1')
+    .replace(/^\s{0,3}(#{1,6}|>|[-*+]|\d+\.)\s+/gm, '')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Split words into caption-sized groups
+ * @param {Array<string>} words - Words
+ * @returns {Array<Array<number>>} - Groups of word indexes
+ */
+function groupWords(words) {
+  const groups = [];
+  let current = [];
+  let length = 0;
+
+  words.forEach((word, index) => {
+    if (current.length && length + 1 + word.length > TRANSCRIPT_CONFIG.MAX_CAPTION_CHARS) {
+      groups.push(current);
+      current = [];
+      length = 0;
+    }
+    length += (current.length ? 1 : 0) + word.length;
+    current.push(index);
+  });
+  if (current.length) groups.push(current);
+  return groups;
+}
+
+/**
+ * Build the caption cues of an entry
+ * @param {Object} entry - Entry from TranscriptStore.getEntries()
+ * @returns {Array<{role: string, text: string, startMs: number, endMs: number}>}
+ */
+function buildEntryCues(entry) {
+  // Timed words: each caption spans its own words
+  if (entry.words.length) {
+    const texts = entry.words.map(word => word.text.trim()).filter(Boolean);
+    const timed = entry.words.filter(word => word.text.trim());
+    return groupWords(texts).map(group => {
+      const first = timed[group[0]];
+      const last = timed[group[group.length - 1]];
+      return {
+        role: entry.role,
+        text: group.map(index => texts[index]).join(' '),
+        startMs: first.startMs,
+        endMs: Math.max(last.endMs, first.startMs + TRANSCRIPT_CONFIG.MIN_CAPTION_MS)
+      };
+    });
+  }
+
+  // Untimed message: user speech is transcribed after it ends, agent text starts on arrival
+  const text = toPlainText(entry.text);
+  if (!text) return [];
+
+  const durationMs = estimateDurationMs(text);
+  const startMs = entry.role === 'user' ? entry.offsetMs - durationMs : entry.offsetMs;
+  const words = text.split(' ');
+  const groups = groupWords(words).map(group => group.map(index => words[index]).join(' '));
+  const totalChars = groups.reduce((sum, group) => sum + group.length, 0);
+
+  let cursor = startMs;
+  return groups.map(group => {
+    const cueMs = durationMs * group.length / totalChars;
+    const cue = { role: entry.role, text: group, startMs: cursor, endMs: cursor + cueMs };
+    cursor += cueMs;
+    return cue;
+  });
+}
+
+/**
+ * Build the ordered, non-overlapping caption cues of a transcript
+ * Cues before the origin (e.g. before a recording started) are dropped.
+ * @param {Array<Object>} entries - Entries from TranscriptStore.getEntries()
+ * @returns {Array<{role: string, text: string, startMs: number, endMs: number}>}
+ */
+export function buildCaptionCues(entries) {
+  const cues = entries
+    .flatMap(buildEntryCues)
+    .filter(cue => cue.endMs > 0)
+    .map(cue => ({ ...cue, startMs: Math.max(0, Math.round(cue.startMs)), endMs: Math.round(cue.endMs) }))
+    .sort((a, b) => a.startMs - b.startMs);
+
+  // Players stack overlapping cues; cut each one at the start of the next
+  cues.forEach((cue, index) => {
+    const next = cues[index + 1];
+    if (next && cue.endMs > next.startMs && next.startMs > cue.startMs) {
+      cue.endMs = next.startMs;
+    }
+  });
+  return cues;
+}
+
+/**
+ * Render a transcript as Markdown (e.g. for pasting into a ticket)
+ * @param {Array<Object>} entries - Entries from TranscriptStore.getEntries()
+ * @param {Date|null} startedAt - Wall clock of the transcript origin
+ * @returns {string}
+ */
+export function toMarkdown(entries, startedAt = null) {
+  const lines = [`# ${window.APP_RESOURCES?.TranscriptTitle || 'Conversation transcript'}`, ''];
+  if (startedAt) {
+    lines.push(`_${startedAt.toLocaleString()}_`, '');
+  }
+
+  entries.filter(entry => entry.text.trim()).forEach(entry => {
+    const time = formatOffset(entry.startMs ?? entry.offsetMs);
+    let heading = `**${getRoleLabel(entry.role)}** (${time})`;
+    if (entry.interrupted) {
+      heading += ` _${window.APP_RESOURCES?.Interrupted || 'Interrupted'}_`;
+    }
+    lines.push(heading, '', entry.text.trim(), '');
+    if (entry.flag) {
+      const label = window.APP_RESOURCES?.FlaggedIncorrect || 'Flagged as incorrect';
+      lines.push(`> **${label}**${entry.flag.note ? `: ${entry.flag.note}` : ''}`, '');
+    }
+  });
+
+  return lines.join('\n');
+}
+
+/**
+ * Render a transcript as JSON
+ * @param {Array<Object>} entries - Entries from TranscriptStore.getEntries()
+ * @param {Date|null} startedAt - Wall clock of the transcript origin
+ * @returns {string}
+ */
+export function toJSON(entries, startedAt = null) {
+  return JSON.stringify({
+    startedAt: startedAt ? startedAt.toISOString() : null,
+    exportedAt: new Date().toISOString(),
+    entries
+  }, null, 2);
+}
+
+/**
+ * Render a transcript as SRT captions
+ * @param {Array<Object>} entries - Entries from TranscriptStore.getEntries()
+ * @returns {string}
+ */
+export function toSRT(entries) {
+  return buildCaptionCues(entries)
+    .map((cue, index) => [
+      index + 1,
+      `${formatCaptionTime(cue.startMs, ',')} --> ${formatCaptionTime(cue.endMs, ',')}`,
+      `${getRoleLabel(cue.role)}: ${cue.text}`,
+      ''
+    ].join('\n'))
+    .join('\n');
+}
+
+/**
+ * Render a transcript as WebVTT captions (speakers as voice spans)
+ * @param {Array<Object>} entries - Entries from TranscriptStore.getEntries()
+ * @returns {string}
+ */
+export function toWebVTT(entries) {
+  const escape = (text) => text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const cues = buildCaptionCues(entries).map(cue => [
+    `${formatCaptionTime(cue.startMs, '.')} --> ${formatCaptionTime(cue.endMs, '.')}`,
+    `<v ${escape(getRoleLabel(cue.role))}>${escape(cue.text)}`,
+    ''
+  ].join('\n'));
+  return ['WEBVTT', '', ...cues].join('\n');
+}
+
+/**
+ * Render the transcript store in a format
+ * @param {string} format - Key of TRANSCRIPT_FORMATS
+ * @param {TranscriptStore} store - Store to export
+ * @returns {{content: string, mimeType: string, extension: string}}
+ */
+export function exportTranscript(format, store = transcriptStore) {
+  const info = TRANSCRIPT_FORMATS[format];
+  if (!info) {
+    throw new Error(`Unknown transcript format: ${format}`);
+  }
+
+  const entries = store.getEntries();
+  const renderers = {
+    markdown: () => toMarkdown(entries, store.originAt),
+    json: () => toJSON(entries, store.originAt),
+    srt: () => toSRT(entries),
+    vtt: () => toWebVTT(entries)
+  };
+  return { content: renderers[format](), ...info };
+}
+
+/**
+ * Build the download file name of an export
+ * @param {string} format - Key of TRANSCRIPT_FORMATS
+ * @param {string} prefix - File name prefix (e.g. the page name)
+ * @param {Date|null} startedAt - Wall clock of the transcript origin
+ * @returns {string}
+ */
+export function getTranscriptFileName(format, prefix = 'session', startedAt = null) {
+  const stamp = (startedAt || new Date()).toISOString().replace(/[:.]/g, '-').replace('Z', '');
+  return `${prefix}-transcript-${stamp}.${TRANSCRIPT_FORMATS[format].extension}`;
+}
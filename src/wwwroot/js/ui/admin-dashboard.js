@@ -3,6 +3,8 @@
  * Provides interactive charts for call monitoring and pricing data
  */
 
+import { SettingsManager } from '../modules/settings-manager.js';
+
 // Chart instances
 let pricingChart = null;
 let costDistributionChart = null;
@@ -396,8 +398,12 @@ function openPricingEditModal(row) {
                 <div class="modal-row"><label>${window.APP_RESOURCES?.InputCostLabel || 'Input ($):'}</label><input id="modalInput" type="number" step="0.0001"></div>
                 <div class="modal-row"><label>${window.APP_RESOURCES?.OutputCostLabel || 'Output ($):'}</label><input id="modalOutput" type="number" step="0.0001"></div>
                 <div class="modal-row"><label>${window.APP_RESOURCES?.CachedCostLabel || 'Cached ($):'}</label><input id="modalCached" type="number" step="0.0001"></div>
+                <div class="modal-row"><label>${window.APP_RESOURCES?.AudioInputCostLabel || 'Audio input ($):'}</label><input id="modalAudioInput" type="number" step="0.0001" placeholder="${window.APP_RESOURCES?.SameAsText || 'Same as text'}"></div>
+                <div class="modal-row"><label>${window.APP_RESOURCES?.AudioOutputCostLabel || 'Audio output ($):'}</label><input id="modalAudioOutput" type="number" step="0.0001" placeholder="${window.APP_RESOURCES?.SameAsText || 'Same as text'}"></div>
+                <div class="modal-row"><label>${window.APP_RESOURCES?.CachedAudioCostLabel || 'Cached audio ($):'}</label><input id="modalCachedAudio" type="number" step="0.0001" placeholder="${window.APP_RESOURCES?.SameAsText || 'Same as text'}"></div>
                 <div class="modal-row"><label>${window.APP_RESOURCES?.AvatarCostLabel || 'Avatar ($/min):'}</label><input id="modalAvatar" type="number" step="0.01"></div>
                 <div class="modal-row"><label>${window.APP_RESOURCES?.TtsCostLabel || 'TTS ($/1M chars):'}</label><input id="modalTts" type="number" step="0.01"></div>
+                <div class="modal-row"><label>${window.APP_RESOURCES?.EffectiveFromLabel || 'Effective from:'}</label><input id="modalEffectiveFrom" type="datetime-local"></div>
                 <div class="modal-row"><label>${window.APP_RESOURCES?.Units || 'Units:'}</label>
                     <select id="modalUnits">
                         <option value="per1k">${window.APP_RESOURCES?.Per1KTokens || 'Per 1K tokens'}</option>
@@ -419,22 +425,32 @@ function openPricingEditModal(row) {
     document.getElementById('modalInput').value = row.dataset.input || '0';
     document.getElementById('modalOutput').value = row.dataset.output || '0';
     document.getElementById('modalCached').value = row.dataset.cached || '';
+    document.getElementById('modalAudioInput').value = row.dataset.audioInput || '';
+    document.getElementById('modalAudioOutput').value = row.dataset.audioOutput || '';
+    document.getElementById('modalCachedAudio').value = row.dataset.cachedAudio || '';
     document.getElementById('modalAvatar').value = row.dataset.avatar || '0';
     document.getElementById('modalTts').value = row.dataset.tts || '0';
     // Default units are per-1k (server uses per-1k)
     document.getElementById('modalUnits').value = 'per1k';
+    // Empty means now; the replaced prices keep costing sessions until then
+    document.getElementById('modalEffectiveFrom').value = '';
 
     // Hook actions
     document.getElementById('modalSave').onclick = async () => {
         const input = parseFloat(document.getElementById('modalInput').value) || 0;
         const output = parseFloat(document.getElementById('modalOutput').value) || 0;
         const cached = parseFloat(document.getElementById('modalCached').value) || 0;
+        // Empty audio rates (0) bill audio tokens at the text rates
+        const audioInput = parseFloat(document.getElementById('modalAudioInput').value) || 0;
+        const audioOutput = parseFloat(document.getElementById('modalAudioOutput').value) || 0;
+        const cachedAudio = parseFloat(document.getElementById('modalCachedAudio').value) || 0;
         const avatar = parseFloat(document.getElementById('modalAvatar').value) || 0;
         const tts = parseFloat(document.getElementById('modalTts').value) || 0;
         const units = document.getElementById('modalUnits').value;
+        const effectiveFrom = document.getElementById('modalEffectiveFrom').value;
 
         // Validation: ensure non-negative
-        if (input < 0 || output < 0 || cached < 0) {
+        if (input < 0 || output < 0 || cached < 0 || audioInput < 0 || audioOutput < 0 || cachedAudio < 0) {
             showModalError(window.APP_RESOURCES?.ValuesMustBeNonNegative || 'Values must be non-negative');
             return;
         }
@@ -445,9 +461,13 @@ function openPricingEditModal(row) {
             inputTokenCost: input,
             outputTokenCost: output,
             cachedInputTokenCost: cached,
+            audioInputTokenCost: audioInput,
+            audioOutputTokenCost: audioOutput,
+            cachedAudioInputTokenCost: cachedAudio,
             avatarCostPerMin: avatar,
             ttsCostPer1MChars: tts,
-            isPerMillion: units === 'per1m'
+            isPerMillion: units === 'per1m',
+            effectiveFrom: effectiveFrom ? new Date(effectiveFrom).toISOString() : null
         };
 
         try {
@@ -493,6 +513,61 @@ function attachPricingRowHandlers() {
 // Call attach on DOM ready
 document.addEventListener('DOMContentLoaded', () => attachPricingRowHandlers());
 
+// --- Exchange rates ---
+
+// Get the currency costs are shown in and its rate (USD while the table has no rate for it)
+function getDisplayCurrency() {
+    const currency = String(new SettingsManager('uiSettings', {}).get('currency', 'USD') || 'USD').toUpperCase();
+    const row = document.querySelector(`#exchangeRateTable tr[data-currency="${currency}"]`);
+    const rate = parseFloat(row?.dataset.rate);
+    return rate > 0 ? { currency, rate } : { currency: 'USD', rate: 1 };
+}
+
+// Save the rate typed in the last row of the table
+async function saveExchangeRate() {
+    const currency = document.getElementById('exchangeRateCurrency').value.trim().toUpperCase();
+    const rate = parseFloat(document.getElementById('exchangeRateValue').value);
+
+    if (!/^[A-Z]{3}$/.test(currency) || !(rate > 0)) {
+        showToast(window.APP_RESOURCES?.InvalidExchangeRate || 'Enter a 3-letter currency code and a rate greater than zero', 'error');
+        return;
+    }
+
+    await sendExchangeRateRequest('/api/admin/pricing/exchange-rates', {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ currency, rate })
+    });
+}
+
+// Send an exchange rate change and reload the table
+async function sendExchangeRateRequest(url, options) {
+    try {
+        const response = await fetch(url, options);
+        if (!response.ok) {
+            const err = await response.json().catch(() => null);
+            showToast(err?.error || window.APP_RESOURCES?.ExchangeRateSaveError || 'Error saving exchange rate', 'error');
+            return;
+        }
+        location.reload();
+    } catch (e) {
+        showToast(e.message || window.APP_RESOURCES?.ExchangeRateSaveError || 'Error saving exchange rate', 'error');
+    }
+}
+
+// Attach the save and delete buttons of the exchange rate table
+function attachExchangeRateHandlers() {
+    document.getElementById('exchangeRateSave')?.addEventListener('click', () => saveExchangeRate());
+    document.querySelectorAll('#exchangeRateTable .btn-delete-rate').forEach(button => {
+        button.addEventListener('click', () => sendExchangeRateRequest(
+            `/api/admin/pricing/exchange-rates/${encodeURIComponent(button.dataset.currency)}`,
+            { method: 'DELETE' }
+        ));
+    });
+}
+
+document.addEventListener('DOMContentLoaded', () => attachExchangeRateHandlers());
+
 // Format number with animation
 function animateNumber(element, newValue) {
     if (!element) return;
@@ -534,14 +609,15 @@ async function fetchMetrics() {
         animateNumber(document.getElementById('cachedTokens'), data.cachedTokens);
         animateNumber(document.getElementById('interactions'), data.interactions);
         
-        // Update cost metrics
+        // Update cost metrics (in the currency chosen in the app settings)
         const totalCostElement = document.getElementById('totalCost');
         if (totalCostElement) {
-            const costValue = data.totalEstimatedCost || 0;
+            const { currency, rate } = getDisplayCurrency();
+            const costValue = (data.totalEstimatedCost || 0) * rate;
             const lang = document.documentElement.lang || 'en-US';
             const formattedCost = costValue.toLocaleString(lang, { 
                 style: 'currency', 
-                currency: 'USD',
+                currency,
                 minimumFractionDigits: 2,
                 maximumFractionDigits: 2
             });
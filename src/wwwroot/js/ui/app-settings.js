@@ -2,7 +2,7 @@
  * App Settings Module
  * 
  * Manages the simple settings modal on the homepage.
- * Handles: Language, Theme, and Visualizer settings.
+ * Handles: Language, Theme, Visualizer and Currency settings.
  */
 
 import { SettingsManager } from '../modules/settings-manager.js';
@@ -12,7 +12,8 @@ import { showToast } from './ui-utils.js';
 const DEFAULT_UI_SETTINGS = {
   language: 'en-US',
   theme: 'dark',
-  visualizerType: 'wave'
+  visualizerType: 'wave',
+  currency: 'USD' // Costs are shown in it where the administrator set an exchange rate
 };
 
 const uiSettingsManager = new SettingsManager('uiSettings', DEFAULT_UI_SETTINGS);
@@ -185,6 +186,12 @@ function loadSettings() {
     visualizerSelect.value = uiSettings.visualizerType || 'wave';
   }
 
+  // Load currency setting
+  const currencySelect = document.getElementById('currencySelect');
+  if (currencySelect) {
+    currencySelect.value = uiSettingsManager.get('currency', 'USD');
+  }
+
   console.log('✓ Settings loaded');
 }
 
@@ -196,10 +203,12 @@ async function saveSettings() {
     const selectedTheme = document.getElementById('themeSelect')?.value || 'dark';
     const selectedVisualizer = document.getElementById('visualizerSelect')?.value || 'wave';
     const selectedLanguage = document.getElementById('languageSelect')?.value;
+    const selectedCurrency = document.getElementById('currencySelect')?.value || 'USD';
     
-    // Save theme and visualizer settings
+    // Save theme, visualizer and currency settings
     uiSettingsManager.set('theme', selectedTheme);
     uiSettingsManager.set('visualizerType', selectedVisualizer);
+    uiSettingsManager.set('currency', selectedCurrency);
     
     // Save theme to persistent storage and apply it
     saveTheme(selectedTheme);
@@ -0,0 +1,339 @@
+/**
+ * Consumption History View Module
+ *
+ * Slide-over panel charting the sessions saved by ConsumptionTracker: tokens, cost
+ * and audio minutes per day or week, breakdowns by model and voice, averages, and
+ * the full record of a selected session.
+ */
+
+import { CONSUMPTION_HISTORY_CONFIG, getVoiceById } from '../core/config.js';
+import { consumptionTracker } from '../managers/consumption-tracker.js';
+import { ConsumptionAnalytics } from '../modules/consumption-analytics.js';
+import { ConsumptionFormatter } from '../modules/consumption-formatter.js';
+import { ConsumptionUIRenderer } from '../modules/consumption-ui-renderer.js';
+import { SimpleChart } from './simple-chart.js';
+
+// Dataset colors, in order (input, output, ...)
+const CHART_COLORS = ['#60a5fa', '#a78bfa', '#34d399', '#fbbf24'];
+
+// Session records kept by ConsumptionTracker
+const MAX_SESSIONS = 100;
+
+/**
+ * Format an ISO date for the session list and the viewer
+ * @param {string} iso - ISO date
+ * @returns {string}
+ */
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+/**
+ * Get the display name of a voice id
+ * @param {string} voiceId - Voice id ('' for records saved without one)
+ * @returns {string}
+ */
+function formatVoice(voiceId) {
+  if (!voiceId) return window.APP_RESOURCES?.ConsumptionHistoryNoVoice || 'Not recorded';
+  return getVoiceById(voiceId)?.name || voiceId;
+}
+
+/**
+ * ConsumptionHistoryView class
+ * Owns the #consumptionHistory markup (Pages/Shared/_ConsumptionHistory.cshtml)
+ */
+export class ConsumptionHistoryView {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.toggleButton - Button opening the panel
+   */
+  constructor({ toggleButton = null } = {}) {
+    this.toggleButton = toggleButton;
+    this.panel = document.getElementById('consumptionHistory');
+    this.periodSelect = document.getElementById('consumptionHistoryPeriod');
+    this.overview = document.getElementById('consumptionHistoryOverview');
+    this.averages = document.getElementById('consumptionHistoryAverages');
+    this.sessionList = document.getElementById('consumptionHistorySessions');
+    this.viewer = document.getElementById('consumptionHistoryViewer');
+    this.viewerContent = document.getElementById('consumptionHistorySession');
+    this.sessions = [];
+    this.charts = new Map(); // Canvas id -> SimpleChart
+
+    if (!this.panel) {
+      // Pages without the panel have nothing to open
+      this.toggleButton?.remove();
+      return;
+    }
+    if (this.periodSelect) this.periodSelect.value = CONSUMPTION_HISTORY_CONFIG.DEFAULT_PERIOD;
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.toggleButton?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.isOpen() ? this.close() : this.open();
+    });
+    document.getElementById('closeConsumptionHistory')?.addEventListener('click', () => this.close());
+    document.getElementById('consumptionHistoryBackButton')?.addEventListener('click', () => this.showOverview());
+    this.periodSelect?.addEventListener('change', () => this.renderCharts());
+
+    this.sessionList?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-session-index]');
+      if (item) this.openSession(Number(item.dataset.sessionIndex));
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.panel?.getAttribute('aria-hidden') === 'false';
+  }
+
+  /**
+   * Open the panel on the charts of the saved sessions
+   */
+  open() {
+    if (!this.panel) return;
+    this.panel.setAttribute('aria-hidden', 'false');
+    this.toggleButton?.setAttribute('aria-expanded', 'true');
+    this.showOverview();
+  }
+
+  close() {
+    if (!this.panel) return;
+    this.panel.setAttribute('aria-hidden', 'true');
+    this.toggleButton?.setAttribute('aria-expanded', 'false');
+  }
+
+  /**
+   * Reload the sessions and show the charts and the session list
+   */
+  showOverview() {
+    // Costs are recalculated with the prices valid when each session started
+    this.sessions = consumptionTracker.getRecentSessions(MAX_SESSIONS);
+    this.viewer?.classList.add('hidden');
+    this.overview?.classList.remove('hidden');
+    this.renderCharts();
+    this.renderSessionList();
+  }
+
+  /**
+   * Chart the sessions of the selected range
+   */
+  renderCharts() {
+    const r = window.APP_RESOURCES || {};
+    const period = this.periodSelect?.value || CONSUMPTION_HISTORY_CONFIG.DEFAULT_PERIOD;
+    const count = CONSUMPTION_HISTORY_CONFIG.PERIOD_COUNTS[period];
+    const periods = ConsumptionAnalytics.groupByPeriod(this.sessions, period, count);
+    const sessions = ConsumptionAnalytics.filterRange(this.sessions, period, count);
+
+    const lang = document.documentElement.lang || undefined;
+    const labels = periods.map(p => p.start.toLocaleDateString(lang, { day: 'numeric', month: 'numeric' }));
+    const inputLabel = r.ConsumptionHistoryInput || 'Input';
+    const outputLabel = r.ConsumptionHistoryOutput || 'Output';
+
+    this.drawChart('consumptionHistoryTokensChart', 'stackedBar', labels, [
+      { label: inputLabel, data: periods.map(p => p.inputTokens) },
+      { label: outputLabel, data: periods.map(p => p.outputTokens) }
+    ]);
+    this.drawChart('consumptionHistoryCostChart', 'line', [], [
+      { label: r.ConsumptionHistoryCost || 'Cost', data: periods.map(p => ({ x: p.start, y: p.cost })) }
+    ], { formatValue: value => ConsumptionFormatter.formatCurrency(value) });
+    this.drawChart('consumptionHistoryAudioChart', 'area', [], [
+      { label: inputLabel, data: periods.map(p => ({ x: p.start, y: p.inputAudioMinutes })) },
+      { label: outputLabel, data: periods.map(p => ({ x: p.start, y: p.outputAudioMinutes })) }
+    ], { formatValue: value => value.toFixed(1) });
+
+    // Totals of the range next to the chart titles
+    const total = (key) => periods.reduce((sum, p) => sum + p[key], 0);
+    this.setText('consumptionHistoryTokensTotal', ConsumptionFormatter.formatNumber(total('tokens')));
+    this.setText('consumptionHistoryCostTotal', ConsumptionFormatter.formatCurrency(total('cost')));
+    this.setText('consumptionHistoryAudioTotal', total('audioMinutes').toFixed(1));
+
+    this.renderBreakdown('consumptionHistoryModelChart', 'consumptionHistoryModels',
+      ConsumptionAnalytics.breakdownByModel(sessions), key => key || '-');
+    this.renderBreakdown('consumptionHistoryVoiceChart', 'consumptionHistoryVoices',
+      ConsumptionAnalytics.breakdownByVoice(sessions), formatVoice);
+    this.renderAverages(ConsumptionAnalytics.getAverages(sessions));
+  }
+
+  /**
+   * Set the text of an element of the panel
+   * @param {string} id - Element id
+   * @param {string} text - Text
+   */
+  setText(id, text) {
+    const element = document.getElementById(id);
+    if (element) element.textContent = text;
+  }
+
+  /**
+   * Draw a chart on a canvas of the panel (the chart of a canvas is reused, keeping
+   * the datasets hidden from its legend)
+   * @param {string} canvasId - Canvas id
+   * @param {string} type - 'bar', 'stackedBar', 'doughnut', 'line' or 'area'
+   * @param {Array<string>} labels - Labels (none for time series)
+   * @param {Array<Object>} datasets - { label, data } (colored here)
+   * @param {Object} options - Extra chart options
+   */
+  drawChart(canvasId, type, labels, datasets, options = {}) {
+    const canvas = document.getElementById(canvasId);
+    if (!canvas) return;
+
+    const colors = { text: getComputedStyle(this.panel).color };
+    const config = {
+      type,
+      data: {
+        labels,
+        datasets: datasets.map((dataset, i) => ({
+          ...dataset,
+          backgroundColor: type === 'doughnut' ? CHART_COLORS : CHART_COLORS[i % CHART_COLORS.length]
+        }))
+      },
+      options: { colors, ...options }
+    };
+
+    if (this.charts.has(canvasId)) {
+      this.charts.get(canvasId).update(config);
+      return;
+    }
+    const chart = new SimpleChart(canvas, config);
+    chart.render();
+    this.charts.set(canvasId, chart);
+  }
+
+  /**
+   * Show the share of cost of each model or voice: a doughnut of the largest ones and
+   * a table of all of them
+   * @param {string} canvasId - Doughnut canvas id
+   * @param {string} tableId - Table container id
+   * @param {Array<Object>} rows - Breakdown rows (see ConsumptionAnalytics.breakdownByModel())
+   * @param {Function} formatKey - Display name of a row key
+   */
+  renderBreakdown(canvasId, tableId, rows, formatKey) {
+    const slices = rows.slice(0, CONSUMPTION_HISTORY_CONFIG.BREAKDOWN_SLICES);
+    const others = rows.slice(CONSUMPTION_HISTORY_CONFIG.BREAKDOWN_SLICES);
+    if (others.length) {
+      slices.push({
+        key: window.APP_RESOURCES?.ConsumptionHistoryOther || 'Other',
+        cost: others.reduce((sum, row) => sum + row.cost, 0),
+        other: true
+      });
+    }
+
+    this.drawChart(canvasId, 'doughnut', slices.map(row => (row.other ? row.key : formatKey(row.key))), [
+      { data: slices.map(row => row.cost) }
+    ], { formatValue: value => ConsumptionFormatter.formatCurrency(value) });
+
+    const table = document.getElementById(tableId);
+    if (!table) return;
+    const sessionCount = window.APP_RESOURCES?.ConsumptionHistorySessionCount || '{0} sessions';
+    table.innerHTML = rows.map(row => `
+      <div class="consumption-history-row">
+        <span>${ConsumptionFormatter.escapeHtml(formatKey(row.key))}</span>
+        <span>${ConsumptionFormatter.escapeHtml(sessionCount.replace('{0}', row.sessions))}</span>
+        <span>${ConsumptionFormatter.formatCompactNumber(row.tokens)}</span>
+        <span>${ConsumptionFormatter.formatCurrency(row.cost)}</span>
+      </div>`).join('');
+  }
+
+  /**
+   * Show the averages of the charted sessions
+   * @param {Object} averages - See ConsumptionAnalytics.getAverages()
+   */
+  renderAverages(averages) {
+    if (!this.averages) return;
+    const r = window.APP_RESOURCES || {};
+    const rows = [
+      [r.ConsumptionHistoryTokensPerResponse || 'Tokens per response', averages.tokensPerResponse.toFixed(0)],
+      [r.ConsumptionHistoryCostPerResponse || 'Cost per response', ConsumptionFormatter.formatCurrency(averages.costPerResponse)],
+      [r.ConsumptionHistoryTokensPerMinute || 'Tokens per minute', averages.tokensPerMinute.toFixed(0)],
+      [r.ConsumptionHistoryCostPerMinute || 'Cost per minute', ConsumptionFormatter.formatCurrency(averages.costPerMinute)],
+      [r.ConsumptionHistoryAudioPerSession || 'Audio minutes per session', averages.audioMinutesPerSession.toFixed(1)]
+    ];
+    this.averages.innerHTML = rows
+      .map(([label, value]) => `<dt>${ConsumptionFormatter.escapeHtml(label)}</dt><dd>${ConsumptionFormatter.escapeHtml(value)}</dd>`)
+      .join('');
+  }
+
+  /**
+   * Render the saved sessions, newest first
+   */
+  renderSessionList() {
+    if (!this.sessionList) return;
+    const r = window.APP_RESOURCES || {};
+    if (!this.sessions.length) {
+      this.sessionList.innerHTML = `<div class="history-empty">${ConsumptionFormatter.escapeHtml(r.ConsumptionHistoryEmpty || 'No saved sessions yet')}</div>`;
+      return;
+    }
+
+    const tokenCount = r.ConsumptionHistoryTokenCount || '{0} tokens';
+    const responseCount = r.ConsumptionHistoryResponseCount || '{0} responses';
+    this.sessionList.innerHTML = this.sessions.map((session, index) => {
+      const metrics = ConsumptionAnalytics.getSessionMetrics(session);
+      const details = [session.model, session.voice && formatVoice(session.voice), responseCount.replace('{0}', metrics.responses)]
+        .filter(Boolean).join(' · ');
+      return `
+        <button type="button" class="history-item" role="listitem" data-session-index="${index}">
+          <span class="history-item-date">${ConsumptionFormatter.escapeHtml(formatDate(session.startTime))}</span>
+          <span class="history-item-preview">${tokenCount.replace('{0}', ConsumptionFormatter.formatNumber(metrics.tokens))} · ${ConsumptionFormatter.formatCurrency(metrics.cost)}</span>
+          <span class="history-item-details">${ConsumptionFormatter.escapeHtml(details)}</span>
+        </button>`;
+    }).join('');
+  }
+
+  /**
+   * Show the full record of a saved session
+   * @param {number} index - Index in the session list
+   */
+  openSession(index) {
+    const session = this.sessions[index];
+    if (!session || !this.viewer) return;
+
+    this.overview?.classList.add('hidden');
+    this.viewer.classList.remove('hidden');
+
+    const r = window.APP_RESOURCES || {};
+    const metrics = ConsumptionAnalytics.getSessionMetrics(session);
+    const tokens = session.tokens || {};
+    const audio = session.audio || {};
+    const inputDetails = tokens.inputDetails || {};
+    const outputDetails = tokens.outputDetails || {};
+    const rows = [
+      [r.ConsumptionHistoryStarted || 'Started', formatDate(session.startTime)],
+      [r.ConsumptionHistoryEnded || 'Ended', formatDate(session.endTime)],
+      [r.ConsumptionHistoryConnected || 'Connected time', ConsumptionFormatter.formatDuration(metrics.minutes * 60000)],
+      [r.Model || 'Model', session.model || '-'],
+      [r.Voice || 'Voice', formatVoice(session.voice)],
+      [r.Responses || 'Responses', String(metrics.responses)],
+      [r.ConsumptionHistoryTokens || 'Tokens',
+        `${ConsumptionFormatter.formatNumber(metrics.tokens)} (${ConsumptionFormatter.formatNumber(metrics.inputTokens)} / ${ConsumptionFormatter.formatNumber(metrics.outputTokens)})`],
+      [r.InputDetails || 'Input Details',
+        `${r.Text || 'Text:'} ${inputDetails.textTokens || 0} · ${r.Audio || 'Audio:'} ${inputDetails.audioTokens || 0} · ${r.Cached || 'Cached:'} ${inputDetails.cachedTokens || 0}`],
+      [r.OutputDetails || 'Output Details',
+        `${r.Text || 'Text:'} ${outputDetails.textTokens || 0} · ${r.Audio || 'Audio:'} ${outputDetails.audioTokens || 0}`],
+      [r.AudioDuration || 'Audio Duration',
+        `${ConsumptionFormatter.formatDuration(audio.inputDurationMs || 0)} / ${ConsumptionFormatter.formatDuration(audio.outputDurationMs || 0)}`],
+      [r.ConsumptionHistoryAudioFormat || 'Audio format',
+        `${audio.inputFormat || '-'} / ${audio.outputFormat || '-'} · ${audio.sampleRate ? ConsumptionFormatter.formatSampleRate(audio.sampleRate) : '-'}`],
+      [r.TotalCost || 'Total Cost', ConsumptionFormatter.formatCurrency(metrics.cost)]
+    ];
+
+    const tokenRows = Object.entries(session.modelUsage || {})
+      .map(([model, usage]) => ConsumptionUIRenderer.createTokenConsumptionRow(model, { cached: 0, ...usage }))
+      .join('');
+    const costRows = Object.entries(session.modelCosts || {})
+      .map(([model, costs]) => ConsumptionUIRenderer.createCostRow(model, costs))
+      .join('');
+
+    this.viewerContent.innerHTML = `
+      <div class="history-viewer-meta">${ConsumptionFormatter.escapeHtml(ConsumptionFormatter.truncateId(session.sessionId))}</div>
+      <dl class="history-viewer-settings">${rows
+        .map(([label, value]) => `<dt>${ConsumptionFormatter.escapeHtml(label)}</dt><dd>${ConsumptionFormatter.escapeHtml(value)}</dd>`)
+        .join('')}</dl>
+      ${tokenRows ? `<h4>${ConsumptionFormatter.escapeHtml(r.TokenConsumptionPerModel || 'Token Consumption per Model')}</h4>${tokenRows}` : ''}
+      ${costRows ? `<h4>${ConsumptionFormatter.escapeHtml(r.CostsPerModel || 'Costs per Model')}</h4>${costRows}` : ''}`;
+  }
+}
@@ -0,0 +1,196 @@
+/**
+ * History Drawer Module
+ *
+ * Slide-over panel listing past conversations saved by ConversationHistory,
+ * with full-text search and a read-only view of a selected transcript.
+ */
+
+import { HISTORY_CONFIG } from '../core/config.js';
+import { conversationHistory } from '../managers/conversation-history.js';
+import { markdownToHtml, showToast, renderTranscriptFlag } from './ui-utils.js';
+
+/**
+ * Escape text for HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  const div = document.createElement('div');
+  div.textContent = text ?? '';
+  return div.innerHTML;
+}
+
+/**
+ * Format an ISO date for the list and the viewer
+ * @param {string} iso - ISO date
+ * @returns {string}
+ */
+function formatDate(iso) {
+  return iso ? new Date(iso).toLocaleString() : '-';
+}
+
+/**
+ * HistoryDrawer class
+ * Owns the #historyDrawer markup (Pages/Shared/_HistoryDrawer.cshtml)
+ */
+export class HistoryDrawer {
+  /**
+   * @param {Object} options
+   * @param {HTMLElement} options.toggleButton - Button opening the drawer
+   */
+  constructor({ toggleButton = null } = {}) {
+    this.toggleButton = toggleButton;
+    this.drawer = document.getElementById('historyDrawer');
+    this.searchInput = document.getElementById('historySearchInput');
+    this.list = document.getElementById('historyList');
+    this.viewer = document.getElementById('historyViewer');
+    this.viewerMeta = document.getElementById('historyViewerMeta');
+    this.viewerContent = document.getElementById('historyViewerContent');
+    this.searchTimer = null;
+    this.openSessionId = null;
+
+    if (!this.drawer) return;
+    this.bindEvents();
+  }
+
+  bindEvents() {
+    this.toggleButton?.addEventListener('click', (e) => {
+      e.stopPropagation();
+      this.isOpen() ? this.close() : this.open();
+    });
+    document.getElementById('closeHistoryDrawer')?.addEventListener('click', () => this.close());
+    document.getElementById('historyBackButton')?.addEventListener('click', () => this.showList());
+    document.getElementById('historyDeleteButton')?.addEventListener('click', () => this.deleteOpenConversation());
+
+    this.searchInput?.addEventListener('input', () => {
+      clearTimeout(this.searchTimer);
+      this.searchTimer = setTimeout(() => this.refresh(), HISTORY_CONFIG.SEARCH_DEBOUNCE_MS);
+    });
+
+    this.list?.addEventListener('click', (e) => {
+      const item = e.target.closest('[data-session-id]');
+      if (item) this.openConversation(item.dataset.sessionId);
+    });
+
+    document.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape' && this.isOpen()) this.close();
+    });
+  }
+
+  isOpen() {
+    return this.drawer?.getAttribute('aria-hidden') === 'false';
+  }
+
+  /**
+   * Open the drawer on the conversation list
+   */
+  open() {
+    if (!this.drawer) return;
+    this.drawer.setAttribute('aria-hidden', 'false');
+    this.toggleButton?.setAttribute('aria-expanded', 'true');
+    this.showList();
+    this.searchInput?.focus();
+  }
+
+  close() {
+    if (!this.drawer) return;
+    this.drawer.setAttribute('aria-hidden', 'true');
+    this.toggleButton?.setAttribute('aria-expanded', 'false');
+  }
+
+  showList() {
+    this.openSessionId = null;
+    this.viewer?.classList.add('hidden');
+    this.list?.classList.remove('hidden');
+    this.refresh();
+  }
+
+  /**
+   * Re-run the search and render the results
+   */
+  async refresh() {
+    if (!this.list) return;
+    try {
+      const records = await conversationHistory.search(this.searchInput?.value || '');
+      this.renderList(records);
+    } catch (error) {
+      console.error('[HistoryDrawer] Error loading history:', error);
+      this.list.innerHTML = `<div class="history-empty">${escapeHtml(window.APP_RESOURCES?.HistoryLoadFailed || 'Could not load the conversation history')}</div>`;
+    }
+  }
+
+  /**
+   * Render the conversation list
+   * @param {Array<Object>} records - Conversations, newest first
+   */
+  renderList(records) {
+    if (!records.length) {
+      const message = this.searchInput?.value
+        ? (window.APP_RESOURCES?.HistoryNoMatches || 'No conversation matches the search')
+        : (window.APP_RESOURCES?.HistoryEmpty || 'No saved conversations yet');
+      this.list.innerHTML = `<div class="history-empty">${escapeHtml(message)}</div>`;
+      return;
+    }
+
+    this.list.innerHTML = records.map(record => {
+      const firstUser = record.transcript.find(entry => entry.role === 'user') || record.transcript[0];
+      const details = [record.settings.voiceModel, record.settings.foundryAgentId, record.settings.locale || record.settings.language]
+        .filter(Boolean).join(' · ');
+      const messages = (window.APP_RESOURCES?.HistoryMessageCount || '{0} messages').replace('{0}', record.transcript.length);
+      return `
+        <button type="button" class="history-item" role="listitem" data-session-id="${escapeHtml(record.sessionId)}">
+          <span class="history-item-date">${escapeHtml(formatDate(record.startedAt))} · ${escapeHtml(messages)}</span>
+          <span class="history-item-preview">${escapeHtml(firstUser?.text.slice(0, 120) || '')}</span>
+          <span class="history-item-details">${escapeHtml(details)}</span>
+        </button>`;
+    }).join('');
+  }
+
+  /**
+   * Show a saved conversation read-only
+   * @param {string} sessionId - Session id
+   */
+  async openConversation(sessionId) {
+    const record = await conversationHistory.get(sessionId);
+    if (!record || !this.viewer) return;
+
+    this.openSessionId = sessionId;
+    this.list?.classList.add('hidden');
+    this.viewer.classList.remove('hidden');
+
+    const settingRows = Object.entries(record.settings)
+      .map(([key, value]) => `<dt>${escapeHtml(key)}</dt><dd>${escapeHtml(String(value))}</dd>`)
+      .join('');
+    const consumption = record.consumption
+      ? `<dt>${escapeHtml(window.APP_RESOURCES?.TotalTokens || 'Total tokens')}</dt><dd>${escapeHtml(String(record.consumption.totalTokens))}</dd>`
+      : '';
+    this.viewerMeta.innerHTML = `
+      <div class="history-viewer-date">${escapeHtml(formatDate(record.startedAt))} – ${escapeHtml(formatDate(record.endedAt))}</div>
+      <dl class="history-viewer-settings">${settingRows}${consumption}</dl>`;
+
+    this.viewerContent.innerHTML = '';
+    record.transcript.forEach(entry => {
+      const item = document.createElement('div');
+      item.className = `transcript-item ${entry.role}${entry.interrupted ? ' interrupted' : ''}`;
+      const content = document.createElement('div');
+      content.className = 'transcript-content';
+      content.innerHTML = markdownToHtml(entry.text);
+      item.appendChild(content);
+      renderTranscriptFlag(item, entry.flag);
+      this.viewerContent.appendChild(item);
+    });
+  }
+
+  async deleteOpenConversation() {
+    if (!this.openSessionId) return;
+    if (!window.confirm(window.APP_RESOURCES?.HistoryDeleteConfirm || 'Delete this conversation from the history?')) return;
+
+    try {
+      await conversationHistory.delete(this.openSessionId);
+      this.showList();
+    } catch (error) {
+      console.error('[HistoryDrawer] Error deleting conversation:', error);
+      showToast(window.APP_RESOURCES?.HistoryDeleteFailed || 'Could not delete the conversation', 'error');
+    }
+  }
+}
@@ -0,0 +1,54 @@
+/**
+ * Local VAD Settings Module
+ *
+ * Fills and reads the local voice detection fields of the voice pages' settings
+ * panel (Pages/Shared/_LocalVadSettings.cshtml). Empty tuning fields keep the
+ * VAD_CONFIG defaults, shown as placeholders.
+ */
+
+import { VAD_CONFIG } from '../core/config.js';
+
+// Tuning fields: input id, settings key and default
+const TUNING_FIELDS = [
+  { id: 'localVadThresholdInput', key: 'localVadThreshold', defaultValue: VAD_CONFIG.ENERGY_THRESHOLD },
+  { id: 'localVadHangoverInput', key: 'localVadHangoverBlocks', defaultValue: VAD_CONFIG.HANGOVER_BLOCKS },
+  { id: 'localVadPreRollInput', key: 'localVadPreRollBlocks', defaultValue: VAD_CONFIG.PRE_ROLL_BLOCKS }
+];
+
+/**
+ * Show the local VAD settings in the settings panel
+ * @param {Object} settings - Page settings
+ */
+export function populateLocalVadForm(settings) {
+  const toggle = document.getElementById('localVadToggle');
+  const suppressToggle = document.getElementById('localVadSuppressSilenceToggle');
+  if (toggle) toggle.checked = settings.localVad === true;
+  if (suppressToggle) suppressToggle.checked = settings.localVadSuppressSilence !== false;
+
+  TUNING_FIELDS.forEach(({ id, key, defaultValue }) => {
+    const input = document.getElementById(id);
+    if (!input) return;
+    input.placeholder = String(defaultValue);
+    input.value = settings[key] ?? '';
+  });
+}
+
+/**
+ * Read the local VAD settings from the settings panel
+ * @param {Object} settings - Current settings, kept for fields the page does not show
+ * @returns {Object} - { localVad, localVadSuppressSilence, localVadThreshold, localVadHangoverBlocks, localVadPreRollBlocks }
+ */
+export function readLocalVadForm(settings = {}) {
+  const toggle = document.getElementById('localVadToggle');
+  const suppressToggle = document.getElementById('localVadSuppressSilenceToggle');
+  const values = {
+    localVad: toggle ? toggle.checked : settings.localVad === true,
+    localVadSuppressSilence: suppressToggle ? suppressToggle.checked : settings.localVadSuppressSilence !== false
+  };
+
+  TUNING_FIELDS.forEach(({ id, key }) => {
+    const input = document.getElementById(id);
+    values[key] = input ? input.value.trim() : (settings[key] ?? '');
+  });
+  return values;
+}
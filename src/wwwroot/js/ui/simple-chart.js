@@ -1,112 +1,438 @@
 /**
  * Simple Chart Implementation (No external dependencies)
- * Creates basic bar and doughnut charts using Canvas API
+ * Creates bar, doughnut, line and area charts using Canvas API, with a time axis
+ * for time series, hover tooltips and legend entries that hide/show datasets.
+ * The canvas is sized by CSS; it is redrawn when that size changes.
  */
 
-class SimpleChart {
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+// Time axis tick intervals, the shortest that leaves room for the labels is used
+const TIME_STEPS = [
+    MINUTE_MS, 5 * MINUTE_MS, 15 * MINUTE_MS, 30 * MINUTE_MS,
+    HOUR_MS, 3 * HOUR_MS, 6 * HOUR_MS, 12 * HOUR_MS,
+    DAY_MS, 2 * DAY_MS, 7 * DAY_MS, 14 * DAY_MS, 30 * DAY_MS
+];
+
+// Width kept for each time axis label
+const TIME_LABEL_WIDTH = 70;
+
+export class SimpleChart {
     constructor(canvas, config) {
         this.canvas = canvas;
         this.ctx = canvas.getContext('2d');
         this.config = config;
-        this.width = canvas.width = canvas.offsetWidth * 2; // High DPI
-        this.height = canvas.height = canvas.offsetHeight * 2;
-        this.ctx.scale(2, 2);
+        this.hiddenDatasets = new Set(); // Dataset indexes (slice indexes for doughnuts) hidden from the legend
+        this.legendItems = []; // Legend boxes of the last render: { x, y, width, height, index }
+        this.hitRegions = []; // Tooltip areas of the last render: { contains(x, y), title, lines, guideX }
+        this.hover = null; // Tooltip shown: { x, y, region }
+        this.resize();
+        this.bindEvents();
+        this.observeResize();
+    }
+
+    /**
+     * Size the canvas backing store to its CSS size and the device pixel ratio
+     */
+    resize() {
+        this.pixelRatio = window.devicePixelRatio || 1;
+        this.width = this.canvas.offsetWidth;
+        this.height = this.canvas.offsetHeight;
+        this.canvas.width = this.width * this.pixelRatio;
+        this.canvas.height = this.height * this.pixelRatio;
+        this.ctx.setTransform(this.pixelRatio, 0, 0, this.pixelRatio, 0, 0);
+    }
+
+    observeResize() {
+        if (typeof ResizeObserver === 'undefined') return;
+        this.resizeObserver = new ResizeObserver(() => {
+            if (this.canvas.offsetWidth === this.width && this.canvas.offsetHeight === this.height &&
+                (window.devicePixelRatio || 1) === this.pixelRatio) return;
+            this.resize();
+            this.render();
+        });
+        this.resizeObserver.observe(this.canvas);
+    }
+
+    bindEvents() {
+        this.handlers = {
+            mousemove: (e) => this.handleMouseMove(e),
+            mouseleave: () => this.setHover(null),
+            click: (e) => this.handleClick(e)
+        };
+        Object.entries(this.handlers).forEach(([event, handler]) => this.canvas.addEventListener(event, handler));
     }
 
     clear() {
-        this.ctx.clearRect(0, 0, this.width / 2, this.height / 2);
+        this.ctx.clearRect(0, 0, this.width, this.height);
     }
 
     destroy() {
         this.clear();
+        this.resizeObserver?.disconnect();
+        Object.entries(this.handlers).forEach(([event, handler]) => this.canvas.removeEventListener(event, handler));
+    }
+
+    /**
+     * Draw new data (hidden datasets stay hidden)
+     * @param {Object} config - Chart config, as passed to the constructor
+     */
+    update(config) {
+        this.config = config;
+        this.hover = null;
+        this.render();
+    }
+
+    /**
+     * Get the position of a mouse event in CSS pixels of the canvas
+     * @param {MouseEvent} e - Mouse event
+     * @returns {{x: number, y: number}}
+     */
+    getEventPosition(e) {
+        const rect = this.canvas.getBoundingClientRect();
+        return { x: e.clientX - rect.left, y: e.clientY - rect.top };
+    }
+
+    isInside(box, x, y) {
+        return x >= box.x && x <= box.x + box.width && y >= box.y && y <= box.y + box.height;
+    }
+
+    handleMouseMove(e) {
+        const { x, y } = this.getEventPosition(e);
+        const overLegend = this.legendItems.some(item => this.isInside(item, x, y));
+        this.canvas.style.cursor = overLegend ? 'pointer' : '';
+
+        const region = overLegend ? null : this.hitRegions.find(r => r.contains(x, y));
+        this.setHover(region ? { x, y, region } : null);
+    }
+
+    setHover(hover) {
+        if (!hover && !this.hover) return;
+        this.hover = hover;
+        this.render();
+    }
+
+    /**
+     * Hide or show the dataset of a clicked legend entry
+     * @param {MouseEvent} e - Click event
+     */
+    handleClick(e) {
+        const { x, y } = this.getEventPosition(e);
+        const item = this.legendItems.find(legendItem => this.isInside(legendItem, x, y));
+        if (!item) return;
+
+        if (this.hiddenDatasets.has(item.index)) {
+            this.hiddenDatasets.delete(item.index);
+        } else {
+            this.hiddenDatasets.add(item.index);
+        }
+        this.hover = null;
+        this.render();
+    }
+
+    /**
+     * Get the datasets not hidden from the legend
+     * @returns {Array<{dataset: Object, index: number}>}
+     */
+    getVisibleDatasets() {
+        return this.config.data.datasets
+            .map((dataset, index) => ({ dataset, index }))
+            .filter(({ index }) => !this.hiddenDatasets.has(index));
+    }
+
+    /**
+     * Format a value for tooltips and legends (options.formatValue)
+     * @param {number} value - Value
+     * @param {Function} fallback - Format without options.formatValue
+     * @returns {string}
+     */
+    formatValue(value, fallback = (v) => v.toLocaleString()) {
+        return (this.config.options.formatValue || fallback)(value);
+    }
+
+    /**
+     * Format a value axis label (options.formatTick, compact numbers by default)
+     * @param {number} value - Value
+     * @returns {string}
+     */
+    formatTick(value) {
+        if (this.config.options.formatTick) return this.config.options.formatTick(value);
+        if (Math.abs(value) >= 1000000) return `${+(value / 1000000).toFixed(1)}M`;
+        if (Math.abs(value) >= 1000) return `${+(value / 1000).toFixed(1)}K`;
+        return `${+value.toPrecision(3)}`;
+    }
+
+    /**
+     * Round an axis step up to 1, 2 or 5 times a power of ten
+     * @param {number} rawStep - Step
+     * @returns {number}
+     */
+    niceStep(rawStep) {
+        if (!(rawStep > 0)) return 1;
+        const magnitude = Math.pow(10, Math.floor(Math.log10(rawStep)));
+        const fraction = rawStep / magnitude;
+        return (fraction <= 1 ? 1 : fraction <= 2 ? 2 : fraction <= 5 ? 5 : 10) * magnitude;
+    }
+
+    /**
+     * Draw the value axis labels and grid lines left of and across the plot area
+     * @param {Object} area - Plot area { x, y, width, height }
+     * @param {number} maxValue - Largest value drawn
+     * @returns {number} - Value at the top of the plot area
+     */
+    drawValueAxis(area, maxValue) {
+        const { colors } = this.config.options;
+        const step = this.niceStep(maxValue / 4);
+        const axisMax = Math.max(step, Math.ceil(maxValue / step) * step);
+
+        this.ctx.font = '10px sans-serif';
+        this.ctx.textAlign = 'right';
+        this.ctx.lineWidth = 1;
+        for (let value = 0; value <= axisMax + step / 2; value += step) {
+            const y = area.y + area.height - (value / axisMax) * area.height;
+            this.ctx.strokeStyle = colors.grid || 'rgba(128, 128, 128, 0.2)';
+            this.ctx.beginPath();
+            this.ctx.moveTo(area.x, y);
+            this.ctx.lineTo(area.x + area.width, y);
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = colors.text;
+            this.ctx.fillText(this.formatTick(value), area.x - 4, y + 3);
+        }
+        return axisMax;
+    }
+
+    /**
+     * Draw the time labels under the plot area
+     * @param {Object} area - Plot area { x, y, width, height }
+     * @param {number} minTime - Time at the left edge (ms)
+     * @param {number} maxTime - Time at the right edge (ms)
+     * @param {Function} toX - Time to x position
+     * @param {number} minStep - Shortest tick interval (a day for daily data)
+     */
+    drawTimeAxis(area, minTime, maxTime, toX, minStep) {
+        const { colors } = this.config.options;
+        const maxTicks = Math.max(2, Math.floor(area.width / TIME_LABEL_WIDTH));
+        const step = TIME_STEPS.find(s => s >= minStep && (maxTime - minTime) / s <= maxTicks) || TIME_STEPS[TIME_STEPS.length - 1];
+        const lang = document.documentElement.lang || undefined;
+
+        // Ticks of a day or more fall on local midnights
+        let tick;
+        if (step >= DAY_MS) {
+            const date = new Date(minTime);
+            date.setHours(0, 0, 0, 0);
+            if (date.getTime() < minTime) date.setDate(date.getDate() + 1);
+            tick = date.getTime();
+        } else {
+            tick = Math.ceil(minTime / step) * step;
+        }
+
+        this.ctx.fillStyle = colors.text;
+        this.ctx.font = '10px sans-serif';
+        this.ctx.textAlign = 'center';
+        while (tick <= maxTime) {
+            const date = new Date(tick);
+            const label = step >= DAY_MS
+                ? date.toLocaleDateString(lang, { day: 'numeric', month: 'short' })
+                : date.toLocaleTimeString(lang, { hour: '2-digit', minute: '2-digit' });
+            this.ctx.fillText(label, toX(tick), area.y + area.height + 16);
+
+            if (step >= DAY_MS) {
+                date.setDate(date.getDate() + step / DAY_MS);
+                tick = date.getTime();
+            } else {
+                tick += step;
+            }
+        }
+    }
+
+    /**
+     * Draw legend entries and remember where they are for clicks
+     * Hidden entries are dimmed and struck through.
+     * @param {Array<{index: number, color: string, text: string}>} items - Entries
+     * @param {number} x - Left of the first entry
+     * @param {number} y - Top of the first entry
+     * @param {Object} layout - { box, lineHeight, font, horizontal }
+     */
+    drawLegend(items, x, y, { box = 10, lineHeight = 15, font = '10px sans-serif', horizontal = false } = {}) {
+        const { colors } = this.config.options;
+        this.ctx.font = font;
+        this.ctx.textAlign = 'left';
+
+        items.forEach(({ index, color, text }) => {
+            const textWidth = this.ctx.measureText(text).width;
+            const hidden = this.hiddenDatasets.has(index);
+
+            this.ctx.globalAlpha = hidden ? 0.4 : 1;
+            this.ctx.fillStyle = color;
+            this.ctx.fillRect(x, y, box, box);
+            this.ctx.fillStyle = colors.text;
+            this.ctx.fillText(text, x + box + 5, y + box - 1);
+            if (hidden) {
+                this.ctx.strokeStyle = colors.text;
+                this.ctx.lineWidth = 1;
+                this.ctx.beginPath();
+                this.ctx.moveTo(x + box + 5, y + box / 2);
+                this.ctx.lineTo(x + box + 5 + textWidth, y + box / 2);
+                this.ctx.stroke();
+            }
+            this.ctx.globalAlpha = 1;
+
+            this.legendItems.push({ x, y, width: box + 5 + textWidth, height: box, index });
+            if (horizontal) {
+                x += box + 5 + textWidth + 15;
+            } else {
+                y += lineHeight;
+            }
+        });
+    }
+
+    /**
+     * Show the values under the mouse in a box next to it
+     * @param {Object} hover - { x, y, region }
+     */
+    drawTooltip({ x, y, region }) {
+        const { colors } = this.config.options;
+        const lineHeight = 16;
+        this.ctx.font = '11px sans-serif';
+        this.ctx.textAlign = 'left';
+
+        if (region.guideX !== undefined) {
+            this.ctx.strokeStyle = colors.grid || 'rgba(128, 128, 128, 0.4)';
+            this.ctx.lineWidth = 1;
+            this.ctx.beginPath();
+            this.ctx.moveTo(region.guideX, region.area.y);
+            this.ctx.lineTo(region.guideX, region.area.y + region.area.height);
+            this.ctx.stroke();
+        }
+
+        const width = Math.max(...[region.title, ...region.lines.map(line => line.text)]
+            .map(text => this.ctx.measureText(text).width)) + 26;
+        const height = (region.lines.length + 1) * lineHeight + 8;
+        let left = x + 12;
+        if (left + width > this.width) left = Math.max(0, x - 12 - width);
+        const top = Math.max(0, Math.min(y + 12, this.height - height));
+
+        this.ctx.fillStyle = colors.tooltipBackground || 'rgba(17, 24, 39, 0.9)';
+        this.ctx.fillRect(left, top, width, height);
+
+        this.ctx.fillStyle = colors.tooltipText || '#f9fafb';
+        this.ctx.font = 'bold 11px sans-serif';
+        this.ctx.fillText(region.title, left + 8, top + lineHeight);
+        this.ctx.font = '11px sans-serif';
+        region.lines.forEach((line, i) => {
+            const lineY = top + lineHeight * (i + 2);
+            this.ctx.fillStyle = line.color;
+            this.ctx.fillRect(left + 8, lineY - 8, 8, 8);
+            this.ctx.fillStyle = colors.tooltipText || '#f9fafb';
+            this.ctx.fillText(line.text, left + 20, lineY);
+        });
     }
 
     drawBarChart() {
         const { labels, datasets } = this.config.data;
         const { colors } = this.config.options;
+        const visible = this.getVisibleDatasets();
         const padding = 40;
-        const width = this.width / 2 - padding * 2;
-        const height = this.height / 2 - padding * 2;
-        
+        const width = this.width - padding * 2;
+        const height = this.height - padding * 2;
+        const area = { x: padding, y: padding, width, height };
+
         this.clear();
-        
+
         // Find max value
-        const allValues = datasets.flatMap(d => d.data);
-        const maxValue = Math.max(...allValues);
-        
-        // Draw bars
-        const barWidth = width / (labels.length * datasets.length + labels.length);
+        const allValues = visible.flatMap(({ dataset }) => dataset.data);
+        const maxValue = this.drawValueAxis(area, Math.max(0, ...allValues));
+
+        // Draw bars (hidden datasets leave no gap)
+        const groupSize = Math.max(visible.length, 1);
+        const barWidth = width / (labels.length * groupSize + labels.length);
         const gap = barWidth * 0.3;
-        
+
         labels.forEach((label, i) => {
-            datasets.forEach((dataset, j) => {
-                const value = dataset.data[i];
-                const barHeight = (value / maxValue) * height * 0.8;
-                const x = padding + i * (barWidth * datasets.length + gap * 2) + j * barWidth;
+            visible.forEach(({ dataset }, j) => {
+                const value = dataset.data[i] || 0;
+                const barHeight = (value / maxValue) * height;
+                const x = padding + i * (barWidth * groupSize + gap * 2) + j * barWidth;
                 const y = padding + height - barHeight;
-                
+
                 // Draw bar
                 this.ctx.fillStyle = dataset.backgroundColor;
                 this.ctx.fillRect(x, y, barWidth - gap, barHeight);
+
+                // Tooltip over the whole height, so that small bars are easy to point at
+                const column = { x, y: padding, width: barWidth - gap, height };
+                this.hitRegions.push({
+                    contains: (px, py) => this.isInside(column, px, py),
+                    title: label,
+                    lines: [{ color: dataset.backgroundColor, text: `${dataset.label}: ${this.formatValue(value)}` }]
+                });
             });
-            
+
             // Draw label
             this.ctx.fillStyle = colors.text;
             this.ctx.font = '10px sans-serif';
             this.ctx.textAlign = 'center';
-            const labelX = padding + i * (barWidth * datasets.length + gap * 2) + (barWidth * datasets.length) / 2;
+            const labelX = padding + i * (barWidth * groupSize + gap * 2) + (barWidth * groupSize) / 2;
             this.ctx.fillText(label, labelX, padding + height + 20);
         });
-        
+
         // Draw legend
-        let legendY = 10;
-        datasets.forEach((dataset, i) => {
-            this.ctx.fillStyle = dataset.backgroundColor;
-            this.ctx.fillRect(padding, legendY, 10, 10);
-            this.ctx.fillStyle = colors.text;
-            this.ctx.font = '10px sans-serif';
-            this.ctx.textAlign = 'left';
-            this.ctx.fillText(dataset.label, padding + 15, legendY + 9);
-            legendY += 15;
-        });
+        this.drawLegend(datasets.map((dataset, index) => ({ index, color: dataset.backgroundColor, text: dataset.label })), padding, 10);
     }
 
     drawStackedBarChart() {
         const { labels, datasets } = this.config.data;
         const { colors } = this.config.options;
+        const visible = this.getVisibleDatasets();
         const padding = 40;
-        const width = this.width / 2 - padding * 2;
-        const height = this.height / 2 - padding * 2;
-        
+        const width = this.width - padding * 2;
+        const height = this.height - padding * 2;
+        const area = { x: padding, y: padding, width, height };
+
         this.clear();
-        
+
         // Find max stack value
         let maxStackValue = 0;
         labels.forEach((_, i) => {
-            const stackTotal = datasets.reduce((sum, dataset) => sum + (dataset.data[i] || 0), 0);
+            const stackTotal = visible.reduce((sum, { dataset }) => sum + (dataset.data[i] || 0), 0);
             maxStackValue = Math.max(maxStackValue, stackTotal);
         });
-        
+        maxStackValue = this.drawValueAxis(area, maxStackValue);
+
         // Draw stacked bars
         const barWidth = width / (labels.length * 1.5);
         const gap = barWidth * 0.3;
-        
+
         labels.forEach((label, i) => {
             let currentHeight = 0;
-            
-            datasets.forEach((dataset) => {
+
+            visible.forEach(({ dataset }) => {
                 const value = dataset.data[i] || 0;
-                const segmentHeight = (value / maxStackValue) * height * 0.8;
+                const segmentHeight = (value / maxStackValue) * height;
                 const x = padding + i * (barWidth + gap);
                 const y = padding + height - currentHeight - segmentHeight;
-                
+
                 // Draw stacked segment
                 this.ctx.fillStyle = dataset.backgroundColor;
                 this.ctx.fillRect(x, y, barWidth - gap, segmentHeight);
-                
+
                 currentHeight += segmentHeight;
             });
-            
+
+            // One tooltip per stack, with every segment
+            const column = { x: padding + i * (barWidth + gap), y: padding, width: barWidth - gap, height };
+            this.hitRegions.push({
+                contains: (px, py) => this.isInside(column, px, py),
+                title: label,
+                lines: visible.map(({ dataset }) => ({
+                    color: dataset.backgroundColor,
+                    text: `${dataset.label}: ${this.formatValue(dataset.data[i] || 0)}`
+                }))
+            });
+
             // Draw label
             this.ctx.fillStyle = colors.text;
             this.ctx.font = '10px sans-serif';
@@ -114,69 +440,212 @@ class SimpleChart {
             const labelX = padding + i * (barWidth + gap) + barWidth / 2;
             this.ctx.fillText(label, labelX, padding + height + 20);
         });
-        
+
         // Draw legend
-        let legendY = 10;
-        datasets.forEach((dataset, i) => {
-            this.ctx.fillStyle = dataset.backgroundColor;
-            this.ctx.fillRect(padding, legendY, 10, 10);
-            this.ctx.fillStyle = colors.text;
-            this.ctx.font = '10px sans-serif';
-            this.ctx.textAlign = 'left';
-            this.ctx.fillText(dataset.label, padding + 15, legendY + 9);
-            legendY += 15;
-        });
+        this.drawLegend(datasets.map((dataset, index) => ({ index, color: dataset.backgroundColor, text: dataset.label })), padding, 10);
     }
 
     drawDoughnutChart() {
         const { labels, datasets } = this.config.data;
-        const { colors } = this.config.options;
-        const centerX = this.width / 4;
-        const centerY = this.height / 4;
-        const radius = Math.min(centerX, centerY) - 60;
+        const centerX = this.width / 2;
+        const centerY = this.height / 2;
+        const radius = Math.max(Math.min(centerX, centerY) - 60, 10);
         const innerRadius = radius * 0.6;
-        
+        const formatSlice = (value) => this.formatValue(value, (v) => `$${v.toFixed(4)}`);
+
         this.clear();
-        
+
         const dataset = datasets[0];
-        const total = dataset.data.reduce((a, b) => a + b, 0);
+        const values = dataset.data.map((value, i) => (this.hiddenDatasets.has(i) ? 0 : value));
+        const total = values.reduce((a, b) => a + b, 0) || 1;
         let currentAngle = -Math.PI / 2;
-        
+
         // Draw segments
-        dataset.data.forEach((value, i) => {
+        values.forEach((value, i) => {
             const sliceAngle = (value / total) * Math.PI * 2;
-            
+            const startAngle = currentAngle;
+
             this.ctx.beginPath();
             this.ctx.arc(centerX, centerY, radius, currentAngle, currentAngle + sliceAngle);
             this.ctx.arc(centerX, centerY, innerRadius, currentAngle + sliceAngle, currentAngle, true);
             this.ctx.closePath();
             this.ctx.fillStyle = dataset.backgroundColor[i];
             this.ctx.fill();
-            
+
+            if (sliceAngle > 0) {
+                this.hitRegions.push({
+                    contains: (px, py) => {
+                        const distance = Math.hypot(px - centerX, py - centerY);
+                        if (distance < innerRadius || distance > radius) return false;
+                        // Angle from the top, like the slices
+                        const angle = (Math.atan2(py - centerY, px - centerX) + Math.PI * 2.5) % (Math.PI * 2) - Math.PI / 2;
+                        return angle >= startAngle && angle < startAngle + sliceAngle;
+                    },
+                    title: labels[i],
+                    lines: [{
+                        color: dataset.backgroundColor[i],
+                        text: `${formatSlice(value)} (${((value / total) * 100).toFixed(0)}%)`
+                    }]
+                });
+            }
+
             currentAngle += sliceAngle;
         });
-        
+
         // Draw legend
-        let legendY = this.height / 2 - 60;
-        labels.forEach((label, i) => {
-            this.ctx.fillStyle = dataset.backgroundColor[i];
-            this.ctx.fillRect(10, legendY, 12, 12);
+        this.drawLegend(labels.map((label, i) => ({
+            index: i,
+            color: dataset.backgroundColor[i],
+            text: `${label}: ${formatSlice(dataset.data[i])}`
+        })), 10, this.height - 60, { box: 12, lineHeight: 20, font: '11px sans-serif' });
+    }
+
+    /**
+     * Get the points of a line/area dataset
+     * Time series datasets hold { x, y } points (x: Date, time string or ms); others hold
+     * one value per label.
+     * @param {Object} dataset - Dataset
+     * @returns {Array<{x: number, y: number}>} - x in ms, or the label index
+     */
+    getPoints(dataset) {
+        return dataset.data.map((point, i) => (point !== null && typeof point === 'object'
+            ? { x: new Date(point.x).getTime(), y: point.y || 0 }
+            : { x: i, y: point || 0 }));
+    }
+
+    isTimeSeries() {
+        return this.config.data.datasets.some(dataset =>
+            dataset.data.some(point => point !== null && typeof point === 'object'));
+    }
+
+    /**
+     * Draw a line chart, filled down to the axis for area charts
+     * @param {boolean} filled - Area chart
+     */
+    drawLineChart(filled) {
+        const { labels = [], datasets } = this.config.data;
+        const { colors } = this.config.options;
+        const timeAxis = this.isTimeSeries();
+        const area = { x: 48, y: 30, width: this.width - 64, height: this.height - 58 };
+        const series = this.getVisibleDatasets().map(({ dataset }) => ({ dataset, points: this.getPoints(dataset) }));
+        const allPoints = series.flatMap(({ points }) => points);
+        // Points of daily/weekly totals are local midnights: their time is left out
+        const dateOnly = timeAxis && allPoints.every(p => new Date(p.x).getHours() === 0 && new Date(p.x).getMinutes() === 0);
+
+        this.clear();
+
+        // Horizontal range (a single point is drawn in the middle)
+        let minX = timeAxis ? Math.min(...allPoints.map(p => p.x)) : 0;
+        let maxX = timeAxis ? Math.max(...allPoints.map(p => p.x)) : labels.length - 1;
+        if (!allPoints.length && timeAxis) minX = maxX = Date.now();
+        if (!(maxX > minX)) {
+            const half = timeAxis ? 30 * MINUTE_MS : 0.5;
+            minX -= half;
+            maxX += half;
+        }
+
+        const maxValue = this.drawValueAxis(area, Math.max(0, ...allPoints.map(p => p.y)));
+        const toX = (x) => area.x + ((x - minX) / (maxX - minX)) * area.width;
+        const toY = (y) => area.y + area.height - (y / maxValue) * area.height;
+
+        // Horizontal axis
+        if (timeAxis) {
+            this.drawTimeAxis(area, minX, maxX, toX, dateOnly ? DAY_MS : MINUTE_MS);
+        } else {
             this.ctx.fillStyle = colors.text;
-            this.ctx.font = '11px sans-serif';
-            this.ctx.textAlign = 'left';
-            const value = dataset.data[i].toFixed(4);
-            this.ctx.fillText(`${label}: $${value}`, 28, legendY + 10);
-            legendY += 20;
+            this.ctx.font = '10px sans-serif';
+            this.ctx.textAlign = 'center';
+            labels.forEach((label, i) => this.ctx.fillText(label, toX(i), area.y + area.height + 16));
+        }
+
+        // Draw series
+        series.forEach(({ dataset, points }) => {
+            if (!points.length) return;
+            const color = dataset.borderColor || dataset.backgroundColor;
+            const tracePath = () => {
+                this.ctx.beginPath();
+                points.forEach((p, i) => {
+                    if (i === 0) this.ctx.moveTo(toX(p.x), toY(p.y));
+                    else this.ctx.lineTo(toX(p.x), toY(p.y));
+                });
+            };
+
+            if (filled) {
+                tracePath();
+                this.ctx.lineTo(toX(points[points.length - 1].x), area.y + area.height);
+                this.ctx.lineTo(toX(points[0].x), area.y + area.height);
+                this.ctx.closePath();
+                this.ctx.globalAlpha = 0.25;
+                this.ctx.fillStyle = dataset.backgroundColor || color;
+                this.ctx.fill();
+                this.ctx.globalAlpha = 1;
+            }
+
+            tracePath();
+            this.ctx.strokeStyle = color;
+            this.ctx.lineWidth = 2;
+            this.ctx.stroke();
+
+            this.ctx.fillStyle = color;
+            points.forEach(p => {
+                this.ctx.beginPath();
+                this.ctx.arc(toX(p.x), toY(p.y), 2.5, 0, Math.PI * 2);
+                this.ctx.fill();
+            });
         });
+
+        // Tooltips: one vertical strip per x value, with the value of every series there
+        const lang = document.documentElement.lang || undefined;
+        const xs = [...new Set(allPoints.map(p => p.x))].sort((a, b) => a - b);
+        xs.forEach((x, i) => {
+            const left = i === 0 ? area.x : (toX(xs[i - 1]) + toX(x)) / 2;
+            const right = i === xs.length - 1 ? area.x + area.width : (toX(x) + toX(xs[i + 1])) / 2;
+            const strip = { x: left, y: area.y, width: right - left, height: area.height };
+            const date = new Date(x);
+            this.hitRegions.push({
+                contains: (px, py) => this.isInside(strip, px, py),
+                title: !timeAxis ? String(labels[x] ?? '')
+                    : dateOnly ? date.toLocaleDateString(lang, { day: 'numeric', month: 'short', year: 'numeric' })
+                        : date.toLocaleString(lang, { day: 'numeric', month: 'short', hour: '2-digit', minute: '2-digit' }),
+                lines: series
+                    .map(({ dataset, points }) => ({ dataset, point: points.find(p => p.x === x) }))
+                    .filter(({ point }) => point)
+                    .map(({ dataset, point }) => ({
+                        color: dataset.borderColor || dataset.backgroundColor,
+                        text: `${dataset.label}: ${this.formatValue(point.y)}`
+                    })),
+                guideX: toX(x),
+                area
+            });
+        });
+
+        // Draw legend
+        this.drawLegend(datasets.map((dataset, index) => ({
+            index,
+            color: dataset.borderColor || dataset.backgroundColor,
+            text: dataset.label
+        })), area.x, 8, { horizontal: true });
     }
 
     render() {
+        this.legendItems = [];
+        this.hitRegions = [];
+        if (!this.width || !this.height) return; // Not laid out yet: drawn on the next resize
+
         if (this.config.type === 'bar') {
             this.drawBarChart();
         } else if (this.config.type === 'stackedBar') {
             this.drawStackedBarChart();
         } else if (this.config.type === 'doughnut') {
             this.drawDoughnutChart();
+        } else if (this.config.type === 'line') {
+            this.drawLineChart(false);
+        } else if (this.config.type === 'area') {
+            this.drawLineChart(true);
+        }
+
+        if (this.hover) {
+            this.drawTooltip(this.hover);
         }
     }
 }
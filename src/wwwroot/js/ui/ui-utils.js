@@ -11,10 +11,11 @@
 
 import { getVoiceName, validateCompatibility, DEFAULT_SETTINGS } from '../core/config.js';
 import { SettingsManager } from '../modules/settings-manager.js';
+import { renderMarkdown } from '../modules/markdown-renderer.js';
 
 // Re-export transcript and trace functions from their dedicated modules
-export { addTranscript, clearTranscripts, toggleTranscriptPanel } from '../managers/transcript-manager.js';
-export { addTraceEntry, clearTraceEntries, toggleTracePanel } from '../managers/trace-manager.js';
+export { addTranscript, clearTranscripts, toggleTranscriptPanel, markTranscriptInterrupted, initTranscriptExport, initTranscriptActions, renderTranscriptFlag } from '../managers/transcript-manager.js';
+export { addTraceEntry, clearTraceEntries, toggleTracePanel, initTracePanel, getSessionEventCategory } from '../managers/trace-manager.js';
 
 /**
  * Show a modern toast notification
@@ -22,8 +23,9 @@ export { addTraceEntry, clearTraceEntries, toggleTracePanel } from '../managers/
  * @param {string} type - Toast type: 'info', 'success', 'warning', 'error'
  * @param {number} duration - Display duration in milliseconds (default: 4000)
  * @param {string} title - Optional title for the toast (default: auto-generated)
+ * @param {Object} action - Optional button: { label, onClick }; clicking it also dismisses the toast
  */
-export function showToast(message, type = 'info', duration = 4000, title = null) {
+export function showToast(message, type = 'info', duration = 4000, title = null, action = null) {
   const container = document.getElementById('toastContainer');
   if (!container) return;
   
@@ -69,6 +71,15 @@ export function showToast(message, type = 'info', duration = 4000, title = null)
   contentWrapper.appendChild(titleEl);
   contentWrapper.appendChild(messageEl);
   
+  // Optional action button
+  let actionBtn = null;
+  if (action && action.label) {
+    actionBtn = document.createElement('button');
+    actionBtn.className = 'toast-action';
+    actionBtn.textContent = action.label;
+    contentWrapper.appendChild(actionBtn);
+  }
+  
   // Create close button
   const closeBtn = document.createElement('button');
   closeBtn.className = 'toast-close';
@@ -102,6 +113,15 @@ export function showToast(message, type = 'info', duration = 4000, title = null)
     clearTimeout(timeoutId);
     dismissToast();
   });
+  
+  if (actionBtn) {
+    actionBtn.addEventListener('click', (e) => {
+      e.stopPropagation();
+      clearTimeout(timeoutId);
+      dismissToast();
+      if (typeof action.onClick === 'function') action.onClick();
+    });
+  }
 }
 
 /**
@@ -144,58 +164,14 @@ export function showMicMessage(type, text, timeout = 4000) {
   return msg;
 }
 
-/**
- * Escape HTML to prevent XSS attacks
- * @param {string} text - Text to escape
- * @returns {string} - Escaped text
- */
-function escapeHtml(text) {
-  const div = document.createElement('div');
-  div.textContent = text;
-  return div.innerHTML;
-}
-
 /**
  * Convert markdown syntax to HTML
- * Supports: **bold**, *italic*, `code`, ```code blocks```, [links](url), line breaks
+ * See modules/markdown-renderer.js for the supported syntax and the link URL allow-list.
  * @param {string} text - Markdown text
  * @returns {string} - HTML formatted text
  */
 export function markdownToHtml(text) {
-  if (!text) return '';
-  
-  // First escape HTML to prevent XSS
-  let html = escapeHtml(text);
-  
-  // Code blocks (```code```) - must be processed before inline code
-  html = html.replace(/```([\s\S]*?)```/g, '<pre><code>$1</code></pre>');
-  
-  // Inline code (`code`)
-  html = html.replace(/`([^`]+)`/g, '<code>$1</code>');
-  
-  // Bold (**text** or __text__)
-  html = html.replace(/\*\*([^*]+)\*\*/g, '<strong>$1</strong>');
-  html = html.replace(/__([^_]+)__/g, '<strong>$1</strong>');
-  
-  // Italic (*text* or _text_) - be careful not to match already processed bold
-  html = html.replace(/(?<!\*)\*([^*]+)\*(?!\*)/g, '<em>$1</em>');
-  html = html.replace(/(?<!_)_([^_]+)_(?!_)/g, '<em>$1</em>');
-  
-  // Links [text](url)
-  html = html.replace(/\[([^\]]+)\]\(([^)]+)\)/g, '<a href="$2" target="_blank" rel="noopener">$1</a>');
-  
-  // Line breaks (two spaces at end of line or actual newlines)
-  html = html.replace(/  \n/g, '<br>');
-  html = html.replace(/\n/g, '<br>');
-  
-  // Unordered lists (- item or * item)
-  html = html.replace(/(?:^|<br>)[-*]\s+(.+?)(?=<br>|$)/g, '<li>$1</li>');
-  html = html.replace(/(<li>.*<\/li>)+/g, '<ul>$&</ul>');
-  
-  // Ordered lists (1. item)
-  html = html.replace(/(?:^|<br>)\d+\.\s+(.+?)(?=<br>|$)/g, '<li>$1</li>');
-  
-  return html;
+  return renderMarkdown(text);
 }
 
 /**
@@ -311,6 +287,46 @@ export function hideSettingsModal() {
   }
 }
 
+/**
+ * Fill an audio device select, keeping the current choice
+ * @param {HTMLSelectElement} select - Device select element
+ * @param {Array} devices - Devices from AudioHandler.listAudioDevices(): { deviceId, label }
+ * @param {string} savedDeviceId - Saved device ID, used until the user picks another one
+ */
+export function populateAudioDeviceSelect(select, devices, savedDeviceId = '') {
+  if (!select) return;
+  
+  const r = window.APP_RESOURCES || {};
+  const selectedId = select.options.length > 0 ? select.value : (savedDeviceId || '');
+  select.innerHTML = '';
+  
+  const defaultOption = document.createElement('option');
+  defaultOption.value = '';
+  defaultOption.textContent = r.SystemDefaultDevice || 'System default';
+  select.appendChild(defaultOption);
+  
+  // Chrome lists virtual 'default'/'communications' entries: the first option covers them
+  devices
+    .filter(device => device.deviceId !== 'default' && device.deviceId !== 'communications')
+    .forEach((device, index) => {
+      const option = document.createElement('option');
+      option.value = device.deviceId;
+      // Labels are empty until microphone permission is granted
+      option.textContent = device.label || (r.AudioDeviceNumber || 'Device {0}').replace('{0}', index + 1);
+      select.appendChild(option);
+    });
+  
+  // Keep an unplugged device selectable so saving does not silently reset it
+  if (selectedId && !devices.some(device => device.deviceId === selectedId)) {
+    const option = document.createElement('option');
+    option.value = selectedId;
+    option.textContent = r.DeviceUnavailable || 'Unavailable device';
+    select.appendChild(option);
+  }
+  
+  select.value = selectedId;
+}
+
 /**
  * Update welcome message input with voice name
  * @param {string} voiceId - Voice ID
@@ -360,6 +376,23 @@ export function autoResizeTextarea(textarea) {
   textarea.style.height = textarea.scrollHeight + 'px';
 }
 
+/**
+ * Save a blob through a temporary download link
+ * @param {Blob} blob - File content
+ * @param {string} fileName - Suggested file name
+ */
+export function downloadBlob(blob, fileName) {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // Revoke after the browser has started the download
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 
 // Scroll hint utilities: add classes when panels are scrollable to show visual hints
 function updateScrollHintsFor(element) {
@@ -0,0 +1,143 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Audio Device Tests
+ * Tests that a running microphone is re-bound to another device without a new
+ * worklet: when a device is selected, when the one in use is unplugged, and
+ * with a fallback to the default device when the selected one is missing.
+ */
+
+test.describe('Audio Devices', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // Fake devices behind navigator.mediaDevices and a running microphone on the laptop one
+    await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { AudioHandler } = await import('/js/handlers/audio-handler.js');
+
+      const devices = {
+        inputs: [
+          { deviceId: 'default', groupId: 'laptop' },
+          { deviceId: 'laptop', groupId: 'laptop' },
+          { deviceId: 'headset', groupId: 'headset' }
+        ]
+      };
+      const opened: string[] = [];
+      const stopped: string[] = [];
+      const makeStream = (deviceId: string) => {
+        const groupId = devices.inputs.find(device => device.deviceId === deviceId)!.groupId;
+        const track = {
+          label: `${deviceId} microphone`,
+          readyState: 'live',
+          onended: null,
+          getSettings: () => ({ deviceId, groupId }),
+          stop() {
+            this.readyState = 'ended';
+            stopped.push(deviceId);
+          }
+        };
+        return { getAudioTracks: () => [track], getTracks: () => [track] };
+      };
+      Object.defineProperty(navigator, 'mediaDevices', {
+        configurable: true,
+        value: {
+          enumerateDevices: async () => devices.inputs.map(device => ({ ...device, kind: 'audioinput', label: '' })),
+          getUserMedia: async (constraints: any) => {
+            const exact = constraints.audio.deviceId?.exact;
+            if (exact && !devices.inputs.some(device => device.deviceId === exact)) {
+              throw new DOMException('Device not found', 'OverconstrainedError');
+            }
+            opened.push(exact || 'default');
+            return makeStream(exact || 'laptop');
+          },
+          addEventListener() {},
+          removeEventListener() {}
+        }
+      });
+
+      const bus = new EventBus();
+      const switched: unknown[] = [];
+      bus.on(APP_EVENTS.AUDIO_INPUT_SWITCHED, (data: unknown) => switched.push(data));
+
+      const audioHandler = new AudioHandler(null, bus);
+      const sources: { deviceId: string, connected: boolean }[] = [];
+      audioHandler.audioContext = {
+        createMediaStreamSource: (stream: any) => {
+          const source = {
+            deviceId: stream.getAudioTracks()[0].getSettings().deviceId,
+            connected: false,
+            connect() { this.connected = true; },
+            disconnect() { this.connected = false; }
+          };
+          sources.push(source);
+          return source;
+        }
+      };
+      const worklet = { port: {} };
+      audioHandler.audioWorkletNode = worklet;
+      audioHandler.mediaStream = makeStream('laptop');
+      audioHandler.micSource = audioHandler.audioContext.createMediaStreamSource(audioHandler.mediaStream);
+      audioHandler.micSource.connect();
+
+      (window as any).__devices = { audioHandler, devices, opened, stopped, sources, switched, worklet };
+    });
+  });
+
+  test('should switch a running microphone to the selected device', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { audioHandler, opened, stopped, sources, switched, worklet } = (window as any).__devices;
+      await audioHandler.setInputDevice('headset');
+      // Selecting the same device again changes nothing
+      await audioHandler.setInputDevice('headset');
+      return {
+        opened,
+        stopped,
+        sources: sources.map((source: any) => ({ deviceId: source.deviceId, connected: source.connected })),
+        switched,
+        sameWorklet: audioHandler.audioWorkletNode === worklet
+      };
+    });
+
+    expect(result.opened).toEqual(['headset']);
+    expect(result.stopped).toEqual(['laptop']);
+    expect(result.sources).toEqual([{ deviceId: 'laptop', connected: false }, { deviceId: 'headset', connected: true }]);
+    expect(result.switched).toEqual([{ deviceId: 'headset', label: 'headset microphone' }]);
+    expect(result.sameWorklet).toBe(true);
+  });
+
+  test('should fall back to the default microphone when the selected one is missing', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { audioHandler, opened, switched } = (window as any).__devices;
+      await audioHandler.setInputDevice('usb-mic');
+      return { opened, switched, inputDeviceId: audioHandler.inputDeviceId };
+    });
+
+    expect(result.opened).toEqual(['default']);
+    expect(result.switched).toEqual([{ deviceId: 'laptop', label: 'laptop microphone' }]);
+    // The choice is kept for when the device is plugged in
+    expect(result.inputDeviceId).toBe('usb-mic');
+  });
+
+  test('should re-bind when the microphone in use is unplugged, and only then', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { audioHandler, devices, opened, switched } = (window as any).__devices;
+      await audioHandler.setInputDevice('headset');
+
+      // An unrelated change: the headset is still there
+      devices.inputs.push({ deviceId: 'webcam', groupId: 'webcam' });
+      await audioHandler.handleDeviceChange();
+      const afterUnrelated = [...opened];
+
+      devices.inputs = devices.inputs.filter((device: any) => device.groupId !== 'headset');
+      await audioHandler.handleDeviceChange();
+      return { afterUnrelated, opened, switched: switched.map((data: any) => data.deviceId) };
+    });
+
+    expect(result.afterUnrelated).toEqual(['headset']);
+    expect(result.opened).toEqual(['headset', 'default']);
+    expect(result.switched).toEqual(['headset', 'laptop']);
+  });
+
+});
@@ -0,0 +1,123 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Audio Pricing Tests
+ * Tests that audio and text tokens are billed at their own rates, that the audio
+ * share of each count is taken from the usage details of a response, and that the
+ * cost row of a model shows the lines of the breakdown.
+ */
+
+// USD per 1K tokens (avatar per minute); rates a float adds up exactly
+const PRICING = {
+  pricing: [{
+    modelName: 'gpt-realtime',
+    inputTokenCost: 1,
+    outputTokenCost: 4,
+    cachedInputTokenCost: 0.5,
+    audioInputTokenCost: 8,
+    audioOutputTokenCost: 16,
+    cachedAudioInputTokenCost: 2,
+    avatarCostPerMin: 0.25
+  }],
+  baseCurrency: 'USD',
+  exchangeRates: {}
+};
+
+test.describe('Audio Pricing', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.route('**/api/admin/pricing/list', route => route.fulfill({ json: PRICING }));
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should bill audio, text and avatar time at their own rates', async ({ page }) => {
+    const costs = await page.evaluate(async () => {
+      const { PricingManager } = await import('/js/modules/pricing-manager.js');
+      const pricing = new PricingManager();
+      await pricing.loadServerPricing();
+
+      return pricing.calculateCosts('gpt-realtime', {
+        input: 2000,
+        inputAudio: 1500,
+        cached: 1000,
+        cachedAudio: 500,
+        output: 2000,
+        outputAudio: 1500,
+        avatarMinutes: 3
+      });
+    });
+
+    expect(costs).toEqual({
+      input: 12.5,
+      output: 26,
+      cached: 1.25,
+      avatar: 0.75,
+      total: 40.5,
+      breakdown: {
+        textInput: 0.5,
+        audioInput: 12,
+        cachedText: 0.25,
+        cachedAudio: 1,
+        textOutput: 2,
+        audioOutput: 24,
+        avatar: 0.75
+      }
+    });
+  });
+
+  test('should split the usage of a response into audio and text tokens', async ({ page }) => {
+    const tracked = await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { consumptionTracker } = await import('/js/managers/consumption-tracker.js');
+      await consumptionTracker.pricingManager.loadServerPricing();
+      const bus = new EventBus();
+      consumptionTracker.subscribe(bus);
+
+      bus.emit(APP_EVENTS.SESSION_CREATED, { SessionId: 'audio', Model: 'gpt-realtime' });
+      // The cached tokens are part of the input ones, and the cached audio of the input audio
+      bus.emit(APP_EVENTS.RESPONSE_DONE, {
+        Usage: {
+          InputTokens: 3000,
+          OutputTokens: 2000,
+          TotalTokens: 5000,
+          InputTokenDetails: { CachedTokens: 1000, AudioTokens: 2000, CachedTokensDetails: { AudioTokens: 500 } },
+          OutputTokenDetails: { AudioTokens: 1500 }
+        }
+      });
+
+      return {
+        usage: consumptionTracker.modelTokenUsage['gpt-realtime'],
+        breakdown: consumptionTracker.modelCosts['gpt-realtime'].breakdown
+      };
+    });
+
+    expect(tracked.usage).toEqual({ input: 2000, output: 2000, cached: 1000, inputAudio: 1500, outputAudio: 1500, cachedAudio: 500 });
+    expect(tracked.breakdown).toEqual({
+      textInput: 0.5,
+      audioInput: 12,
+      cachedText: 0.25,
+      cachedAudio: 1,
+      textOutput: 2,
+      audioOutput: 24,
+      avatar: 0
+    });
+  });
+
+  test('should show the lines of the breakdown that have a cost', async ({ page }) => {
+    const lines = await page.evaluate(async () => {
+      const { PricingManager } = await import('/js/modules/pricing-manager.js');
+      const { ConsumptionUIRenderer } = await import('/js/modules/consumption-ui-renderer.js');
+      const pricing = new PricingManager();
+      await pricing.loadServerPricing();
+
+      // Text only, with a cached part: no audio or avatar lines
+      const costs = pricing.calculateCosts('gpt-realtime', { input: 1000, cached: 2000, output: 500 });
+      const row = document.createElement('div');
+      row.innerHTML = ConsumptionUIRenderer.createCostRow('gpt-realtime', costs);
+      return [...row.querySelectorAll('.model-details .detail-item')].map(item => item.textContent!.trim());
+    });
+
+    expect(lines).toEqual(['Text in: $1.0000', 'Cached text: $1.0000', 'Text out: $2.0000']);
+  });
+
+});
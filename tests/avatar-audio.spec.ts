@@ -0,0 +1,66 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Avatar Audio Tests
+ * Tests that the avatar page captures and plays audio through the shared
+ * AudioHandler: microphone blocks from the worklet go to the avatar socket unless
+ * muted, and agent audio plays locally until the avatar video carries it.
+ */
+
+test.describe('Avatar Audio', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAvatar');
+    await page.waitForFunction(() => (window as any).voiceAvatarApp?.audioHandler);
+
+    // An open avatar socket that records what is sent
+    await page.evaluate(async () => {
+      const app = (window as any).voiceAvatarApp;
+      const sent: number[] = [];
+      app.state.websocket = { readyState: WebSocket.OPEN, send: (data: ArrayBuffer) => sent.push(data.byteLength), close() {} };
+      (window as any).__avatarAudio = { app, sent };
+    });
+  });
+
+  test('should send microphone blocks from the worklet unless muted', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { app, sent } = (window as any).__avatarAudio;
+      const { AudioHandler } = await import('/js/handlers/audio-handler.js');
+      const block = (bytes: number) => ({ type: 'audio-data', rms: 0.1, buffer: new ArrayBuffer(bytes) });
+
+      app.audioHandler.isMuted = false;
+      app.audioHandler.handleProcessorMessage(block(960));
+      const muted = app.audioHandler.toggleMute();
+      app.audioHandler.handleProcessorMessage(block(480));
+
+      return { shared: app.audioHandler instanceof AudioHandler, muted, sent };
+    });
+
+    expect(result.shared).toBe(true);
+    expect(result.muted).toBe(true);
+    expect(result.sent).toEqual([960]);
+  });
+
+  test('should play agent audio locally until the avatar video connects', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { app } = (window as any).__avatarAudio;
+      const audioHandler = app.audioHandler;
+      const queued: number[] = [];
+      let streamsEnded = 0;
+      audioHandler.queueAudioBuffer = (buffer: ArrayBuffer) => queued.push(buffer.byteLength);
+      audioHandler.endPlaybackStream = () => streamsEnded++;
+
+      // 100 ms of PCM16 at 24 kHz
+      app.handleAudioData(new ArrayBuffer(4800));
+      app.handleSessionEvent({ Event: 'ResponseAudioDone', Payload: {} });
+
+      app.state.isAvatarConnected = true;
+      app.handleAudioData(new ArrayBuffer(4800));
+      return { queued, streamsEnded };
+    });
+
+    expect(result.queued).toEqual([4800]);
+    expect(result.streamsEnded).toBe(1);
+  });
+
+});
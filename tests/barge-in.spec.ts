@@ -0,0 +1,125 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Barge-in Tests
+ * Tests that interrupting the agent truncates the response actually being heard,
+ * even after the next response was created, and marks that response's message.
+ */
+
+test.describe('Barge-in', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // Real playback bookkeeping on a frozen audio clock, a socket that records interrupts
+    await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { AudioHandler } = await import('/js/handlers/audio-handler.js');
+      const { BargeInHandler } = await import('/js/handlers/barge-in-handler.js');
+      const { TranscriptStreamer } = await import('/js/managers/transcript-streamer.js');
+      const bus = new EventBus();
+      const audioHandler = new AudioHandler(null, bus);
+      audioHandler.audioContext = { currentTime: 0, outputLatency: 0 };
+      const interrupts: unknown[] = [];
+      const wsHandler = { sendInterrupt: (interrupt: unknown) => interrupts.push(interrupt) };
+      const bargeIn = new BargeInHandler(audioHandler, wsHandler, bus);
+      const setEchoCancellation = (echoCancellation: boolean) => {
+        const track = { getSettings: () => ({ echoCancellation }) };
+        audioHandler.mediaStream = { getAudioTracks: () => [track] };
+      };
+      new TranscriptStreamer().subscribe(bus);
+
+      // Chunks of a response, back to back from startTime (seconds)
+      const schedule = (responseId: string, startTime: number, durations: number[]) => {
+        let offsetMs = 0;
+        durations.forEach(durationMs => {
+          audioHandler.scheduledSources.push({ source: { stop() {} }, startTime, durationMs, isConcealment: false, responseId, offsetMs });
+          startTime += durationMs / 1000;
+          offsetMs += durationMs;
+        });
+      };
+      const respond = (ResponseId: string, ItemId: string, Delta: string) => {
+        bus.emit(APP_EVENTS.RESPONSE_CREATED, { ResponseId });
+        bus.emit(APP_EVENTS.RESPONSE_OUTPUT_ITEM_ADDED, { ResponseId, ItemId });
+        bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId, Delta });
+      };
+      const bubble = (responseId: string) => {
+        const item = document.querySelector(`#transcriptContent .transcript-item.agent[data-response-id="${responseId}"]`)!;
+        return { interrupted: item.classList.contains('interrupted'), title: (item as HTMLElement).title };
+      };
+
+      (window as any).__bargeIn = { bus, APP_EVENTS, audioHandler, bargeIn, interrupts, schedule, respond, bubble, setEchoCancellation };
+    });
+  });
+
+  test('should truncate the response being heard when the next one was already created', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, audioHandler, bargeIn, interrupts, schedule, respond, bubble } = (window as any).__bargeIn;
+      respond('r1', 'item-1', 'The first answer');
+      schedule('r1', 0, [1000, 1000]);
+
+      // The next response starts while the first one is still playing
+      respond('r2', 'item-2', 'The second answer');
+      audioHandler.audioContext.currentTime = 1.4;
+
+      bus.emit(APP_EVENTS.SPEECH_STARTED, {});
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return {
+        interrupts,
+        first: bubble('r1'),
+        second: bubble('r2'),
+        flushed: audioHandler.hasPendingPlayback(),
+        interrupting: bargeIn.isInterrupting
+      };
+    });
+
+    expect(result.interrupts).toEqual([{ responseId: 'r1', itemId: 'item-1', audioEndMs: 1400, cancelResponse: false }]);
+    expect(result.first).toEqual({ interrupted: true, title: 'Interrupted after 1.4s' });
+    expect(result.second.interrupted).toBe(false);
+    expect(result.flushed).toBe(false);
+    expect(result.interrupting).toBe(false);
+  });
+
+  test('should ask the server to cancel when the interruption is detected locally', async ({ page }) => {
+    const interrupts = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, audioHandler, interrupts, schedule, respond, setEchoCancellation } = (window as any).__bargeIn;
+      respond('r1', 'item-1', 'An answer');
+      schedule('r1', 0, [500, 500]);
+      audioHandler.audioContext.currentTime = 0.75;
+      setEchoCancellation(true);
+
+      bus.emit(APP_EVENTS.LOCAL_SPEECH_STARTED, {});
+      await new Promise(resolve => setTimeout(resolve, 300));
+
+      // Nothing is playing any more: no second interrupt
+      bus.emit(APP_EVENTS.SPEECH_STARTED, {});
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return interrupts;
+    });
+
+    expect(interrupts).toEqual([{ responseId: 'r1', itemId: 'item-1', audioEndMs: 750, cancelResponse: true }]);
+  });
+
+  test('should leave the interruption to the server without echo cancellation', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, audioHandler, interrupts, schedule, respond, setEchoCancellation } = (window as any).__bargeIn;
+      respond('r1', 'item-1', 'An answer');
+      schedule('r1', 0, [500, 500]);
+      audioHandler.audioContext.currentTime = 0.25;
+      setEchoCancellation(false);
+
+      // The agent's own voice from the speakers
+      bus.emit(APP_EVENTS.LOCAL_SPEECH_STARTED, {});
+      await new Promise(resolve => setTimeout(resolve, 300));
+      const afterLocal = { interrupts: interrupts.length, playing: audioHandler.hasPendingPlayback() };
+
+      bus.emit(APP_EVENTS.SPEECH_STARTED, {});
+      await new Promise(resolve => setTimeout(resolve, 300));
+      return { afterLocal, interrupts };
+    });
+
+    expect(result.afterLocal).toEqual({ interrupts: 0, playing: true });
+    expect(result.interrupts).toEqual([{ responseId: 'r1', itemId: 'item-1', audioEndMs: 250, cancelResponse: false }]);
+  });
+
+});
@@ -0,0 +1,141 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Spending Limit Tests
+ * Tests that the consumption tracker warns before a budget is reached, raises the
+ * hard stop once when it is, and that the voice pages stop the session on it.
+ */
+
+test.describe('Spending Limits', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // The tracker singleton, moved to a bus of its own with an empty history
+    await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { consumptionTracker } = await import('/js/managers/consumption-tracker.js');
+      localStorage.clear();
+      consumptionTracker.clearHistory();
+
+      const bus = new EventBus();
+      consumptionTracker.subscribe(bus);
+      const alerts: { event: string, alert: unknown }[] = [];
+      bus.on(APP_EVENTS.BUDGET_WARNING, (alert: unknown) => alerts.push({ event: 'warning', alert }));
+      bus.on(APP_EVENTS.BUDGET_EXCEEDED, (alert: unknown) => alerts.push({ event: 'exceeded', alert }));
+
+      const respond = (TotalTokens: number) => bus.emit(APP_EVENTS.RESPONSE_DONE, {
+        Usage: { InputTokens: TotalTokens / 2, OutputTokens: TotalTokens / 2, TotalTokens }
+      });
+      const startSession = (SessionId: string) => bus.emit(APP_EVENTS.SESSION_CREATED, { SessionId, Model: 'gpt-4o' });
+
+      (window as any).__budget = { bus, APP_EVENTS, consumptionTracker, alerts, respond, startSession };
+    });
+  });
+
+  test('should warn, then raise the hard stop once when the session limit is reached', async ({ page }) => {
+    const alerts = await page.evaluate(() => {
+      const { consumptionTracker, alerts, respond, startSession } = (window as any).__budget;
+      consumptionTracker.setBudget({ sessionTokens: 1000, warnPercent: 80, hardStop: true });
+      startSession('session-1');
+
+      respond(500);
+      respond(400); // 90%
+      respond(200); // 110%
+      respond(200); // Already reported
+      return alerts;
+    });
+
+    expect(alerts).toEqual([
+      { event: 'warning', alert: { scope: 'session', metric: 'tokens', used: 900, limit: 1000, level: 'warning', hardStop: true } },
+      { event: 'exceeded', alert: { scope: 'session', metric: 'tokens', used: 1100, limit: 1000, level: 'exceeded', hardStop: true } }
+    ]);
+  });
+
+  test('should not stop the session without the hard stop', async ({ page }) => {
+    const alerts = await page.evaluate(() => {
+      const { consumptionTracker, alerts, respond, startSession } = (window as any).__budget;
+      consumptionTracker.setBudget({ sessionTokens: 1000 });
+      startSession('session-1');
+      respond(1000);
+      return alerts;
+    });
+
+    expect(alerts).toHaveLength(1);
+    expect(alerts[0]).toMatchObject({ event: 'exceeded', alert: { level: 'exceeded', hardStop: false } });
+  });
+
+  test('should only count the current session in the session limit', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const { bus, APP_EVENTS, consumptionTracker, alerts, respond, startSession } = (window as any).__budget;
+      consumptionTracker.setBudget({ sessionTokens: 1000, hardStop: true });
+
+      startSession('session-1');
+      respond(700);
+      bus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: true });
+
+      // The dashboard totals carry over to the next session on the page, the limit does not
+      startSession('session-2');
+      respond(700);
+      return { alerts, totalTokens: consumptionTracker.totalTokens, session: consumptionTracker.getSessionUsage().tokens };
+    });
+
+    expect(result.alerts).toEqual([]);
+    expect(result.totalTokens).toBe(1400);
+    expect(result.session).toBe(700);
+  });
+
+  test('should count the sessions saved today in the daily limit', async ({ page }) => {
+    const result = await page.evaluate(() => {
+      const { bus, APP_EVENTS, consumptionTracker, alerts, respond, startSession } = (window as any).__budget;
+      consumptionTracker.setBudget({ dailyTokens: 1000, hardStop: true });
+
+      startSession('session-1');
+      respond(600);
+      bus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: true });
+      const afterFirst = alerts.length;
+
+      startSession('session-2');
+      respond(300);
+      respond(200);
+      return { afterFirst, alerts, daily: consumptionTracker.getDailyUsage().tokens };
+    });
+
+    expect(result.afterFirst).toBe(0);
+    expect(result.daily).toBe(1100);
+    expect(result.alerts.map((entry: any) => [entry.event, entry.alert.scope, entry.alert.used])).toEqual([
+      ['warning', 'daily', 900],
+      ['exceeded', 'daily', 1100]
+    ]);
+  });
+
+  test('should not check limits outside a live session', async ({ page }) => {
+    const alerts = await page.evaluate(() => {
+      const { consumptionTracker, alerts, respond } = (window as any).__budget;
+      consumptionTracker.setBudget({ sessionTokens: 100, hardStop: true });
+      respond(500);
+      return alerts;
+    });
+
+    expect(alerts).toEqual([]);
+  });
+
+  test('should stop an active session on a hard stop only', async ({ page }) => {
+    const stops = await page.evaluate(async () => {
+      const { BaseVoiceApp } = await import('/js/core/base-voice-app.js');
+      const app = { isSessionActive: true, stops: 0, stopSession() { this.stops++; } };
+      const handle = (alert: unknown) => BaseVoiceApp.prototype.handleBudgetExceeded.call(app, alert);
+
+      handle({ level: 'exceeded', hardStop: false });
+      const withoutHardStop = app.stops;
+      handle({ level: 'exceeded', hardStop: true });
+      const withHardStop = app.stops;
+      app.isSessionActive = false;
+      handle({ level: 'exceeded', hardStop: true });
+      return { withoutHardStop, withHardStop, afterSession: app.stops };
+    });
+
+    expect(stops).toEqual({ withoutHardStop: 0, withHardStop: 1, afterSession: 1 });
+  });
+
+});
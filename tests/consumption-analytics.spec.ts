@@ -0,0 +1,86 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Consumption Analytics Tests
+ * Tests that each saved session holds its own consumption, even when several
+ * sessions run in one page load, and that the analytics sum those records.
+ */
+
+// gpt-4o costs 1 USD per 1K input tokens and 2 USD per 1K output tokens
+const PRICING = {
+  pricing: [{
+    modelName: 'gpt-4o',
+    inputTokenCost: 1,
+    outputTokenCost: 2,
+    cachedInputTokenCost: 0.5,
+    audioInputTokenCost: 0,
+    effectiveFrom: '2025-01-01T00:00:00Z'
+  }],
+  baseCurrency: 'USD',
+  exchangeRates: {}
+};
+
+test.describe('Consumption Analytics', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.route('**/api/admin/pricing/list', route => route.fulfill({ json: PRICING }));
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should save and analyze two sessions of one page load separately', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { consumptionTracker } = await import('/js/managers/consumption-tracker.js');
+      const { ConsumptionAnalytics } = await import('/js/modules/consumption-analytics.js');
+      await consumptionTracker.pricingManager.loadServerPricing();
+      consumptionTracker.clearHistory();
+
+      const bus = new EventBus();
+      consumptionTracker.subscribe(bus);
+      const respond = (InputTokens: number, OutputTokens: number) => {
+        bus.emit(APP_EVENTS.RESPONSE_CREATED, {});
+        bus.emit(APP_EVENTS.RESPONSE_DONE, { Usage: { InputTokens, OutputTokens, TotalTokens: InputTokens + OutputTokens } });
+      };
+      const runSession = (SessionId: string, responses: number[][]) => {
+        bus.emit(APP_EVENTS.SESSION_CREATED, { SessionId, Model: 'gpt-4o' });
+        responses.forEach(([input, output]) => respond(input, output));
+        bus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: true });
+      };
+
+      runSession('session-1', [[500, 500]]);
+      runSession('session-2', [[100, 100], [100, 100]]);
+
+      const sessions = consumptionTracker.getRecentSessions();
+      const round = (value: number) => Math.round(value * 1000) / 1000;
+      const [today] = ConsumptionAnalytics.groupByPeriod(sessions, 'day', 1);
+      const averages = ConsumptionAnalytics.getAverages(sessions);
+      return {
+        records: sessions.map((session: any) => ({
+          sessionId: session.sessionId,
+          responses: session.responseCount,
+          tokens: session.tokens.total,
+          modelUsage: session.modelUsage['gpt-4o'].input + session.modelUsage['gpt-4o'].output,
+          cost: round(ConsumptionAnalytics.getSessionMetrics(session).cost)
+        })),
+        today: { sessions: today.sessions, tokens: today.tokens, cost: round(today.cost) },
+        models: ConsumptionAnalytics.breakdownByModel(sessions).map((row: any) => ({ ...row, cost: round(row.cost) })),
+        tokensPerResponse: averages.tokensPerResponse,
+        aggregatedTokens: consumptionTracker.getAggregatedConsumption().totalTokens,
+        pageTokens: consumptionTracker.totalTokens
+      };
+    });
+
+    // Newest first; the second session does not include the first one
+    expect(result.records).toEqual([
+      { sessionId: 'session-2', responses: 2, tokens: 400, modelUsage: 400, cost: 0.6 },
+      { sessionId: 'session-1', responses: 1, tokens: 1000, modelUsage: 1000, cost: 1.5 }
+    ]);
+    expect(result.today).toEqual({ sessions: 2, tokens: 1400, cost: 2.1 });
+    expect(result.models).toEqual([{ key: 'gpt-4o', sessions: 2, tokens: 1400, cost: 2.1 }]);
+    expect(result.tokensPerResponse).toBeCloseTo(1400 / 3);
+    expect(result.aggregatedTokens).toBe(1400);
+    // The dashboard still shows the totals of the page
+    expect(result.pageTokens).toBe(1400);
+  });
+
+});
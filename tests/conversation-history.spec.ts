@@ -0,0 +1,118 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Conversation History Tests
+ * Tests that each saved conversation keeps the consumption of its own session,
+ * and that saved conversations are found by their messages, flag notes and settings.
+ */
+
+test.describe('Conversation History', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should save the consumption of each session of a page load', async ({ page }) => {
+    const saved = await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { consumptionTracker } = await import('/js/managers/consumption-tracker.js');
+      const { conversationHistory } = await import('/js/managers/conversation-history.js');
+      const { transcriptStore } = await import('/js/managers/transcript-store.js');
+      const bus = new EventBus();
+      consumptionTracker.subscribe(bus);
+
+      const runSession = async (SessionId: string, TotalTokens: number) => {
+        conversationHistory.begin({ page: 'VoiceAgent', settings: {} });
+        bus.emit(APP_EVENTS.SESSION_CREATED, { SessionId, Model: 'gpt-4o' });
+        bus.emit(APP_EVENTS.RESPONSE_CREATED, {});
+        transcriptStore.addEntry('user', `Question of ${SessionId}`);
+        bus.emit(APP_EVENTS.RESPONSE_DONE, { Usage: { InputTokens: TotalTokens / 2, OutputTokens: TotalTokens / 2, TotalTokens } });
+        bus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: true });
+        await conversationHistory.end({ sessionId: SessionId, consumption: consumptionTracker.getSessionSummary() });
+      };
+
+      await runSession('history-1', 600);
+      await runSession('history-2', 200);
+
+      const consumption = async (sessionId: string) => {
+        const { totalTokens, totalInputTokens, responseCount, modelTokenUsage } = (await conversationHistory.get(sessionId)).consumption;
+        return { totalTokens, totalInputTokens, responseCount, models: Object.keys(modelTokenUsage) };
+      };
+      return {
+        first: await consumption('history-1'),
+        second: await consumption('history-2'),
+        pageTokens: consumptionTracker.getSummary().totalTokens
+      };
+    });
+
+    expect(saved.first).toEqual({ totalTokens: 600, totalInputTokens: 300, responseCount: 1, models: ['gpt-4o'] });
+    expect(saved.second).toEqual({ totalTokens: 200, totalInputTokens: 100, responseCount: 1, models: ['gpt-4o'] });
+    expect(saved.pageTokens).toBe(800);
+  });
+
+  test('should find saved conversations by message, flag note and settings', async ({ page }) => {
+    const results = await page.evaluate(async () => {
+      const { ConversationHistory } = await import('/js/managers/conversation-history.js');
+      const { transcriptStore } = await import('/js/managers/transcript-store.js');
+      const history = new ConversationHistory();
+
+      history.begin({ page: 'VoiceAgent', settings: { voice: 'alloy', voiceModel: 'gpt-4o' } });
+      transcriptStore.addEntry('user', 'Book a table in Rome');
+      transcriptStore.setFlag(transcriptStore.addEntry('agent', 'Done, for tomorrow'), 'Wrong date');
+      await history.end({ sessionId: 'rome' });
+
+      // Newer start time
+      await new Promise(resolve => setTimeout(resolve, 5));
+      history.begin({ page: 'VoiceAssistant', settings: { voice: 'shimmer', voiceModel: 'gpt-4o' } });
+      transcriptStore.addEntry('user', 'What is the weather in Paris?');
+      await history.end({ sessionId: 'paris' });
+
+      const search = async (query: string) => (await history.search(query)).map((record: any) => record.sessionId);
+      return {
+        all: await search(''),
+        message: await search('ROME'),
+        allTerms: await search('table rome'),
+        missingTerm: await search('rome paris'),
+        flagNote: await search('wrong date'),
+        setting: await search('shimmer'),
+        shared: await search('gpt-4o'),
+        page: await search('voiceassistant')
+      };
+    });
+
+    expect(results).toEqual({
+      all: ['paris', 'rome'],
+      message: ['rome'],
+      allTerms: ['rome'],
+      missingTerm: [],
+      flagNote: ['rome'],
+      setting: ['paris'],
+      shared: ['paris', 'rome'],
+      page: ['paris']
+    });
+  });
+
+  test('should search the in-memory fallback the same way, up to the limit', async ({ page }) => {
+    const results = await page.evaluate(async () => {
+      const { ConversationStore } = await import('/js/modules/conversation-store.js');
+      const store = new ConversationStore('conversation-history-test');
+      // IndexedDB unavailable
+      store.dbPromise = Promise.resolve(null);
+      store.memoryStore = new Map();
+
+      await store.put({ sessionId: 'one', startedAt: '2026-01-01T10:00:00Z', searchText: 'invoice overdue' });
+      await store.put({ sessionId: 'two', startedAt: '2026-01-03T10:00:00Z', searchText: 'invoice paid' });
+      await store.put({ sessionId: 'three', startedAt: '2026-01-02T10:00:00Z', searchText: 'invoice overdue again' });
+
+      const search = async (query: string, limit?: number) => (await store.search(query, limit)).map((record: any) => record.sessionId);
+      return {
+        latestTwo: await search('', 2),
+        overdue: await search('Overdue invoice'),
+        none: await search('refund')
+      };
+    });
+
+    expect(results).toEqual({ latestTwo: ['two', 'three'], overdue: ['three', 'one'], none: [] });
+  });
+
+});
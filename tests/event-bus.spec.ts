@@ -0,0 +1,111 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Event Bus Tests
+ * Tests that subscribers are added and removed with on/once/off, that a failing
+ * subscriber does not keep the others from running, and that clear() removes them.
+ */
+
+test.describe('Event Bus', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should call subscribers until they unsubscribe', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const bus = new EventBus();
+      const calls: string[] = [];
+
+      const handler = (data: string) => calls.push(`on:${data}`);
+      bus.on('ping', handler);
+      const unsubscribe = bus.on('ping', (data: string) => calls.push(`other:${data}`));
+      bus.once('ping', (data: string) => calls.push(`once:${data}`));
+
+      bus.emit('ping', 1);
+      bus.emit('ping', 2);
+      bus.off('ping', handler);
+      unsubscribe();
+      bus.emit('ping', 3);
+
+      return { calls, listeners: bus.listenerCount('ping') };
+    });
+
+    expect(result.calls).toEqual(['on:1', 'other:1', 'once:1', 'on:2', 'other:2']);
+    expect(result.listeners).toBe(0);
+  });
+
+  test('should keep calling the other subscribers when one throws', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const bus = new EventBus();
+      const calls: string[] = [];
+      const errors: string[] = [];
+      const consoleError = console.error;
+      console.error = (...args: unknown[]) => errors.push(String(args[0]));
+
+      bus.on('ping', () => { throw new Error('Boom'); });
+      bus.on('ping', (data: string) => calls.push(`second:${data}`));
+      let thrown = false;
+      try {
+        bus.emit('ping', 1);
+      } catch (error) {
+        thrown = true;
+      } finally {
+        console.error = consoleError;
+      }
+
+      return { calls, errors, thrown };
+    });
+
+    expect(result.thrown).toBe(false);
+    expect(result.calls).toEqual(['second:1']);
+    expect(result.errors).toEqual(['[EventBus] Error in "ping" handler:']);
+  });
+
+  test('should let a subscriber unsubscribe while the event is emitted', async ({ page }) => {
+    const calls = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const bus = new EventBus();
+      const calls: string[] = [];
+
+      const first = () => {
+        calls.push('first');
+        bus.off('ping', first);
+      };
+      bus.on('ping', first);
+      bus.on('ping', () => calls.push('second'));
+
+      bus.emit('ping');
+      bus.emit('ping');
+      return calls;
+    });
+
+    expect(calls).toEqual(['first', 'second', 'second']);
+  });
+
+  test('should clear the subscribers of one event or of all events', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const bus = new EventBus();
+      const calls: string[] = [];
+      bus.on('ping', () => calls.push('ping'));
+      bus.on('pong', () => calls.push('pong'));
+
+      bus.clear('ping');
+      bus.emit('ping');
+      bus.emit('pong');
+      const afterOne = { calls: [...calls], ping: bus.listenerCount('ping'), pong: bus.listenerCount('pong') };
+
+      bus.clear();
+      bus.emit('pong');
+      return { afterOne, calls, pong: bus.listenerCount('pong') };
+    });
+
+    expect(result.afterOne).toEqual({ calls: ['pong'], ping: 0, pong: 1 });
+    expect(result.calls).toEqual(['pong']);
+    expect(result.pong).toBe(0);
+  });
+
+});
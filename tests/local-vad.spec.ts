@@ -0,0 +1,79 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Local Voice Detection Settings Tests
+ * Tests that the local VAD settings are read from the settings panel and turned
+ * into detector options, with the defaults for empty or invalid values.
+ */
+
+test.describe('Local VAD Settings', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should only suppress silence when asked to', async ({ page }) => {
+    const options = await page.evaluate(async () => {
+      const { DEFAULT_SETTINGS, getVadOptions } = await import('/js/core/config.js');
+      return {
+        defaults: getVadOptions(DEFAULT_SETTINGS),
+        detectOnly: getVadOptions({ ...DEFAULT_SETTINGS, localVad: true, localVadSuppressSilence: false }),
+        suppress: getVadOptions({ ...DEFAULT_SETTINGS, localVad: true })
+      };
+    });
+
+    expect(options.defaults).toMatchObject({ enabled: false, suppressSilence: false });
+    expect(options.detectOnly).toMatchObject({ enabled: true, suppressSilence: false });
+    expect(options.suppress).toMatchObject({ enabled: true, suppressSilence: true });
+  });
+
+  test('should apply the tuning fields and fall back to the defaults', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { DEFAULT_SETTINGS, VAD_CONFIG, getVadOptions } = await import('/js/core/config.js');
+      const { populateLocalVadForm, readLocalVadForm } = await import('/js/ui/local-vad-settings.js');
+
+      // The fields of Pages/Shared/_LocalVadSettings.cshtml
+      const form = document.createElement('div');
+      form.innerHTML = `
+        <input id="localVadToggle" type="checkbox" />
+        <input id="localVadSuppressSilenceToggle" type="checkbox" />
+        <input id="localVadThresholdInput" type="number" />
+        <input id="localVadHangoverInput" type="number" />
+        <input id="localVadPreRollInput" type="number" />`;
+      document.body.appendChild(form);
+      const field = (id: string) => document.getElementById(id) as HTMLInputElement;
+
+      populateLocalVadForm(DEFAULT_SETTINGS);
+      const placeholders = ['localVadThresholdInput', 'localVadHangoverInput', 'localVadPreRollInput'].map(id => field(id).placeholder);
+      const suppressByDefault = field('localVadSuppressSilenceToggle').checked;
+
+      field('localVadToggle').checked = true;
+      field('localVadSuppressSilenceToggle').checked = false;
+      field('localVadThresholdInput').value = '0.05';
+      field('localVadHangoverInput').value = '100';
+      const settings = { ...DEFAULT_SETTINGS, ...readLocalVadForm(DEFAULT_SETTINGS) };
+
+      return { VAD_CONFIG, placeholders, suppressByDefault, settings, options: getVadOptions(settings) };
+    });
+
+    const { VAD_CONFIG } = result;
+    expect(result.placeholders).toEqual([VAD_CONFIG.ENERGY_THRESHOLD, VAD_CONFIG.HANGOVER_BLOCKS, VAD_CONFIG.PRE_ROLL_BLOCKS].map(String));
+    expect(result.suppressByDefault).toBe(true);
+    expect(result.settings).toMatchObject({
+      localVad: true,
+      localVadSuppressSilence: false,
+      localVadThreshold: '0.05',
+      localVadHangoverBlocks: '100',
+      localVadPreRollBlocks: ''
+    });
+    // Out of range values are clamped, empty ones keep the default
+    expect(result.options).toMatchObject({
+      enabled: true,
+      suppressSilence: false,
+      energyThreshold: 0.05,
+      hangoverBlocks: 20,
+      preRollBlocks: VAD_CONFIG.PRE_ROLL_BLOCKS
+    });
+  });
+
+});
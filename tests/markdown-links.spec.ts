@@ -0,0 +1,112 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Markdown Link Safety Tests
+ * Tests that transcript Markdown only links URLs with an allowed scheme and never
+ * renders raw HTML, whether a message is rendered at once or streamed.
+ */
+
+test.describe('Markdown Links', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should link allowed schemes and relative URLs', async ({ page }) => {
+    const links = await page.evaluate(async () => {
+      const { renderMarkdown } = await import('/js/modules/markdown-renderer.js');
+      const container = document.createElement('div');
+      container.innerHTML = renderMarkdown([
+        '[Docs](https://example.com/docs "Docs")',
+        '<mailto:help@example.com>',
+        '[Call](tel:+15551234)',
+        '[Home](/VoiceAssistant)',
+        'See www.example.com.'
+      ].join('\n\n'));
+      return Array.from(container.querySelectorAll('a')).map(a => ({
+        href: a.getAttribute('href'),
+        target: a.getAttribute('target'),
+        rel: a.getAttribute('rel')
+      }));
+    });
+
+    expect(links.map(link => link.href)).toEqual([
+      'https://example.com/docs',
+      'mailto:help@example.com',
+      'tel:+15551234',
+      '/VoiceAssistant',
+      'http://www.example.com'
+    ]);
+    for (const link of links) {
+      expect(link.target).toBe('_blank');
+      expect(link.rel).toBe('noopener noreferrer');
+    }
+  });
+
+  test('should render links with other schemes as plain text', async ({ page }) => {
+    const results = await page.evaluate(async () => {
+      const { renderMarkdown } = await import('/js/modules/markdown-renderer.js');
+      return [
+        '[Click](javascript:alert(1))',
+        '[Click](JavaScript:alert(1))',
+        '[Click](java\tscript:alert(1))',
+        '[Click]( vbscript:msgbox(1))',
+        '[Click](data:text/html;base64,PHNjcmlwdD4=)',
+        '<javascript:alert(1)>'
+      ].map(markdown => {
+        const container = document.createElement('div');
+        container.innerHTML = renderMarkdown(markdown);
+        return { anchors: container.querySelectorAll('a').length, text: container.textContent };
+      });
+    });
+
+    for (const result of results) {
+      expect(result.anchors).toBe(0);
+    }
+    expect(results[0].text).toBe('Click');
+    expect(results[5].text).toBe('javascript:alert(1)');
+  });
+
+  test('should escape raw HTML', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { renderMarkdown } = await import('/js/modules/markdown-renderer.js');
+      const container = document.createElement('div');
+      container.innerHTML = renderMarkdown('<img src=x onerror="window.__xss = true"> and <script>window.__xss = true</script>');
+      document.body.appendChild(container);
+      return {
+        elements: container.querySelectorAll('img, script').length,
+        text: container.textContent,
+        xss: (window as any).__xss === true
+      };
+    });
+
+    expect(result.elements).toBe(0);
+    expect(result.text).toContain('<img src=x');
+    expect(result.xss).toBe(false);
+  });
+
+  test('should apply the same rules while a message streams', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { renderMarkdown, IncrementalMarkdownRenderer } = await import('/js/modules/markdown-renderer.js');
+      const message = 'First [safe](https://example.com) link.\n\nThen [unsafe](javascript:alert(1)) link.\n\nDone.';
+      const element = document.createElement('div');
+      const renderer = new IncrementalMarkdownRenderer(element);
+
+      const unsafeHrefs: string[] = [];
+      for (let i = 0; i < message.length; i += 3) {
+        renderer.append(message.slice(i, i + 3));
+        element.querySelectorAll('a').forEach(a => {
+          const href = a.getAttribute('href') || '';
+          if (!href.startsWith('https:')) unsafeHrefs.push(href);
+        });
+      }
+      renderer.finish();
+
+      return { unsafeHrefs, html: element.innerHTML, expected: renderMarkdown(message) };
+    });
+
+    expect(result.unsafeHrefs).toEqual([]);
+    expect(result.html).toBe(result.expected);
+  });
+
+});
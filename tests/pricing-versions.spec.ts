@@ -0,0 +1,135 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Effective-Dated Pricing Tests
+ * Tests that costs use the price a model had when the tokens were used, that saved
+ * sessions are costed with the price valid when they started, and that the exchange
+ * rates come from the server.
+ */
+
+// gpt-4o cost 0.5 USD per 1K input tokens in 2025, 1 USD until June 2026 and 2 USD since
+const PRICE_CHANGE = '2026-06-01T00:00:00Z';
+const PRICING = {
+  pricing: [{
+    modelName: 'gpt-4o',
+    inputTokenCost: 2,
+    outputTokenCost: 4,
+    cachedInputTokenCost: 1,
+    audioInputTokenCost: 0,
+    effectiveFrom: PRICE_CHANGE,
+    versions: [
+      { effectiveTo: '2026-01-01T00:00:00Z', inputTokenCost: 0.5, outputTokenCost: 1, cachedInputTokenCost: 0.25 },
+      { effectiveTo: PRICE_CHANGE, inputTokenCost: 1, outputTokenCost: 2, cachedInputTokenCost: 0.5 }
+    ]
+  }],
+  baseCurrency: 'USD',
+  exchangeRates: { eur: 0.9, GBP: 0.8, XXX: -1 }
+};
+
+test.describe('Effective-Dated Pricing', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.route('**/api/admin/pricing/list', route => route.fulfill({ json: PRICING }));
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should cost tokens with the price valid when they were used', async ({ page }) => {
+    const costs = await page.evaluate(async () => {
+      const { PricingManager } = await import('/js/modules/pricing-manager.js');
+      const pricing = new PricingManager();
+      await pricing.loadServerPricing();
+
+      const usage = { input: 1000, output: 0, cached: 0 };
+      return {
+        current: pricing.calculateCosts('gpt-4o', usage).total,
+        afterChange: pricing.calculateCosts('gpt-4o', usage, '2026-07-15T10:00:00Z').total,
+        atChange: pricing.calculateCosts('gpt-4o', usage, '2026-06-01T00:00:00Z').total,
+        beforeChange: pricing.calculateCosts('gpt-4o', usage, '2026-05-31T23:59:59Z').total,
+        oldest: pricing.calculateCosts('gpt-4o', usage, '2025-03-01T00:00:00Z').total,
+        // Audio rates sent as 0 are not configured: audio is billed as text
+        audio: pricing.calculateCosts('gpt-4o', { input: 1000, inputAudio: 1000, output: 0, cached: 0 }).total
+      };
+    });
+
+    expect(costs).toEqual({ current: 2, afterChange: 2, atChange: 2, beforeChange: 1, oldest: 0.5, audio: 2 });
+  });
+
+  test('should recost saved sessions with the price of their start time', async ({ page }) => {
+    const sessions = await page.evaluate(async () => {
+      const { consumptionTracker } = await import('/js/managers/consumption-tracker.js');
+      await consumptionTracker.pricingManager.loadServerPricing();
+
+      const usage = { input: 1000, output: 500, cached: 0, inputAudio: 0, outputAudio: 0, cachedAudio: 0 };
+      consumptionTracker.clearHistory();
+      consumptionTracker.historyManager.save({
+        sessions: [
+          { sessionId: 'after', startTime: '2026-07-01T09:00:00Z', modelUsage: { 'gpt-4o': usage }, modelCosts: {} },
+          { sessionId: 'before', startTime: '2026-05-20T09:00:00Z', modelUsage: { 'gpt-4o': usage }, modelCosts: {} }
+        ]
+      });
+
+      return consumptionTracker.getRecentSessions().map((session: any) => ({
+        sessionId: session.sessionId,
+        total: session.modelCosts['gpt-4o'].total
+      }));
+    });
+
+    expect(sessions).toEqual([
+      { sessionId: 'after', total: 4 },
+      { sessionId: 'before', total: 2 }
+    ]);
+  });
+
+  test('should recost each session of a page load with its own usage', async ({ page }) => {
+    const runSession = (SessionId: string) => page.evaluate(async (SessionId) => {
+      const { APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { bus } = (window as any).__pricing;
+      bus.emit(APP_EVENTS.SESSION_CREATED, { SessionId, Model: 'gpt-4o' });
+      bus.emit(APP_EVENTS.RESPONSE_DONE, { Usage: { InputTokens: 1000, OutputTokens: 0, TotalTokens: 1000 } });
+      bus.emit(APP_EVENTS.CONNECTION_CLOSED, { intentional: true });
+    }, SessionId);
+
+    await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { consumptionTracker } = await import('/js/managers/consumption-tracker.js');
+      await consumptionTracker.pricingManager.loadServerPricing();
+      consumptionTracker.clearHistory();
+      const bus = new EventBus();
+      consumptionTracker.subscribe(bus);
+      (window as any).__pricing = { bus };
+    });
+
+    // One session on each side of the price change
+    await page.clock.setFixedTime('2026-05-31T23:00:00Z');
+    await runSession('before');
+    await page.clock.setFixedTime('2026-06-01T01:00:00Z');
+    await runSession('after');
+
+    const sessions = await page.evaluate(async () => {
+      const { consumptionTracker } = await import('/js/managers/consumption-tracker.js');
+      return consumptionTracker.getRecentSessions().map((session: any) => ({
+        sessionId: session.sessionId,
+        total: session.modelCosts['gpt-4o'].total
+      }));
+    });
+
+    // The second session is not charged again for the tokens of the first
+    expect(sessions).toEqual([
+      { sessionId: 'after', total: 2 },
+      { sessionId: 'before', total: 1 }
+    ]);
+  });
+
+  test('should load the exchange rates from the server', async ({ page }) => {
+    const rates = await page.evaluate(async () => {
+      const { PricingManager } = await import('/js/modules/pricing-manager.js');
+      const pricing = new PricingManager();
+      await pricing.loadServerPricing();
+      return ['USD', 'eur', 'GBP', 'XXX', 'JPY'].map(currency => pricing.getExchangeRate(currency));
+    });
+
+    // Invalid and unknown rates are left out
+    expect(rates).toEqual([1, 0.9, 0.8, null, null]);
+  });
+
+});
@@ -0,0 +1,156 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Protocol Layer Tests
+ * Tests that inbound frames are normalized and validated against their schema,
+ * and that outbound messages are built with their defaults.
+ */
+
+test.describe('Protocol Validation', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should normalize inbound keys and resolve session event names', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseInboundMessage } = await import('/js/core/protocol.js');
+      const transcription = parseInboundMessage(JSON.stringify({ kind: 'Transcription', text: 'Hi', role: 'user' }));
+      const sessionEvent = parseInboundMessage(JSON.stringify({
+        Kind: 'SessionEvent',
+        Event: 'response.audio_timestamp.delta',
+        Payload: { audio_offset_ms: 120, item_id: 'item-1' }
+      }));
+      return { transcription: transcription.fields, sessionEvent: sessionEvent.fields };
+    });
+
+    expect(result.transcription).toEqual({ Text: 'Hi', Role: 'user' });
+    expect(result.sessionEvent.EventType).toBe('AudioTimestampDelta');
+    expect(result.sessionEvent.Payload).toEqual({ AudioOffsetMs: 120, ItemId: 'item-1' });
+  });
+
+  test('should leave nested payload values as they were sent', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { parseInboundMessage, createOutboundMessage } = await import('/js/core/protocol.js');
+      const completed = parseInboundMessage(JSON.stringify({
+        kind: 'SessionEvent',
+        event: 'FunctionCallCompleted',
+        payload: { call_id: 'call-1', result: { order_id: 7, items: [{ sku_code: 'A1' }] } }
+      }));
+      const config = createOutboundMessage('Config', {
+        voiceModel: 'gpt-4o',
+        voice: 'alloy',
+        resumeHistory: [{ Role: 'user', Text: 'Hi', custom_note: 'kept' }]
+      });
+      return { payload: completed.fields.Payload, config };
+    });
+
+    expect(result.payload).toEqual({ CallId: 'call-1', Result: { order_id: 7, items: [{ sku_code: 'A1' }] } });
+    expect(result.config.VoiceModel).toBe('gpt-4o');
+    expect(result.config.ResumeHistory).toEqual([{ Role: 'user', Text: 'Hi', custom_note: 'kept' }]);
+  });
+
+  test('should accept every message kind the server sends', async ({ page }) => {
+    const kinds = await page.evaluate(async () => {
+      const { parseInboundMessage } = await import('/js/core/protocol.js');
+      return [
+        { Kind: 'StopAudio' },
+        { Kind: 'AudioData', AudioData: { data: 'AAA=' } },
+        { Kind: 'Error', Message: 'Boom' }
+      ].map(frame => {
+        const { kind, fields } = parseInboundMessage(JSON.stringify(frame));
+        return { kind, data: fields.AudioData?.Data };
+      });
+    });
+
+    expect(kinds).toEqual([
+      { kind: 'StopAudio' },
+      { kind: 'AudioData', data: 'AAA=' },
+      { kind: 'Error' }
+    ]);
+  });
+
+  test('should reject malformed frames with the offending field', async ({ page }) => {
+    const errors = await page.evaluate(async () => {
+      const { parseInboundMessage, ProtocolError } = await import('/js/core/protocol.js');
+      const frames = [
+        'not json',
+        JSON.stringify({ Text: 'No kind' }),
+        JSON.stringify({ Kind: 'Unknown' }),
+        JSON.stringify({ Kind: 'Config', VoiceModel: 'gpt-4o', Voice: 'alloy' }),
+        JSON.stringify({ Kind: 'Transcription' }),
+        JSON.stringify({ Kind: 'Transcription', Text: 42 }),
+        JSON.stringify({ Kind: 'Transcription', Text: 'Hi', Role: 'system' }),
+        // The avatar page reads its SDP answer from /avatar/ws itself
+        JSON.stringify({ Kind: 'SdpAnswer', Sdp: 'v=0' })
+      ];
+      return frames.map(frame => {
+        try {
+          parseInboundMessage(frame);
+          return null;
+        } catch (error) {
+          return { isProtocolError: error instanceof ProtocolError, field: (error as any).field };
+        }
+      });
+    });
+
+    expect(errors).toEqual([
+      { isProtocolError: true, field: null },
+      { isProtocolError: true, field: 'Kind' },
+      { isProtocolError: true, field: 'Kind' },
+      // Outbound kinds are not accepted from the server
+      { isProtocolError: true, field: 'Kind' },
+      { isProtocolError: true, field: 'Text' },
+      { isProtocolError: true, field: 'Text' },
+      { isProtocolError: true, field: 'Role' },
+      { isProtocolError: true, field: 'Kind' }
+    ]);
+  });
+
+  test('should build outbound messages with their defaults', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { createOutboundMessage } = await import('/js/core/protocol.js');
+      const config = createOutboundMessage('Config', { VoiceModel: 'gpt-4o', Voice: 'alloy' });
+      const interrupt = createOutboundMessage('Interrupt', { AudioEndMs: 1500 });
+      let missing = null;
+      try {
+        createOutboundMessage('Config', { Voice: 'alloy' });
+      } catch (error) {
+        missing = (error as any).field;
+      }
+      return { config, interrupt, missing };
+    });
+
+    expect(result.config).toMatchObject({
+      Kind: 'Config',
+      VoiceModel: 'gpt-4o',
+      Voice: 'alloy',
+      WelcomeMessage: '',
+      Locale: 'en-US',
+      PushToTalk: false
+    });
+    expect(result.interrupt).toEqual({ Kind: 'Interrupt', ResponseId: '', ItemId: '', AudioEndMs: 1500, CancelResponse: false });
+    expect(result.missing).toBe('VoiceModel');
+  });
+
+  test('should play AudioData frames and report malformed frames', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      const bus = new EventBus();
+      const audio: number[][] = [];
+      const protocolErrors: unknown[] = [];
+      bus.on(APP_EVENTS.PROTOCOL_ERROR, (error: unknown) => protocolErrors.push(error));
+
+      const handler = new WebSocketHandler({ onAudio: (buffer: ArrayBuffer) => audio.push([...new Uint8Array(buffer)]) }, { eventBus: bus });
+      handler.handleMessage({ data: JSON.stringify({ Kind: 'AudioData', AudioData: { Data: btoa('\x01\x02\x03\x04') } }) });
+      handler.handleMessage({ data: JSON.stringify({ Kind: 'Transcription', Text: 'Hi', Role: 'robot' }) });
+      return { audio, protocolErrors };
+    });
+
+    expect(result.audio).toEqual([[1, 2, 3, 4]]);
+    expect(result.protocolErrors).toHaveLength(1);
+    expect(result.protocolErrors[0]).toMatchObject({ field: 'Role' });
+  });
+
+});
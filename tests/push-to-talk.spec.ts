@@ -0,0 +1,131 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Push-to-Talk Tests
+ * Tests that microphone audio only flows while the talk key is held and that
+ * releasing it commits the turn after the last captured block.
+ */
+
+test.describe('Push-to-Talk', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // Wire the handlers the way the voice pages do, with a recording socket and a stub worklet
+    await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      const { AudioHandler } = await import('/js/handlers/audio-handler.js');
+      const { PushToTalkHandler } = await import('/js/handlers/push-to-talk-handler.js');
+
+      const sent: unknown[] = [];
+      const bus = new EventBus();
+      const ws = new WebSocketHandler({}, { eventBus: bus });
+      ws.socket = { send: (frame: unknown) => sent.push(typeof frame === 'string' ? JSON.parse(frame) : 'audio') };
+      ws.isConnected = true;
+
+      const audio = new AudioHandler(null, bus);
+      audio.isMuted = false;
+      audio.onAudioData = (buffer: ArrayBuffer) => ws.sendAudio(buffer);
+      const block = () => audio.handleProcessorMessage({ type: 'audio-data', rms: 0.2, buffer: new ArrayBuffer(8) });
+      // The worklet delivers the block it was filling, then confirms the flush
+      audio.audioWorkletNode = {
+        port: {
+          postMessage: (message: { type: string }) => {
+            if (message.type !== 'flush') return;
+            setTimeout(() => {
+              block();
+              audio.handleProcessorMessage({ type: 'flushed' });
+            }, 10);
+          }
+        }
+      };
+
+      const released: Promise<void>[] = [];
+      const pushToTalk = new PushToTalkHandler({
+        onPress: () => audio.setTransmitting(true),
+        onRelease: () => {
+          released.push(audio.endTransmission().then(() => ws.sendCommit()));
+        }
+      });
+
+      (window as any).__ptt = { ws, audio, pushToTalk, sent, block, released };
+    });
+  });
+
+  test('should send the push-to-talk flag in the session config', async ({ page }) => {
+    const config = await page.evaluate(() => {
+      const { ws, sent } = (window as any).__ptt;
+      ws.sendConfig({ voiceModel: 'gpt-4o', voice: 'alloy', pushToTalk: true });
+      ws.sendConfig({ voiceModel: 'gpt-4o', voice: 'alloy' });
+      return sent.map((message: any) => message.PushToTalk);
+    });
+
+    expect(config).toEqual([true, false]);
+  });
+
+  test('should forward audio only while Space is held and commit on release', async ({ page }) => {
+    await page.evaluate(() => {
+      const { audio, pushToTalk, block } = (window as any).__ptt;
+      audio.setPushToTalk(true);
+      pushToTalk.setEnabled(true);
+      // Captured before the key is pressed: withheld
+      block();
+    });
+
+    await page.keyboard.down('Space');
+    await page.evaluate(() => (window as any).__ptt.block());
+    await page.keyboard.up('Space');
+
+    const sent = await page.evaluate(async () => {
+      const { sent, released } = (window as any).__ptt;
+      await Promise.all(released);
+      return sent;
+    });
+
+    // The block flushed on release is sent before the commit
+    expect(sent).toEqual(['audio', 'audio', { Kind: 'Commit' }]);
+    await expect(page.locator('body')).toHaveClass(/push-to-talk-mode/);
+  });
+
+  test('should keep Space for typing in text fields', async ({ page }) => {
+    await page.evaluate(() => {
+      const { audio, pushToTalk } = (window as any).__ptt;
+      audio.setPushToTalk(true);
+      pushToTalk.setEnabled(true);
+      const input = document.createElement('textarea');
+      input.id = 'pttTestInput';
+      document.body.appendChild(input);
+    });
+
+    await page.locator('#pttTestInput').press('Space');
+
+    const state = await page.evaluate(() => {
+      const { pushToTalk, sent } = (window as any).__ptt;
+      return { isPressed: pushToTalk.isPressed, sent };
+    });
+    expect(state).toEqual({ isPressed: false, sent: [] });
+    await expect(page.locator('#pttTestInput')).toHaveValue(' ');
+  });
+
+  test('should release the turn when push-to-talk is turned off while held', async ({ page }) => {
+    await page.evaluate(() => {
+      const { audio, pushToTalk } = (window as any).__ptt;
+      audio.setPushToTalk(true);
+      pushToTalk.setEnabled(true);
+    });
+
+    await page.keyboard.down('Space');
+    const result = await page.evaluate(async () => {
+      const { pushToTalk, sent, released } = (window as any).__ptt;
+      pushToTalk.setEnabled(false);
+      await Promise.all(released);
+      return { sent, modeClass: document.body.classList.contains('push-to-talk-mode') };
+    });
+    await page.keyboard.up('Space');
+
+    expect(result.sent).toEqual(['audio', { Kind: 'Commit' }]);
+    expect(result.modeClass).toBe(false);
+  });
+
+});
@@ -0,0 +1,231 @@
+import { test, expect, Page } from '@playwright/test';
+
+/**
+ * WebSocket Reconnection Tests
+ * Tests that WebSocketHandler reconnects a dropped socket and resumes the session.
+ * The server side is played by a WebSocket stub driven from the tests.
+ */
+
+// Replace window.WebSocket with a stub the tests open, drop and inspect
+async function installWebSocketStub(page: Page) {
+  await page.addInitScript(() => {
+    class StubWebSocket {
+      url: string;
+      readyState = 0;
+      binaryType = 'blob';
+      sent: unknown[] = [];
+      onopen: (() => void) | null = null;
+      onclose: ((event: { code: number }) => void) | null = null;
+      onerror: ((error: unknown) => void) | null = null;
+      onmessage: ((event: { data: unknown }) => void) | null = null;
+
+      constructor(url: string) {
+        this.url = url;
+        (window as any).__sockets.push(this);
+      }
+
+      send(data: unknown) {
+        this.sent.push(data);
+      }
+
+      close() {
+        this.readyState = 3;
+        this.onclose?.({ code: 1000 });
+      }
+
+      // Test controls
+      open() {
+        this.readyState = 1;
+        this.onopen?.();
+      }
+
+      drop() {
+        this.readyState = 3;
+        this.onclose?.({ code: 1006 });
+      }
+
+      receive(frame: unknown) {
+        this.onmessage?.({ data: JSON.stringify(frame) });
+      }
+    }
+
+    (window as any).__sockets = [];
+    (window as any).WebSocket = StubWebSocket;
+  });
+}
+
+test.describe('WebSocket Reconnection', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await installWebSocketStub(page);
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should resume the session with its conversation after the socket drops', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { RECONNECT_CONFIG } = await import('/js/core/config.js');
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      RECONNECT_CONFIG.BASE_DELAY_MS = 10;
+      RECONNECT_CONFIG.JITTER = 0;
+
+      const sockets = (window as any).__sockets;
+      let onReconnected = () => {};
+      const reconnected = new Promise<void>(resolve => { onReconnected = resolve; });
+      const handler = new WebSocketHandler({ onReconnected: () => onReconnected() }, { autoReconnect: true, eventBus: new EventBus() });
+
+      const connected = handler.connect();
+      sockets[0].open();
+      await connected;
+
+      handler.sendConfig({ voiceModel: 'gpt-4o', voice: 'alloy', welcomeMessage: 'Hello!' });
+      sockets[0].receive({ Kind: 'SessionEvent', Event: 'SessionCreated', Payload: { SessionId: 'session-1' } });
+      handler.sendMessage('What is the weather?');
+      sockets[0].receive({ Kind: 'Transcription', Text: 'It is sunny.', Role: 'agent' });
+
+      sockets[0].drop();
+      handler.sendMessage('And tomorrow?');
+      handler.sendAudio(new ArrayBuffer(8));
+      handler.sendCommit();
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      sockets[1].open();
+      await reconnected;
+
+      return {
+        socketCount: sockets.length,
+        sentWhileOffline: sockets[0].sent.length,
+        resumed: sockets[1].sent.map((frame: unknown) => (typeof frame === 'string' ? JSON.parse(frame) : 'binary'))
+      };
+    });
+
+    expect(result.socketCount).toBe(2);
+    // Config and the first message only: nothing else reached the dropped socket
+    expect(result.sentWhileOffline).toBe(2);
+
+    const [config, message, ...rest] = result.resumed;
+    expect(config.Kind).toBe('Config');
+    expect(config.ResumeSessionId).toBe('session-1');
+    expect(config.WelcomeMessage).toBe('');
+    expect(config.ResumeHistory).toEqual([
+      { Role: 'user', Text: 'What is the weather?' },
+      { Role: 'assistant', Text: 'It is sunny.' }
+    ]);
+
+    // Then what was sent while offline, in order: the typed message, the audio and its commit
+    expect(message).toEqual({ Kind: 'Message', Text: 'And tomorrow?' });
+    expect(rest).toEqual(['binary', { Kind: 'Commit' }]);
+  });
+
+  test('should keep only the most recent audio while offline', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { RECONNECT_CONFIG } = await import('/js/core/config.js');
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      RECONNECT_CONFIG.BASE_DELAY_MS = 10;
+      RECONNECT_CONFIG.JITTER = 0;
+      // 100 ms of PCM16 at 24 kHz: two blocks of 2400 bytes
+      RECONNECT_CONFIG.MAX_BUFFERED_AUDIO_MS = 100;
+
+      const sockets = (window as any).__sockets;
+      let onReconnected = () => {};
+      const reconnected = new Promise<void>(resolve => { onReconnected = resolve; });
+      const handler = new WebSocketHandler({ onReconnected: () => onReconnected() }, { autoReconnect: true, eventBus: new EventBus() });
+
+      const connected = handler.connect();
+      sockets[0].open();
+      await connected;
+      sockets[0].drop();
+
+      for (let block = 1; block <= 4; block++) {
+        handler.sendAudio(new Uint8Array(2400).fill(block).buffer);
+      }
+      handler.sendMessage('Still there?');
+
+      await new Promise(resolve => setTimeout(resolve, 50));
+      sockets[1].open();
+      await reconnected;
+
+      return sockets[1].sent.map((frame: unknown) => (typeof frame === 'string' ? JSON.parse(frame).Kind : new Uint8Array(frame as ArrayBuffer)[0]));
+    });
+
+    // No Config was sent before the drop, so nothing is resumed: only the buffered frames
+    expect(result).toEqual([3, 4, 'Message']);
+  });
+
+  test('should tell the user when a message cannot be sent', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      const handler = new WebSocketHandler({}, { eventBus: new EventBus() });
+      handler.sendMessage('Hello?');
+      return {
+        toast: document.querySelector('#toastContainer')?.textContent || '',
+        buffered: handler.outboundBuffer.length
+      };
+    });
+
+    expect(result.toast).toContain('the message was not sent');
+    expect(result.buffered).toBe(0);
+  });
+
+  test('should keep the replayed history within the size limit', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { RECONNECT_CONFIG } = await import('/js/core/config.js');
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      RECONNECT_CONFIG.MAX_REPLAYED_BYTES = 2000;
+
+      const handler = new WebSocketHandler({}, { eventBus: new EventBus() });
+      for (let turn = 1; turn <= 10; turn++) {
+        handler.recordTurn(turn % 2 ? 'user' : 'assistant', `${turn} ${'é'.repeat(300)}`);
+      }
+      const history = handler.getResumeHistory();
+      return {
+        turns: history.map((entry: { Text: string }) => parseInt(entry.Text, 10)),
+        bytes: new TextEncoder().encode(JSON.stringify(history)).length
+      };
+    });
+
+    // Each turn takes about 620 bytes: only the three most recent fit
+    expect(result.turns).toEqual([8, 9, 10]);
+    expect(result.bytes).toBeLessThanOrEqual(2000);
+  });
+
+  test('should give up after the last attempt and report the connection closed', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { RECONNECT_CONFIG } = await import('/js/core/config.js');
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      RECONNECT_CONFIG.BASE_DELAY_MS = 5;
+      RECONNECT_CONFIG.MAX_ATTEMPTS = 2;
+      RECONNECT_CONFIG.JITTER = 0;
+
+      const sockets = (window as any).__sockets;
+      const bus = new EventBus();
+      const closed = new Promise(resolve => bus.on(APP_EVENTS.CONNECTION_CLOSED, resolve));
+      const handler = new WebSocketHandler({}, { autoReconnect: true, eventBus: bus });
+
+      const connected = handler.connect();
+      sockets[0].open();
+      await connected;
+      sockets[0].drop();
+
+      // Every reconnect attempt fails before opening
+      for (let attempt = 1; attempt <= 2; attempt++) {
+        while (sockets.length <= attempt) {
+          await new Promise(resolve => setTimeout(resolve, 5));
+        }
+        sockets[attempt].drop();
+      }
+
+      const event: any = await closed;
+      return { socketCount: sockets.length, intentional: event.intentional, isReconnecting: handler.isReconnecting };
+    });
+
+    expect(result.socketCount).toBe(3);
+    expect(result.intentional).toBe(false);
+    expect(result.isReconnecting).toBe(false);
+  });
+
+});
@@ -0,0 +1,134 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Session Recorder Tests
+ * Tests that a recording is written as a stereo 24 kHz PCM16 WAV with the user on
+ * the left channel and the agent on the right, aligned on a common timeline.
+ */
+
+test.describe('Session Recorder', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // A recorder on a clock the test moves (performance.now() in ms), and a WAV reader
+    await page.evaluate(async () => {
+      const { SessionRecorder } = await import('/js/handlers/session-recorder.js');
+      const clock = { now: 1000 };
+      performance.now = () => clock.now;
+
+      const recorder = new SessionRecorder();
+      recorder.start();
+
+      // PCM16 chunk of a constant value: 24 samples per ms
+      const chunk = (ms: number, value: number) => new Int16Array(ms * 24).fill(value).buffer;
+
+      const readWav = async () => {
+        const view = new DataView(await recorder.toWavBlob().arrayBuffer());
+        const text = (offset: number, length: number) =>
+          String.fromCharCode(...Array.from({ length }, (_, i) => view.getUint8(offset + i)));
+        const frames = view.getUint32(40, true) / 4;
+        const channel = (index: number) => Array.from({ length: frames }, (_, frame) => view.getInt16(44 + frame * 4 + index * 2, true));
+        return {
+          header: {
+            riff: text(0, 4),
+            riffSize: view.getUint32(4, true),
+            wave: text(8, 4),
+            fmt: text(12, 4),
+            format: view.getUint16(20, true),
+            channels: view.getUint16(22, true),
+            sampleRate: view.getUint32(24, true),
+            byteRate: view.getUint32(28, true),
+            blockAlign: view.getUint16(32, true),
+            bitsPerSample: view.getUint16(34, true),
+            data: text(36, 4),
+            dataSize: view.getUint32(40, true),
+            fileSize: view.byteLength
+          },
+          left: channel(0),
+          right: channel(1)
+        };
+      };
+
+      // Runs of equal samples, in ms: [[value, ms], ...]
+      const runs = (samples: number[]) => samples.reduce((result: number[][], sample) => {
+        const last = result[result.length - 1];
+        if (last && last[0] === sample) {
+          last[1]++;
+        } else {
+          result.push([sample, 1]);
+        }
+        return result;
+      }, []).map(([value, count]) => [value, count / 24]);
+
+      (window as any).__recorder = { recorder, clock, chunk, readWav, runs };
+    });
+  });
+
+  test('should write a stereo 24 kHz PCM16 WAV header', async ({ page }) => {
+    const header = await page.evaluate(async () => {
+      const { recorder, clock, chunk, readWav } = (window as any).__recorder;
+      clock.now = 1010;
+      recorder.addUserAudio(chunk(10, 1));
+      return (await readWav()).header;
+    });
+
+    // 10 ms = 240 frames of 4 bytes
+    expect(header).toEqual({
+      riff: 'RIFF',
+      riffSize: 36 + 960,
+      wave: 'WAVE',
+      fmt: 'fmt ',
+      format: 1,
+      channels: 2,
+      sampleRate: 24000,
+      byteRate: 96000,
+      blockAlign: 4,
+      bitsPerSample: 16,
+      data: 'data',
+      dataSize: 960,
+      fileSize: 44 + 960
+    });
+  });
+
+  test('should place the user on the left and the agent on the right on one timeline', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { recorder, clock, chunk, readWav, runs } = (window as any).__recorder;
+
+      // A microphone block posted at 20 ms was captured from 10 ms
+      clock.now = 1020;
+      recorder.addUserAudio(chunk(10, 100));
+
+      // Agent audio scheduled to play from 30 ms, then a chunk 50 ms late: still contiguous
+      recorder.addAgentAudio(chunk(10, 200), 1030);
+      recorder.addAgentAudio(chunk(10, 300), 1090);
+
+      const { left, right } = await readWav();
+      return { left: runs(left), right: runs(right) };
+    });
+
+    expect(result.left).toEqual([[0, 10], [100, 10], [0, 30]]);
+    expect(result.right).toEqual([[0, 30], [200, 10], [300, 10]]);
+  });
+
+  test('should leave a gap for late agent audio and drop flushed audio', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { recorder, clock, chunk, readWav, runs } = (window as any).__recorder;
+
+      recorder.addAgentAudio(chunk(10, 200), 1000);
+      // 200 ms after the previous chunk ended: a real pause in the speech
+      recorder.addAgentAudio(chunk(20, 300), 1210);
+
+      // Barge-in 15 ms into the second chunk: the rest was never heard
+      clock.now = 1225;
+      recorder.truncateAgentAudio();
+
+      const { right } = await readWav();
+      return { right: runs(right), durationMs: recorder.getDurationMs() };
+    });
+
+    expect(result.right).toEqual([[200, 10], [0, 200], [300, 15]]);
+    expect(result.durationMs).toBe(225);
+  });
+
+});
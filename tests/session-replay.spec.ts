@@ -0,0 +1,145 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Session Replay Tests
+ * Tests that inbound frames captured in the trace log are exported as NDJSON and
+ * that replaying the export feeds the same frames back, in order and at their pace.
+ */
+
+test.describe('Session Replay', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+  });
+
+  test('should export captured frames with the trace entries', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      const { parseTraceFrames, decodeFrame } = await import('/js/handlers/session-replay.js');
+      const { traceLog, addTraceEntry } = await import('/js/managers/trace-manager.js');
+
+      const handler = new WebSocketHandler({}, { eventBus: new EventBus() });
+      traceLog.clear();
+
+      // Frames are only kept while capture is on
+      handler.handleMessage({ data: JSON.stringify({ Kind: 'Transcription', Text: 'Not captured', Role: 'user' }) });
+      traceLog.setCaptureFrames(true);
+      handler.handleMessage({ data: JSON.stringify({ Kind: 'Transcription', Text: 'Hello', Role: 'user' }) });
+      handler.handleMessage({ data: new Uint8Array([0, 1, 254, 255]).buffer });
+      addTraceEntry('system', 'Marker');
+      traceLog.setCaptureFrames(false);
+
+      const ndjson = traceLog.toNDJSON();
+      const frames = parseTraceFrames(ndjson);
+      const audio = decodeFrame(frames[1].frame) as ArrayBuffer;
+      return {
+        lines: ndjson.trim().split('\n').length,
+        frameTypes: frames.map(({ frame }) => frame.type),
+        text: JSON.parse(decodeFrame(frames[0].frame) as string).Text,
+        audio: [...new Uint8Array(audio)]
+      };
+    });
+
+    // Two frames and the marker; the frames are read back without the trace entries
+    expect(result.lines).toBeGreaterThanOrEqual(3);
+    expect(result.frameTypes).toEqual(['text', 'binary']);
+    expect(result.text).toBe('Hello');
+    expect(result.audio).toEqual([0, 1, 254, 255]);
+  });
+
+  test('should replay an exported session in order without capturing it again', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      const { SessionReplay } = await import('/js/handlers/session-replay.js');
+      const { traceLog } = await import('/js/managers/trace-manager.js');
+      const wait = (ms: number) => new Promise(resolve => setTimeout(resolve, ms));
+
+      // Record a short session
+      const recorder = new WebSocketHandler({}, { eventBus: new EventBus() });
+      traceLog.clear();
+      traceLog.setCaptureFrames(true);
+      recorder.handleMessage({ data: JSON.stringify({ Kind: 'Transcription', Text: 'First', Role: 'user' }) });
+      await wait(20);
+      recorder.handleMessage({ data: new Uint8Array([7, 7]).buffer });
+      await wait(20);
+      recorder.handleMessage({ data: JSON.stringify({ Kind: 'Transcription', Text: 'Second', Role: 'user' }) });
+      const exported = traceLog.toNDJSON();
+
+      // Replay it with capture still on
+      const received: unknown[] = [];
+      const player = new WebSocketHandler({
+        onAudio: (buffer: ArrayBuffer) => received.push([...new Uint8Array(buffer)]),
+        onTranscription: (text: string) => received.push(text)
+      }, { eventBus: new EventBus() });
+      const states: string[] = [];
+      let onIdle = () => {};
+      const finished = new Promise<void>(resolve => { onIdle = resolve; });
+      const replay = new SessionReplay(player, {
+        onStateChange: (state: string) => {
+          states.push(state);
+          if (state === 'idle') onIdle();
+        }
+      });
+
+      const frameCount = replay.load(exported);
+      replay.play();
+      const isReplayingWhilePlaying = player.isReplaying;
+      await finished;
+      traceLog.setCaptureFrames(false);
+
+      return {
+        frameCount,
+        received,
+        states,
+        isReplayingWhilePlaying,
+        isReplayingAfter: player.isReplaying,
+        capturedFrames: traceLog.frames.length
+      };
+    });
+
+    expect(result.frameCount).toBe(3);
+    expect(result.received).toEqual(['First', [7, 7], 'Second']);
+    expect(result.states).toEqual(['playing', 'idle']);
+    expect(result.isReplayingWhilePlaying).toBe(true);
+    expect(result.isReplayingAfter).toBe(false);
+    // Only the recorded session: replayed frames are not captured again
+    expect(result.capturedFrames).toBe(3);
+  });
+
+  test('should keep the recorded pace, scaled by the replay speed', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      const { SessionReplay } = await import('/js/handlers/session-replay.js');
+
+      // Two frames recorded one second apart
+      const start = Date.UTC(2026, 0, 1);
+      const frame = (timestamp: number, Text: string) => JSON.stringify({
+        time: new Date(timestamp).toISOString(),
+        timestamp,
+        frame: { type: 'text', data: JSON.stringify({ Kind: 'Transcription', Text, Role: 'user' }) }
+      });
+      const exported = [frame(start, 'One'), 'not json', frame(start + 1000, 'Two')].join('\n');
+
+      const arrivals: number[] = [];
+      const player = new WebSocketHandler({ onTranscription: () => arrivals.push(performance.now()) }, { eventBus: new EventBus() });
+      let onIdle = () => {};
+      const finished = new Promise<void>(resolve => { onIdle = resolve; });
+      const replay = new SessionReplay(player, { onStateChange: (state: string) => state === 'idle' && onIdle() });
+
+      replay.load(exported);
+      replay.setSpeed(5);
+      replay.play();
+      await finished;
+      return { gapMs: arrivals[1] - arrivals[0], count: arrivals.length };
+    });
+
+    expect(result.count).toBe(2);
+    // 1000 ms at 5x
+    expect(result.gapMs).toBeGreaterThanOrEqual(180);
+    expect(result.gapMs).toBeLessThan(600);
+  });
+
+});
@@ -0,0 +1,145 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Simple Chart Tests
+ * Tests that line and area charts draw their series, show the values under the
+ * mouse in a tooltip, and hide or show a dataset when its legend entry is clicked.
+ */
+
+test.describe('Simple Chart', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // A 400x200 canvas, a chart factory and counters of the pixels drawn in each series color
+    await page.evaluate(async () => {
+      const { SimpleChart } = await import('/js/ui/simple-chart.js');
+      const canvas = document.createElement('canvas');
+      canvas.style.cssText = 'position: fixed; left: 0; top: 0; width: 400px; height: 200px';
+      document.body.appendChild(canvas);
+
+      const colors = { text: '#000000', grid: '#eeeeee', tooltipBackground: '#333333', tooltipText: '#ffffff' };
+      const create = (type: string, data: object) => {
+        const chart = new SimpleChart(canvas, { type, data, options: { colors, formatValue: (value: number) => `${value} tokens` } });
+        chart.render();
+        return chart;
+      };
+
+      // Opaque pixels of pure red and pure blue (the legend of a hidden dataset is faded)
+      const countColors = (chart: any) => {
+        const { data } = chart.ctx.getImageData(0, 0, canvas.width, canvas.height);
+        const counts = { red: 0, blue: 0, faintRed: 0 };
+        for (let i = 0; i < data.length; i += 4) {
+          const [r, g, b, a] = [data[i], data[i + 1], data[i + 2], data[i + 3]];
+          if (a > 200 && r > 200 && g < 60 && b < 60) counts.red++;
+          if (a > 200 && b > 200 && r < 60 && g < 60) counts.blue++;
+          // Area fill (red at a quarter of its opacity over a transparent canvas) and line edges
+          if (a > 40 && a < 90 && r > 200 && g < 60 && b < 60) counts.faintRed++;
+        }
+        return counts;
+      };
+
+      const pointer = (type: string, x: number, y: number) =>
+        canvas.dispatchEvent(new MouseEvent(type, { clientX: x, clientY: y, bubbles: true }));
+
+      (window as any).__chart = { create, countColors, pointer };
+    });
+  });
+
+  const WEEK = {
+    labels: ['Mon', 'Tue', 'Wed'],
+    datasets: [
+      { label: 'Input', data: [10, 20, 30], borderColor: 'rgb(255, 0, 0)' },
+      { label: 'Output', data: [5, 15, 25], borderColor: 'rgb(0, 0, 255)' }
+    ]
+  };
+
+  test('should draw each line series and fill it down to the axis for area charts', async ({ page }) => {
+    const counts = await page.evaluate((week) => {
+      const { create, countColors } = (window as any).__chart;
+      const line = countColors(create('line', week));
+      const area = countColors(create('area', week));
+      return { line, area };
+    }, WEEK);
+
+    expect(counts.line.red).toBeGreaterThan(100);
+    expect(counts.line.blue).toBeGreaterThan(100);
+    // Beyond the smoothed edges of the line, the area under it is filled
+    expect(counts.area.faintRed).toBeGreaterThan(counts.line.faintRed + counts.line.red * 10);
+  });
+
+  test('should show the values of every series at the point under the mouse', async ({ page }) => {
+    const result = await page.evaluate((week) => {
+      const { create, pointer } = (window as any).__chart;
+      const chart = create('line', week);
+      const strips = chart.hitRegions.map((region: any) => ({ title: region.title, lines: region.lines.map((line: any) => line.text) }));
+
+      const middle = chart.hitRegions[1];
+      pointer('mousemove', middle.guideX, middle.area.y + middle.area.height / 2);
+      const hovered = chart.hover?.region.title;
+      pointer('mouseleave', 0, 0);
+      return { strips, hovered, afterLeave: chart.hover };
+    }, WEEK);
+
+    expect(result.strips).toEqual([
+      { title: 'Mon', lines: ['Input: 10 tokens', 'Output: 5 tokens'] },
+      { title: 'Tue', lines: ['Input: 20 tokens', 'Output: 15 tokens'] },
+      { title: 'Wed', lines: ['Input: 30 tokens', 'Output: 25 tokens'] }
+    ]);
+    expect(result.hovered).toBe('Tue');
+    expect(result.afterLeave).toBeNull();
+  });
+
+  test('should hide and show a dataset when its legend entry is clicked', async ({ page }) => {
+    const result = await page.evaluate((week) => {
+      const { create, countColors, pointer } = (window as any).__chart;
+      const chart = create('line', week);
+      const clickLegend = (index: number) => {
+        const item = chart.legendItems.find((legendItem: any) => legendItem.index === index);
+        pointer('click', item.x + item.width / 2, item.y + item.height / 2);
+      };
+      const tooltipLines = () => chart.hitRegions[0].lines.map((line: any) => line.text);
+
+      clickLegend(0);
+      const hidden = { counts: countColors(chart), lines: tooltipLines(), legend: chart.legendItems.length };
+      clickLegend(0);
+      return { hidden, shown: { counts: countColors(chart), lines: tooltipLines() } };
+    }, WEEK);
+
+    // Only its faded legend box is left; the legend keeps the entry to show it again
+    expect(result.hidden.counts.red).toBe(0);
+    expect(result.hidden.counts.blue).toBeGreaterThan(100);
+    expect(result.hidden.lines).toEqual(['Output: 5 tokens']);
+    expect(result.hidden.legend).toBe(2);
+    expect(result.shown.counts.red).toBeGreaterThan(100);
+    expect(result.shown.lines).toEqual(['Input: 10 tokens', 'Output: 5 tokens']);
+  });
+
+  test('should place time series on a time axis and keep a series missing a point out of its tooltip', async ({ page }) => {
+    const titles = await page.evaluate(() => {
+      const { create } = (window as any).__chart;
+      document.documentElement.lang = 'en-US';
+      const day = (date: number) => new Date(2026, 0, date).getTime();
+      const chart = create('line', {
+        datasets: [
+          { label: 'Sessions', data: [{ x: day(1), y: 4 }, { x: day(2), y: 6 }, { x: day(4), y: 2 }], borderColor: 'rgb(255, 0, 0)' },
+          { label: 'Errors', data: [{ x: day(2), y: 1 }], borderColor: 'rgb(0, 0, 255)' }
+        ]
+      });
+      return chart.hitRegions.map((region: any) => ({
+        title: region.title,
+        lines: region.lines.map((line: any) => line.text),
+        // Position of the point along the axis, from 0 to 1
+        at: Math.round((region.guideX - region.area.x) / region.area.width * 100) / 100
+      }));
+    });
+
+    // Points at local midnight are daily totals: dates only, spaced by time
+    expect(titles).toEqual([
+      { title: 'Jan 1, 2026', lines: ['Sessions: 4 tokens'], at: 0 },
+      { title: 'Jan 2, 2026', lines: ['Sessions: 6 tokens', 'Errors: 1 tokens'], at: 0.33 },
+      { title: 'Jan 4, 2026', lines: ['Sessions: 2 tokens'], at: 1 }
+    ]);
+  });
+
+});
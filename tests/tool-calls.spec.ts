@@ -0,0 +1,70 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Tool Call Tests
+ * Tests that tool call cards stream their arguments as they arrive, pretty-print
+ * them once complete, and finish calls whose arguments never got a done event.
+ */
+
+test.describe('Tool Calls', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // A tool call manager on a private bus, on a clock the test moves
+    await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { ToolCallManager } = await import('/js/managers/tool-call-manager.js');
+      const bus = new EventBus();
+      const manager = new ToolCallManager();
+      manager.subscribe(bus);
+
+      const clock = { now: 0 };
+      performance.now = () => clock.now;
+
+      const card = (callId: string) => {
+        const element = document.querySelector(`#transcriptContent .tool-call[data-call-id="${callId}"]`)!;
+        return {
+          running: element.classList.contains('running'),
+          status: element.querySelector('.tool-call-status')!.textContent,
+          arguments: element.querySelector('.tool-call-arguments')!.textContent
+        };
+      };
+
+      (window as any).__toolCalls = { bus, APP_EVENTS, clock, card };
+    });
+  });
+
+  test('should append streamed arguments and pretty-print them when done', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, card } = (window as any).__toolCalls;
+      bus.emit(APP_EVENTS.TOOL_CALL_ARGUMENTS_DELTA, { CallId: 'call-1', Delta: '{"city":' });
+      const pre = document.querySelector('[data-call-id="call-1"] .tool-call-arguments');
+      bus.emit(APP_EVENTS.TOOL_CALL_ARGUMENTS_DELTA, { CallId: 'call-1', Delta: '"Rome"}' });
+      const streaming = { ...card('call-1'), samePre: document.querySelector('[data-call-id="call-1"] .tool-call-arguments') === pre };
+
+      bus.emit(APP_EVENTS.TOOL_CALL_ARGUMENTS_DONE, { CallId: 'call-1', Name: 'get_weather', Arguments: '{"city":"Rome"}' });
+      return { streaming, done: card('call-1') };
+    });
+
+    expect(result.streaming).toMatchObject({ running: true, arguments: '{"city":"Rome"}', samePre: true });
+    expect(result.done).toMatchObject({ running: true, arguments: '{\n  "city": "Rome"\n}' });
+  });
+
+  test('should finish a call whose arguments were still streaming', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, clock, card } = (window as any).__toolCalls;
+      bus.emit(APP_EVENTS.TOOL_CALL_ARGUMENTS_DELTA, { CallId: 'call-2', Delta: '{"query":' });
+      clock.now = 1000;
+      bus.emit(APP_EVENTS.TOOL_CALL_ARGUMENTS_DELTA, { CallId: 'call-2', Delta: '"hours"}' });
+
+      // No arguments-done event: the result follows the last delta
+      clock.now = 1250;
+      bus.emit(APP_EVENTS.TOOL_CALL_COMPLETED, { CallId: 'call-2', Name: 'search', Result: '{"open":true}' });
+      return card('call-2');
+    });
+
+    expect(result).toEqual({ running: false, status: '250 ms', arguments: '{\n  "query": "hours"\n}' });
+  });
+
+});
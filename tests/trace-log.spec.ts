@@ -0,0 +1,163 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Trace Log Tests
+ * Tests that trace entries are kept in a ring buffer, filtered by level, category
+ * and search text, held back while the panel is paused, and exported as NDJSON.
+ */
+
+test.describe('Trace Log', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // A log on a clock the test moves (Date.now() in ms), rendered in its own panel
+    await page.evaluate(async () => {
+      const { TraceLog } = await import('/js/managers/trace-manager.js');
+      const clock = { now: Date.UTC(2026, 0, 1) };
+      Date.now = () => clock.now;
+
+      document.getElementById('traceContent')?.remove();
+      const panel = document.createElement('div');
+      panel.id = 'traceContent';
+      document.body.appendChild(panel);
+
+      const log = new TraceLog();
+      const held: number[] = [];
+      log.onPauseChange = (count: number) => held.push(count);
+
+      const shown = async () => {
+        await new Promise(resolve => requestAnimationFrame(resolve));
+        return [...panel.querySelectorAll('.trace-entry')].map(element => element.children[2].textContent);
+      };
+
+      (window as any).__trace = { log, clock, held, shown };
+    });
+  });
+
+  test('should drop the oldest entries beyond the ring buffer size', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { TRACE_CONFIG } = await import('/js/core/config.js');
+      const { log, shown } = (window as any).__trace;
+      const first = log.add({ role: 'event', level: 'info', category: 'session', message: 'entry 0' });
+      for (let index = 1; index < TRACE_CONFIG.MAX_ENTRIES + 5; index++) {
+        log.add({ role: 'event', level: 'info', category: 'session', message: `entry ${index}` });
+      }
+      const messages = await shown();
+      return {
+        maxEntries: TRACE_CONFIG.MAX_ENTRIES,
+        count: log.entries.length,
+        oldest: log.entries[0].message,
+        firstDropped: first.dropped,
+        shownCount: messages.length,
+        shownFirst: messages[0],
+        exported: log.toNDJSON().trim().split('\n').length
+      };
+    });
+
+    expect(result.count).toBe(result.maxEntries);
+    expect(result.oldest).toBe('entry 5');
+    expect(result.firstDropped).toBe(true);
+    expect(result.shownCount).toBe(result.maxEntries);
+    expect(result.shownFirst).toBe('entry 5');
+    expect(result.exported).toBe(result.maxEntries);
+  });
+
+  test('should filter by level, category and search text', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { log, shown } = (window as any).__trace;
+      log.add({ role: 'event', level: 'debug', category: 'audio', message: 'Audio chunk' });
+      log.add({ role: 'event', level: 'info', category: 'session', message: 'Session updated', payload: { Voice: 'alloy' } });
+      log.add({ role: 'event', level: 'info', category: 'response', message: 'Response created' });
+      log.add({ role: 'error', level: 'error', category: 'error', message: 'Rate limit reached' });
+      const byDefault = await shown();
+
+      log.setFilter({ level: 'debug' });
+      const allLevels = await shown();
+
+      log.setFilter({ category: 'session' });
+      const sessionOnly = await shown();
+
+      // The search looks into the payload too, whatever the case
+      log.setFilter({ category: '', search: '  ALLOY ' });
+      const searched = await shown();
+
+      log.setFilter({ search: '', level: 'warn' });
+      return { byDefault, allLevels, sessionOnly, searched, warnings: await shown() };
+    });
+
+    expect(result.byDefault).toEqual(['Session updated', 'Response created', 'Rate limit reached']);
+    expect(result.allLevels).toEqual(['Audio chunk', 'Session updated', 'Response created', 'Rate limit reached']);
+    expect(result.sessionOnly).toEqual(['Session updated']);
+    expect(result.searched).toEqual(['Session updated']);
+    expect(result.warnings).toEqual(['Rate limit reached']);
+  });
+
+  test('should hold back entries while paused and show them on resume', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { log, held, shown } = (window as any).__trace;
+      log.add({ role: 'event', level: 'info', category: 'session', message: 'Session started' });
+      await shown();
+
+      log.setPaused(true);
+      log.add({ role: 'event', level: 'info', category: 'response', message: 'Response created' });
+      // Filtered out: not counted as held back
+      log.add({ role: 'event', level: 'debug', category: 'audio', message: 'Audio chunk' });
+      log.add({ role: 'event', level: 'info', category: 'response', message: 'Response done' });
+      const whilePaused = await shown();
+
+      log.setPaused(false);
+      return { whilePaused, held: [...held], resumed: await shown(), recorded: log.entries.length };
+    });
+
+    expect(result.whilePaused).toEqual(['Session started']);
+    expect(result.held).toEqual([0, 1, 2, 0]);
+    expect(result.resumed).toEqual(['Session started', 'Response created', 'Response done']);
+    expect(result.recorded).toBe(4);
+  });
+
+  test('should export entries and captured frames as NDJSON in time order', async ({ page }) => {
+    const records = await page.evaluate(async () => {
+      const { log, clock } = (window as any).__trace;
+      log.recordFrame({ type: 'text', data: 'ignored' });
+      log.setCaptureFrames(true);
+
+      log.add({ role: 'system', level: 'info', category: 'session', message: 'Connected' });
+      clock.now += 250;
+      log.recordFrame({ type: 'text', data: '{"Kind":"SessionEvent"}' });
+      clock.now += 250;
+      log.add({ role: 'error', level: 'error', category: 'error', message: 'Failed', payload: { Code: 42 } });
+
+      return log.toNDJSON().split('\n');
+    });
+
+    expect(records).toHaveLength(4);
+    expect(records[3]).toBe('');
+    expect(records.slice(0, 3).map(line => JSON.parse(line))).toEqual([
+      {
+        time: '2026-01-01T00:00:00.000Z',
+        timestamp: Date.UTC(2026, 0, 1),
+        level: 'info',
+        category: 'session',
+        role: 'system',
+        message: 'Connected',
+        payload: null
+      },
+      {
+        time: '2026-01-01T00:00:00.250Z',
+        timestamp: Date.UTC(2026, 0, 1) + 250,
+        frame: { type: 'text', data: '{"Kind":"SessionEvent"}' }
+      },
+      {
+        time: '2026-01-01T00:00:00.500Z',
+        timestamp: Date.UTC(2026, 0, 1) + 500,
+        level: 'error',
+        category: 'error',
+        role: 'error',
+        message: 'Failed',
+        payload: { Code: 42 }
+      }
+    ]);
+  });
+
+});
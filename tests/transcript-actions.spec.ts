@@ -0,0 +1,119 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Transcript Actions Tests
+ * Tests the toolbar of each message: copy its text, send a user message again,
+ * replay an agent response from its retained audio, and flag a message with a note.
+ */
+
+test.describe('Transcript Actions', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // A user message, a streamed agent response and a clipboard that records what is copied
+    await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { TranscriptStreamer } = await import('/js/managers/transcript-streamer.js');
+      const { addTranscript, initTranscriptActions } = await import('/js/managers/transcript-manager.js');
+
+      const copied: string[] = [];
+      Object.defineProperty(navigator, 'clipboard', {
+        configurable: true,
+        value: { writeText: async (text: string) => { copied.push(text); } }
+      });
+
+      const resent: string[] = [];
+      const replayed: string[] = [];
+      initTranscriptActions({
+        onResend: (text: string) => resent.push(text),
+        onReplay: (responseId: string) => replayed.push(responseId)
+      });
+
+      const bus = new EventBus();
+      new TranscriptStreamer().subscribe(bus);
+      addTranscript('user', 'What is the **capital** of Italy?');
+      bus.emit(APP_EVENTS.RESPONSE_CREATED, { ResponseId: 'r1' });
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r1', Delta: 'It is Rome.' });
+
+      (window as any).__actions = { copied, resent, replayed };
+    });
+  });
+
+  test('should copy, send again and replay from the message toolbar', async ({ page }) => {
+    const user = page.locator('#transcriptContent .transcript-item.user');
+    const agent = page.locator('#transcriptContent .transcript-item.agent[data-response-id="r1"]');
+    await expect(agent).toContainText('It is Rome.');
+
+    // The source text is copied, not the rendered HTML
+    await user.locator('[data-action="copy"]').click();
+    await user.locator('[data-action="resend"]').click();
+    await agent.locator('[data-action="replay"]').click();
+
+    // Each role gets its own second action
+    await expect(user.locator('[data-action="replay"]')).toHaveCount(0);
+    await expect(agent.locator('[data-action="resend"]')).toHaveCount(0);
+
+    const result = await page.evaluate(() => (window as any).__actions);
+    expect(result).toEqual({
+      copied: ['What is the **capital** of Italy?'],
+      resent: ['What is the **capital** of Italy?'],
+      replayed: ['r1']
+    });
+  });
+
+  test('should save a flag note with the message and remove it', async ({ page }) => {
+    const agent = page.locator('#transcriptContent .transcript-item.agent[data-response-id="r1"]');
+    await expect(agent).toContainText('It is Rome.');
+
+    await agent.locator('[data-action="flag"]').click();
+    await agent.locator('.transcript-flag-editor textarea').fill('  Rome is right, but it missed the question  ');
+    await agent.locator('[data-flag-action="save"]').click();
+
+    await expect(agent).toHaveClass(/flagged/);
+    await expect(agent.locator('.transcript-flag-note')).toHaveText('Flagged as incorrect: Rome is right, but it missed the question');
+    await expect(agent.locator('.transcript-flag-editor')).toHaveCount(0);
+
+    const saved = await page.evaluate(async () => {
+      const { transcriptStore } = await import('/js/managers/transcript-store.js');
+      const { exportTranscript } = await import('/js/modules/transcript-exporter.js');
+      const entry = transcriptStore.getEntries().find((candidate: any) => candidate.role === 'agent');
+      return { note: entry.flag?.note, markdown: exportTranscript('markdown').content };
+    });
+    expect(saved.note).toBe('Rome is right, but it missed the question');
+    expect(saved.markdown).toContain('> **Flagged as incorrect**: Rome is right, but it missed the question');
+
+    // Opening the editor again offers to remove the flag
+    await agent.locator('[data-action="flag"]').click();
+    await expect(agent.locator('.transcript-flag-editor textarea')).toHaveValue('Rome is right, but it missed the question');
+    await agent.locator('[data-flag-action="remove"]').click();
+
+    await expect(agent).not.toHaveClass(/flagged/);
+    await expect(agent.locator('.transcript-flag-note')).toHaveCount(0);
+  });
+
+  test('should keep response audio for replay within the retention limit', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { AudioHandler } = await import('/js/handlers/audio-handler.js');
+      const { EventBus } = await import('/js/core/event-bus.js');
+      const audioHandler = new AudioHandler(null, new EventBus());
+
+      // 400 s and then 300 s of audio: the older response no longer fits in 600 s
+      audioHandler.startResponseAudio('r1');
+      audioHandler.retainResponseAudio(new ArrayBuffer(8), 400000);
+      const retainedFirst = audioHandler.hasResponseAudio('r1');
+      audioHandler.startResponseAudio('r2');
+      audioHandler.retainResponseAudio(new ArrayBuffer(8), 300000);
+
+      return {
+        retainedFirst,
+        first: audioHandler.hasResponseAudio('r1'),
+        second: audioHandler.hasResponseAudio('r2'),
+        replayedFirst: await audioHandler.replayResponse('r1')
+      };
+    });
+
+    expect(result).toEqual({ retainedFirst: true, first: false, second: true, replayedFirst: false });
+  });
+
+});
@@ -0,0 +1,117 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Transcript Export Tests
+ * Tests that SRT and WebVTT captions are timed from the agent word timestamps
+ * (cut at an interruption), estimated for other messages, and never overlap.
+ */
+
+test.describe('Transcript Export', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // A conversation on a clock the test moves (performance.now() in ms), recorded from 0
+    await page.evaluate(async () => {
+      const { TranscriptStore } = await import('/js/managers/transcript-store.js');
+      const clock = { now: 0 };
+      performance.now = () => clock.now;
+
+      const store = new TranscriptStore();
+      store.setOrigin(0);
+      const at = (time: number, add: () => void) => {
+        clock.now = time;
+        add();
+      };
+      // Words of [text, offsetMs, durationMs] as reported by audio timestamps
+      const speak = (entry: object, words: [string, number, number][]) =>
+        words.forEach(([word, offsetMs, durationMs]) => store.addWordTiming(entry, word, offsetMs, durationMs));
+
+      // Transcribed once the user stopped speaking: 4 words are estimated at 1.5 s
+      at(2000, () => store.addEntry('user', 'What time is it'));
+      at(2100, () => {
+        const entry = store.addEntry('agent', 'It is noon', 'r1');
+        speak(entry, [['It', 0, 200], ['is', 250, 150], ['noon', 450, 400]]);
+        // Heard from 2.3 s
+        store.setAudioStartTime(entry, 2300);
+      });
+      at(4000, () => store.addEntry('user', 'Thanks'));
+      at(5000, () => {
+        const entry = store.addEntry('agent', 'Let me check the weather for you', 'r2');
+        speak(entry, [['Let', 0, 300], ['me', 300, 300], ['check', 600, 300], ['the', 900, 300], ['weather', 1200, 300]]);
+        store.markInterrupted(entry, 700);
+      });
+
+      (window as any).__export = { store };
+    });
+  });
+
+  test('should time SRT captions from word timestamps and estimates', async ({ page }) => {
+    const srt = await page.evaluate(async () => {
+      const { exportTranscript } = await import('/js/modules/transcript-exporter.js');
+      return exportTranscript('srt', (window as any).__export.store).content;
+    });
+
+    expect(srt.split('\n')).toEqual([
+      '1',
+      '00:00:00,500 --> 00:00:02,000',
+      'User: What time is it',
+      '',
+      // Cut where the next caption starts
+      '2',
+      '00:00:02,300 --> 00:00:03,000',
+      'Assistant: It is noon',
+      '',
+      '3',
+      '00:00:03,000 --> 00:00:04,000',
+      'User: Thanks',
+      '',
+      // Only the words heard before the interruption, shown for at least a second
+      '4',
+      '00:00:05,000 --> 00:00:06,000',
+      'Assistant: Let me check',
+      ''
+    ]);
+  });
+
+  test('should write the same cues as WebVTT with voice spans', async ({ page }) => {
+    const vtt = await page.evaluate(async () => {
+      const { exportTranscript } = await import('/js/modules/transcript-exporter.js');
+      const { store } = (window as any).__export;
+      store.addEntry('user', 'Is 2 < 3?');
+      return exportTranscript('vtt', store).content;
+    });
+
+    const lines = vtt.split('\n');
+    expect(lines.slice(0, 5)).toEqual(['WEBVTT', '', '00:00:00.500 --> 00:00:02.000', '<v User>What time is it', '']);
+    expect(lines.slice(-6)).toEqual([
+      '00:00:03.500 --> 00:00:05.000',
+      '<v User>Is 2 &lt; 3?',
+      '',
+      '00:00:05.000 --> 00:00:06.000',
+      '<v Assistant>Let me check',
+      ''
+    ]);
+  });
+
+  test('should split long untimed messages over their estimated duration', async ({ page }) => {
+    const cues = await page.evaluate(async () => {
+      const { buildCaptionCues, formatCaptionTime } = await import('/js/modules/transcript-exporter.js');
+      // 20 words of 4 letters (99 characters): 7.5 s at 160 words per minute
+      const text = Array.from({ length: 20 }, () => 'word').join(' ');
+      const entries = [{ role: 'agent', text, offsetMs: 3723004, words: [] }];
+      return buildCaptionCues(entries).map((cue: any) => ({
+        words: cue.text.split(' ').length,
+        start: formatCaptionTime(cue.startMs),
+        end: formatCaptionTime(cue.endMs)
+      }));
+    });
+
+    // 17 words fit in 84 characters; the cues share the duration by length
+    expect(cues).toEqual([
+      { words: 17, start: '01:02:03,004', end: '01:02:09,433' },
+      { words: 3, start: '01:02:09,433', end: '01:02:10,504' }
+    ]);
+  });
+
+});
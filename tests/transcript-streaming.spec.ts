@@ -0,0 +1,121 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * Transcript Streaming Tests
+ * Tests that each response streams into its own message, that a response shows
+ * either its words or its deltas (never both), and that a stream is released
+ * once it is both finalized and transcribed.
+ */
+
+test.describe('Transcript Streaming', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // A streamer listening on its own bus, without an audio clock (words show as they arrive)
+    await page.evaluate(async () => {
+      const { EventBus, APP_EVENTS } = await import('/js/core/event-bus.js');
+      const { TranscriptStreamer } = await import('/js/managers/transcript-streamer.js');
+      const bus = new EventBus();
+      const streamer = new TranscriptStreamer();
+      streamer.subscribe(bus);
+
+      const nextFrame = () => new Promise(resolve => requestAnimationFrame(() => setTimeout(resolve, 0)));
+      const messages = () => Array.from(document.querySelectorAll('#transcriptContent .transcript-item.agent')).map(item => ({
+        responseId: (item as HTMLElement).dataset.responseId,
+        text: item.querySelector('.transcript-content')!.textContent,
+        streaming: item.classList.contains('streaming')
+      }));
+
+      (window as any).__streaming = { bus, APP_EVENTS, streamer, nextFrame, messages };
+    });
+  });
+
+  test('should stream overlapping responses into their own messages', async ({ page }) => {
+    const messages = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, nextFrame, messages } = (window as any).__streaming;
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r1', Delta: 'Checking the ' });
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r2', Delta: 'It is ' });
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r1', Delta: 'weather.' });
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r2', Delta: 'sunny.' });
+      await nextFrame();
+      return messages();
+    });
+
+    expect(messages).toEqual([
+      { responseId: 'r1', text: 'Checking the weather.', streaming: true },
+      { responseId: 'r2', text: 'It is sunny.', streaming: true }
+    ]);
+  });
+
+  test('should show a response once when it has both word timestamps and deltas', async ({ page }) => {
+    const messages = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, nextFrame, messages } = (window as any).__streaming;
+      const word = (ResponseId: string, Text: string, AudioOffsetMs: number) =>
+        bus.emit(APP_EVENTS.AUDIO_TIMESTAMP_DELTA, { ResponseId, Text, AudioOffsetMs, TimestampType: 'word' });
+
+      // Words first: the deltas of the same response are not displayed
+      word('r1', 'Hello', 0);
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r1', Delta: 'Hello there' });
+      word('r1', 'there', 300);
+
+      // Deltas first: the words of the same response are not displayed
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r2', Delta: 'Good morning' });
+      word('r2', 'Good', 0);
+      word('r2', 'morning', 250);
+
+      await nextFrame();
+      // Words are shown on the next frame, so the messages are compared by response
+      return Object.fromEntries(messages().map((message: { responseId: string, text: string }) => [message.responseId, message.text]));
+    });
+
+    expect(messages).toEqual({ r1: 'Hello there', r2: 'Good morning' });
+  });
+
+  test('should finalize responses on their own and release them once transcribed', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, streamer, nextFrame, messages } = (window as any).__streaming;
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r1', Delta: 'first answer' });
+      bus.emit(APP_EVENTS.TRANSCRIPT_DELTA, { ResponseId: 'r2', Delta: 'second answer' });
+      await nextFrame();
+
+      bus.emit(APP_EVENTS.RESPONSE_DONE, { ResponseId: 'r1' });
+      const afterDone = { messages: messages(), streams: [...streamer.streams.keys()] };
+
+      // The final transcript (with punctuation) replaces the streamed text when it is claimed
+      bus.emit(APP_EVENTS.TRANSCRIPT_DONE, { ResponseId: 'r1', Transcript: 'First answer.' });
+      const claimed = streamer.claimTranscription('First answer.');
+      const afterClaim = { messages: messages(), streams: [...streamer.streams.keys()] };
+
+      return { afterDone, claimed, afterClaim };
+    });
+
+    expect(result.afterDone.messages).toEqual([
+      { responseId: 'r1', text: 'first answer', streaming: false },
+      { responseId: 'r2', text: 'second answer', streaming: true }
+    ]);
+    // Finalized but not transcribed yet: still tracked
+    expect(result.afterDone.streams).toEqual(['r1', 'r2']);
+
+    expect(result.claimed).toBe(true);
+    expect(result.afterClaim.messages[0]).toEqual({ responseId: 'r1', text: 'First answer.', streaming: false });
+    expect(result.afterClaim.streams).toEqual(['r2']);
+  });
+
+  test('should add a transcription nothing streamed as a whole message', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { bus, APP_EVENTS, streamer, messages } = (window as any).__streaming;
+      const unmatched = streamer.claimTranscription('Nobody streamed this.');
+
+      bus.emit(APP_EVENTS.TRANSCRIPT_DONE, { ResponseId: 'r3', Transcript: 'Only the transcript.' });
+      const claimed = streamer.claimTranscription('Only the transcript.');
+      return { unmatched, claimed, messages: messages(), streams: streamer.streams.size };
+    });
+
+    expect(result.unmatched).toBe(false);
+    expect(result.claimed).toBe(true);
+    expect(result.messages).toEqual([{ responseId: 'r3', text: 'Only the transcript.', streaming: false }]);
+    expect(result.streams).toBe(0);
+  });
+
+});
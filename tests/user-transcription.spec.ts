@@ -0,0 +1,88 @@
+import { test, expect } from '@playwright/test';
+
+/**
+ * User Transcription Tests
+ * Tests that the user's speech is shown in an in-progress bubble while it is
+ * transcribed, and that the final Transcription message takes its place.
+ */
+
+test.describe('User Transcription', () => {
+
+  test.beforeEach(async ({ page }) => {
+    await page.goto('/VoiceAssistant');
+
+    // Frames from the server, as the WebSocket delivers them
+    await page.evaluate(async () => {
+      const { WebSocketHandler } = await import('/js/handlers/websocket-handler.js');
+      const { transcriptStore } = await import('/js/managers/transcript-store.js');
+      const handler = new WebSocketHandler();
+      const receive = (frame: object) => handler.handleMessage({ data: JSON.stringify(frame) });
+      const sessionEvent = (Event: string, Payload: object) => receive({ Kind: 'SessionEvent', Event, Payload });
+      const items = () => [...document.querySelectorAll('#transcriptContent .transcript-item')].map(item => ({
+        role: item.classList.contains('user') ? 'user' : 'agent',
+        text: item.querySelector('.transcript-content')!.textContent!.trim(),
+        inProgress: item.classList.contains('in-progress')
+      }));
+      const entries = () => transcriptStore.getEntries().map((entry: any) => `${entry.role}: ${entry.text}`);
+
+      (window as any).__userTranscription = { receive, sessionEvent, items, entries };
+    });
+  });
+
+  test('should show the user speech as it is transcribed and replace it with the final text', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { receive, sessionEvent, items, entries } = (window as any).__userTranscription;
+      sessionEvent('conversation.item.input_audio_transcription.delta', { item_id: 'item-1', delta: 'Book a' });
+      sessionEvent('UserTranscriptionDelta', { ItemId: 'item-1', Delta: ' table' });
+      const streaming = items();
+
+      sessionEvent('UserTranscription', { ItemId: 'item-1', Transcript: 'Book a table for two.' });
+      const completed = items();
+
+      // The agent answered before the final message arrived: the user message keeps its place
+      receive({ Kind: 'Transcription', Text: 'For which evening?', Role: 'agent' });
+      receive({ Kind: 'Transcription', Text: 'Book a table for two.', Role: 'user' });
+      return { streaming, completed, final: items(), entries: entries() };
+    });
+
+    expect(result.streaming).toEqual([{ role: 'user', text: 'Book a table', inProgress: true }]);
+    expect(result.completed).toEqual([{ role: 'user', text: 'Book a table for two.', inProgress: true }]);
+    expect(result.final).toEqual([
+      { role: 'user', text: 'Book a table for two.', inProgress: false },
+      { role: 'agent', text: 'For which evening?', inProgress: false }
+    ]);
+    expect(result.entries).toEqual(['user: Book a table for two.', 'agent: For which evening?']);
+  });
+
+  test('should give each input its own bubble and drop the ones that fail', async ({ page }) => {
+    const result = await page.evaluate(async () => {
+      const { receive, sessionEvent, items } = (window as any).__userTranscription;
+      sessionEvent('UserTranscriptionDelta', { ItemId: 'item-1', Delta: 'Hello' });
+      sessionEvent('UserTranscriptionDelta', { ItemId: 'item-2', Delta: 'Are you' });
+      sessionEvent('UserTranscriptionDelta', { ItemId: 'item-3', Delta: 'Mmm' });
+      sessionEvent('UserTranscriptionDelta', { ItemId: 'item-2', Delta: ' there?' });
+      const streaming = items().map((item: any) => item.text);
+
+      sessionEvent('UserTranscriptionFailed', { ItemId: 'item-3', Error: 'Audio too short' });
+      // Nothing was said after all
+      sessionEvent('UserTranscription', { ItemId: 'item-1', Transcript: '' });
+      sessionEvent('UserTranscription', { ItemId: 'item-2', Transcript: 'Are you there?' });
+      receive({ Kind: 'Transcription', Text: 'Are you there?', Role: 'user' });
+      return { streaming, final: items() };
+    });
+
+    expect(result.streaming).toEqual(['Hello', 'Are you there?', 'Mmm']);
+    expect(result.final).toEqual([{ role: 'user', text: 'Are you there?', inProgress: false }]);
+  });
+
+  test('should add a final message nothing was streamed for', async ({ page }) => {
+    const final = await page.evaluate(async () => {
+      const { receive, items } = (window as any).__userTranscription;
+      receive({ Kind: 'Transcription', Text: 'Typed without deltas', Role: 'user' });
+      return items();
+    });
+
+    expect(final).toEqual([{ role: 'user', text: 'Typed without deltas', inProgress: false }]);
+  });
+
+});